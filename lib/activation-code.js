@@ -0,0 +1,69 @@
+// lib/activation-code.js - Human-typeable activation codes
+//
+// Format: XXXX-XXXX-XXXX (Crockford base32, không có I, L, O, U).
+// 11 ký tự ngẫu nhiên (55 bit) + 1 ký tự checksum để bắt lỗi gõ sai trước
+// khi query database. Khi nhập có thể bỏ dấu gạch, viết thường, gõ O thay 0,
+// I/L thay 1.
+import crypto from "crypto";
+
+const ALPHABET = "0123456789ABCDEFGHJKMNPQRSTVWXYZ";
+const CODE_LENGTH = 12;
+
+// Luhn mod N: bắt được mọi lỗi sai 1 ký tự và hầu hết lỗi đảo 2 ký tự kề nhau
+function checksumChar(body) {
+  const n = ALPHABET.length;
+  let factor = 2;
+  let sum = 0;
+  for (let i = body.length - 1; i >= 0; i--) {
+    let addend = factor * ALPHABET.indexOf(body[i]);
+    factor = factor === 2 ? 1 : 2;
+    addend = Math.floor(addend / n) + (addend % n);
+    sum += addend;
+  }
+  return ALPHABET[(n - (sum % n)) % n];
+}
+
+/**
+ * Generate a new activation code (normalized, không có dấu gạch)
+ */
+export function generateActivationCode() {
+  const bytes = crypto.randomBytes(CODE_LENGTH - 1);
+  let body = "";
+  for (const b of bytes) body += ALPHABET[b % ALPHABET.length];
+  return body + checksumChar(body);
+}
+
+/**
+ * Normalize user input. Returns null nếu sai format hoặc sai checksum.
+ */
+export function normalizeActivationCode(input) {
+  if (typeof input !== "string") return null;
+  const code = input
+    .toUpperCase()
+    .replace(/[\s-]/g, "")
+    .replace(/O/g, "0")
+    .replace(/[IL]/g, "1");
+  if (code.length !== CODE_LENGTH) return null;
+  for (const ch of code) {
+    if (!ALPHABET.includes(ch)) return null;
+  }
+  const body = code.slice(0, -1);
+  return checksumChar(body) === code.slice(-1) ? code : null;
+}
+
+/**
+ * Looks like an activation code (không kiểm tra checksum)
+ */
+export function isActivationCodeLike(input) {
+  return (
+    typeof input === "string" &&
+    /^[0-9A-Za-z]{4}-?[0-9A-Za-z]{4}-?[0-9A-Za-z]{4}$/.test(input.trim())
+  );
+}
+
+/**
+ * Display format: XXXX-XXXX-XXXX
+ */
+export function formatActivationCode(code) {
+  return code.match(/.{4}/g).join("-");
+}
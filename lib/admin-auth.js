@@ -0,0 +1,133 @@
+// lib/admin-auth.js - Xác thực admin cho /api/admin/* (và login của /admin)
+//
+// Root key ADMIN_KEY (ENV) hoặc token n1a_<tokenId>_<secret> của bảng
+// admin_tokens (chỉ lưu sha256 của secret), role: viewer < support < owner.
+import crypto from "crypto";
+import {
+  insertAdminToken,
+  findActiveAdminToken,
+  touchAdminToken,
+} from "./repos/admins.js";
+
+/**
+ * Admin roles, quyền tăng dần: viewer < support < owner
+ */
+export const ADMIN_ROLES = ["viewer", "support", "owner"];
+
+/**
+ * Hash admin token secret (sha256 hex)
+ */
+export function hashAdminSecret(secret) {
+  return crypto.createHash("sha256").update(secret).digest("hex");
+}
+
+/**
+ * Create a new API token for an admin: n1a_<tokenId>_<secret>
+ *
+ * Chỉ lưu hash của secret; token đầy đủ chỉ trả về một lần.
+ */
+export async function createAdminToken(client, adminId, label) {
+  const tokenId = crypto.randomBytes(8).toString("hex");
+  const secret = crypto.randomBytes(32).toString("base64url");
+  await insertAdminToken(client, {
+    tokenId,
+    adminId,
+    tokenHash: hashAdminSecret(secret),
+    label: label || null,
+  });
+  return { tokenId, token: `n1a_${tokenId}_${secret}` };
+}
+
+/**
+ * Create admin auth middleware (services: store, config)
+ */
+export function createAdminAuth({ store, config }) {
+  const { adminKey: ADMIN_KEY } = config;
+
+  /**
+   * Resolve admin token (root ADMIN_KEY hoặc n1a_<tokenId>_<secret>)
+   *
+   * Returns { id, name, role, tokenId } hoặc null nếu token không hợp lệ.
+   */
+  async function resolveAdminToken(presented) {
+    if (!presented) return null;
+
+    // Root key từ ENV (so sánh constant-time trên digest để không lộ độ dài)
+    if (
+      ADMIN_KEY &&
+      crypto.timingSafeEqual(
+        Buffer.from(hashAdminSecret(presented), "hex"),
+        Buffer.from(hashAdminSecret(ADMIN_KEY), "hex"),
+      )
+    ) {
+      return { id: null, name: "root", role: "owner", tokenId: null };
+    }
+
+    const match = /^n1a_([0-9a-f]{16})_([A-Za-z0-9_-]+)$/.exec(presented);
+    if (!match) return null;
+    const [, tokenId, secret] = match;
+
+    const row = await findActiveAdminToken(store, tokenId);
+    // Luôn so sánh (kể cả khi không có row) để thời gian phản hồi đồng đều
+    const expected = Buffer.from(
+      row ? row.token_hash : hashAdminSecret(""),
+      "hex",
+    );
+    const actual = Buffer.from(hashAdminSecret(secret), "hex");
+    if (!crypto.timingSafeEqual(expected, actual) || !row) return null;
+
+    touchAdminToken(store, tokenId).catch((err) =>
+      console.error("❌ admin token last_used_at error:", err.message),
+    );
+
+    return {
+      id: row.id,
+      name: row.name,
+      role: row.role,
+      tokenId: row.token_id,
+    };
+  }
+
+  /**
+   * Authenticate admin token
+   *
+   * Token qua header "Authorization: Bearer <token>" hoặc "x-admin-key".
+   * Gắn req.admin = { id, name, role, tokenId } cho các handler phía sau.
+   */
+  async function authenticateAdmin(req, res, next) {
+    const header = req.headers.authorization || "";
+    const presented = header.startsWith("Bearer ")
+      ? header.slice(7).trim()
+      : req.headers["x-admin-key"];
+
+    try {
+      const admin = await resolveAdminToken(presented);
+      if (!admin) {
+        return res.status(403).send("Forbidden: Invalid admin key");
+      }
+
+      req.admin = admin;
+      next();
+    } catch (err) {
+      console.error("❌ adminAuth error:", err);
+      res.status(500).send("Internal server error");
+    }
+  }
+
+  /**
+   * Admin auth + role check: router.post(path, adminAuth("support"), handler)
+   */
+  function adminAuth(role = "viewer") {
+    return [
+      authenticateAdmin,
+      (req, res, next) => {
+        if (ADMIN_ROLES.indexOf(req.admin.role) < ADMIN_ROLES.indexOf(role)) {
+          return res.status(403).send(`Forbidden: Requires ${role} role`);
+        }
+        next();
+      },
+    ];
+  }
+
+  return { resolveAdminToken, adminAuth };
+}
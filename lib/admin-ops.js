@@ -0,0 +1,781 @@
+// lib/admin-ops.js - Thao tác admin dùng chung (API /api/admin/*, /admin
+// console, CLI scripts/n1-admin.js)
+//
+// Mọi hàm nhận client (pg client / pool, caller tự mở transaction) và req:
+// req.ip + req.admin.name dùng cho audit log. CLI truyền req giả với
+// admin = { name: "cli:<user>" }.
+import { formatActivationCode } from "./activation-code.js";
+import { isV2License, generateLicenseV2 } from "./license-v2.js";
+import { generateLicenseV1 } from "./license-v1.js";
+import { formatDate, isValidYmd } from "./dates.js";
+import { WEBHOOK_EVENTS, enqueueWebhookEvent } from "./webhooks.js";
+import { LICENSE_COLUMNS } from "./repos/licenses.js";
+import { isValidPlanCode } from "./entitlements.js";
+
+/**
+ * Append an audit entry (trong cùng transaction với thay đổi)
+ *
+ * Action nằm trong WEBHOOK_EVENTS → ghi luôn vào outbox webhook.
+ */
+export async function recordAudit(
+  client,
+  req,
+  { actor, action, userId, deviceId, license, before, after },
+) {
+  await client.query(
+    `INSERT INTO audit_events
+       (actor, action, user_id, device_id, license, ip, before_data, after_data, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW())`,
+    [
+      actor,
+      action,
+      userId || null,
+      deviceId || null,
+      license || null,
+      req?.ip || null,
+      before ? JSON.stringify(before) : null,
+      after ? JSON.stringify(after) : null,
+    ],
+  );
+
+  if (WEBHOOK_EVENTS.includes(action)) {
+    await enqueueWebhookEvent(client, action, {
+      actor,
+      userId: userId || null,
+      deviceId: deviceId || null,
+      license: license || null,
+      before: before || null,
+      after: after || null,
+    });
+  }
+}
+
+/**
+ * Audit actor string for the current admin
+ */
+export function adminActor(req) {
+  return `admin:${req.admin.name}`;
+}
+
+/**
+ * Format license row for API responses
+ */
+export function formatLicenseRow(r) {
+  return {
+    license: r.license,
+    format: isV2License(r.license) ? "v2" : "v1",
+    deviceId: r.device_id,
+    expiry: r.expiry,
+    plan: r.plan,
+    status: r.status,
+    statusReason: r.status_reason,
+    supersededBy: r.superseded_by,
+    createdAt: r.created_at,
+  };
+}
+
+/**
+ * Format device binding row for API responses
+ */
+export function formatDeviceBinding(b) {
+  return {
+    deviceId: b.device_id,
+    deviceName: b.device_name,
+    license: b.license,
+    createdAt: b.created_at,
+    lastSeenAt: b.last_seen_at,
+  };
+}
+
+/**
+ * Format activation code row (+ activations) for API responses
+ */
+export function formatActivationCodeRow(c, activations = []) {
+  return {
+    code: formatActivationCode(c.code),
+    userId: c.user_id,
+    plan: c.plan,
+    format: c.format,
+    expiry: c.expiry,
+    durationDays: c.duration_days,
+    maxActivations: c.max_activations,
+    activationCount: c.activation_count,
+    activateBefore: c.activate_before,
+    note: c.note,
+    createdBy: c.created_by,
+    createdAt: c.created_at,
+    revokedAt: c.revoked_at,
+    activations: activations.map((a) => ({
+      deviceId: a.device_id,
+      license: a.license,
+      activatedAt: a.activated_at,
+    })),
+  };
+}
+
+/**
+ * Ghi nhận máy của user (không kiểm tra seat limit)
+ */
+export async function upsertDeviceBinding(
+  client,
+  { userId, deviceId, deviceName, license },
+) {
+  await client.query(
+    `INSERT INTO device_bindings (user_id, device_id, device_name, license, created_at, last_seen_at)
+     VALUES ($1, $2, $3, $4, NOW(), NOW())
+     ON CONFLICT (user_id, device_id)
+     DO UPDATE SET license = EXCLUDED.license,
+                   device_name = COALESCE(EXCLUDED.device_name, device_bindings.device_name),
+                   last_seen_at = NOW()`,
+    [userId, deviceId, deviceName || null, license],
+  );
+}
+
+/**
+ * Revoke session token của learner (refresh + access, xem
+ * lib/session-tokens.js) theo user và / hoặc máy. Returns số session bị revoke.
+ */
+export async function revokeSessions(client, { userId, deviceId }, reason) {
+  const conditions = ["revoked_at IS NULL"];
+  const params = [reason];
+  if (userId) {
+    params.push(userId);
+    conditions.push(`user_id = $${params.length}`);
+  }
+  if (deviceId) {
+    params.push(deviceId);
+    conditions.push(`device_id = $${params.length}`);
+  }
+  if (params.length === 1) throw new Error("Missing userId or deviceId");
+
+  const result = await client.query(
+    `UPDATE learner_sessions SET revoked_at = NOW(), revoked_reason = $1
+     WHERE ${conditions.join(" AND ")}`,
+    params,
+  );
+  return result.rowCount;
+}
+
+/**
+ * Revoke user (đã revoke → giữ nguyên). Returns true nếu có thay đổi.
+ */
+export async function revokeUser(client, req, userId, reason) {
+  const result = await client.query(
+    `INSERT INTO revoked_users (user_id, reason, revoked_at)
+     VALUES ($1, $2, NOW())
+     ON CONFLICT (user_id) DO NOTHING
+     RETURNING reason, revoked_at`,
+    [userId, reason || "Revoked by admin"],
+  );
+  if (result.rows.length === 0) return false;
+  await revokeSessions(client, { userId }, "User revoked");
+
+  await recordAudit(client, req, {
+    actor: adminActor(req),
+    action: "user.revoke",
+    userId,
+    before: null,
+    after: result.rows[0],
+  });
+  return true;
+}
+
+/**
+ * Unrevoke user. Returns true nếu user đang bị revoke.
+ */
+export async function unrevokeUser(client, req, userId) {
+  const result = await client.query(
+    "DELETE FROM revoked_users WHERE user_id = $1 RETURNING reason, revoked_at",
+    [userId],
+  );
+  if (result.rows.length === 0) return false;
+
+  await recordAudit(client, req, {
+    actor: adminActor(req),
+    action: "user.unrevoke",
+    userId,
+    before: result.rows[0],
+    after: null,
+  });
+  return true;
+}
+
+/**
+ * Revoke device (đã revoke → giữ nguyên). Returns true nếu có thay đổi.
+ */
+export async function revokeDevice(client, req, deviceId, reason) {
+  const result = await client.query(
+    `INSERT INTO revoked_devices (device_id, reason, revoked_at)
+     VALUES ($1, $2, NOW())
+     ON CONFLICT (device_id) DO NOTHING
+     RETURNING reason, revoked_at`,
+    [deviceId, reason || "Revoked by admin"],
+  );
+  if (result.rows.length === 0) return false;
+  await revokeSessions(client, { deviceId }, "Device revoked");
+
+  await recordAudit(client, req, {
+    actor: adminActor(req),
+    action: "device.revoke",
+    deviceId,
+    before: null,
+    after: result.rows[0],
+  });
+  return true;
+}
+
+/**
+ * Unrevoke device. Returns true nếu device đang bị revoke.
+ */
+export async function unrevokeDevice(client, req, deviceId) {
+  const result = await client.query(
+    "DELETE FROM revoked_devices WHERE device_id = $1 RETURNING reason, revoked_at",
+    [deviceId],
+  );
+  if (result.rows.length === 0) return false;
+
+  await recordAudit(client, req, {
+    actor: adminActor(req),
+    action: "device.unrevoke",
+    deviceId,
+    before: result.rows[0],
+    after: null,
+  });
+  return true;
+}
+
+/**
+ * Xoá toàn bộ tiến độ học của user (progress, attempts, review)
+ */
+export async function resetProgress(client, req, userId) {
+  const result = await client.query(
+    "DELETE FROM progress WHERE user_id = $1 RETURNING perfect, updated_at",
+    [userId],
+  );
+  // attempt_answers xoá theo ON DELETE CASCADE
+  const attempts = await client.query(
+    "DELETE FROM attempts WHERE user_id = $1",
+    [userId],
+  );
+  const stats = await client.query(
+    "DELETE FROM question_stats WHERE user_id = $1",
+    [userId],
+  );
+  const cards = await client.query(
+    "DELETE FROM review_cards WHERE user_id = $1",
+    [userId],
+  );
+  await client.query("DELETE FROM review_log WHERE user_id = $1", [userId]);
+
+  await recordAudit(client, req, {
+    actor: adminActor(req),
+    action: "progress.reset",
+    userId,
+    before: {
+      ...(result.rows[0] || {}),
+      attempts: attempts.rowCount,
+      questionStats: stats.rowCount,
+      reviewCards: cards.rowCount,
+    },
+    after: null,
+  });
+}
+
+/**
+ * Parse PLAN_SEAT_LIMITS "pro:2,family:4" → Map plan → số máy
+ */
+export function parseSeatLimits(spec) {
+  return new Map(
+    (spec || "")
+      .split(",")
+      .filter((entry) => entry.trim())
+      .map((entry) => {
+        const [plan, limit] = entry.split(":");
+        return [plan.trim(), parseInt(limit, 10)];
+      }),
+  );
+}
+
+// Sắp xếp cho /api/admin/users: cột + kiểu để so sánh cursor
+const USER_SORTS = {
+  created_at: "timestamptz",
+  user_name: "text",
+  user_id: "text",
+  expiry: "text",
+  exam_date: "date",
+  last_verified_at: "timestamptz",
+};
+
+/**
+ * Format row của /api/admin/users
+ */
+function formatUserListRow(r) {
+  return {
+    userId: r.user_id,
+    userName: r.user_name,
+    examDate: formatDate(r.exam_date),
+    createdAt: r.created_at,
+    expiry: r.expiry,
+    plan: r.plan,
+    revoked: r.revoked,
+    revokedReason: r.revoked_reason,
+    devices: r.devices,
+    lastVerifiedAt: r.last_verified_at,
+    cohorts: r.cohorts,
+  };
+}
+
+/**
+ * Tìm / lọc learner (GET /api/admin/users, admin console)
+ *
+ * Query: q (tên hoặc userId, một phần), expiryFrom / expiryTo, examFrom /
+ * examTo, verifiedFrom / verifiedTo (YYYYMMDD), revoked, bound (true | false),
+ * plan, cohortId, sort (created_at | user_name | user_id | expiry | exam_date |
+ * last_verified_at), order (asc | desc), limit (tối đa 200), cursor.
+ * expiry = hạn xa nhất trong các license active; lastVerifiedAt = lần verify
+ * gần nhất của các máy. Returns { users, total, nextCursor } hoặc { error }.
+ */
+export async function listUsers(db, query) {
+  const { q, revoked, bound, plan, cohortId, cursor } = query;
+  const sort = query.sort || "created_at";
+  const order = query.order || (sort === "created_at" ? "desc" : "asc");
+  const limit = query.limit ? parseInt(query.limit, 10) : 50;
+
+  if (!USER_SORTS[sort]) {
+    return {
+      error: `sort must be one of: ${Object.keys(USER_SORTS).join(", ")}`,
+    };
+  }
+  if (order !== "asc" && order !== "desc") {
+    return { error: "order must be asc or desc" };
+  }
+  if (!(limit > 0 && limit <= 200)) {
+    return { error: "limit must be between 1 and 200" };
+  }
+  for (const name of [
+    "expiryFrom",
+    "expiryTo",
+    "examFrom",
+    "examTo",
+    "verifiedFrom",
+    "verifiedTo",
+  ]) {
+    if (query[name] && !isValidYmd(query[name])) {
+      return { error: `${name} must be YYYYMMDD` };
+    }
+  }
+  for (const [name, value] of [
+    ["revoked", revoked],
+    ["bound", bound],
+  ]) {
+    if (value !== undefined && value !== "true" && value !== "false") {
+      return { error: `${name} must be true or false` };
+    }
+  }
+
+  const conditions = ["true"];
+  const params = [];
+  const addParam = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+  const ymdToDate = (ymd) =>
+    `${ymd.slice(0, 4)}-${ymd.slice(4, 6)}-${ymd.slice(6, 8)}`;
+
+  if (q) {
+    const like = addParam(`%${q.replace(/[\\%_]/g, "\\$&")}%`);
+    conditions.push(`(user_name ILIKE ${like} OR user_id ILIKE ${like})`);
+  }
+  if (query.expiryFrom) {
+    conditions.push(`expiry >= ${addParam(query.expiryFrom)}`);
+  }
+  if (query.expiryTo) {
+    conditions.push(`expiry <= ${addParam(query.expiryTo)}`);
+  }
+  if (query.examFrom) {
+    conditions.push(
+      `exam_date >= ${addParam(ymdToDate(query.examFrom))}::date`,
+    );
+  }
+  if (query.examTo) {
+    conditions.push(`exam_date <= ${addParam(ymdToDate(query.examTo))}::date`);
+  }
+  if (query.verifiedFrom) {
+    conditions.push(
+      `last_verified_at >= ${addParam(ymdToDate(query.verifiedFrom))}::date`,
+    );
+  }
+  if (query.verifiedTo) {
+    conditions.push(
+      `last_verified_at < ${addParam(ymdToDate(query.verifiedTo))}::date + 1`,
+    );
+  }
+  if (revoked) conditions.push(revoked === "true" ? "revoked" : "NOT revoked");
+  if (bound) conditions.push(bound === "true" ? "devices > 0" : "devices = 0");
+  if (plan) conditions.push(`plan = ${addParam(plan)}`);
+  if (cohortId) {
+    conditions.push(
+      `EXISTS (SELECT 1 FROM cohort_members m
+               WHERE m.user_id = t.user_id AND m.cohort_id = ${addParam(cohortId)})`,
+    );
+  }
+
+  // Đếm tổng trước khi thêm điều kiện cursor
+  const filters = [...conditions];
+  const filterParams = [...params];
+
+  // Keyset: (sort, user_id), NULL luôn ở cuối
+  const type = USER_SORTS[sort];
+  if (cursor) {
+    let value, userId;
+    try {
+      [value, userId] = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    } catch {
+      // xử lý bên dưới
+    }
+    if (
+      typeof userId !== "string" ||
+      (value !== null && typeof value !== "string")
+    ) {
+      return { error: "Invalid cursor" };
+    }
+    const id = addParam(userId);
+    if (value === null) {
+      conditions.push(`(${sort} IS NULL AND user_id > ${id})`);
+    } else {
+      const v = `${addParam(value)}::${type}`;
+      const cmp = order === "asc" ? ">" : "<";
+      conditions.push(
+        `(${sort} ${cmp} ${v} OR (${sort} = ${v} AND user_id > ${id}) OR ${sort} IS NULL)`,
+      );
+    }
+  }
+
+  const base = `SELECT u.user_id, u.user_name, u.exam_date, u.created_at,
+             l.expiry, l.plan,
+             (r.user_id IS NOT NULL) AS revoked, r.reason AS revoked_reason,
+             d.devices, d.last_verified_at,
+             COALESCE(c.cohorts, '{}') AS cohorts
+      FROM users u
+      LEFT JOIN LATERAL (
+        SELECT expiry, plan FROM licenses
+        WHERE user_id = u.user_id AND status = 'active'
+        ORDER BY expiry DESC
+        LIMIT 1
+      ) l ON true
+      LEFT JOIN revoked_users r ON r.user_id = u.user_id
+      LEFT JOIN LATERAL (
+        SELECT COUNT(*)::int AS devices, MAX(last_seen_at) AS last_verified_at
+        FROM device_bindings WHERE user_id = u.user_id
+      ) d ON true
+      LEFT JOIN LATERAL (
+        SELECT array_agg(co.name ORDER BY co.name) AS cohorts
+        FROM cohort_members m JOIN cohorts co ON co.id = m.cohort_id
+        WHERE m.user_id = u.user_id
+      ) c ON true`;
+
+  const result = await db.query(
+    `SELECT t.*, ${sort}::text AS cursor_value FROM (${base}) t
+     WHERE ${conditions.join(" AND ")}
+     ORDER BY ${sort} ${order.toUpperCase()} NULLS LAST, user_id
+     LIMIT ${addParam(limit + 1)}`,
+    params,
+  );
+  const total = await db.query(
+    `SELECT COUNT(*)::int AS total FROM (${base}) t WHERE ${filters.join(" AND ")}`,
+    filterParams,
+  );
+
+  const rows = result.rows.slice(0, limit);
+  const last = rows[rows.length - 1];
+  return {
+    users: rows.map(formatUserListRow),
+    total: total.rows[0].total,
+    nextCursor:
+      result.rows.length > limit
+        ? Buffer.from(
+            JSON.stringify([last.cursor_value, last.user_id]),
+          ).toString("base64url")
+        : null,
+  };
+}
+
+/**
+ * Thao tác phụ thuộc config (license keys, seat limit mặc định)
+ *
+ * config = { licenseSecret, keyring, defaultFormat, defaultMaxDevices,
+ * planSeatLimits (Map plan → số máy), seatLimitPolicy }
+ */
+export function createAdminOps({
+  licenseSecret,
+  keyring,
+  defaultFormat,
+  defaultMaxDevices,
+  planSeatLimits = new Map(),
+  seatLimitPolicy,
+}) {
+  /**
+   * Generate license theo format (v1 | v2)
+   */
+  function generateLicense({ format, userId, deviceId, expiry, plan }) {
+    if (format === "v2") {
+      return generateLicenseV2({ userId, deviceId, expiry, plan }, keyring);
+    }
+    return generateLicenseV1(deviceId, expiry, licenseSecret);
+  }
+
+  /**
+   * Seat limit của user: users.max_devices → PLAN_SEAT_LIMITS → DEFAULT_MAX_DEVICES
+   */
+  async function getSeatLimit(client, userId, plan) {
+    const result = await client.query(
+      "SELECT max_devices, seat_policy FROM users WHERE user_id = $1",
+      [userId],
+    );
+    const user = result.rows[0] || {};
+    return {
+      maxDevices:
+        user.max_devices || planSeatLimits.get(plan) || defaultMaxDevices,
+      policy: user.seat_policy || seatLimitPolicy,
+    };
+  }
+
+  /**
+   * Validate body của /api/admin/generate (và form generate trong /admin)
+   *
+   * Returns { value } với format / plan đã điền mặc định, hoặc { error }.
+   */
+  function validateGenerateInput(body) {
+    const { deviceId, expiry, userId, userName, examDate } = body;
+    const format = body.format || defaultFormat;
+    const plan = body.plan || "standard";
+
+    if (!deviceId || !expiry || !userId || !userName) {
+      return {
+        error: {
+          status: 400,
+          message:
+            "Missing required fields: deviceId, expiry, userId, userName",
+        },
+      };
+    }
+
+    if (!/^\d{8}$/.test(expiry)) {
+      return { error: { status: 400, message: "Expiry must be YYYYMMDD" } };
+    }
+
+    if (format !== "v1" && format !== "v2") {
+      return { error: { status: 400, message: "Format must be v1 or v2" } };
+    }
+
+    if (!isValidPlanCode(plan)) {
+      return {
+        error: {
+          status: 400,
+          message: "Plan must contain only a-z, 0-9 and dashes",
+        },
+      };
+    }
+
+    if (format === "v2" && !keyring.signingKey) {
+      return {
+        error: { status: 400, message: "V2 signing key not configured" },
+      };
+    }
+
+    return {
+      value: { deviceId, expiry, userId, userName, examDate, format, plan },
+    };
+  }
+
+  /**
+   * Upsert user và (nếu có deviceId) cấp license mới
+   *
+   * Dùng chung cho /api/admin/generate và /api/admin/generate-bulk. Không có
+   * deviceId = chỉ đăng ký learner (unbound), license cấp sau khi biết máy.
+   *
+   * V1 chỉ hash deviceId + expiry: cấp lại cùng máy / expiry (vd. đổi plan) ra
+   * đúng license đã có → cập nhật plan của license đó; license đó thuộc user
+   * khác hoặc đã bị revoke / thay thế → lỗi. Returns { license } hoặc
+   * { error: { status, message } }.
+   */
+  async function issueLicense(
+    client,
+    req,
+    { userId, userName, examDate, deviceId, expiry, format, plan },
+  ) {
+    const license = deviceId
+      ? generateLicense({ format, userId, deviceId, expiry, plan })
+      : null;
+    let existingLicense = null;
+    if (license) {
+      const existing = await client.query(
+        "SELECT user_id, status FROM licenses WHERE license = $1 FOR UPDATE",
+        [license],
+      );
+      existingLicense = existing.rows[0] || null;
+    }
+    if (existingLicense && existingLicense.user_id !== userId) {
+      return {
+        error: {
+          status: 409,
+          message: "License already issued to another user",
+        },
+      };
+    }
+    if (
+      existingLicense &&
+      !["active", "expired"].includes(existingLicense.status)
+    ) {
+      return {
+        error: { status: 409, message: `License ${existingLicense.status}` },
+      };
+    }
+
+    const existingUser = await client.query(
+      "SELECT user_name, exam_date FROM users WHERE user_id = $1",
+      [userId],
+    );
+
+    // Upsert user
+    await client.query(
+      `INSERT INTO users (user_id, user_name, exam_date, created_at) 
+     VALUES ($1, $2, $3, NOW())
+     ON CONFLICT (user_id) 
+     DO UPDATE SET user_name = EXCLUDED.user_name, exam_date = EXCLUDED.exam_date`,
+      [userId, userName, examDate || null],
+    );
+
+    if (license) {
+      if (existingLicense) {
+        await client.query("UPDATE licenses SET plan = $1 WHERE license = $2", [
+          plan,
+          license,
+        ]);
+      } else {
+        await client.query(
+          `INSERT INTO licenses (license, user_id, device_id, expiry, plan, created_at)
+         VALUES ($1, $2, $3, $4, $5, NOW())`,
+          [license, userId, deviceId, expiry, plan],
+        );
+      }
+      // Admin cấp trực tiếp → không kiểm tra seat limit
+      await upsertDeviceBinding(client, { userId, deviceId, license });
+    }
+
+    await recordAudit(client, req, {
+      actor: adminActor(req),
+      action: license ? "license.generate" : "user.upsert",
+      userId,
+      deviceId,
+      license,
+      before: existingUser.rows[0]
+        ? {
+            userName: existingUser.rows[0].user_name,
+            examDate: formatDate(existingUser.rows[0].exam_date),
+          }
+        : null,
+      after: license
+        ? { userName, examDate: examDate || null, expiry, format, plan }
+        : { userName, examDate: examDate || null },
+    });
+
+    return { license };
+  }
+
+  /**
+   * Thông tin đầy đủ của learner (user-info / admin console)
+   */
+  async function getUserInfo(client, userId) {
+    // Get user
+    const userQuery = await client.query(
+      `SELECT user_name, exam_date, created_at, email, locale, notifications_enabled
+     FROM users WHERE user_id = $1`,
+      [userId],
+    );
+
+    const user = userQuery.rows[0] || null;
+
+    // Check revoked
+    const revokedQuery = await client.query(
+      "SELECT 1 FROM revoked_users WHERE user_id = $1",
+      [userId],
+    );
+    const revoked = revokedQuery.rows.length > 0;
+
+    // Get devices (via licenses)
+    const devicesQuery = await client.query(
+      `SELECT DISTINCT device_id FROM licenses
+     WHERE user_id = $1 AND device_id IS NOT NULL AND status <> 'superseded'`,
+      [userId],
+    );
+    const devices = devicesQuery.rows.map((r) => r.device_id);
+
+    // Get licenses
+    const licensesQuery = await client.query(
+      `SELECT ${LICENSE_COLUMNS} FROM licenses WHERE user_id = $1 ORDER BY created_at DESC`,
+      [userId],
+    );
+    const licenses = licensesQuery.rows.map(formatLicenseRow);
+
+    // Get device bindings (seats)
+    const bindingsQuery = await client.query(
+      "SELECT * FROM device_bindings WHERE user_id = $1 ORDER BY last_seen_at DESC",
+      [userId],
+    );
+    const deviceBindings = bindingsQuery.rows.map(formatDeviceBinding);
+    const seatLimit = user
+      ? await getSeatLimit(client, userId, licensesQuery.rows[0]?.plan)
+      : null;
+
+    // Get activation codes
+    const codesQuery = await client.query(
+      "SELECT * FROM activation_codes WHERE user_id = $1 ORDER BY created_at DESC",
+      [userId],
+    );
+    const activationCodes = codesQuery.rows.map((c) =>
+      formatActivationCodeRow(c),
+    );
+
+    // Get progress
+    const progressQuery = await client.query(
+      "SELECT perfect, updated_at FROM progress WHERE user_id = $1",
+      [userId],
+    );
+    const progress = progressQuery.rows[0] || null;
+
+    return {
+      userId,
+      user: user
+        ? {
+            userName: user.user_name,
+            examDate: user.exam_date ? formatDate(user.exam_date) : "",
+            createdAt: user.created_at,
+            email: user.email,
+            locale: user.locale,
+            notificationsEnabled: user.notifications_enabled,
+          }
+        : null,
+      revoked,
+      devices,
+      deviceBindings,
+      seatLimit,
+      licenses,
+      activationCodes,
+      progress: progress
+        ? {
+            perfect: progress.perfect,
+            updatedAt: progress.updated_at,
+          }
+        : null,
+    };
+  }
+
+  return {
+    generateLicense,
+    getSeatLimit,
+    validateGenerateInput,
+    issueLicense,
+    getUserInfo,
+  };
+}
@@ -0,0 +1,443 @@
+// lib/admin-ui.js - HTML templates cho admin console (/admin)
+//
+// Render thuần phía server, không có JavaScript phía client (CSP
+// script-src 'none'). Mọi giá trị đưa vào HTML đều qua escapeHtml; form POST
+// luôn kèm hidden _csrf. Các hàm ở đây chỉ nhận data đã format sẵn (giống
+// response của /api/admin/*) và trả về string.
+
+const STYLE = `
+body { font: 14px/1.5 system-ui, sans-serif; margin: 0; color: #222; }
+header { background: #1f2937; color: #fff; padding: 8px 16px; display: flex; gap: 16px; align-items: center; }
+header a { color: #fff; text-decoration: none; }
+header .who { margin-left: auto; opacity: .8; }
+main { padding: 16px; max-width: 1200px; }
+table { border-collapse: collapse; width: 100%; margin: 8px 0 16px; }
+th, td { border-bottom: 1px solid #e5e7eb; padding: 4px 8px; text-align: left; vertical-align: top; }
+th { background: #f9fafb; }
+code { font-size: 12px; word-break: break-all; }
+form.inline { display: inline; }
+fieldset { border: 1px solid #e5e7eb; margin: 8px 0 16px; }
+input, select, button { font: inherit; margin: 2px 4px 2px 0; }
+.flash { padding: 8px 12px; margin-bottom: 12px; border-radius: 4px; }
+.flash.ok { background: #dcfce7; }
+.flash.error { background: #fee2e2; }
+.muted { color: #6b7280; }
+.badge { padding: 0 6px; border-radius: 4px; background: #e5e7eb; }
+.badge.bad { background: #fecaca; }
+`;
+
+/**
+ * Escape giá trị trước khi đưa vào HTML (text và attribute)
+ */
+export function escapeHtml(value) {
+  if (value === null || value === undefined) return "";
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function formatTime(value) {
+  if (!value) return "";
+  const d = new Date(value);
+  return Number.isNaN(d.getTime())
+    ? String(value)
+    : d.toISOString().slice(0, 16).replace("T", " ");
+}
+
+function qs(params) {
+  const search = new URLSearchParams();
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined && value !== null && value !== "") {
+      search.set(key, value);
+    }
+  }
+  const str = search.toString();
+  return str ? `?${str}` : "";
+}
+
+function csrfField(csrf) {
+  return `<input type="hidden" name="_csrf" value="${escapeHtml(csrf)}">`;
+}
+
+/**
+ * Form POST một nút (action trên một user / device / request)
+ */
+function actionForm(action, csrf, fields, label, extra = "") {
+  const hidden = Object.entries(fields)
+    .map(
+      ([name, value]) =>
+        `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`,
+    )
+    .join("");
+  return `<form class="inline" method="post" action="${escapeHtml(action)}">${csrfField(csrf)}${hidden}${extra}<button type="submit">${escapeHtml(label)}</button></form>`;
+}
+
+function flashBlock(flash) {
+  if (!flash) return "";
+  return `<div class="flash ${flash.type === "error" ? "error" : "ok"}">${escapeHtml(flash.message)}${
+    flash.detail ? `<br><code>${escapeHtml(flash.detail)}</code>` : ""
+  }</div>`;
+}
+
+/**
+ * Khung trang: nav + flash + nội dung
+ */
+export function layout({ title, admin, csrf, flash, body }) {
+  const nav = admin
+    ? `<header>
+  <strong>N1 Admin</strong>
+  <a href="/admin/users">Users</a>
+  <a href="/admin/reset-requests">Reset requests</a>
+  <span class="who">${escapeHtml(admin.name)} (${escapeHtml(admin.role)})</span>
+  ${actionForm("/admin/logout", csrf, {}, "Logout")}
+</header>`
+    : "";
+  return `<!doctype html>
+<html lang="vi">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)} - N1 Admin</title>
+<style>${STYLE}</style>
+</head>
+<body>
+${nav}
+<main>
+<h1>${escapeHtml(title)}</h1>
+${flashBlock(flash)}
+${body}
+</main>
+</body>
+</html>`;
+}
+
+/**
+ * Trang đăng nhập (admin token hoặc ADMIN_KEY)
+ */
+export function loginPage({ csrf, error }) {
+  return layout({
+    title: "Login",
+    flash: error ? { type: "error", message: error } : null,
+    body: `<form method="post" action="/admin/login">
+${csrfField(csrf)}
+<p><label>Admin token<br><input type="password" name="token" size="60" autocomplete="off" required autofocus></label></p>
+<p><button type="submit">Login</button></p>
+<p class="muted">Dùng token n1a_… (POST /api/admin/admins/:id/tokens) hoặc root ADMIN_KEY.</p>
+</form>`,
+  });
+}
+
+function generateForm(csrf, defaults = {}) {
+  const field = (name, label, extra = "") =>
+    `<label>${escapeHtml(label)} <input name="${name}" value="${escapeHtml(defaults[name])}" ${extra}></label>`;
+  return `<fieldset><legend>Generate license</legend>
+<form method="post" action="/admin/generate">
+${csrfField(csrf)}
+${field("userId", "userId", "required")}
+${field("userName", "userName", "required")}
+${field("deviceId", "deviceId", "required")}
+${field("expiry", "expiry (YYYYMMDD)", 'required pattern="\\d{8}" size="10"')}
+${field("examDate", "examDate (YYYYMMDD)", 'pattern="\\d{8}" size="10"')}
+${field("plan", "plan", 'size="10"')}
+<label>format <select name="format"><option value="">default</option><option>v1</option><option>v2</option></select></label>
+<button type="submit">Generate</button>
+</form></fieldset>`;
+}
+
+/**
+ * Danh sách / tìm learner
+ */
+export function usersPage({
+  admin,
+  csrf,
+  flash,
+  query,
+  users,
+  total,
+  nextCursor,
+  error,
+}) {
+  const filterInput = (name, label, size = 12) =>
+    `<label>${escapeHtml(label)} <input name="${name}" value="${escapeHtml(query[name])}" size="${size}"></label>`;
+  const select = (name, options) =>
+    `<select name="${name}">${options
+      .map(
+        ([value, label]) =>
+          `<option value="${escapeHtml(value)}"${query[name] === value ? " selected" : ""}>${escapeHtml(label)}</option>`,
+      )
+      .join("")}</select>`;
+
+  const rows = users
+    .map(
+      (u) => `<tr>
+<td><a href="/admin/users/${encodeURIComponent(u.userId)}">${escapeHtml(u.userId)}</a></td>
+<td>${escapeHtml(u.userName)}</td>
+<td>${escapeHtml(u.expiry)}</td>
+<td>${escapeHtml(u.plan)}</td>
+<td>${escapeHtml(u.examDate)}</td>
+<td>${escapeHtml(u.devices)}</td>
+<td>${formatTime(u.lastVerifiedAt)}</td>
+<td>${u.revoked ? '<span class="badge bad">revoked</span>' : ""}</td>
+</tr>`,
+    )
+    .join("");
+
+  const nextLink = nextCursor
+    ? `<p><a href="/admin/users${qs({ ...query, cursor: nextCursor })}">Trang sau →</a></p>`
+    : "";
+
+  return layout({
+    title: "Users",
+    admin,
+    csrf,
+    flash: error ? { type: "error", message: error } : flash,
+    body: `<form method="get" action="/admin/users">
+${filterInput("q", "Tìm", 24)}
+${filterInput("plan", "plan", 8)}
+${filterInput("expiryFrom", "expiry từ")}
+${filterInput("expiryTo", "đến")}
+<label>revoked ${select("revoked", [
+      ["", "-"],
+      ["true", "yes"],
+      ["false", "no"],
+    ])}</label>
+<label>sort ${select("sort", [
+      ["", "created_at"],
+      ["user_name", "user_name"],
+      ["user_id", "user_id"],
+      ["expiry", "expiry"],
+      ["exam_date", "exam_date"],
+      ["last_verified_at", "last_verified_at"],
+    ])}</label>
+<button type="submit">Lọc</button>
+</form>
+<p class="muted">${escapeHtml(total ?? 0)} learner</p>
+<table>
+<tr><th>userId</th><th>Tên</th><th>Expiry</th><th>Plan</th><th>Ngày thi</th><th>Máy</th><th>Verify gần nhất</th><th></th></tr>
+${rows || '<tr><td colspan="8" class="muted">Không có kết quả</td></tr>'}
+</table>
+${nextLink}
+${admin.can.owner ? generateForm(csrf) : ""}`,
+  });
+}
+
+/**
+ * Chi tiết learner: licenses, devices, progress, bookmarks + actions
+ */
+export function userPage({
+  admin,
+  csrf,
+  flash,
+  info,
+  revokedDevices,
+  bookmarks,
+}) {
+  const { userId, user } = info;
+  const base = `/admin/users/${encodeURIComponent(userId)}`;
+
+  if (!user) {
+    return layout({
+      title: userId,
+      admin,
+      csrf,
+      flash,
+      body: `<p>User không tồn tại.</p>${admin.can.owner ? generateForm(csrf, { userId }) : ""}`,
+    });
+  }
+
+  const userActions = admin.can.support
+    ? `<p>${
+        info.revoked
+          ? actionForm(`${base}/unrevoke`, csrf, {}, "Unrevoke user")
+          : actionForm(
+              `${base}/revoke`,
+              csrf,
+              {},
+              "Revoke user",
+              '<input name="reason" placeholder="lý do">',
+            )
+      } ${actionForm(`${base}/reset-progress`, csrf, {}, "Reset progress")}</p>`
+    : "";
+
+  const licenseRows = info.licenses
+    .map(
+      (l) => `<tr>
+<td><code>${escapeHtml(l.license)}</code></td>
+<td>${escapeHtml(l.format)}</td>
+<td>${escapeHtml(l.deviceId)}</td>
+<td>${escapeHtml(l.expiry)}</td>
+<td>${escapeHtml(l.plan)}</td>
+<td>${escapeHtml(l.status)}${l.statusReason ? ` <span class="muted">(${escapeHtml(l.statusReason)})</span>` : ""}</td>
+<td>${formatTime(l.createdAt)}</td>
+</tr>`,
+    )
+    .join("");
+
+  const bindings = new Map(info.deviceBindings.map((b) => [b.deviceId, b]));
+  const deviceIds = [...new Set([...bindings.keys(), ...info.devices])];
+  const deviceRows = deviceIds
+    .map((deviceId) => {
+      const binding = bindings.get(deviceId);
+      const revoked = revokedDevices.has(deviceId);
+      const action = !admin.can.support
+        ? ""
+        : revoked
+          ? actionForm(
+              `${base}/unrevoke-device`,
+              csrf,
+              { deviceId },
+              "Unrevoke",
+            )
+          : actionForm(
+              `${base}/revoke-device`,
+              csrf,
+              { deviceId },
+              "Revoke",
+              '<input name="reason" placeholder="lý do" size="12">',
+            );
+      return `<tr>
+<td>${escapeHtml(deviceId)}</td>
+<td>${escapeHtml(binding?.deviceName)}</td>
+<td>${formatTime(binding?.lastSeenAt)}</td>
+<td>${revoked ? '<span class="badge bad">revoked</span>' : ""}</td>
+<td>${action}</td>
+</tr>`;
+    })
+    .join("");
+
+  const perfect = info.progress?.perfect || {};
+  const progressRows = Object.entries(perfect)
+    .map(
+      ([moduleId, count]) =>
+        `<tr><td>${escapeHtml(moduleId)}</td><td>${escapeHtml(typeof count === "object" ? JSON.stringify(count) : count)}</td></tr>`,
+    )
+    .join("");
+
+  const bookmarkRows = bookmarks
+    .map(
+      (b) => `<tr>
+<td>${escapeHtml(b.testId)}</td>
+<td>${escapeHtml(b.questionKey)}</td>
+<td>${escapeHtml(b.questionText)}</td>
+<td>${escapeHtml(b.folder)}</td>
+<td>${escapeHtml((b.tags || []).join(", "))}</td>
+<td>${formatTime(b.createdAt)}</td>
+</tr>`,
+    )
+    .join("");
+
+  const empty = (cols) =>
+    `<tr><td colspan="${cols}" class="muted">Không có</td></tr>`;
+
+  return layout({
+    title: `${user.userName} (${userId})`,
+    admin,
+    csrf,
+    flash,
+    body: `<p>Ngày thi: ${escapeHtml(user.examDate) || "-"} · Tạo lúc ${formatTime(user.createdAt)} · Seats: ${escapeHtml(info.seatLimit?.maxDevices)} (${escapeHtml(info.seatLimit?.policy)})
+${info.revoked ? ' · <span class="badge bad">revoked</span>' : ""}</p>
+${userActions}
+<h2>Licenses</h2>
+<table>
+<tr><th>License</th><th>Format</th><th>Device</th><th>Expiry</th><th>Plan</th><th>Status</th><th>Created</th></tr>
+${licenseRows || empty(7)}
+</table>
+<h2>Devices</h2>
+<table>
+<tr><th>deviceId</th><th>Tên máy</th><th>Last seen</th><th></th><th></th></tr>
+${deviceRows || empty(5)}
+</table>
+<h2>Progress</h2>
+<p class="muted">Cập nhật: ${formatTime(info.progress?.updatedAt) || "-"}</p>
+<table>
+<tr><th>Module</th><th>Perfect</th></tr>
+${progressRows || empty(2)}
+</table>
+<h2>Bookmarks (${bookmarks.length} mới nhất)</h2>
+<table>
+<tr><th>Test</th><th>Question key</th><th>Câu hỏi</th><th>Folder</th><th>Tags</th><th>Created</th></tr>
+${bookmarkRows || empty(6)}
+</table>
+${
+  admin.can.owner
+    ? generateForm(csrf, {
+        userId,
+        userName: user.userName,
+        examDate: user.examDate,
+      })
+    : ""
+}`,
+  });
+}
+
+/**
+ * Hàng đợi reset request (chuyển máy)
+ */
+export function resetRequestsPage({ admin, csrf, flash, status, requests }) {
+  const tabs = ["pending", "approved", "auto-approved", "rejected", ""]
+    .map((s) =>
+      s === status
+        ? `<strong>${escapeHtml(s || "all")}</strong>`
+        : `<a href="/admin/reset-requests${qs({ status: s || "all" })}">${escapeHtml(s || "all")}</a>`,
+    )
+    .join(" · ");
+
+  const rows = requests
+    .map((r) => {
+      const actions =
+        r.status === "pending" && admin.can.support
+          ? `${actionForm(
+              `/admin/reset-requests/${encodeURIComponent(r.requestId)}/approve`,
+              csrf,
+              {},
+              "Approve",
+              r.oldLicense
+                ? '<input name="note" placeholder="ghi chú" size="12">'
+                : '<input name="license" placeholder="license" size="16" required> <input name="note" placeholder="ghi chú" size="12">',
+            )} ${actionForm(
+              `/admin/reset-requests/${encodeURIComponent(r.requestId)}/reject`,
+              csrf,
+              {},
+              "Reject",
+              '<input name="note" placeholder="lý do" size="12">',
+            )}`
+          : escapeHtml(r.decidedBy);
+      return `<tr>
+<td>${escapeHtml(r.requestId)}</td>
+<td>${r.userId ? `<a href="/admin/users/${encodeURIComponent(r.userId)}">${escapeHtml(r.userId)}</a>` : ""}</td>
+<td>${escapeHtml(r.oldDeviceId)} → ${escapeHtml(r.newDeviceId)}</td>
+<td>${escapeHtml(r.note)}</td>
+<td>${escapeHtml(r.status)}${r.decisionNote ? ` <span class="muted">(${escapeHtml(r.decisionNote)})</span>` : ""}</td>
+<td>${formatTime(r.createdAt)}</td>
+<td>${actions}</td>
+</tr>`;
+    })
+    .join("");
+
+  return layout({
+    title: "Reset requests",
+    admin,
+    csrf,
+    flash,
+    body: `<p>${tabs}</p>
+<table>
+<tr><th>#</th><th>User</th><th>Máy</th><th>Ghi chú</th><th>Status</th><th>Created</th><th></th></tr>
+${rows || '<tr><td colspan="7" class="muted">Không có</td></tr>'}
+</table>`,
+  });
+}
+
+/**
+ * Trang lỗi (403 CSRF, 404, 500)
+ */
+export function errorPage({ admin, csrf, title, message }) {
+  return layout({
+    title,
+    admin,
+    csrf,
+    body: `<p>${escapeHtml(message)}</p><p><a href="/admin/users">← Users</a></p>`,
+  });
+}
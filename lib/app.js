@@ -0,0 +1,272 @@
+// lib/app.js - Express app: middleware chung + mount các nhóm route
+//
+// createApp({ store, config }) không mở kết nối / không listen: server.js lo
+// phần đó, test truyền store in-memory (lib/store/memory.js). store là
+// interface kiểu pg.Pool (query / connect), config từ lib/config.js.
+// Store SQLite (lib/store/sqlite.js) chỉ chạy các route trong SQLITE_ROUTES.
+//
+// Route nằm trong lib/routes/*.js, mỗi file một factory nhận services: store,
+// config, rateLimiter và helper dùng chung (lib/admin-ops.js, licensing.js,
+// learner-stats.js, learner-auth.js, admin-auth.js) → express.Router.
+//
+// SQL của route nằm trong lib/repos/<bảng>.js: hàm async (db, ...) với db =
+// store hoặc client của transaction, trả về row / giá trị (không req / res,
+// không audit). BEGIN / COMMIT / ROLLBACK / SAVEPOINT vẫn ở route.
+import express from "express";
+import { createRateLimiter, parseLimits } from "./rate-limit.js";
+import { createAdminOps } from "./admin-ops.js";
+import { createLicensing } from "./licensing.js";
+import { createLearnerStats } from "./learner-stats.js";
+import { createLearnerAuth } from "./learner-auth.js";
+import { createAdminAuth } from "./admin-auth.js";
+import { verifyRoutes } from "./routes/verify.js";
+import { progressRoutes } from "./routes/progress.js";
+import { deviceRoutes } from "./routes/devices.js";
+import { bookmarkRoutes } from "./routes/bookmarks.js";
+import { syncRoutes } from "./routes/sync.js";
+import { reviewRoutes } from "./routes/review.js";
+import { learnerRoutes } from "./routes/learner.js";
+import { adminRoutes } from "./routes/admin.js";
+import { licenseRoutes } from "./routes/licenses.js";
+import { cohortRoutes } from "./routes/cohorts.js";
+import { adminAccountRoutes } from "./routes/admin-accounts.js";
+import { webhookRoutes } from "./routes/webhooks.js";
+import { paymentRoutes } from "./routes/payments.js";
+import {
+  adminConsoleHeaders,
+  adminConsoleRoutes,
+} from "./routes/admin-console.js";
+
+/**
+ * Create the Express app
+ */
+export function createApp({ store, config }) {
+  const { allowOrigin: ALLOW_ORIGIN, trustProxy: TRUST_PROXY } = config;
+
+  const rateLimiter =
+    config.rateLimit === "off"
+      ? null
+      : createRateLimiter({
+          limits: parseLimits(config.rateLimit),
+          failures: parseLimits(config.rateLimitFailures),
+          lockoutMs: config.lockoutMinutes * 60_000,
+        });
+
+  // SQLite: vài query có bản riêng (không có JSONB operators / tsvector / unnest)
+  const SQLITE = store.dialect === "sqlite";
+
+  // =========================================================
+  // SHARED HELPERS
+  // =========================================================
+  // Mỗi factory nhận services đã có (destructure phần cần dùng) và thêm helper
+  // của nó vào services - thứ tự tạo theo phụ thuộc.
+  const services = { store, config, rateLimiter };
+  Object.assign(
+    services,
+    createAdminOps({
+      licenseSecret: config.licenseSecret,
+      keyring: config.keyring,
+      defaultFormat: config.licenseDefaultFormat,
+      defaultMaxDevices: config.defaultMaxDevices,
+      planSeatLimits: config.planSeatLimits,
+      seatLimitPolicy: config.seatLimitPolicy,
+    }),
+  );
+  Object.assign(services, createLicensing(services));
+  Object.assign(services, createLearnerStats(services));
+  Object.assign(services, createLearnerAuth(services));
+  Object.assign(services, createAdminAuth(services));
+
+  // =========================================================
+  // MIDDLEWARE
+  // =========================================================
+
+  /**
+   * CORS middleware
+   */
+  function corsMiddleware(req, res, next) {
+    res.header("Access-Control-Allow-Origin", ALLOW_ORIGIN);
+    res.header(
+      "Access-Control-Allow-Methods",
+      "POST, GET, PATCH, DELETE, OPTIONS",
+    );
+    res.header(
+      "Access-Control-Allow-Headers",
+      "Content-Type, Authorization, x-admin-key, x-device-id, x-license",
+    );
+    res.header("Access-Control-Expose-Headers", "Retry-After");
+    if (req.method === "OPTIONS") {
+      return res.sendStatus(204);
+    }
+    next();
+  }
+
+  /**
+   * Rate limit + lockout cho route công khai (key theo IP, deviceId, license)
+   *
+   * Chạy trước khi mở connection DB. Response 4xx (trừ 429) tính là một lần
+   * thất bại; 2xx xoá failure counter của device / license.
+   */
+  async function publicRateLimit(req, res, next) {
+    if (!rateLimiter) return next();
+
+    const body = req.body || {};
+    const deviceId = body.deviceId || req.get("x-device-id");
+    const license = body.license || body.oldLicense || req.get("x-license");
+    const keys = {
+      ip: req.ip,
+      device: typeof deviceId === "string" ? deviceId : null,
+      license:
+        typeof license === "string" ? license.trim().slice(0, 512) : null,
+    };
+
+    try {
+      const result = await rateLimiter.check(keys);
+      if (!result.allowed) {
+        res.set("Retry-After", String(Math.max(result.retryAfter, 1)));
+        return res
+          .status(429)
+          .send(
+            result.reason === "locked"
+              ? "Too many failed attempts, try again later"
+              : "Too many requests",
+          );
+      }
+    } catch (err) {
+      // Store lỗi → không chặn learner
+      console.error("❌ Rate limiter error:", err);
+      return next();
+    }
+
+    res.on("finish", () => {
+      const status = res.statusCode;
+      let update = null;
+      if (status >= 400 && status < 500 && status !== 429) {
+        update = rateLimiter.recordFailure(
+          keys,
+          `${req.originalUrl} ${status}`,
+        );
+      } else if (status < 300) {
+        update = rateLimiter.recordSuccess(keys);
+      }
+      update?.catch((err) => console.error("❌ Rate limiter error:", err));
+    });
+
+    next();
+  }
+
+  // Routes chạy trên store SQLite: users, licenses, revocations, progress,
+  // bookmarks (+ prefix con, vd. /api/bookmarks/tags). Còn lại → 501.
+  const SQLITE_ROUTES = [
+    "/api/ping",
+    "/api/public-keys",
+    "/api/verify",
+    "/api/token",
+    "/api/progress",
+    "/api/devices",
+    "/api/bookmarks",
+    "/api/admin/me",
+    "/api/admin/generate",
+    "/api/admin/user-info",
+    "/api/admin/devices",
+    "/api/admin/seat-limit",
+    "/api/admin/revoke-user",
+    "/api/admin/unrevoke-user",
+    "/api/admin/revoke-device",
+    "/api/admin/unrevoke-device",
+    "/api/admin/revoke-license",
+    "/api/admin/unrevoke-license",
+    "/api/admin/reset-progress",
+    "/api/admin/webhooks",
+    "/api/notifications",
+    "/api/admin/notification-settings",
+    "/api/admin/notifications",
+    "/api/plans",
+    "/api/orders",
+    "/api/payments",
+    "/api/admin/plans",
+    "/api/admin/orders",
+  ];
+
+  /**
+   * Chặn route chưa hỗ trợ khi chạy trên SQLite
+   */
+  function sqliteRoutesOnly(req, res, next) {
+    const supported = SQLITE_ROUTES.some(
+      (route) => req.path === route || req.path.startsWith(`${route}/`),
+    );
+    if (supported) return next();
+    res.status(501).send("Not supported with SQLite storage");
+  }
+
+  // =========================================================
+  // EXPRESS APP
+  // =========================================================
+  const app = express();
+  app.set("trust proxy", TRUST_PROXY);
+  // Bulk import nhận body lớn (JSON hoặc CSV) - đăng ký trước parser mặc định
+  app.use(
+    "/api/admin/generate-bulk",
+    express.json({ limit: "5mb" }),
+    express.text({ type: ["text/csv", "text/plain"], limit: "5mb" }),
+  );
+  // Sync gửi cả batch event (kèm nội dung bookmark) một lần
+  app.use("/api/sync", express.json({ limit: "2mb" }));
+  // Callback thanh toán: chữ ký HMAC tính trên body gốc (Buffer)
+  app.use(
+    "/api/payments/:provider/callback",
+    express.raw({ type: () => true, limit: "100kb" }),
+  );
+  app.use(express.json());
+  // Admin console: form HTML (application/x-www-form-urlencoded)
+  app.use(
+    "/admin",
+    express.urlencoded({ extended: false }),
+    adminConsoleHeaders,
+  );
+  app.use(corsMiddleware);
+  if (SQLITE) app.use(sqliteRoutesOnly);
+  app.use(
+    [
+      "/api/verify",
+      "/api/token",
+      "/api/progress",
+      "/api/attempts",
+      "/api/devices",
+      "/api/request-reset",
+      "/api/bookmarks",
+      "/api/sync",
+      "/api/review",
+      "/api/stats",
+      "/api/messages",
+      "/api/notifications",
+      "/api/plans",
+      "/api/orders",
+    ],
+    publicRateLimit,
+  );
+
+  // =========================================================
+  // ROUTES
+  // =========================================================
+  for (const routes of [
+    verifyRoutes,
+    progressRoutes,
+    deviceRoutes,
+    bookmarkRoutes,
+    syncRoutes,
+    reviewRoutes,
+    learnerRoutes,
+    adminRoutes,
+    licenseRoutes,
+    cohortRoutes,
+    adminAccountRoutes,
+    webhookRoutes,
+    paymentRoutes,
+    adminConsoleRoutes,
+  ]) {
+    app.use(routes(services));
+  }
+
+  return app;
+}
@@ -0,0 +1,34 @@
+// lib/bookmarks.js - Bookmark của learner: schema (validate) + chuẩn hoá tags
+//
+// Dùng chung cho /api/bookmarks (lib/routes/bookmarks.js) và /api/sync
+// (lib/sync.js); query nằm trong lib/repos/bookmarks.js.
+
+export const BOOKMARK_SCHEMA = {
+  id: { type: "string", required: true, maxLength: 255 },
+  questionKey: { type: "string", required: true, maxLength: 255 },
+  questionText: { type: "string", maxLength: 500, truncate: true },
+  questionNumber: { type: "string", maxLength: 50 },
+  options: { type: "array", maxItems: 20 },
+  answer: { type: "string", maxLength: 2000 },
+  detail: { type: "string", maxLength: 20000 },
+  testId: { type: "string", maxLength: 100 },
+  timestamp: { type: "integer", min: 0 },
+  note: { type: "string", maxLength: 5000 },
+  tags: {
+    type: "array",
+    maxItems: 20,
+    items: { type: "string", maxLength: 50 },
+  },
+  folder: { type: "string", maxLength: 100 },
+};
+
+// PATCH chỉ cho sửa phần của learner
+export const BOOKMARK_PATCH_SCHEMA = {
+  note: BOOKMARK_SCHEMA.note,
+  tags: BOOKMARK_SCHEMA.tags,
+  folder: BOOKMARK_SCHEMA.folder,
+};
+
+export function normalizeTags(tags) {
+  return [...new Set(tags.map((t) => t.trim().toLowerCase()).filter(Boolean))];
+}
@@ -0,0 +1,217 @@
+// lib/config.js - Đọc + validate config từ ENV
+//
+// loadConfig(env) không exit process: config sai → throw Error (server.js in
+// lỗi rồi exit, test tự truyền env riêng). Key giữ nguyên ý nghĩa ENV cũ.
+import crypto from "crypto";
+import { loadKeyring } from "./license-v2.js";
+import { deriveSessionSecret } from "./session-tokens.js";
+import { parseLimits } from "./rate-limit.js";
+import { parseSeatLimits } from "./admin-ops.js";
+import { parseDaysList, NOTIFICATION_LOCALES } from "./notifications.js";
+import { parseSmtpUrl } from "./smtp.js";
+import { parsePaymentProviders, MOCK_PROVIDER } from "./payments.js";
+
+export const SEAT_POLICIES = ["reject", "evict-lru"];
+
+/**
+ * Build config object from ENV (process.env hoặc object tự tạo trong test)
+ */
+export function loadConfig(env = process.env) {
+  if (!env.LICENSE_SECRET) {
+    throw new Error("Missing required ENV: LICENSE_SECRET");
+  }
+
+  // V2 (Ed25519) license keys - optional, V1 vẫn hoạt động nếu không cấu hình
+  let keyring;
+  try {
+    keyring = loadKeyring(env);
+  } catch (err) {
+    throw new Error(`Invalid V2 license key config: ${err.message}`);
+  }
+
+  const config = {
+    port: env.PORT || 3000,
+    databaseUrl: env.DATABASE_URL || null,
+    allowOrigin: env.ALLOW_ORIGIN || "https://thangtran1998.github.io",
+    licenseSecret: env.LICENSE_SECRET,
+    // Root key (tuỳ chọn): dùng để bootstrap admin đầu tiên, có quyền owner.
+    // Sau khi đã tạo token riêng cho từng admin thì nên bỏ ENV này.
+    adminKey: env.ADMIN_KEY || null,
+    allowFallbackBind: env.ALLOW_FALLBACK_BIND === "true",
+    // Tự động chạy migrations khi khởi động (mặc định tắt, dùng npm run migrate)
+    autoMigrate: env.AUTO_MIGRATE === "true",
+    // Số proxy phía trước (Render = 1) để req.ip lấy đúng IP client từ X-Forwarded-For
+    trustProxy: parseInt(env.TRUST_PROXY || "0", 10),
+
+    keyring,
+    licenseDefaultFormat:
+      env.LICENSE_DEFAULT_FORMAT || (keyring.signingKey ? "v2" : "v1"),
+    // Migration window: V1 licenses chỉ được chấp nhận đến hết ngày này (YYYYMMDD)
+    licenseV1AcceptUntil: env.LICENSE_V1_ACCEPT_UNTIL || null,
+
+    // Self-service device transfer: số lần chuyển máy miễn phí (tự động duyệt)
+    // trong mỗi khoảng RESET_FREE_WINDOW_DAYS ngày. 0 (mặc định) = luôn chờ
+    // admin duyệt. Tự động duyệt cần access token của máy đang bind.
+    resetFreeTransfers: parseInt(env.RESET_FREE_TRANSFERS ?? "0", 10),
+    resetFreeWindowDays: parseInt(env.RESET_FREE_WINDOW_DAYS ?? "90", 10),
+
+    // Multi-device: số máy dùng đồng thời mỗi user. PLAN_SEAT_LIMITS=pro:2,family:4
+    // ghi đè theo plan, users.max_devices ghi đè theo user. Khi hết chỗ:
+    // reject = từ chối máy mới, evict-lru = gỡ máy lâu không dùng nhất.
+    defaultMaxDevices: parseInt(env.DEFAULT_MAX_DEVICES || "1", 10),
+    planSeatLimits: parseSeatLimits(env.PLAN_SEAT_LIMITS),
+    seatLimitPolicy: env.SEAT_LIMIT_POLICY || "reject",
+
+    // Rate limit cho route công khai của learner (verify / progress / devices /
+    // request-reset). RATE_LIMIT = số request mỗi phút theo ip / device / license,
+    // RATE_LIMIT_FAILURES = số lần thất bại trong 15 phút trước khi bị khoá
+    // LOCKOUT_MINUTES phút. RATE_LIMIT=off để tắt.
+    rateLimit: env.RATE_LIMIT || "ip:120,device:30,license:30",
+    rateLimitFailures: env.RATE_LIMIT_FAILURES || "ip:50,device:10,license:10",
+    lockoutMinutes: parseInt(env.LOCKOUT_MINUTES || "15", 10),
+
+    // Ôn tập (spaced repetition): số thẻ ôn / thẻ mới mỗi ngày, user có thể tự
+    // đổi qua /api/review/settings
+    reviewDailyLimit: parseInt(env.REVIEW_DAILY_LIMIT || "200", 10),
+    reviewNewLimit: parseInt(env.REVIEW_NEW_LIMIT || "20", 10),
+
+    // Cache /api/stats/me (0 = tắt)
+    statsCacheSeconds: parseInt(env.STATS_CACHE_SECONDS || "60", 10),
+
+    // Admin console (/admin): thời hạn session đăng nhập
+    adminSessionHours: parseFloat(env.ADMIN_SESSION_HOURS || "12"),
+
+    // Session token của learner (/api/verify → accessToken + refreshToken).
+    // SESSION_TOKEN_SECRET mặc định derive từ LICENSE_SECRET; đổi secret làm
+    // mọi access token hết hiệu lực (client dùng refresh token lấy token mới).
+    sessionTokenSecret:
+      env.SESSION_TOKEN_SECRET || deriveSessionSecret(env.LICENSE_SECRET),
+    accessTokenMinutes: parseFloat(env.ACCESS_TOKEN_MINUTES || "15"),
+    refreshTokenDays: parseFloat(env.REFRESH_TOKEN_DAYS || "30"),
+
+    // Webhooks: số lần gửi tối đa trước khi delivery bị đánh failed (backoff
+    // 30s, 1m, 2m... tối đa 6h giữa hai lần), timeout mỗi request.
+    // WEBHOOK_DISPATCH=off: instance này không gửi (chỉ ghi outbox).
+    webhookMaxAttempts: parseInt(env.WEBHOOK_MAX_ATTEMPTS || "10", 10),
+    webhookTimeoutSeconds: parseFloat(env.WEBHOOK_TIMEOUT_SECONDS || "10"),
+    webhookDispatch: env.WEBHOOK_DISPATCH !== "off",
+
+    // Nhắc license sắp hết hạn / sắp thi (lib/notifications.js).
+    // NOTIFY_TRANSPORT: off | console | file:<path> | webhook (NOTIFY_WEBHOOK_URL,
+    // ký bằng NOTIFY_WEBHOOK_SECRET nếu có) | smtp (SMTP_URL + NOTIFY_FROM).
+    // NOTIFY_EXPIRY_DAYS / NOTIFY_EXAM_DAYS: các mốc nhắc (số ngày trước hạn),
+    // chuỗi rỗng = không nhắc loại đó.
+    notifyTransport: env.NOTIFY_TRANSPORT || "off",
+    notifyExpiryDays: parseDaysList(env.NOTIFY_EXPIRY_DAYS ?? "30,7,1"),
+    notifyExamDays: parseDaysList(env.NOTIFY_EXAM_DAYS ?? "30,7,1"),
+    notifyDefaultLocale: env.NOTIFY_DEFAULT_LOCALE || "vi",
+    notifyIntervalMinutes: parseFloat(env.NOTIFY_INTERVAL_MINUTES || "60"),
+    notifyMaxAttempts: parseInt(env.NOTIFY_MAX_ATTEMPTS || "5", 10),
+    notifyFrom: env.NOTIFY_FROM || null,
+    smtpUrl: env.SMTP_URL || null,
+    notifyWebhookUrl: env.NOTIFY_WEBHOOK_URL || null,
+    notifyWebhookSecret: env.NOTIFY_WEBHOOK_SECRET || null,
+
+    // Thanh toán (lib/payments.js): PAYMENT_PROVIDERS=name:secret,... là các
+    // cổng được gọi /api/payments/<name>/callback; callback có timestamp lệch
+    // quá PAYMENT_TOLERANCE_SECONDS bị từ chối (chống replay).
+    // PAYMENT_MOCK=true: thêm provider "mock" để thử trên máy local.
+    paymentProviders: null,
+    paymentMock: env.PAYMENT_MOCK === "true",
+    paymentToleranceSeconds: parseInt(
+      env.PAYMENT_TOLERANCE_SECONDS || "300",
+      10,
+    ),
+  };
+
+  try {
+    config.paymentProviders = parsePaymentProviders(env.PAYMENT_PROVIDERS);
+  } catch (err) {
+    throw new Error(`Invalid PAYMENT_PROVIDERS: ${err.message}`);
+  }
+  if (config.paymentMock) {
+    if (env.NODE_ENV === "production") {
+      throw new Error("PAYMENT_MOCK=true is not allowed in production");
+    }
+    config.paymentProviders.set(
+      MOCK_PROVIDER,
+      env.PAYMENT_MOCK_SECRET || crypto.randomBytes(32).toString("hex"),
+    );
+  }
+
+  if (config.rateLimit !== "off") {
+    try {
+      parseLimits(config.rateLimit);
+      parseLimits(config.rateLimitFailures);
+    } catch (err) {
+      throw new Error(`Invalid rate limit config: ${err.message}`);
+    }
+  }
+  if (!["v1", "v2"].includes(config.licenseDefaultFormat)) {
+    throw new Error("LICENSE_DEFAULT_FORMAT must be v1 or v2");
+  }
+  if (config.licenseDefaultFormat === "v2" && !keyring.signingKey) {
+    throw new Error(
+      "LICENSE_DEFAULT_FORMAT=v2 requires LICENSE_V2_PRIVATE_KEY",
+    );
+  }
+  if (
+    !(config.defaultMaxDevices > 0) ||
+    [...config.planSeatLimits.values()].some((limit) => !(limit > 0))
+  ) {
+    throw new Error("DEFAULT_MAX_DEVICES / PLAN_SEAT_LIMITS must be positive");
+  }
+  if (!(config.reviewDailyLimit > 0) || !(config.reviewNewLimit >= 0)) {
+    throw new Error("REVIEW_DAILY_LIMIT / REVIEW_NEW_LIMIT must be positive");
+  }
+  if (!(config.adminSessionHours > 0)) {
+    throw new Error("ADMIN_SESSION_HOURS must be positive");
+  }
+  if (!(config.accessTokenMinutes > 0) || !(config.refreshTokenDays > 0)) {
+    throw new Error(
+      "ACCESS_TOKEN_MINUTES / REFRESH_TOKEN_DAYS must be positive",
+    );
+  }
+  if (!(config.webhookMaxAttempts > 0) || !(config.webhookTimeoutSeconds > 0)) {
+    throw new Error(
+      "WEBHOOK_MAX_ATTEMPTS / WEBHOOK_TIMEOUT_SECONDS must be positive",
+    );
+  }
+  if (
+    !["off", "console", "webhook", "smtp"].includes(config.notifyTransport) &&
+    !/^file:.+/.test(config.notifyTransport)
+  ) {
+    throw new Error(
+      "NOTIFY_TRANSPORT must be off, console, file:<path>, webhook or smtp",
+    );
+  }
+  if (config.notifyTransport === "smtp") {
+    if (!config.smtpUrl || !config.notifyFrom) {
+      throw new Error(
+        "NOTIFY_TRANSPORT=smtp requires SMTP_URL and NOTIFY_FROM",
+      );
+    }
+    parseSmtpUrl(config.smtpUrl);
+  }
+  if (config.notifyTransport === "webhook" && !config.notifyWebhookUrl) {
+    throw new Error("NOTIFY_TRANSPORT=webhook requires NOTIFY_WEBHOOK_URL");
+  }
+  if (!NOTIFICATION_LOCALES.includes(config.notifyDefaultLocale)) {
+    throw new Error(
+      `NOTIFY_DEFAULT_LOCALE must be ${NOTIFICATION_LOCALES.join(" or ")}`,
+    );
+  }
+  if (!(config.notifyIntervalMinutes > 0) || !(config.notifyMaxAttempts > 0)) {
+    throw new Error(
+      "NOTIFY_INTERVAL_MINUTES / NOTIFY_MAX_ATTEMPTS must be positive",
+    );
+  }
+  if (!(config.paymentToleranceSeconds > 0)) {
+    throw new Error("PAYMENT_TOLERANCE_SECONDS must be positive");
+  }
+  if (!SEAT_POLICIES.includes(config.seatLimitPolicy)) {
+    throw new Error(`SEAT_LIMIT_POLICY must be ${SEAT_POLICIES.join(" or ")}`);
+  }
+
+  return config;
+}
@@ -0,0 +1,214 @@
+// lib/copy-data.js - Copy dữ liệu giữa hai store (Postgres ↔ SQLite)
+//
+// Dùng cho scripts/copy-data.js: kéo dữ liệu Neon về SQLite để dev, hoặc
+// chuyển deployment nhỏ từ SQLite lên Postgres. Cả hai phía phải đã migrate,
+// database đích phải trống; toàn bộ copy nằm trong một transaction trên đích.
+// Chỉ copy cột có ở cả hai phía (vd. search_vector chỉ có trên Postgres và
+// được tính lại từ question_text / note).
+
+/**
+ * Bảng được copy, theo thứ tự foreign key. admin_sessions / learner_sessions
+ * không copy (admin đăng nhập lại, learner verify lại), schema_migrations là
+ * của từng database.
+ */
+export const COPY_TABLES = [
+  "users",
+  "licenses",
+  "revoked_users",
+  "revoked_devices",
+  "progress",
+  "bookmarks",
+  "bookmark_tombstones",
+  "device_bindings",
+  "reset_requests",
+  "audit_events",
+  "admins",
+  "admin_tokens",
+  "activation_codes",
+  "activations",
+  "attempts",
+  "attempt_answers",
+  "question_stats",
+  "sync_events",
+  "review_cards",
+  "review_log",
+  "cohorts",
+  "cohort_members",
+  "user_messages",
+  "webhooks",
+  "webhook_deliveries",
+  "notifications",
+  "plans",
+  "orders",
+  "payment_events",
+];
+
+// Foreign key trỏ vào chính bảng: insert NULL trước, UPDATE khi đã đủ dòng
+const DEFERRED_COLUMNS = {
+  licenses: { key: "license", columns: ["superseded_by"] },
+};
+
+// id tự tăng: Postgres cần đặt lại sequence sau khi insert id có sẵn
+const SERIAL_TABLES = [
+  "audit_events",
+  "admins",
+  "attempts",
+  "review_log",
+  "cohorts",
+  "user_messages",
+  "webhooks",
+  "webhook_deliveries",
+  "notifications",
+  "orders",
+  "payment_events",
+];
+
+const BATCH_SIZE = 100;
+
+/**
+ * Cột (không phải generated) của bảng: [{ name, type }], type viết hoa.
+ * db = store hoặc client đang giữ của store đó.
+ */
+async function tableColumns(db, dialect, table) {
+  const result =
+    dialect === "sqlite"
+      ? await db.query(
+          "SELECT name, type FROM pragma_table_info($1) ORDER BY cid",
+          [table],
+        )
+      : await db.query(
+          `SELECT column_name AS name, data_type AS type
+         FROM information_schema.columns
+         WHERE table_schema = current_schema() AND table_name = $1
+           AND is_generated = 'NEVER'
+         ORDER BY ordinal_position`,
+          [table],
+        );
+  return result.rows.map((r) => ({ name: r.name, type: r.type.toUpperCase() }));
+}
+
+/**
+ * Giá trị sync_seq hiện tại (nextval kế tiếp = value + 1)
+ */
+async function readSyncSeq(store) {
+  const result =
+    store.dialect === "sqlite"
+      ? await store.query("SELECT value FROM sequences WHERE name = 'sync_seq'")
+      : await store.query(
+          "SELECT CASE WHEN is_called THEN last_value ELSE last_value - 1 END AS value FROM sync_seq",
+        );
+  return Number(result.rows[0]?.value || 0);
+}
+
+/**
+ * Giá trị nguồn → tham số cho đích (phần store đích không tự chuyển được)
+ */
+function convertValue(value, type, dialect) {
+  if (value === null || value === undefined) return null;
+  // pg gửi array JS thành array Postgres → JSONB phải là JSON text
+  if (dialect !== "sqlite" && (type === "JSONB" || type === "JSON")) {
+    return JSON.stringify(value);
+  }
+  // DATE (pg trả 00:00 giờ local) → YYYY-MM-DD, không qua UTC
+  if (dialect === "sqlite" && type === "DATE" && value instanceof Date) {
+    const m = String(value.getMonth() + 1).padStart(2, "0");
+    const d = String(value.getDate()).padStart(2, "0");
+    return `${value.getFullYear()}-${m}-${d}`;
+  }
+  return value;
+}
+
+/**
+ * Copy toàn bộ COPY_TABLES từ source sang target (store đã migrate).
+ * Returns { tables: { [table]: rows }, syncSeq }.
+ */
+export async function copyData(source, target, { log = console.log } = {}) {
+  const client = await target.connect();
+  const copied = {};
+
+  try {
+    await client.query("BEGIN");
+
+    for (const table of COPY_TABLES) {
+      const count = await client.query(
+        `SELECT COUNT(*) AS count FROM ${table}`,
+      );
+      if (Number(count.rows[0].count) > 0) {
+        throw new Error(`Target table ${table} is not empty`);
+      }
+    }
+
+    for (const table of COPY_TABLES) {
+      const sourceColumns = new Set(
+        (await tableColumns(source, source.dialect, table)).map((c) => c.name),
+      );
+      // Qua client: store in-memory / SQLite chỉ có một connection
+      const columns = (
+        await tableColumns(client, target.dialect, table)
+      ).filter((c) => sourceColumns.has(c.name));
+      const deferred = DEFERRED_COLUMNS[table];
+      const rows = (await source.query(`SELECT * FROM ${table}`)).rows;
+
+      const names = columns.map((c) => c.name).join(", ");
+      for (let i = 0; i < rows.length; i += BATCH_SIZE) {
+        const params = [];
+        const tuples = rows.slice(i, i + BATCH_SIZE).map((row) => {
+          const placeholders = columns.map((c) => {
+            const value = deferred?.columns.includes(c.name)
+              ? null
+              : convertValue(row[c.name], c.type, target.dialect);
+            params.push(value);
+            return `$${params.length}`;
+          });
+          return `(${placeholders.join(", ")})`;
+        });
+        await client.query(
+          `INSERT INTO ${table} (${names}) VALUES ${tuples.join(", ")}`,
+          params,
+        );
+      }
+
+      if (deferred) {
+        for (const row of rows) {
+          for (const column of deferred.columns) {
+            if (row[column] === null) continue;
+            await client.query(
+              `UPDATE ${table} SET ${column} = $1 WHERE ${deferred.key} = $2`,
+              [row[column], row[deferred.key]],
+            );
+          }
+        }
+      }
+
+      copied[table] = rows.length;
+      log(`📋 ${table}: ${rows.length} row(s)`);
+    }
+
+    const syncSeq = await readSyncSeq(source);
+    if (target.dialect === "sqlite") {
+      await client.query(
+        "UPDATE sequences SET value = $1 WHERE name = 'sync_seq'",
+        [syncSeq],
+      );
+    } else {
+      await client.query("SELECT setval('sync_seq', $1::bigint + 1, false)", [
+        syncSeq,
+      ]);
+      for (const table of SERIAL_TABLES) {
+        await client.query(
+          `SELECT setval(pg_get_serial_sequence('${table}', 'id'),
+                       COALESCE(MAX(id), 0) + 1, false)
+         FROM ${table}`,
+        );
+      }
+    }
+
+    await client.query("COMMIT");
+    return { tables: copied, syncSeq };
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+}
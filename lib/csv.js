@@ -0,0 +1,73 @@
+// lib/csv.js - Minimal CSV helpers (RFC 4180)
+
+/**
+ * Escape one CSV field
+ */
+export function csvEscape(value) {
+  if (value === null || value === undefined) return "";
+  const str =
+    value instanceof Date
+      ? value.toISOString()
+      : typeof value === "object"
+        ? JSON.stringify(value)
+        : String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Build one CSV line (kèm \r\n)
+ */
+export function toCsvLine(values) {
+  return values.map(csvEscape).join(",") + "\r\n";
+}
+
+/**
+ * Parse CSV text into an array of rows (array of strings)
+ *
+ * Hỗ trợ field có dấu ngoặc kép, "" escape, xuống dòng trong field, CRLF và
+ * BOM UTF-8 (file xuất từ Excel). Bỏ qua dòng trống.
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== "") rows.push(row);
+    row = [];
+    field = "";
+  };
+
+  for (; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      endRow();
+    } else {
+      field += ch;
+    }
+  }
+
+  if (inQuotes) throw new Error("Unterminated quoted field");
+  if (field !== "" || row.length > 0) endRow();
+  return rows;
+}
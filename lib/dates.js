@@ -0,0 +1,61 @@
+// lib/dates.js - Ngày dạng YYYYMMDD (expiry, examDate)
+//
+// Mặc định theo giờ local của server (giống lúc so sánh expiry khi verify).
+
+/**
+ * Check if date string YYYYMMDD is >= today
+ */
+export function isExpiryValid(expiryStr) {
+  const today = new Date();
+  const y = today.getFullYear();
+  const m = String(today.getMonth() + 1).padStart(2, "0");
+  const d = String(today.getDate()).padStart(2, "0");
+  const todayStr = `${y}${m}${d}`;
+  return expiryStr >= todayStr;
+}
+
+/**
+ * Today (hoặc ngày YYYYMMDD cho trước) + N days as YYYYMMDD
+ */
+export function addDaysYmd(days, fromYmd = null) {
+  const d = fromYmd
+    ? new Date(
+        +fromYmd.slice(0, 4),
+        +fromYmd.slice(4, 6) - 1,
+        +fromYmd.slice(6, 8),
+      )
+    : new Date();
+  d.setDate(d.getDate() + days);
+  return formatDate(d);
+}
+
+/**
+ * Số ngày từ fromYmd tới toYmd (YYYYMMDD, âm nếu toYmd đã qua)
+ */
+export function daysBetweenYmd(fromYmd, toYmd) {
+  const utc = (ymd) =>
+    Date.UTC(+ymd.slice(0, 4), +ymd.slice(4, 6) - 1, +ymd.slice(6, 8));
+  return Math.round((utc(toYmd) - utc(fromYmd)) / 86_400_000);
+}
+
+/**
+ * Check YYYYMMDD is a real calendar date
+ */
+export function isValidYmd(str) {
+  if (!/^\d{8}$/.test(str)) return false;
+  const d = new Date(
+    Date.UTC(+str.slice(0, 4), +str.slice(4, 6) - 1, +str.slice(6, 8)),
+  );
+  return formatDate(d, true) === str;
+}
+
+/**
+ * Format date for response
+ */
+export function formatDate(d, utc = false) {
+  if (!d) return null;
+  const y = utc ? d.getUTCFullYear() : d.getFullYear();
+  const m = String((utc ? d.getUTCMonth() : d.getMonth()) + 1).padStart(2, "0");
+  const day = String(utc ? d.getUTCDate() : d.getDate()).padStart(2, "0");
+  return `${y}${m}${day}`;
+}
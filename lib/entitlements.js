@@ -0,0 +1,126 @@
+// lib/entitlements.js - Quyền của learner theo plan (trial / standard / premium)
+//
+// Plan của learner không đọc từ chuỗi license: V2 có plan trong chữ ký, nhưng
+// V1 (lib/license-v1.js) chỉ hash deviceId + expiry nên đổi plan của V1 ra
+// cùng chuỗi và chỉ cập nhật cột plan (xem issueLicense, supersedeLicense).
+// Xác thực bằng deviceId + license, /api/verify và /api/token/refresh đọc
+// licenses.plan (DB); request dùng Bearer access token lấy claim plan trong
+// token (authenticateAccessToken, lib/learner-auth.js), tức là plan lúc cấp
+// token - đổi plan có hiệu lực với các request đó sau lần refresh kế tiếp
+// (access token sống ACCESS_TOKEN_MINUTES). Features của plan: module / bộ
+// đề nào được mở, có sync bookmark lên server không.
+// Lấy từ plans.features (admin sửa qua /api/admin/plans), thiếu key nào thì
+// dùng DEFAULT_PLAN_FEATURES; plan không có trong danh sách (vd. "pro" cấp
+// trước khi có entitlements) được mở hết như trước.
+//
+// Pattern của modules / testSets: id chính xác, "<prefix>*" hoặc "*".
+
+export const FEATURE_KEYS = ["modules", "testSets", "bookmarkSync"];
+
+const FULL_ACCESS = { modules: ["*"], testSets: ["*"], bookmarkSync: true };
+
+/**
+ * Features mặc định của plan có sẵn. trial chỉ khác ở chỗ không sync
+ * bookmark: module / bộ đề dùng thử thì admin khai báo trong plans.features.
+ */
+export const DEFAULT_PLAN_FEATURES = {
+  trial: { ...FULL_ACCESS, bookmarkSync: false },
+  standard: FULL_ACCESS,
+  premium: FULL_ACCESS,
+};
+
+const PATTERN = /^(\*|[A-Za-z0-9_.:-]{1,100}\*?)$/;
+
+/**
+ * Tên plan hợp lệ khi cấp license (cùng quy tắc với plans.code): a-z, 0-9,
+ * dấu gạch, tối đa 50 ký tự
+ */
+export function isValidPlanCode(plan) {
+  return typeof plan === "string" && /^[a-z0-9-]{1,50}$/.test(plan);
+}
+
+/**
+ * Validate features do admin gửi lên (có thể thiếu key).
+ * Returns { value } hoặc { error }.
+ */
+export function validateFeatures(features) {
+  if (!features || typeof features !== "object" || Array.isArray(features)) {
+    return { error: "features must be an object" };
+  }
+  const unknown = Object.keys(features).filter(
+    (key) => !FEATURE_KEYS.includes(key),
+  );
+  if (unknown.length > 0) {
+    return {
+      error: `Unknown features: ${unknown.join(", ")} (available: ${FEATURE_KEYS.join(", ")})`,
+    };
+  }
+
+  const value = {};
+  for (const key of ["modules", "testSets"]) {
+    if (features[key] === undefined) continue;
+    const patterns = features[key];
+    if (
+      !Array.isArray(patterns) ||
+      patterns.length > 500 ||
+      !patterns.every((p) => typeof p === "string" && PATTERN.test(p))
+    ) {
+      return {
+        error: `features.${key} must be a list of ids, "<prefix>*" or "*"`,
+      };
+    }
+    value[key] = [...new Set(patterns)];
+  }
+  if (features.bookmarkSync !== undefined) {
+    if (typeof features.bookmarkSync !== "boolean") {
+      return { error: "features.bookmarkSync must be a boolean" };
+    }
+    value.bookmarkSync = features.bookmarkSync;
+  }
+  return { value };
+}
+
+/**
+ * Features đầy đủ của plan: plans.features (có thể NULL / thiếu key) đè lên
+ * mặc định
+ */
+export function resolveFeatures(plan, features = null) {
+  return {
+    ...(DEFAULT_PLAN_FEATURES[plan] || FULL_ACCESS),
+    ...(features || {}),
+  };
+}
+
+/**
+ * id có khớp một pattern trong danh sách không
+ */
+export function isUnlocked(patterns, id) {
+  id = String(id);
+  return patterns.some(
+    (p) =>
+      p === "*" ||
+      p === id ||
+      (p.endsWith("*") && id.startsWith(p.slice(0, -1))),
+  );
+}
+
+/**
+ * Kiểm tra một thao tác của learner: { moduleId, testId, bookmarkSync }.
+ * Returns null nếu được phép, ngược lại lý do.
+ */
+export function checkEntitlement(
+  entitlements,
+  { moduleId, testId, bookmarkSync },
+) {
+  const plan = entitlements.plan || "standard";
+  if (moduleId && !isUnlocked(entitlements.modules, moduleId)) {
+    return `Module ${moduleId} is not included in plan ${plan}`;
+  }
+  if (testId && !isUnlocked(entitlements.testSets, testId)) {
+    return `Test set ${testId} is not included in plan ${plan}`;
+  }
+  if (bookmarkSync && !entitlements.bookmarkSync) {
+    return `Bookmark sync is not included in plan ${plan}`;
+  }
+  return null;
+}
@@ -0,0 +1,227 @@
+// lib/learner-auth.js - Xác thực learner
+//
+// Hai cách: deviceId + license (chữ ký, DB, status) hoặc access token ngắn hạn
+// (Bearer, lib/session-tokens.js) cấp kèm refresh token khi /api/verify.
+import { checkEntitlement } from "./entitlements.js";
+import {
+  verifyAccessToken,
+  signAccessToken,
+  generateRefreshToken,
+} from "./session-tokens.js";
+import { resolveLearnerLicense } from "./licensing.js";
+import { isUserRevoked } from "./repos/users.js";
+import {
+  insertLearnerSession,
+  findLearnerSession,
+} from "./repos/learner-sessions.js";
+
+/**
+ * Access token từ header "Authorization: Bearer <token>" (null nếu không có)
+ */
+export function bearerToken(req) {
+  const header = req.get("authorization") || "";
+  return header.startsWith("Bearer ") ? header.slice(7).trim() : null;
+}
+
+/**
+ * Create learner auth helpers (services: store, config,
+ * parseAndValidateLicense, getEntitlements)
+ */
+export function createLearnerAuth({
+  store,
+  config,
+  parseAndValidateLicense,
+  getEntitlements,
+}) {
+  const {
+    sessionTokenSecret: SESSION_TOKEN_SECRET,
+    accessTokenMinutes: ACCESS_TOKEN_MINUTES,
+    refreshTokenDays: REFRESH_TOKEN_DAYS,
+  } = config;
+
+  /**
+   * Xác thực learner bằng deviceId + license (chữ ký, DB, status, user revoked)
+   *
+   * Returns { userId, deviceId, license (hiện hành), plan } hoặc { error: {
+   * status, message } }. invalidStatus: status khi license sai chữ ký / format.
+   */
+  async function authenticateLearner(
+    client,
+    deviceId,
+    license,
+    { invalidStatus = 401 } = {},
+  ) {
+    const parsed = parseAndValidateLicense(license, deviceId);
+    if (!parsed.valid) {
+      return {
+        error: {
+          status: invalidStatus,
+          message: parsed.reason || "Invalid license",
+        },
+      };
+    }
+
+    const resolved = await resolveLearnerLicense(
+      client,
+      license,
+      deviceId,
+      parsed,
+    );
+    if (resolved.error) return { error: resolved.error };
+
+    const { user_id: userId, plan } = resolved.current;
+    if (await isUserRevoked(client, userId)) {
+      return { error: { status: 403, message: "User revoked" } };
+    }
+
+    return { userId, deviceId, license: resolved.current.license, plan };
+  }
+
+  /**
+   * Xác thực learner bằng access token (xem lib/session-tokens.js)
+   *
+   * Chữ ký + hạn + session chưa bị revoke: một query theo primary key thay
+   * cho verify license + các query revocation. deviceId (nếu client gửi kèm)
+   * phải khớp máy của token. Returns như authenticateLearner; lỗi luôn là 401
+   * để client refresh (hoặc verify lại license).
+   */
+  async function authenticateAccessToken(client, token, deviceId) {
+    const claims = verifyAccessToken(token, SESSION_TOKEN_SECRET);
+    if (!claims.valid) {
+      return { error: { status: 401, message: claims.reason } };
+    }
+    if (deviceId && deviceId !== claims.deviceId) {
+      return {
+        error: {
+          status: 401,
+          message: "Access token issued for another device",
+        },
+      };
+    }
+
+    const session = await findLearnerSession(client, claims.sessionId);
+    if (!session || session.revoked_at) {
+      return { error: { status: 401, message: "Session revoked" } };
+    }
+
+    return {
+      userId: claims.userId,
+      deviceId: claims.deviceId,
+      license: session.license,
+      plan: claims.plan,
+    };
+  }
+
+  /**
+   * Access token mới cho session + refresh token (đã lưu hash)
+   */
+  function sessionTokens(
+    refresh,
+    refreshExpiresAt,
+    { userId, deviceId, plan },
+  ) {
+    const access = signAccessToken(
+      {
+        sessionId: refresh.sessionId,
+        userId,
+        deviceId,
+        plan,
+        ttlSeconds: Math.round(ACCESS_TOKEN_MINUTES * 60),
+      },
+      SESSION_TOKEN_SECRET,
+    );
+    return {
+      accessToken: access.token,
+      accessTokenExpiresAt: access.expiresAt,
+      refreshToken: refresh.token,
+      refreshTokenExpiresAt: refreshExpiresAt,
+    };
+  }
+
+  /**
+   * Mở session cho learner vừa verify (trong transaction của /api/verify)
+   *
+   * Returns { accessToken, accessTokenExpiresAt, refreshToken,
+   * refreshTokenExpiresAt } để trả kèm response.
+   */
+  async function createLearnerSession(
+    client,
+    { userId, deviceId, license, plan },
+  ) {
+    const refresh = generateRefreshToken();
+    const expiresAt = new Date(Date.now() + REFRESH_TOKEN_DAYS * 86_400_000);
+    await insertLearnerSession(client, refresh, {
+      userId,
+      deviceId,
+      license,
+      expiresAt,
+    });
+    return sessionTokens(refresh, expiresAt, { userId, deviceId, plan });
+  }
+
+  /**
+   * Learner auth middleware (bookmarks): "Authorization: Bearer <access
+   * token>", hoặc deviceId + license từ header X-Device-Id / X-License (hoặc
+   * body). Set req.learner = { userId, deviceId, license, plan }; lỗi →
+   * { ok: false, error }.
+   */
+  async function learnerAuth(req, res, next) {
+    const token = bearerToken(req);
+    const deviceId = req.get("x-device-id") || req.body?.deviceId;
+    const license = req.get("x-license") || req.body?.license;
+
+    if (!token && (!deviceId || !license)) {
+      return res
+        .status(401)
+        .json({ ok: false, error: "Missing deviceId or license" });
+    }
+
+    try {
+      const auth = token
+        ? await authenticateAccessToken(store, token, deviceId)
+        : await authenticateLearner(store, deviceId, license);
+      if (auth.error) {
+        return res
+          .status(auth.error.status)
+          .json({ ok: false, error: auth.error.message });
+      }
+
+      req.learner = {
+        userId: auth.userId,
+        deviceId: auth.deviceId,
+        license: auth.license,
+        plan: auth.plan,
+      };
+      next();
+    } catch (err) {
+      console.error("❌ Learner auth error:", err);
+      res.status(500).json({ ok: false, error: "Internal server error" });
+    }
+  }
+
+  /**
+   * Sau learnerAuth: chặn khi plan không có bookmarkSync (bookmark chỉ lưu
+   * trên máy). Plan lấy từ access token nên đổi plan có hiệu lực sau lần
+   * refresh kế tiếp.
+   */
+  async function requireBookmarkSync(req, res, next) {
+    try {
+      const entitlements = await getEntitlements(store, req.learner.plan);
+      const locked = checkEntitlement(entitlements, { bookmarkSync: true });
+      if (locked) return res.status(403).json({ ok: false, error: locked });
+      next();
+    } catch (err) {
+      console.error("❌ Entitlements error:", err);
+      res.status(500).json({ ok: false, error: "Internal server error" });
+    }
+  }
+
+  return {
+    authenticateLearner,
+    authenticateAccessToken,
+    sessionTokens,
+    createLearnerSession,
+    learnerAuth,
+    requireBookmarkSync,
+  };
+}
@@ -0,0 +1,220 @@
+// lib/learner-stats.js - Dashboard của learner ("có kịp thi không?")
+//
+// Tính từ progress, attempts, question_stats, bookmarks, review; cache
+// STATS_CACHE_SECONDS giây, route xoá cache (statsCache.delete) khi learner ghi
+// progress / attempts / bookmarks. Dùng cho /api/stats/me và /api/admin/stats.
+import { daysUntilExam } from "./srs.js";
+import { createTtlCache } from "./ttl-cache.js";
+import { addDaysYmd, formatDate } from "./dates.js";
+import { refreshReviewCards } from "./repos/review.js";
+
+/**
+ * Streak theo ngày học (YYYYMMDD, giờ server): current tính tới hôm nay
+ * (hoặc hôm qua nếu hôm nay chưa học)
+ */
+function computeStreak(days) {
+  const set = new Set(days);
+  const sorted = [...set].sort();
+
+  let longest = 0;
+  let run = 0;
+  let prev = null;
+  for (const day of sorted) {
+    run = prev && addDaysYmd(1, prev) === day ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    prev = day;
+  }
+
+  const today = addDaysYmd(0);
+  let current = 0;
+  let day = set.has(today) ? today : addDaysYmd(-1);
+  while (set.has(day)) {
+    current++;
+    day = addDaysYmd(-1, day);
+  }
+
+  return { current, longest, lastActiveDate: prev };
+}
+
+/**
+ * Tính stats của user. Returns null nếu user không tồn tại.
+ */
+async function computeLearnerStats(client, userId) {
+  const user = await client.query(
+    "SELECT user_name, exam_date FROM users WHERE user_id = $1",
+    [userId],
+  );
+  if (user.rows.length === 0) return null;
+  const { user_name: userName, exam_date: examDate } = user.rows[0];
+
+  const progress = await client.query(
+    "SELECT perfect FROM progress WHERE user_id = $1",
+    [userId],
+  );
+  const attempts = await client.query(
+    `SELECT test_id, COUNT(*)::int AS attempts, MAX(total)::int AS max_total,
+            MAX(score::float / NULLIF(total, 0)) AS best_ratio,
+            COUNT(*) FILTER (WHERE score = total)::int AS perfect_attempts,
+            MAX(finished_at) AS last_attempt_at
+     FROM attempts WHERE user_id = $1
+     GROUP BY test_id`,
+    [userId],
+  );
+  const questions = await client.query(
+    `SELECT test_id, COUNT(*)::int AS answered,
+            COUNT(*) FILTER (WHERE last_correct)::int AS correct_now,
+            COUNT(*) FILTER (WHERE streak >= 2)::int AS mastered,
+            COUNT(*) FILTER (WHERE attempts >= 2 AND correct::float / attempts < 0.7)::int AS weak
+     FROM question_stats WHERE user_id = $1
+     GROUP BY test_id`,
+    [userId],
+  );
+  const bookmarks = await client.query(
+    "SELECT test_id, COUNT(*)::int AS count FROM bookmarks WHERE user_id = $1 GROUP BY test_id",
+    [userId],
+  );
+  const activity = await client.query(
+    `SELECT DISTINCT date_trunc('hour', at) AS at FROM (
+       SELECT finished_at AS at FROM attempts WHERE user_id = $1
+       UNION ALL
+       SELECT reviewed_at FROM review_log WHERE user_id = $1
+     ) t
+     WHERE at >= NOW() - INTERVAL '400 days'`,
+    [userId],
+  );
+  const recent = await client.query(
+    `SELECT COUNT(*)::int AS answered FROM attempt_answers aa
+     JOIN attempts a ON a.id = aa.attempt_id
+     WHERE a.user_id = $1 AND a.finished_at >= NOW() - INTERVAL '7 days'`,
+    [userId],
+  );
+  const endOfToday = new Date();
+  endOfToday.setHours(24, 0, 0, 0);
+  await refreshReviewCards(client, userId);
+  const reviews = await client.query(
+    "SELECT COUNT(*)::int AS due FROM review_cards WHERE user_id = $1 AND due_at < $2",
+    [userId, endOfToday],
+  );
+
+  // Gộp theo testId (progress.perfect dùng moduleId = testId)
+  const perfect = progress.rows[0]?.perfect || {};
+  const tests = {};
+  const testOf = (testId) =>
+    (tests[testId] ??= {
+      attempts: 0,
+      perfectCount: 0,
+      bestPercent: null,
+      maxTotal: null,
+      answeredQuestions: 0,
+      masteredQuestions: 0,
+      weakQuestions: 0,
+      bookmarks: 0,
+      lastAttemptAt: null,
+    });
+
+  for (const [testId, value] of Object.entries(perfect)) {
+    testOf(testId).perfectCount = value?.perfectCount || 0;
+  }
+  for (const r of attempts.rows) {
+    Object.assign(testOf(r.test_id), {
+      attempts: r.attempts,
+      bestPercent:
+        r.best_ratio === null ? null : Math.round(r.best_ratio * 100),
+      maxTotal: r.max_total,
+      perfectAttempts: r.perfect_attempts,
+      lastAttemptAt: r.last_attempt_at,
+    });
+  }
+  const correctNow = {};
+  for (const r of questions.rows) {
+    if (!r.test_id) continue;
+    Object.assign(testOf(r.test_id), {
+      answeredQuestions: r.answered,
+      masteredQuestions: r.mastered,
+      weakQuestions: r.weak,
+    });
+    correctNow[r.test_id] = r.correct_now;
+  }
+  for (const r of bookmarks.rows) {
+    if (r.test_id) testOf(r.test_id).bookmarks = r.count;
+  }
+
+  let remainingQuestions = 0;
+  for (const [testId, t] of Object.entries(tests)) {
+    const done = t.perfectCount > 0 || t.perfectAttempts > 0;
+    t.completion = done
+      ? 1
+      : t.maxTotal
+        ? Math.round(
+            Math.min(1, (correctNow[testId] || 0) / t.maxTotal) * 100,
+          ) / 100
+        : 0;
+    delete t.perfectAttempts;
+    if (t.maxTotal) {
+      remainingQuestions += Math.max(0, t.maxTotal - t.masteredQuestions);
+    }
+  }
+
+  const testList = Object.values(tests);
+  const sum = (field) => testList.reduce((n, t) => n + (t[field] || 0), 0);
+  const daysLeft = daysUntilExam(examDate);
+  const questionsPerDay =
+    daysLeft === null
+      ? null
+      : Math.ceil(remainingQuestions / Math.max(1, daysLeft));
+  const recentPacePerDay = Math.round((recent.rows[0].answered / 7) * 10) / 10;
+
+  return {
+    userId,
+    userName,
+    examDate: formatDate(examDate),
+    daysUntilExam: daysLeft,
+    tests,
+    totals: {
+      tests: testList.length,
+      perfectTests: testList.filter((t) => t.completion === 1).length,
+      attempts: sum("attempts"),
+      answeredQuestions: sum("answeredQuestions"),
+      masteredQuestions: sum("masteredQuestions"),
+      weakQuestions: sum("weakQuestions"),
+      bookmarks: bookmarks.rows.reduce((n, r) => n + r.count, 0),
+      completion: testList.length
+        ? Math.round((sum("completion") / testList.length) * 100) / 100
+        : 0,
+    },
+    streak: computeStreak(activity.rows.map((r) => formatDate(r.at))),
+    workload: {
+      remainingQuestions,
+      questionsPerDay,
+      reviewsDueToday: reviews.rows[0].due,
+      recentPacePerDay,
+      onTrack:
+        questionsPerDay === null ? null : recentPacePerDay >= questionsPerDay,
+    },
+    generatedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Create stats cache + getLearnerStats (services: config)
+ */
+export function createLearnerStats({ config }) {
+  const { statsCacheSeconds: STATS_CACHE_SECONDS } = config;
+
+  const statsCache = createTtlCache({ ttlMs: STATS_CACHE_SECONDS * 1000 });
+
+  /**
+   * Stats có cache (fresh = bỏ qua cache)
+   */
+  async function getLearnerStats(client, userId, { fresh = false } = {}) {
+    if (!fresh) {
+      const cached = statsCache.get(userId);
+      if (cached) return { ...cached, cached: true };
+    }
+    const stats = await computeLearnerStats(client, userId);
+    if (stats) statsCache.set(userId, stats);
+    return stats && { ...stats, cached: false };
+  }
+
+  return { statsCache, getLearnerStats };
+}
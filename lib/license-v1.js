@@ -0,0 +1,36 @@
+// lib/license-v1.js - V1 licenses: YYYYMMDD-sha256(deviceId|expiry|secret)
+//
+// Format cũ, gắn với LICENSE_SECRET (HMAC kiểu "secret suffix"). Vẫn được
+// chấp nhận đến LICENSE_V1_ACCEPT_UNTIL; license mới nên dùng V2.
+import crypto from "crypto";
+
+/**
+ * Generate V1 license: YYYYMMDD-<sha256>
+ */
+export function generateLicenseV1(deviceId, expiry, secret) {
+  const hash = crypto
+    .createHash("sha256")
+    .update(`${deviceId}|${expiry}|${secret}`)
+    .digest("hex");
+  return `${expiry}-${hash}`;
+}
+
+/**
+ * Validate V1 license
+ */
+export function parseAndValidateV1(license, deviceId, secret) {
+  const parts = license.split("-");
+  if (parts.length !== 2) return { valid: false };
+  const [expiry, hash] = parts;
+
+  if (!/^\d{8}$/.test(expiry)) return { valid: false };
+
+  const expectedHash = crypto
+    .createHash("sha256")
+    .update(`${deviceId}|${expiry}|${secret}`)
+    .digest("hex");
+
+  if (hash !== expectedHash) return { valid: false };
+
+  return { valid: true, expiry, hash };
+}
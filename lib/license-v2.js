@@ -0,0 +1,163 @@
+// lib/license-v2.js - Signed V2 licenses (Ed25519)
+//
+// Format: v2.<kid>.<payload>.<signature>
+//   kid       - id of the signing key (see GET /api/public-keys)
+//   payload   - base64url(JSON { uid, did, exp, plan, iat })
+//   signature - base64url(Ed25519 signature over "v2.<kid>.<payload>")
+//
+// Client app có thể tự verify offline: tải public key theo kid, kiểm tra chữ
+// ký, so sánh did với deviceId hiện tại và exp (YYYYMMDD) với ngày hôm nay.
+import crypto from "crypto";
+
+export const V2_PREFIX = "v2";
+
+const KID_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+/**
+ * Quick format check, không verify chữ ký
+ */
+export function isV2License(license) {
+  return typeof license === "string" && license.startsWith(`${V2_PREFIX}.`);
+}
+
+/**
+ * Derive a stable key id from a public key (first 8 bytes of sha256)
+ */
+function deriveKid(publicKey) {
+  const { x } = publicKey.export({ format: "jwk" });
+  return crypto
+    .createHash("sha256")
+    .update(Buffer.from(x, "base64url"))
+    .digest("base64url")
+    .slice(0, 11);
+}
+
+/**
+ * Load signing/verification keys from ENV
+ *
+ * - LICENSE_V2_PRIVATE_KEY: Ed25519 private key (PKCS8 PEM, "\n" escapes OK)
+ * - LICENSE_V2_KEY_ID: kid của key đang dùng để ký (mặc định: tự sinh)
+ * - LICENSE_V2_PUBLIC_KEYS: key cũ vẫn được chấp nhận khi rotate,
+ *   dạng "kid1:x1,kid2:x2" (x = public key raw, base64url như trong JWK)
+ */
+export function loadKeyring(env = process.env) {
+  const publicKeys = new Map();
+  let signingKey = null;
+  let activeKid = null;
+
+  if (env.LICENSE_V2_PRIVATE_KEY) {
+    const pem = env.LICENSE_V2_PRIVATE_KEY.replace(/\\n/g, "\n");
+    signingKey = crypto.createPrivateKey(pem);
+    if (signingKey.asymmetricKeyType !== "ed25519") {
+      throw new Error("LICENSE_V2_PRIVATE_KEY must be an Ed25519 key");
+    }
+    const publicKey = crypto.createPublicKey(signingKey);
+    activeKid = env.LICENSE_V2_KEY_ID || deriveKid(publicKey);
+    if (!KID_PATTERN.test(activeKid)) {
+      throw new Error("LICENSE_V2_KEY_ID must match [A-Za-z0-9_-]{1,32}");
+    }
+    publicKeys.set(activeKid, publicKey);
+  }
+
+  for (const entry of (env.LICENSE_V2_PUBLIC_KEYS || "").split(",")) {
+    if (!entry.trim()) continue;
+    const [kid, x] = entry.trim().split(":");
+    if (!KID_PATTERN.test(kid || "") || !x) {
+      throw new Error(`Invalid LICENSE_V2_PUBLIC_KEYS entry: ${entry}`);
+    }
+    if (publicKeys.has(kid)) continue;
+    publicKeys.set(
+      kid,
+      crypto.createPublicKey({
+        key: { kty: "OKP", crv: "Ed25519", x },
+        format: "jwk",
+      }),
+    );
+  }
+
+  return { activeKid, signingKey, publicKeys };
+}
+
+/**
+ * Public keys as JWKs, for GET /api/public-keys
+ */
+export function exportPublicJwks(keyring) {
+  return [...keyring.publicKeys].map(([kid, key]) => ({
+    ...key.export({ format: "jwk" }),
+    kid,
+    alg: "EdDSA",
+    use: "sig",
+    active: kid === keyring.activeKid,
+  }));
+}
+
+/**
+ * Generate V2 license: v2.<kid>.<payload>.<signature>
+ */
+export function generateLicenseV2(
+  { userId, deviceId, expiry, plan, issuedAt },
+  keyring,
+) {
+  if (!keyring.signingKey) {
+    throw new Error("V2 signing key not configured");
+  }
+  const payload = Buffer.from(
+    JSON.stringify({
+      uid: userId,
+      did: deviceId,
+      exp: expiry,
+      plan,
+      iat: issuedAt ?? Math.floor(Date.now() / 1000),
+    }),
+  ).toString("base64url");
+  const signed = `${V2_PREFIX}.${keyring.activeKid}.${payload}`;
+  const signature = crypto
+    .sign(null, Buffer.from(signed), keyring.signingKey)
+    .toString("base64url");
+  return `${signed}.${signature}`;
+}
+
+/**
+ * Validate V2 license: chữ ký, kid và deviceId
+ */
+export function parseAndValidateV2(license, deviceId, keyring) {
+  const parts = license.split(".");
+  if (parts.length !== 4 || parts[0] !== V2_PREFIX) return { valid: false };
+  const [, kid, payload, signature] = parts;
+
+  const publicKey = keyring.publicKeys.get(kid);
+  if (!publicKey) return { valid: false };
+
+  let ok = false;
+  try {
+    ok = crypto.verify(
+      null,
+      Buffer.from(`${V2_PREFIX}.${kid}.${payload}`),
+      publicKey,
+      Buffer.from(signature, "base64url"),
+    );
+  } catch {
+    ok = false;
+  }
+  if (!ok) return { valid: false };
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  } catch {
+    return { valid: false };
+  }
+
+  if (!/^\d{8}$/.test(claims.exp) || claims.did !== deviceId) {
+    return { valid: false };
+  }
+
+  return {
+    valid: true,
+    expiry: claims.exp,
+    userId: claims.uid,
+    plan: claims.plan || null,
+    issuedAt: claims.iat,
+    kid,
+  };
+}
@@ -0,0 +1,785 @@
+// lib/licensing.js - License dùng chung cho route learner và admin: tra cứu,
+// activation code, seat (device_bindings), chuyển máy / reset request,
+// extend / renew / upgrade / revoke
+//
+// Như lib/admin-ops.js: hàm nhận client (caller tự mở transaction) và req
+// (audit). Hàm cần secret / keyring hoặc admin ops nằm trong createLicensing.
+import { createTtlCache } from "./ttl-cache.js";
+import { parseAndValidateV1 } from "./license-v1.js";
+import { addDaysYmd, isExpiryValid, isValidYmd } from "./dates.js";
+import {
+  adminActor,
+  recordAudit,
+  revokeSessions,
+  upsertDeviceBinding,
+  formatDeviceBinding,
+} from "./admin-ops.js";
+import {
+  generateActivationCode,
+  formatActivationCode,
+} from "./activation-code.js";
+import { isV2License, parseAndValidateV2 } from "./license-v2.js";
+import { resolveFeatures } from "./entitlements.js";
+import { LICENSE_COLUMNS } from "./repos/licenses.js";
+import { findPlan } from "./repos/plans.js";
+
+/**
+ * Create activation codes for an existing user
+ *
+ * Code chưa gắn máy: lần /api/verify đầu tiên với code sẽ bind vào deviceId
+ * và cấp license riêng cho máy đó (tối đa maxActivations máy). actor /
+ * createdBy mặc định là admin của req (learner tự tạo: /api/devices/add-code).
+ */
+export async function createActivationCodes(
+  client,
+  req,
+  {
+    userId,
+    plan,
+    format,
+    expiry,
+    durationDays,
+    maxActivations,
+    activateBefore,
+    note,
+    count = 1,
+    actor = adminActor(req),
+    createdBy = req.admin.name,
+  },
+) {
+  const codes = [];
+  while (codes.length < count) {
+    const inserted = await client.query(
+      `INSERT INTO activation_codes
+         (code, user_id, plan, format, expiry, duration_days, max_activations,
+          activate_before, note, created_by, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW())
+       ON CONFLICT (code) DO NOTHING
+       RETURNING code`,
+      [
+        generateActivationCode(),
+        userId,
+        plan || "standard",
+        format || null,
+        expiry || null,
+        durationDays || null,
+        maxActivations || 1,
+        activateBefore || null,
+        note || null,
+        createdBy,
+      ],
+    );
+    // Trùng code (rất hiếm) → sinh lại
+    if (inserted.rows.length > 0) codes.push(inserted.rows[0].code);
+  }
+
+  await recordAudit(client, req, {
+    actor,
+    action: "activation-code.create",
+    userId,
+    after: {
+      codes: codes.map(formatActivationCode),
+      plan: plan || "standard",
+      expiry: expiry || null,
+      durationDays: durationDays || null,
+      maxActivations: maxActivations || 1,
+      activateBefore: activateBefore || null,
+    },
+  });
+
+  return codes.map(formatActivationCode);
+}
+
+/**
+ * Audit a rejected /api/verify (gọi sau ROLLBACK, ngoài transaction)
+ */
+export async function recordVerifyRejection(client, req, licenseRow, reason) {
+  await recordAudit(client, req, {
+    actor: "learner",
+    action: "verify.reject",
+    userId: licenseRow.user_id,
+    deviceId: req.body.deviceId,
+    license: licenseRow.license,
+    after: { reason, boundDeviceId: licenseRow.device_id },
+  });
+}
+
+/**
+ * Load license và đi theo chuỗi superseded_by tới license hiện hành
+ *
+ * Returns { record, current } (record = license được gửi lên), null nếu
+ * không có trong DB.
+ */
+export async function findCurrentLicense(
+  client,
+  license,
+  { lock = false } = {},
+) {
+  const sql = `SELECT ${LICENSE_COLUMNS} FROM licenses WHERE license = $1${lock ? " FOR UPDATE" : ""}`;
+  const result = await client.query(sql, [license]);
+  if (result.rows.length === 0) return null;
+
+  const record = result.rows[0];
+  let current = record;
+  // Giới hạn số bước để dữ liệu hỏng (vòng lặp) không treo request
+  for (let hops = 0; hops < 50; hops++) {
+    if (current.status !== "superseded" || !current.superseded_by) break;
+    const next = await client.query(sql, [current.superseded_by]);
+    if (next.rows.length === 0) break;
+    current = next.rows[0];
+  }
+  return { record, current };
+}
+
+/**
+ * Resolve license của learner (đã qua parseAndValidateLicense) trên deviceId
+ *
+ * License đã bị thay (gia hạn / nâng cấp) vẫn dùng được trên cùng máy:
+ * `current` là license mới để client đổi sang. Returns { error } nếu không
+ * dùng được.
+ */
+export async function resolveLearnerLicense(client, license, deviceId, parsed) {
+  const found = await findCurrentLicense(client, license);
+  if (!found) return { error: { status: 404, message: "License not found" } };
+
+  const { record, current } = found;
+
+  // V2 token mang userId - phải khớp với DB
+  if (parsed.format === "v2" && parsed.userId !== record.user_id) {
+    return {
+      error: { status: 400, message: "Invalid license format or hash" },
+    };
+  }
+  if (current.status === "revoked") {
+    return { record, error: { status: 403, message: "License revoked" } };
+  }
+  if (current.status === "superseded") {
+    return { record, error: { status: 403, message: "License superseded" } };
+  }
+  if (current !== record && current.device_id !== deviceId) {
+    return {
+      record,
+      error: {
+        status: 403,
+        message: "License transferred to another device",
+      },
+    };
+  }
+  return { record, current };
+}
+
+/**
+ * Seat đi theo license bị thay (chuyển máy → seat chuyển sang máy mới)
+ */
+async function moveSeat(client, licenseRow, newLicense, deviceId) {
+  if (deviceId === licenseRow.device_id) {
+    await client.query(
+      "UPDATE device_bindings SET license = $1 WHERE license = $2",
+      [newLicense, licenseRow.license],
+    );
+    return;
+  }
+  await client.query("DELETE FROM device_bindings WHERE license = $1", [
+    licenseRow.license,
+  ]);
+  if (licenseRow.device_id) {
+    await revokeSessions(
+      client,
+      { userId: licenseRow.user_id, deviceId: licenseRow.device_id },
+      "License transferred",
+    );
+  }
+  await upsertDeviceBinding(client, {
+    userId: licenseRow.user_id,
+    deviceId,
+    license: newLicense,
+  });
+}
+
+/**
+ * Gỡ máy khỏi user: xoá binding + session của máy đó
+ *
+ * action: remove (learner / admin gỡ) | evict (hết seat, policy evict-lru).
+ * evict chỉ lấy lại seat: license vẫn dùng được, máy bị đẩy verify lại thì
+ * chiếm seat như máy mới. remove revoke luôn license của máy, trừ license
+ * mà binding khác vẫn đang dùng.
+ */
+export async function releaseDevice(client, req, binding, { action, actor }) {
+  await client.query(
+    "DELETE FROM device_bindings WHERE user_id = $1 AND device_id = $2",
+    [binding.user_id, binding.device_id],
+  );
+  const revoked =
+    action === "evict"
+      ? { rows: [] }
+      : await client.query(
+          `UPDATE licenses
+         SET status = 'revoked', status_reason = 'Device removed',
+             status_changed_at = NOW()
+         WHERE user_id = $1 AND device_id = $2
+           AND status IN ('active', 'expired')
+           AND license NOT IN (
+             SELECT license FROM device_bindings
+             WHERE user_id = $1 AND license IS NOT NULL
+           )
+         RETURNING license`,
+          [binding.user_id, binding.device_id],
+        );
+  await revokeSessions(
+    client,
+    { userId: binding.user_id, deviceId: binding.device_id },
+    action === "evict" ? "Evicted (device limit)" : "Device removed",
+  );
+
+  await recordAudit(client, req, {
+    actor,
+    action: `device.${action}`,
+    userId: binding.user_id,
+    deviceId: binding.device_id,
+    license: binding.license,
+    before: formatDeviceBinding(binding),
+    after: { revokedLicenses: revoked.rows.map((r) => r.license) },
+  });
+}
+
+/**
+ * Format reset request row for API responses
+ */
+export function formatResetRequest(r) {
+  return {
+    requestId: r.id,
+    userId: r.user_id,
+    oldLicense: r.old_license,
+    oldDeviceId: r.old_device_id,
+    newDeviceId: r.new_device_id,
+    note: r.note,
+    status: r.status,
+    decidedBy: r.decided_by,
+    decisionNote: r.decision_note,
+    createdAt: r.created_at,
+    decidedAt: r.decided_at,
+  };
+}
+
+/**
+ * List device transfer requests (mới nhất trước)
+ */
+export async function listResetRequests(
+  client,
+  { status, userId, limit = 50 },
+) {
+  const result = await client.query(
+    `SELECT * FROM reset_requests
+     WHERE ($1::text IS NULL OR status = $1)
+       AND ($2::text IS NULL OR user_id = $2)
+     ORDER BY created_at DESC
+     LIMIT $3`,
+    [status || null, userId || null, limit],
+  );
+  return result.rows.map(formatResetRequest);
+}
+
+/**
+ * Từ chối reset request. Returns { request } hoặc { error }.
+ */
+export async function rejectResetRequest(client, req, requestId, note) {
+  const updated = await client.query(
+    `UPDATE reset_requests
+     SET status = 'rejected', decided_by = $1, decision_note = $2,
+         decided_at = NOW()
+     WHERE id = $3 AND status = 'pending'
+     RETURNING *`,
+    [req.admin.name, note || null, requestId],
+  );
+  if (updated.rows.length === 0) {
+    return {
+      error: {
+        status: 409,
+        message: "Reset request not found or not pending",
+      },
+    };
+  }
+
+  const request = updated.rows[0];
+  await recordAudit(client, req, {
+    actor: adminActor(req),
+    action: "reset-request.reject",
+    userId: request.user_id,
+    deviceId: request.new_device_id,
+    license: request.old_license,
+    after: { requestId: request.id, status: "rejected", note },
+  });
+
+  return { request: formatResetRequest(request) };
+}
+
+/**
+ * changesFor của extend: cộng days vào expiry hiện tại (hoặc expiry cố định)
+ */
+export function extendChanges({ days, expiry }) {
+  return (row) => ({
+    expiry: expiry || (row.expiry ? addDaysYmd(days, row.expiry) : null),
+  });
+}
+
+/**
+ * changesFor của renew: days cộng từ hôm nay nếu license đã hết hạn, ngược
+ * lại từ expiry hiện tại. plan: đổi plan luôn (đơn hàng, lib/payments.js).
+ */
+export function renewChanges({ days, expiry, plan }) {
+  return (row) => {
+    const changes = plan ? { plan } : {};
+    if (expiry) return { ...changes, expiry };
+    if (!row.expiry) return changes;
+    return {
+      ...changes,
+      expiry: isExpiryValid(row.expiry)
+        ? addDaysYmd(days, row.expiry)
+        : addDaysYmd(days),
+    };
+  };
+}
+
+/**
+ * Validate { days | expiry } cho extend / renew. Returns error message.
+ */
+export function validateExtension({ days, expiry }) {
+  if (!days && !expiry) return "Missing days or expiry";
+  if (days && expiry) return "Pass either days or expiry, not both";
+  if (days && !(Number.isInteger(days) && days > 0 && days <= 3650)) {
+    return "days must be between 1 and 3650";
+  }
+  if (expiry && !isValidYmd(expiry)) return "Expiry must be YYYYMMDD";
+  return null;
+}
+
+/**
+ * Revoke license hiện hành (row đã lock, chưa revoked). Returns row mới.
+ */
+export async function revokeLicense(client, req, current, reason) {
+  const result = await client.query(
+    `UPDATE licenses
+     SET status = 'revoked', status_reason = $1, status_changed_at = NOW()
+     WHERE license = $2
+     RETURNING ${LICENSE_COLUMNS}`,
+    [reason || "Revoked by admin", current.license],
+  );
+  await recordAudit(client, req, {
+    actor: adminActor(req),
+    action: "license.revoke",
+    userId: current.user_id,
+    deviceId: current.device_id,
+    license: current.license,
+    before: { status: current.status, reason: current.status_reason },
+    after: { status: "revoked", reason: result.rows[0].status_reason },
+  });
+  // License bị revoke không còn chiếm seat / session
+  await client.query("DELETE FROM device_bindings WHERE license = $1", [
+    current.license,
+  ]);
+  if (current.device_id) {
+    await revokeSessions(
+      client,
+      { userId: current.user_id, deviceId: current.device_id },
+      "License revoked",
+    );
+  }
+  return result.rows[0];
+}
+
+/**
+ * Create licensing helpers (services: config, generateLicense, getSeatLimit)
+ */
+export function createLicensing({ config, generateLicense, getSeatLimit }) {
+  const {
+    licenseSecret: LICENSE_SECRET,
+    keyring: LICENSE_KEYRING,
+    licenseV1AcceptUntil: LICENSE_V1_ACCEPT_UNTIL,
+  } = config;
+
+  // plans.features theo code (instance khác thấy thay đổi sau tối đa 60s)
+  const planFeaturesCache = createTtlCache({ ttlMs: 60_000 });
+
+  /**
+   * Validate V1 or V2 license (theo prefix)
+   */
+  function parseAndValidateLicense(license, deviceId) {
+    if (isV2License(license)) {
+      return {
+        ...parseAndValidateV2(license, deviceId, LICENSE_KEYRING),
+        format: "v2",
+      };
+    }
+    if (LICENSE_V1_ACCEPT_UNTIL && !isExpiryValid(LICENSE_V1_ACCEPT_UNTIL)) {
+      return { valid: false, reason: "V1 license no longer accepted" };
+    }
+    return {
+      ...parseAndValidateV1(license, deviceId, LICENSE_SECRET),
+      format: "v1",
+    };
+  }
+
+  /**
+   * Entitlements của plan: { plan, modules, testSets, bookmarkSync }
+   * (lib/entitlements.js). db = store hoặc client của transaction đang mở.
+   */
+  async function getEntitlements(db, plan) {
+    let features = plan ? planFeaturesCache.get(plan) : null;
+    if (plan && features === undefined) {
+      features = (await findPlan(db, plan))?.features || null;
+      planFeaturesCache.set(plan, features);
+    }
+    return { plan: plan || null, ...resolveFeatures(plan, features) };
+  }
+
+  /**
+   * Replace a license (transfer / extend / renew / upgrade).
+   *
+   * Expiry và deviceId nằm trong hash/chữ ký (V2 có cả plan) nên không thể chỉ
+   * UPDATE cột: cấp license mới và đánh dấu license cũ là superseded. Máy cũ
+   * gửi license cũ lên /api/verify sẽ nhận replacementLicense (cùng máy) hoặc
+   * bị từ chối (đã chuyển máy).
+   *
+   * V1 chỉ hash deviceId + expiry: đổi plan (hoặc renew về đúng expiry cũ) ra
+   * cùng chuỗi → UPDATE tại chỗ, không supersede. Chuỗi mới trùng một license
+   * cũ hơn của user (vd. extend rồi đặt lại expiry cũ) → license đó active lại,
+   * trừ khi nó đã bị revoke (hoặc thuộc user khác) → lỗi 409, revoke không bị
+   * gỡ ngầm. Returns { license } hoặc { error }.
+   */
+  async function supersedeLicense(
+    client,
+    req,
+    licenseRow,
+    { deviceId, expiry, plan, format },
+    { action, actor },
+  ) {
+    const before = {
+      license: licenseRow.license,
+      deviceId: licenseRow.device_id,
+      expiry: licenseRow.expiry,
+      plan: licenseRow.plan,
+      format: isV2License(licenseRow.license) ? "v2" : "v1",
+    };
+    const next = {
+      deviceId: deviceId ?? before.deviceId,
+      expiry: expiry ?? before.expiry,
+      plan: plan ?? before.plan,
+      format: format ?? before.format,
+    };
+    if (next.format === "v2" && !LICENSE_KEYRING.signingKey) next.format = "v1";
+
+    const newLicense = generateLicense({ userId: licenseRow.user_id, ...next });
+
+    if (newLicense === licenseRow.license) {
+      await client.query(
+        `UPDATE licenses
+       SET expiry = $1, plan = $2, status = 'active', status_reason = $3,
+           status_changed_at = NOW()
+       WHERE license = $4`,
+        [next.expiry, next.plan, action, newLicense],
+      );
+    } else {
+      const saved = await client.query(
+        `INSERT INTO licenses (license, user_id, device_id, expiry, plan, created_at)
+       VALUES ($1, $2, $3, $4, $5, NOW())
+       ON CONFLICT (license) DO UPDATE SET
+         device_id = EXCLUDED.device_id, expiry = EXCLUDED.expiry,
+         plan = EXCLUDED.plan, status = 'active', status_reason = NULL,
+         superseded_by = NULL, status_changed_at = NOW()
+       WHERE licenses.user_id = EXCLUDED.user_id
+         AND licenses.status <> 'revoked'
+       RETURNING license`,
+        [newLicense, licenseRow.user_id, next.deviceId, next.expiry, next.plan],
+      );
+      if (saved.rows.length === 0) {
+        return {
+          error: {
+            status: 409,
+            message: "New license matches a revoked license",
+          },
+        };
+      }
+      await client.query(
+        `UPDATE licenses
+       SET status = 'superseded', superseded_by = $1, status_reason = $2,
+           status_changed_at = NOW()
+       WHERE license = $3`,
+        [newLicense, action, licenseRow.license],
+      );
+      await moveSeat(client, licenseRow, newLicense, next.deviceId);
+    }
+
+    await recordAudit(client, req, {
+      actor,
+      action: `license.${action}`,
+      userId: licenseRow.user_id,
+      deviceId: next.deviceId,
+      license: newLicense,
+      before,
+      after: { license: newLicense, ...next },
+    });
+
+    return { license: newLicense };
+  }
+
+  /**
+   * Move a license to another device (license cũ → superseded).
+   * Returns { license } hoặc { error } (xem supersedeLicense).
+   */
+  async function transferLicense(client, req, licenseRow, newDeviceId, actor) {
+    return supersedeLicense(
+      client,
+      req,
+      licenseRow,
+      { deviceId: newDeviceId },
+      { action: "transfer", actor },
+    );
+  }
+
+  /**
+   * Chiếm một seat cho deviceId (máy đã có seat → chỉ cập nhật last_seen_at)
+   *
+   * Hết seat: policy reject → { error }, evict-lru → gỡ máy lâu không dùng
+   * nhất. Returns { evicted: [deviceId] }.
+   */
+  async function claimSeat(
+    client,
+    req,
+    { userId, deviceId, deviceName, license, plan, actor },
+  ) {
+    // Khoá user để nhiều máy verify cùng lúc không vượt limit
+    await client.query("SELECT 1 FROM users WHERE user_id = $1 FOR UPDATE", [
+      userId,
+    ]);
+
+    const bindings = await client.query(
+      "SELECT * FROM device_bindings WHERE user_id = $1 ORDER BY last_seen_at ASC",
+      [userId],
+    );
+    const evicted = [];
+
+    if (!bindings.rows.some((b) => b.device_id === deviceId)) {
+      const { maxDevices, policy } = await getSeatLimit(client, userId, plan);
+      const excess = bindings.rows.length + 1 - maxDevices;
+
+      if (excess > 0) {
+        if (policy === "reject") {
+          return { error: { status: 403, message: "Device limit reached" } };
+        }
+        for (const binding of bindings.rows.slice(0, excess)) {
+          await releaseDevice(client, req, binding, { action: "evict", actor });
+          evicted.push(binding.device_id);
+        }
+      }
+    }
+
+    await upsertDeviceBinding(client, {
+      userId,
+      deviceId,
+      deviceName,
+      license,
+    });
+    return { evicted };
+  }
+
+  /**
+   * Duyệt reset request: chuyển license sang máy mới
+   *
+   * license: dùng khi request không kèm oldLicense. Returns { request, license }
+   * hoặc { error }.
+   */
+  async function approveResetRequest(
+    client,
+    req,
+    requestId,
+    { license, note },
+  ) {
+    const requestQuery = await client.query(
+      "SELECT * FROM reset_requests WHERE id = $1 FOR UPDATE",
+      [requestId],
+    );
+    if (requestQuery.rows.length === 0) {
+      return { error: { status: 404, message: "Reset request not found" } };
+    }
+    const request = requestQuery.rows[0];
+    if (request.status !== "pending") {
+      return {
+        error: {
+          status: 409,
+          message: `Reset request already ${request.status}`,
+        },
+      };
+    }
+
+    const oldLicense = license || request.old_license;
+    if (!oldLicense) {
+      return {
+        error: { status: 400, message: "Request has no license; pass license" },
+      };
+    }
+
+    const found = await findCurrentLicense(client, oldLicense, { lock: true });
+    if (!found) {
+      return { error: { status: 404, message: "License not found" } };
+    }
+    // License có thể đã được gia hạn sau khi learner gửi request
+    const licenseRow = found.current;
+    if (licenseRow.status === "revoked" || licenseRow.status === "superseded") {
+      return {
+        error: { status: 409, message: `License ${licenseRow.status}` },
+      };
+    }
+
+    const transferred = await transferLicense(
+      client,
+      req,
+      licenseRow,
+      request.new_device_id,
+      adminActor(req),
+    );
+    if (transferred.error) return transferred;
+    const newLicense = transferred.license;
+
+    const updated = await client.query(
+      `UPDATE reset_requests
+     SET status = 'approved', user_id = $1, old_license = $2,
+         old_device_id = $3, new_license = $4, decided_by = $5,
+         decision_note = $6, decided_at = NOW()
+     WHERE id = $7
+     RETURNING *`,
+      [
+        licenseRow.user_id,
+        licenseRow.license,
+        licenseRow.device_id,
+        newLicense,
+        req.admin.name,
+        note || null,
+        request.id,
+      ],
+    );
+
+    return {
+      request: formatResetRequest(updated.rows[0]),
+      license: newLicense,
+    };
+  }
+
+  /**
+   * Thay license của user (userId) hoặc một license (license)
+   *
+   * Dùng chung cho extend / renew / upgrade: mỗi license được thay bằng license
+   * mới theo `changesFor(row)`, license cũ → superseded. Theo userId thì các
+   * activation code chưa dùng hết của user cũng được cập nhật. Gọi trong
+   * transaction; returns { userId, licenses, activationCodes } hoặc { error }.
+   */
+  async function replaceUserLicenses(
+    client,
+    req,
+    { userId, license },
+    { action, statuses, changesFor },
+  ) {
+    let rows;
+    if (license) {
+      const found = await findCurrentLicense(client, license, { lock: true });
+      if (!found) {
+        return { error: { status: 404, message: "License not found" } };
+      }
+      if (!statuses.includes(found.current.status)) {
+        return {
+          error: { status: 409, message: `License ${found.current.status}` },
+        };
+      }
+      if (!found.current.device_id) {
+        return {
+          error: { status: 409, message: "License not bound to a device" },
+        };
+      }
+      rows = [found.current];
+    } else {
+      const result = await client.query(
+        `SELECT ${LICENSE_COLUMNS} FROM licenses
+       WHERE user_id = $1 AND status = ANY($2) AND device_id IS NOT NULL
+       ORDER BY created_at
+       FOR UPDATE`,
+        [userId, statuses],
+      );
+      rows = result.rows;
+    }
+
+    const licenses = [];
+    for (const row of rows) {
+      const changes = changesFor(row);
+      if (changes.expiry && !isExpiryValid(changes.expiry)) {
+        return { error: { status: 400, message: "New expiry is in the past" } };
+      }
+      const superseded = await supersedeLicense(client, req, row, changes, {
+        action,
+        actor: adminActor(req),
+      });
+      if (superseded.error) return superseded;
+      const newLicense = superseded.license;
+      licenses.push({
+        previousLicense: row.license,
+        license: newLicense,
+        format: isV2License(newLicense) ? "v2" : "v1",
+        deviceId: row.device_id,
+        expiry: changes.expiry || row.expiry,
+        plan: changes.plan || row.plan,
+      });
+    }
+
+    let activationCodes = 0;
+    if (!license) {
+      const codes = await client.query(
+        `SELECT code, expiry, plan, format FROM activation_codes
+       WHERE user_id = $1 AND revoked_at IS NULL
+         AND activation_count < max_activations
+       FOR UPDATE`,
+        [userId],
+      );
+      for (const c of codes.rows) {
+        const changes = changesFor(c);
+        if (!changes.expiry && !changes.plan && !changes.format) continue;
+
+        const updated = await client.query(
+          `UPDATE activation_codes
+         SET expiry = COALESCE($1, expiry), plan = COALESCE($2, plan),
+             format = COALESCE($3, format)
+         WHERE code = $4
+         RETURNING expiry, plan, format`,
+          [
+            changes.expiry || null,
+            changes.plan || null,
+            changes.format || null,
+            c.code,
+          ],
+        );
+        await recordAudit(client, req, {
+          actor: adminActor(req),
+          action: `activation-code.${action}`,
+          userId,
+          license: c.code,
+          before: { expiry: c.expiry, plan: c.plan, format: c.format },
+          after: updated.rows[0],
+        });
+        activationCodes++;
+      }
+    }
+
+    if (licenses.length === 0 && activationCodes === 0) {
+      return { error: { status: 404, message: "No licenses to update" } };
+    }
+
+    return { userId: userId || rows[0].user_id, licenses, activationCodes };
+  }
+
+  return {
+    planFeaturesCache,
+    parseAndValidateLicense,
+    getEntitlements,
+    transferLicense,
+    claimSeat,
+    approveResetRequest,
+    replaceUserLicenses,
+  };
+}
@@ -0,0 +1,166 @@
+// lib/migrations.js - Versioned schema migrations
+//
+// Mỗi file trong migrations/ có dạng NNNN_name.sql và được apply đúng một lần,
+// theo thứ tự version, mỗi file trong một transaction. Các version đã apply
+// được ghi vào bảng schema_migrations (kèm checksum để phát hiện file bị sửa).
+// Store SQLite (lib/store/sqlite.js) dùng bộ migration riêng trong
+// migrations/sqlite/.
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+
+export const MIGRATIONS_DIR = fileURLToPath(
+  new URL("../migrations", import.meta.url),
+);
+
+export const SQLITE_MIGRATIONS_DIR = fileURLToPath(
+  new URL("../migrations/sqlite", import.meta.url),
+);
+
+/**
+ * Thư mục migration theo dialect của store
+ */
+function defaultDir(pool) {
+  return pool.dialect === "sqlite" ? SQLITE_MIGRATIONS_DIR : MIGRATIONS_DIR;
+}
+
+// Khoá advisory để nhiều instance khởi động cùng lúc không migrate chồng nhau
+const MIGRATION_LOCK_ID = 720_001;
+
+/**
+ * Read migration files, sorted by version
+ */
+export async function loadMigrations(dir = MIGRATIONS_DIR) {
+  const files = (await fs.readdir(dir)).filter((f) => f.endsWith(".sql"));
+  const migrations = [];
+
+  for (const file of files) {
+    const match = /^(\d+)_([\w-]+)\.sql$/.exec(file);
+    if (!match) {
+      throw new Error(`Invalid migration file name: ${file}`);
+    }
+    const sql = await fs.readFile(path.join(dir, file), "utf8");
+    migrations.push({
+      version: parseInt(match[1], 10),
+      name: match[2],
+      file,
+      sql,
+      checksum: crypto.createHash("sha256").update(sql).digest("hex"),
+    });
+  }
+
+  migrations.sort((a, b) => a.version - b.version);
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version: ${migrations[i].file}`);
+    }
+  }
+  return migrations;
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+       version INTEGER PRIMARY KEY,
+       name VARCHAR(255) NOT NULL,
+       checksum CHAR(64) NOT NULL,
+       applied_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+     )`,
+  );
+}
+
+/**
+ * Applied / pending / modified migrations
+ */
+export async function getMigrationStatus(pool, dir = defaultDir(pool)) {
+  const migrations = await loadMigrations(dir);
+  const client = await pool.connect();
+
+  try {
+    await ensureMigrationsTable(client);
+    const result = await client.query(
+      "SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version",
+    );
+    const applied = new Map(result.rows.map((r) => [r.version, r]));
+
+    return migrations.map((m) => {
+      const row = applied.get(m.version);
+      return {
+        version: m.version,
+        name: m.name,
+        status: !row
+          ? "pending"
+          : row.checksum.trim() === m.checksum
+            ? "applied"
+            : "modified",
+        appliedAt: row ? row.applied_at : null,
+      };
+    });
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Apply all pending migrations. Returns the list of applied migrations.
+ */
+export async function migrateUp(
+  pool,
+  { dir = defaultDir(pool), log = console.log } = {},
+) {
+  const migrations = await loadMigrations(dir);
+  const client = await pool.connect();
+  const appliedNow = [];
+  // SQLite: transaction (BEGIN IMMEDIATE) đã khoá ghi cả database
+  const advisoryLock = pool.dialect !== "sqlite";
+
+  try {
+    if (advisoryLock) {
+      await client.query("SELECT pg_advisory_lock($1)", [MIGRATION_LOCK_ID]);
+    }
+    await ensureMigrationsTable(client);
+
+    const result = await client.query(
+      "SELECT version, checksum FROM schema_migrations",
+    );
+    const applied = new Map(
+      result.rows.map((r) => [r.version, r.checksum.trim()]),
+    );
+
+    for (const m of migrations) {
+      if (applied.has(m.version)) {
+        if (applied.get(m.version) !== m.checksum) {
+          log(`⚠️  Migration ${m.file} was modified after being applied`);
+        }
+        continue;
+      }
+
+      log(`⏫ Applying migration ${m.file}`);
+      try {
+        await client.query("BEGIN");
+        await client.query(m.sql);
+        await client.query(
+          `INSERT INTO schema_migrations (version, name, checksum, applied_at)
+           VALUES ($1, $2, $3, NOW())`,
+          [m.version, m.name, m.checksum],
+        );
+        await client.query("COMMIT");
+      } catch (err) {
+        await client.query("ROLLBACK");
+        err.message = `Migration ${m.file} failed: ${err.message}`;
+        throw err;
+      }
+      appliedNow.push(m);
+    }
+
+    return appliedNow;
+  } finally {
+    if (advisoryLock) {
+      await client
+        .query("SELECT pg_advisory_unlock($1)", [MIGRATION_LOCK_ID])
+        .catch(() => {});
+    }
+    client.release();
+  }
+}
@@ -0,0 +1,554 @@
+// lib/notifications.js - Nhắc license sắp hết hạn / kỳ thi sắp tới
+//
+// Scheduler (server.js start) chạy mỗi NOTIFY_INTERVAL_MINUTES:
+//   1. queueReminders: tìm learner có license hết hạn trong NOTIFY_EXPIRY_DAYS
+//      ngày / thi trong NOTIFY_EXAM_DAYS ngày, render template (vi | en) và ghi
+//      vào bảng notifications. Mỗi mốc (vd. 30, 7, 1 ngày) một thông báo,
+//      dedupe_key UNIQUE → không gửi trùng dù scan lại hay nhiều instance.
+//   2. deliver: gửi các notification pending qua transport, lỗi → retry với
+//      backoff như webhooks, hết NOTIFY_MAX_ATTEMPTS lần → failed.
+//
+// Transport = { name, requiresEmail, send(notification) } (send throw khi
+// lỗi). NOTIFY_TRANSPORT: console | file:<path> | webhook | smtp | off.
+import { appendFile } from "fs/promises";
+import { addDaysYmd, daysBetweenYmd, formatDate } from "./dates.js";
+import { backoffSeconds, signWebhookPayload } from "./webhooks.js";
+import { parseSmtpUrl, sendMail } from "./smtp.js";
+import { validate } from "./validate.js";
+
+export const NOTIFICATION_KINDS = ["license-expiring", "exam-approaching"];
+export const NOTIFICATION_LOCALES = ["vi", "en"];
+
+// =========================================================
+// TEMPLATES
+// =========================================================
+
+// YYYYMMDD → 05/03/2099 (vi) | 2099-03-05 (en)
+const formatYmd = {
+  vi: (ymd) => `${ymd.slice(6, 8)}/${ymd.slice(4, 6)}/${ymd.slice(0, 4)}`,
+  en: (ymd) => `${ymd.slice(0, 4)}-${ymd.slice(4, 6)}-${ymd.slice(6, 8)}`,
+};
+
+const TEMPLATES = {
+  vi: {
+    "license-expiring": ({ userName, expiry, daysLeft }) => ({
+      subject:
+        daysLeft === 0
+          ? "License N1 của bạn hết hạn hôm nay"
+          : `License N1 của bạn sẽ hết hạn sau ${daysLeft} ngày`,
+      body: [
+        `Chào ${userName},`,
+        "",
+        `License N1 của bạn có hạn tới hết ngày ${formatYmd.vi(expiry)}.`,
+        "Hãy gia hạn trước ngày này để việc học không bị gián đoạn - tiến độ, bookmark và lịch ôn tập vẫn được giữ nguyên.",
+        "",
+        "N1",
+      ].join("\n"),
+    }),
+    "exam-approaching": ({ userName, examDate, daysLeft }) => ({
+      subject:
+        daysLeft === 0
+          ? "Hôm nay là ngày thi N1 - chúc bạn thi tốt!"
+          : `Còn ${daysLeft} ngày nữa là tới kỳ thi N1`,
+      body: [
+        `Chào ${userName},`,
+        "",
+        `Kỳ thi của bạn vào ngày ${formatYmd.vi(examDate)}.`,
+        daysLeft === 0
+          ? "Bình tĩnh, đọc kỹ đề và làm hết sức mình nhé."
+          : "Hãy dành thời gian ôn các thẻ tới hạn và các câu đã đánh dấu để vào phòng thi thật tự tin.",
+        "",
+        "Chúc bạn thi tốt!",
+        "N1",
+      ].join("\n"),
+    }),
+  },
+  en: {
+    "license-expiring": ({ userName, expiry, daysLeft }) => ({
+      subject:
+        daysLeft === 0
+          ? "Your N1 license expires today"
+          : `Your N1 license expires in ${daysLeft} day${daysLeft === 1 ? "" : "s"}`,
+      body: [
+        `Hi ${userName},`,
+        "",
+        `Your N1 license is valid through ${formatYmd.en(expiry)}.`,
+        "Renew before then to keep studying without interruption - your progress, bookmarks and review schedule are kept.",
+        "",
+        "N1",
+      ].join("\n"),
+    }),
+    "exam-approaching": ({ userName, examDate, daysLeft }) => ({
+      subject:
+        daysLeft === 0
+          ? "Today is your N1 exam - good luck!"
+          : `${daysLeft} day${daysLeft === 1 ? "" : "s"} until your N1 exam`,
+      body: [
+        `Hi ${userName},`,
+        "",
+        `Your exam is on ${formatYmd.en(examDate)}.`,
+        daysLeft === 0
+          ? "Stay calm, read each question carefully and do your best."
+          : "Take some time to go through your due review cards and bookmarked questions so you walk in confident.",
+        "",
+        "Good luck!",
+        "N1",
+      ].join("\n"),
+    }),
+  },
+};
+
+/**
+ * Render notification. Returns { subject, body }
+ */
+export function renderNotification(kind, locale, vars) {
+  const template = TEMPLATES[locale]?.[kind];
+  if (!template) throw new Error(`Unknown notification: ${kind} (${locale})`);
+  return template(vars);
+}
+
+/**
+ * Parse "30,7,1" → [1, 7, 30] (mốc nhắc, số ngày trước hạn)
+ */
+export function parseDaysList(value) {
+  const days = String(value)
+    .split(",")
+    .map((d) => d.trim())
+    .filter(Boolean)
+    .map(Number);
+  if (days.some((d) => !Number.isInteger(d) || d < 0)) {
+    throw new Error(`Invalid days list: ${value}`);
+  }
+  return [...new Set(days)].sort((a, b) => a - b);
+}
+
+/**
+ * Mốc nhỏ nhất >= daysLeft (learner vào khoảng 8-30 ngày → mốc 30), null nếu
+ * ngoài mọi mốc
+ */
+export function pickThreshold(daysLeft, thresholds) {
+  if (daysLeft < 0) return null;
+  return thresholds.find((d) => d >= daysLeft) ?? null;
+}
+
+// =========================================================
+// TRANSPORTS
+// =========================================================
+
+/**
+ * In ra console (dev)
+ */
+export function createConsoleTransport({ log = console } = {}) {
+  return {
+    name: "console",
+    requiresEmail: false,
+    async send(n) {
+      log.log(
+        `📨 [${n.kind}] to ${n.recipient || n.userId} (${n.locale}): ${n.subject}\n${n.body}`,
+      );
+    },
+  };
+}
+
+/**
+ * Ghi mỗi notification một dòng JSON vào file (test local / xử lý bằng tool khác)
+ */
+export function createFileTransport(path) {
+  return {
+    name: "file",
+    requiresEmail: false,
+    async send(n) {
+      await appendFile(path, `${JSON.stringify(n)}\n`);
+    },
+  };
+}
+
+/**
+ * POST JSON tới url, ký giống webhooks (X-N1-Signature) nếu có secret
+ */
+export function createWebhookTransport({
+  url,
+  secret = null,
+  timeoutMs = 10_000,
+  fetch = globalThis.fetch,
+}) {
+  return {
+    name: "webhook",
+    requiresEmail: false,
+    async send(n) {
+      const body = JSON.stringify(n);
+      const headers = {
+        "content-type": "application/json",
+        "user-agent": "n1-license-server",
+        "x-n1-event": `notification.${n.kind}`,
+      };
+      if (secret) {
+        const timestamp = Math.floor(Date.now() / 1000);
+        headers["x-n1-signature"] = signWebhookPayload(secret, timestamp, body);
+      }
+      const res = await fetch(url, {
+        method: "POST",
+        headers,
+        body,
+        redirect: "manual",
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      if (res.status < 200 || res.status >= 300) {
+        const text = await res.text().catch(() => "");
+        throw new Error(
+          `HTTP ${res.status}${text ? `: ${text.slice(0, 500)}` : ""}`,
+        );
+      }
+    },
+  };
+}
+
+/**
+ * Gửi email qua SMTP_URL (learner chưa có email → notification skipped)
+ */
+export function createSmtpTransport({ url, from, timeoutMs = 10_000 }) {
+  const server = parseSmtpUrl(url);
+  return {
+    name: "smtp",
+    requiresEmail: true,
+    async send(n) {
+      await sendMail(
+        server,
+        { from, to: n.recipient, subject: n.subject, text: n.body },
+        { timeoutMs },
+      );
+    },
+  };
+}
+
+/**
+ * Transport theo config.notifyTransport, null = tắt
+ */
+export function createTransport(config, { log = console } = {}) {
+  const spec = config.notifyTransport;
+  if (spec === "off") return null;
+  if (spec === "console") return createConsoleTransport({ log });
+  if (spec.startsWith("file:")) {
+    return createFileTransport(spec.slice("file:".length));
+  }
+  if (spec === "webhook") {
+    return createWebhookTransport({
+      url: config.notifyWebhookUrl,
+      secret: config.notifyWebhookSecret,
+    });
+  }
+  if (spec === "smtp") {
+    return createSmtpTransport({
+      url: config.smtpUrl,
+      from: config.notifyFrom,
+    });
+  }
+  throw new Error(`Unknown NOTIFY_TRANSPORT: ${spec}`);
+}
+
+// =========================================================
+// SETTINGS
+// =========================================================
+// Learner (/api/notifications/settings) hoặc admin
+// (/api/admin/notification-settings) đặt email, ngôn ngữ, tắt / bật nhắc.
+
+export const EMAIL_PATTERN = /^[^\s@<>,;"]+@[^\s@<>,;"]+\.[^\s@<>,;"]+$/;
+
+const NOTIFICATION_SETTINGS_SCHEMA = {
+  email: { type: "string", maxLength: 255 },
+  locale: { type: "string" },
+  enabled: { type: "boolean" },
+};
+
+/**
+ * Validate body (email / locale null = xoá). Returns { columns: [[column,
+ * value]] } hoặc { error }
+ */
+export function parseNotificationSettings(body) {
+  const { value, errors } = validate(NOTIFICATION_SETTINGS_SCHEMA, body, {
+    partial: true,
+  });
+  if (value.email !== undefined) value.email = value.email.trim();
+  if (value.email && !EMAIL_PATTERN.test(value.email)) {
+    errors.push("email is invalid");
+  }
+  if (
+    value.locale !== undefined &&
+    !NOTIFICATION_LOCALES.includes(value.locale)
+  ) {
+    errors.push(`locale must be ${NOTIFICATION_LOCALES.join(" or ")}`);
+  }
+  if (errors.length > 0) return { error: errors.join("; ") };
+
+  // email "" / null và locale null = xoá (locale → mặc định của server)
+  const columns = [];
+  if (body?.email !== undefined) columns.push(["email", value.email || null]);
+  if (body?.locale !== undefined) {
+    columns.push(["locale", value.locale || null]);
+  }
+  if (value.enabled !== undefined) {
+    columns.push(["notifications_enabled", value.enabled]);
+  }
+  return { columns };
+}
+
+/**
+ * UPDATE cột (nếu có) rồi đọc lại (locale null → defaultLocale). Returns
+ * settings hoặc null (không có user)
+ */
+export async function updateNotificationSettings(
+  db,
+  userId,
+  columns,
+  defaultLocale,
+) {
+  if (columns.length > 0) {
+    await db.query(
+      `UPDATE users SET ${columns
+        .map(([column], i) => `${column} = $${i + 2}`)
+        .join(", ")} WHERE user_id = $1`,
+      [userId, ...columns.map(([, value]) => value)],
+    );
+  }
+  const result = await db.query(
+    "SELECT email, locale, notifications_enabled FROM users WHERE user_id = $1",
+    [userId],
+  );
+  const row = result.rows[0];
+  if (!row) return null;
+  return {
+    email: row.email,
+    locale: row.locale || defaultLocale,
+    enabled: row.notifications_enabled,
+  };
+}
+
+// =========================================================
+// SCHEDULER
+// =========================================================
+
+/**
+ * Scheduler nhắc hạn license / ngày thi
+ *
+ * options: transport, expiryDays / examDays (mốc, parseDaysList), defaultLocale
+ * (users.locale NULL), maxAttempts, intervalMs (start()), batchSize.
+ */
+export function createNotificationScheduler({
+  store,
+  transport,
+  expiryDays = [1, 7, 30],
+  examDays = [1, 7, 30],
+  defaultLocale = "vi",
+  maxAttempts = 5,
+  intervalMs = 3_600_000,
+  batchSize = 50,
+  log = console,
+}) {
+  /**
+   * Ghi notification (bỏ qua nếu dedupeKey đã có). Returns 1 nếu ghi mới.
+   */
+  async function queue(kind, user, vars, dedupeKey) {
+    const locale = user.locale || defaultLocale;
+    const { subject, body } = renderNotification(kind, locale, {
+      userName: user.user_name,
+      ...vars,
+    });
+    const skipped = transport.requiresEmail && !user.email;
+
+    const result = await store.query(
+      `INSERT INTO notifications
+       (dedupe_key, user_id, kind, locale, recipient, subject, body, data,
+        transport, status, last_error, created_at, next_attempt_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW(), NOW())
+     ON CONFLICT (dedupe_key) DO NOTHING
+     RETURNING id`,
+      [
+        dedupeKey,
+        user.user_id,
+        kind,
+        locale,
+        user.email || null,
+        subject,
+        body,
+        JSON.stringify(vars),
+        transport.name,
+        skipped ? "skipped" : "pending",
+        skipped ? "No email address" : null,
+      ],
+    );
+    return result.rows.length;
+  }
+
+  /**
+   * Tìm learner tới mốc nhắc (today = YYYYMMDD, mặc định hôm nay giờ server).
+   * Returns số notification mới.
+   */
+  async function queueReminders(today = addDaysYmd(0)) {
+    let queued = 0;
+
+    // License: theo hạn xa nhất trong các license active của learner (nhiều
+    // máy / đã gia hạn), expiry là YYYYMMDD nên so sánh chuỗi được
+    if (expiryDays.length > 0) {
+      const until = addDaysYmd(expiryDays[expiryDays.length - 1], today);
+      const expiring = await store.query(
+        `SELECT u.user_id, u.user_name, u.email, u.locale, MAX(l.expiry) AS expiry
+       FROM users u
+       JOIN licenses l ON l.user_id = u.user_id
+       WHERE l.status = 'active' AND u.notifications_enabled
+         AND NOT EXISTS (SELECT 1 FROM revoked_users r WHERE r.user_id = u.user_id)
+       GROUP BY u.user_id, u.user_name, u.email, u.locale
+       HAVING MAX(l.expiry) >= $1 AND MAX(l.expiry) <= $2`,
+        [today, until],
+      );
+      for (const user of expiring.rows) {
+        const daysLeft = daysBetweenYmd(today, user.expiry);
+        const threshold = pickThreshold(daysLeft, expiryDays);
+        if (threshold === null) continue;
+        queued += await queue(
+          "license-expiring",
+          user,
+          { expiry: user.expiry, daysLeft, threshold },
+          `license-expiring:${user.user_id}:${user.expiry}:${threshold}`,
+        );
+      }
+    }
+
+    // Ngày thi: lọc trong JS (DATE lưu khác nhau giữa Postgres / SQLite)
+    if (examDays.length > 0) {
+      const exams = await store.query(
+        `SELECT u.user_id, u.user_name, u.email, u.locale, u.exam_date
+       FROM users u
+       WHERE u.exam_date IS NOT NULL AND u.notifications_enabled
+         AND NOT EXISTS (SELECT 1 FROM revoked_users r WHERE r.user_id = u.user_id)`,
+      );
+      for (const user of exams.rows) {
+        const examDate = formatDate(user.exam_date);
+        const daysLeft = daysBetweenYmd(today, examDate);
+        const threshold = pickThreshold(daysLeft, examDays);
+        if (threshold === null) continue;
+        queued += await queue(
+          "exam-approaching",
+          user,
+          { examDate, daysLeft, threshold },
+          `exam-approaching:${user.user_id}:${examDate}:${threshold}`,
+        );
+      }
+    }
+
+    return queued;
+  }
+
+  /**
+   * Gửi các notification tới hạn (một batch). Returns { claimed, sent, failed }
+   */
+  async function deliver() {
+    // Claim như webhook dispatcher: lease để instance khác không gửi trùng
+    const lease = new Date(Date.now() + 5 * 60_000);
+    const claimed = await store.query(
+      `UPDATE notifications SET next_attempt_at = $1
+     WHERE id IN (
+       SELECT id FROM notifications
+       WHERE status = 'pending' AND next_attempt_at <= NOW()
+       ORDER BY next_attempt_at, id
+       LIMIT $2
+     )
+     AND status = 'pending' AND next_attempt_at <= NOW()
+     RETURNING id, user_id, kind, locale, recipient, subject, body, data, attempts`,
+      [lease, batchSize],
+    );
+
+    const counts = { claimed: claimed.rows.length, sent: 0, failed: 0 };
+    for (const row of claimed.rows) {
+      const attempts = row.attempts + 1;
+      try {
+        await transport.send({
+          id: String(row.id),
+          kind: row.kind,
+          userId: row.user_id,
+          locale: row.locale,
+          recipient: row.recipient,
+          subject: row.subject,
+          body: row.body,
+          data: row.data,
+        });
+        await store.query(
+          `UPDATE notifications
+         SET status = 'sent', attempts = $1, last_error = NULL, sent_at = NOW()
+         WHERE id = $2`,
+          [attempts, row.id],
+        );
+        counts.sent++;
+      } catch (err) {
+        const failed = attempts >= maxAttempts;
+        await store.query(
+          `UPDATE notifications
+         SET status = $1, attempts = $2, last_error = $3, next_attempt_at = $4
+         WHERE id = $5`,
+          [
+            failed ? "failed" : "pending",
+            attempts,
+            err.message,
+            new Date(Date.now() + backoffSeconds(attempts) * 1000),
+            row.id,
+          ],
+        );
+        if (failed) {
+          counts.failed++;
+          log.error(
+            `❌ Notification ${row.id} (${row.kind}) failed after ${attempts} attempts: ${err.message}`,
+          );
+        }
+      }
+    }
+    return counts;
+  }
+
+  /**
+   * Scan + gửi. Returns { queued, sent, failed }
+   */
+  async function runOnce(today) {
+    const queued = await queueReminders(today);
+    const counts = { sent: 0, failed: 0 };
+    let batch;
+    do {
+      batch = await deliver();
+      counts.sent += batch.sent;
+      counts.failed += batch.failed;
+    } while (batch.claimed === batchSize);
+    return { queued, ...counts };
+  }
+
+  let timer = null;
+  let running = null;
+
+  return {
+    queueReminders,
+    deliver,
+    runOnce,
+
+    /**
+     * Chạy ngay rồi lặp mỗi intervalMs
+     */
+    start() {
+      if (timer) return;
+      const loop = async () => {
+        running = runOnce().catch((err) =>
+          log.error("❌ Notification scheduler error:", err),
+        );
+        await running;
+        running = null;
+        if (timer) timer = setTimeout(loop, intervalMs);
+      };
+      timer = setTimeout(loop, 0);
+    },
+
+    /**
+     * Dừng, đợi lượt đang chạy xong
+     */
+    async stop() {
+      clearTimeout(timer);
+      timer = null;
+      await running;
+    },
+  };
+}
@@ -0,0 +1,129 @@
+// lib/payments.js - Callback thanh toán (đơn hàng → license tự động)
+//
+// Cổng thanh toán (provider) được khai báo bằng PAYMENT_PROVIDERS=name:secret
+// và gọi:
+//   POST /api/payments/<name>/callback
+//   X-N1-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256(secret, "<t>.<body>")>
+//   body = JSON { id, type, orderId, amount, currency, providerRef }
+// (cùng format chữ ký với webhook gửi đi, lib/webhooks.js). Cổng thật
+// (VNPay, MoMo, chuyển khoản...) cần một adapter nhỏ đổi callback của họ sang
+// format này. id là event id phía provider: (provider, id) UNIQUE trong
+// payment_events nên callback gửi lại chỉ nhận lại kết quả cũ.
+//
+// PAYMENT_MOCK=true bật provider "mock" + POST /api/payments/mock/checkout để
+// thử luồng thanh toán trên máy local (không dùng cho production).
+import crypto from "crypto";
+import { signWebhookPayload } from "./webhooks.js";
+
+/**
+ * type của event: thanh toán thành công / hoàn tiền
+ */
+export const PAYMENT_EVENT_TYPES = ["payment.succeeded", "payment.refunded"];
+
+export const ORDER_STATUSES = ["pending", "paid", "refunded", "cancelled"];
+
+// Provider nội bộ: đánh dấu đã thanh toán bằng tay (/api/admin/orders/:id/mark-paid)
+export const MANUAL_PROVIDER = "manual";
+export const MOCK_PROVIDER = "mock";
+
+/**
+ * Parse PAYMENT_PROVIDERS "bank:secret1,momo:secret2" → Map name → secret
+ */
+export function parsePaymentProviders(spec) {
+  const providers = new Map();
+  for (const entry of (spec || "").split(",")) {
+    if (!entry.trim()) continue;
+    const index = entry.indexOf(":");
+    const name = entry.slice(0, index).trim();
+    const secret = entry.slice(index + 1).trim();
+    if (index === -1 || !/^[a-z0-9-]{1,50}$/.test(name) || !secret) {
+      throw new Error(`Invalid payment provider "${entry.trim()}"`);
+    }
+    if (name === MANUAL_PROVIDER) {
+      throw new Error(`Payment provider name "${name}" is reserved`);
+    }
+    providers.set(name, secret);
+  }
+  return providers;
+}
+
+/**
+ * Mã đơn hàng công khai (ghi vào nội dung chuyển khoản / gửi cho provider)
+ */
+export function generateOrderReference() {
+  return `ord_${crypto.randomBytes(12).toString("hex")}`;
+}
+
+/**
+ * Kiểm tra X-N1-Signature của callback (body = raw string)
+ *
+ * Returns null nếu hợp lệ, ngược lại lý do (không lộ chữ ký đúng).
+ */
+export function verifyPaymentSignature(
+  secret,
+  header,
+  body,
+  { toleranceSeconds = 300, now = Date.now() } = {},
+) {
+  const match = /^t=(\d+),v1=([0-9a-f]{64})$/.exec(header || "");
+  if (!match) return "Missing or malformed signature";
+
+  const timestamp = Number(match[1]);
+  if (Math.abs(now / 1000 - timestamp) > toleranceSeconds) {
+    return "Signature timestamp outside tolerance";
+  }
+
+  const expected = Buffer.from(
+    signWebhookPayload(secret, timestamp, body).split("v1=")[1],
+  );
+  const actual = Buffer.from(match[2]);
+  if (!crypto.timingSafeEqual(expected, actual)) return "Invalid signature";
+  return null;
+}
+
+/**
+ * Parse + validate body của callback. Returns { event } hoặc { error }.
+ */
+export function parsePaymentEvent(body) {
+  let event;
+  try {
+    event = JSON.parse(body);
+  } catch {
+    return { error: "Body must be JSON" };
+  }
+  if (!event || typeof event !== "object" || Array.isArray(event)) {
+    return { error: "Body must be a JSON object" };
+  }
+  if (typeof event.id !== "string" || !event.id || event.id.length > 255) {
+    return { error: "id must be a non-empty string" };
+  }
+  if (!PAYMENT_EVENT_TYPES.includes(event.type)) {
+    return { error: `type must be one of: ${PAYMENT_EVENT_TYPES.join(", ")}` };
+  }
+  if (typeof event.orderId !== "string" || !event.orderId) {
+    return { error: "orderId is required" };
+  }
+  if (
+    event.type === "payment.succeeded" &&
+    !(Number.isInteger(event.amount) && event.amount >= 0)
+  ) {
+    return { error: "amount must be a non-negative integer" };
+  }
+  if (event.providerRef != null && typeof event.providerRef !== "string") {
+    return { error: "providerRef must be a string" };
+  }
+  return { event };
+}
+
+/**
+ * Ký callback như provider thật (mock provider, test). Returns
+ * { body, signature } để gửi tới /api/payments/<name>/callback.
+ */
+export function signPaymentCallback(
+  secret,
+  event,
+  timestamp = Math.floor(Date.now() / 1000),
+) {
+  const body = JSON.stringify(event);
+  return { body, signature: signWebhookPayload(secret, timestamp, body) };
+}
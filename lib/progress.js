@@ -0,0 +1,92 @@
+// lib/progress.js - Progress (perfectCount theo module) + attempts /
+// question_stats của learner: validate + format cho API
+//
+// Dùng chung cho /api/progress, /api/attempts (lib/routes/progress.js) và
+// /api/sync (lib/sync.js); query nằm trong lib/repos/progress.js.
+import { validate } from "./validate.js";
+
+/**
+ * Format attempt row for API responses
+ */
+export function formatAttempt(r, answers = null) {
+  return {
+    attemptId: String(r.id),
+    testId: r.test_id,
+    moduleId: r.module_id,
+    score: r.score,
+    total: r.total,
+    durationMs: r.duration_ms,
+    startedAt: r.started_at,
+    finishedAt: r.finished_at,
+    ...(answers && {
+      answers: answers.map((a) => ({
+        questionKey: a.question_key,
+        answer: a.answer,
+        correct: a.correct,
+        timeMs: a.time_ms,
+      })),
+    }),
+  };
+}
+
+/**
+ * Format question_stats row for API responses
+ */
+export function formatQuestionStat(r) {
+  return {
+    questionKey: r.question_key,
+    testId: r.test_id,
+    attempts: r.attempts,
+    correct: r.correct,
+    accuracy: r.attempts ? Math.round((r.correct / r.attempts) * 100) / 100 : 0,
+    streak: r.streak,
+    lastCorrect: r.last_correct,
+    lastAnsweredAt: r.last_answered_at,
+  };
+}
+
+const ATTEMPT_SCHEMA = {
+  testId: { type: "string", required: true, maxLength: 100 },
+  moduleId: { type: "string", maxLength: 100 },
+  answers: {
+    type: "array",
+    required: true,
+    maxItems: 500,
+    items: {
+      type: "object",
+      properties: {
+        questionKey: { type: "string", required: true, maxLength: 255 },
+        answer: { type: "string", maxLength: 2000 },
+        correct: { type: "boolean", required: true },
+        timeMs: { type: "integer", min: 0 },
+      },
+    },
+  },
+  score: { type: "integer", min: 0 },
+  total: { type: "integer", min: 1 },
+  durationMs: { type: "integer", min: 0 },
+  // Client time (ms epoch)
+  startedAt: { type: "integer", min: 0 },
+  finishedAt: { type: "integer", min: 0 },
+};
+
+/**
+ * Validate attempt payload. Returns { value, error }.
+ */
+export function validateAttempt(body) {
+  const { value, errors } = validate(ATTEMPT_SCHEMA, body);
+  if (errors.length > 0) return { error: errors.join("; ") };
+
+  if (value.answers.length === 0) return { error: "answers is empty" };
+  const keys = new Set(value.answers.map((a) => a.questionKey));
+  if (keys.size !== value.answers.length) {
+    return { error: "Duplicate questionKey in answers" };
+  }
+
+  value.score ??= value.answers.filter((a) => a.correct).length;
+  value.total ??= value.answers.length;
+  if (value.score > value.total || value.answers.length > value.total) {
+    return { error: "score and answers must not exceed total" };
+  }
+  return { value };
+}
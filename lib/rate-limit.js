@@ -0,0 +1,187 @@
+// lib/rate-limit.js - Rate limiting + brute-force lockouts
+//
+// Mỗi request được đếm theo nhiều key (ip:..., device:..., license:...), mỗi
+// loại key có budget riêng trong một fixed window. Request thất bại được đếm
+// ở budget riêng; vượt budget thất bại thì key bị khoá (lockout) một thời gian.
+//
+// Store interface (async để sau này thay bằng Redis / Postgres dùng chung
+// nhiều instance):
+//   increment(key, windowMs)  → { count, resetAt }
+//   reset(key)
+//   lock(key, lock)           lock = { until, reason, lockedAt, failures }
+//   getLock(key)              → lock | null
+//   unlock(key)               → true nếu key đang bị khoá
+//   listLocks()               → [{ key, ...lock }]
+
+/**
+ * Parse "ip:60,device:30" → { ip: 60, device: 30 }
+ */
+export function parseLimits(spec) {
+  const limits = {};
+  for (const entry of (spec || "").split(",")) {
+    if (!entry.trim()) continue;
+    const [type, value] = entry.split(":").map((s) => s.trim());
+    const limit = parseInt(value, 10);
+    if (!type || !(limit > 0)) {
+      throw new Error(`Invalid limit "${entry.trim()}"`);
+    }
+    limits[type] = limit;
+  }
+  return limits;
+}
+
+/**
+ * In-memory store (một instance). Entry hết hạn được dọn định kỳ.
+ */
+export function createMemoryStore({ sweepIntervalMs = 60_000 } = {}) {
+  const counters = new Map();
+  const locks = new Map();
+
+  const sweep = () => {
+    const now = Date.now();
+    for (const [key, c] of counters) if (c.resetAt <= now) counters.delete(key);
+    for (const [key, l] of locks) if (l.until <= now) locks.delete(key);
+  };
+  setInterval(sweep, sweepIntervalMs).unref();
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      let c = counters.get(key);
+      if (!c || c.resetAt <= now) {
+        c = { count: 0, resetAt: now + windowMs };
+        counters.set(key, c);
+      }
+      c.count++;
+      return { count: c.count, resetAt: c.resetAt };
+    },
+    async reset(key) {
+      counters.delete(key);
+    },
+    async lock(key, lock) {
+      locks.set(key, lock);
+    },
+    async getLock(key) {
+      const lock = locks.get(key);
+      if (!lock) return null;
+      if (lock.until <= Date.now()) {
+        locks.delete(key);
+        return null;
+      }
+      return lock;
+    },
+    async unlock(key) {
+      return locks.delete(key);
+    },
+    async listLocks() {
+      sweep();
+      return [...locks].map(([key, lock]) => ({ key, ...lock }));
+    },
+  };
+}
+
+/**
+ * Create a rate limiter
+ *
+ * limits:   request budget mỗi loại key trong windowMs ({ ip: 60, ... })
+ * failures: failure budget mỗi loại key trong failureWindowMs
+ * lockoutMs: thời gian khoá khi vượt failure budget
+ */
+export function createRateLimiter({
+  store = createMemoryStore(),
+  limits = {},
+  windowMs = 60_000,
+  failures = {},
+  failureWindowMs = 15 * 60_000,
+  lockoutMs = 15 * 60_000,
+}) {
+  // keys = { ip: "1.2.3.4", device: "abc", license: null } → ["ip:1.2.3.4", ...]
+  const toKeys = (keys) =>
+    Object.entries(keys)
+      .filter(([, value]) => value)
+      .map(([type, value]) => ({ type, key: `${type}:${value}` }));
+
+  return {
+    store,
+
+    /**
+     * Check lockouts rồi tính request budget.
+     * Returns { allowed: true } hoặc { allowed: false, retryAfter (s), reason, key }
+     */
+    async check(keys) {
+      const now = Date.now();
+      const entries = toKeys(keys);
+
+      for (const { key } of entries) {
+        const lock = await store.getLock(key);
+        if (lock) {
+          return {
+            allowed: false,
+            reason: "locked",
+            key,
+            retryAfter: Math.ceil((lock.until - now) / 1000),
+          };
+        }
+      }
+
+      for (const { type, key } of entries) {
+        if (!limits[type]) continue;
+        const { count, resetAt } = await store.increment(
+          `req:${key}`,
+          windowMs,
+        );
+        if (count > limits[type]) {
+          return {
+            allowed: false,
+            reason: "rate-limited",
+            key,
+            retryAfter: Math.ceil((resetAt - now) / 1000),
+          };
+        }
+      }
+
+      return { allowed: true };
+    },
+
+    /**
+     * Đếm một lần thất bại; vượt failure budget → lockout. Returns keys bị khoá.
+     */
+    async recordFailure(keys, reason = null) {
+      const locked = [];
+      for (const { type, key } of toKeys(keys)) {
+        if (!failures[type]) continue;
+        const { count } = await store.increment(`fail:${key}`, failureWindowMs);
+        if (count >= failures[type]) {
+          const now = Date.now();
+          await store.lock(key, {
+            until: now + lockoutMs,
+            lockedAt: now,
+            failures: count,
+            reason,
+          });
+          await store.reset(`fail:${key}`);
+          locked.push(key);
+        }
+      }
+      return locked;
+    },
+
+    /**
+     * Thành công → xoá failure counter (trừ IP: nhiều learner chung một IP)
+     */
+    async recordSuccess(keys) {
+      for (const { type, key } of toKeys(keys)) {
+        if (type !== "ip") await store.reset(`fail:${key}`);
+      }
+    },
+
+    async listLockouts() {
+      return (await store.listLocks()).sort((a, b) => b.lockedAt - a.lockedAt);
+    },
+
+    async clearLockout(key) {
+      await store.reset(`fail:${key}`);
+      return store.unlock(key);
+    },
+  };
+}
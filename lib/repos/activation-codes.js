@@ -0,0 +1,79 @@
+// lib/repos/activation-codes.js - Queries: activation_codes, activations
+//
+// Tạo code kèm audit: createActivationCodes (lib/licensing.js).
+
+/**
+ * Khoá code (FOR UPDATE). Returns row, hoặc null nếu không có.
+ */
+export async function lockActivationCode(client, code) {
+  const result = await client.query(
+    "SELECT * FROM activation_codes WHERE code = $1 FOR UPDATE",
+    [code],
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * License đã cấp khi máy này kích hoạt code, hoặc null
+ */
+export async function findActivationLicense(db, code, deviceId) {
+  const result = await db.query(
+    "SELECT license FROM activations WHERE code = $1 AND device_id = $2",
+    [code, deviceId],
+  );
+  return result.rows[0]?.license || null;
+}
+
+/**
+ * Ghi lượt kích hoạt của máy + tăng activation_count
+ */
+export async function recordActivation(db, code, deviceId, license) {
+  await db.query(
+    `INSERT INTO activations (code, device_id, license, activated_at)
+     VALUES ($1, $2, $3, NOW())`,
+    [code, deviceId, license],
+  );
+  await db.query(
+    "UPDATE activation_codes SET activation_count = activation_count + 1 WHERE code = $1",
+    [code],
+  );
+}
+
+/**
+ * Codes theo user và / hoặc code (null = không lọc), mới nhất trước
+ */
+export async function listActivationCodes(db, { userId = null, code = null }) {
+  const result = await db.query(
+    `SELECT * FROM activation_codes
+     WHERE ($1::text IS NULL OR user_id = $1)
+       AND ($2::text IS NULL OR code = $2)
+     ORDER BY created_at DESC`,
+    [userId, code],
+  );
+  return result.rows;
+}
+
+/**
+ * Lượt kích hoạt của các code (cũ trước)
+ */
+export async function listActivations(db, codes) {
+  const result = await db.query(
+    "SELECT * FROM activations WHERE code = ANY($1) ORDER BY activated_at",
+    [codes],
+  );
+  return result.rows;
+}
+
+/**
+ * Chặn kích hoạt thêm. Returns { user_id, activation_count }, hoặc null nếu
+ * code không có / đã revoke.
+ */
+export async function revokeActivationCode(db, code) {
+  const result = await db.query(
+    `UPDATE activation_codes SET revoked_at = NOW()
+     WHERE code = $1 AND revoked_at IS NULL
+     RETURNING user_id, activation_count`,
+    [code],
+  );
+  return result.rows[0] || null;
+}
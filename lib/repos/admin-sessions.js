@@ -0,0 +1,77 @@
+// lib/repos/admin-sessions.js - Queries: admin_sessions (admin console)
+//
+// id = sha256 của cookie (lib/admin-auth.js hashAdminSecret), cookie gốc
+// không được lưu.
+
+/**
+ * Session còn hạn, kèm role hiện tại của admin, hoặc null. Session của admin
+ * đã tắt / token đã revoke (hết grace) coi như không có.
+ */
+export async function findAdminSession(db, id) {
+  const result = await db.query(
+    `SELECT s.id, s.admin_id, s.token_id, s.admin_name, s.csrf_token, s.flash,
+            COALESCE(a.role, s.role) AS role
+     FROM admin_sessions s
+     LEFT JOIN admins a ON a.id = s.admin_id
+     LEFT JOIN admin_tokens t ON t.id = s.token_id
+     WHERE s.id = $1 AND s.expires_at > NOW()
+       AND (s.admin_id IS NULL OR a.disabled_at IS NULL)
+       AND (s.token_id IS NULL OR t.revoked_at IS NULL OR t.revoked_at > NOW())`,
+    [id],
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Cập nhật last_used_at (consumeFlash → xoá flash đã đọc)
+ */
+export async function touchAdminSession(db, id, { consumeFlash = false } = {}) {
+  await db.query(
+    `UPDATE admin_sessions
+     SET last_used_at = NOW(), flash = CASE WHEN $2 THEN NULL ELSE flash END
+     WHERE id = $1`,
+    [id, consumeFlash],
+  );
+}
+
+/**
+ * Lưu flash (object) cho request kế tiếp
+ */
+export async function setAdminSessionFlash(db, id, flash) {
+  await db.query("UPDATE admin_sessions SET flash = $2 WHERE id = $1", [
+    id,
+    JSON.stringify(flash),
+  ]);
+}
+
+/**
+ * Tạo session (dọn session đã hết hạn trước), hết hạn sau maxAge ms
+ */
+export async function insertAdminSession(
+  db,
+  { id, admin, csrfToken, ip, maxAge },
+) {
+  await db.query("DELETE FROM admin_sessions WHERE expires_at < NOW()");
+  await db.query(
+    `INSERT INTO admin_sessions
+       (id, admin_id, token_id, admin_name, role, csrf_token, ip, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, NOW() + $8 * INTERVAL '1 millisecond')`,
+    [
+      id,
+      admin.id,
+      admin.tokenId,
+      admin.name,
+      admin.role,
+      csrfToken,
+      ip,
+      maxAge,
+    ],
+  );
+}
+
+/**
+ * Xoá session (logout)
+ */
+export async function deleteAdminSession(db, id) {
+  await db.query("DELETE FROM admin_sessions WHERE id = $1", [id]);
+}
@@ -0,0 +1,124 @@
+// lib/repos/admins.js - Queries: admins, admin_tokens
+//
+// Token sinh và hash trong lib/admin-auth.js; bảng chỉ lưu sha256 của secret.
+
+/**
+ * Mọi admin (theo id) + tokens (không có hash): { admins, tokens }
+ */
+export async function listAdmins(db) {
+  const admins = await db.query("SELECT * FROM admins ORDER BY id");
+  const tokens = await db.query(
+    "SELECT id, admin_id, label, created_at, last_used_at, revoked_at FROM admin_tokens ORDER BY created_at",
+  );
+  return { admins: admins.rows, tokens: tokens.rows };
+}
+
+/**
+ * Tạo admin. Returns row, hoặc null nếu tên đã có.
+ */
+export async function insertAdmin(db, { name, role }) {
+  const result = await db.query(
+    `INSERT INTO admins (name, role, created_at)
+     VALUES ($1, $2, NOW())
+     ON CONFLICT (name) DO NOTHING
+     RETURNING *`,
+    [name, role],
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Admin theo id, hoặc null. lock = SELECT … FOR UPDATE.
+ */
+export async function findAdmin(db, id, { lock = false } = {}) {
+  const result = await db.query(
+    `SELECT * FROM admins WHERE id = $1${lock ? " FOR UPDATE" : ""}`,
+    [id],
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Đổi role / bật tắt admin (undefined = giữ nguyên). Returns row mới.
+ */
+export async function updateAdmin(db, id, { role, disabled }) {
+  const result = await db.query(
+    `UPDATE admins
+     SET role = COALESCE($1, role),
+         disabled_at = CASE
+           WHEN $2::boolean IS NULL THEN disabled_at
+           WHEN $2::boolean THEN COALESCE(disabled_at, NOW())
+           ELSE NULL
+         END
+     WHERE id = $3
+     RETURNING *`,
+    [role || null, disabled ?? null, id],
+  );
+  return result.rows[0];
+}
+
+/**
+ * Lưu token mới (tokenHash = hashAdminSecret(secret))
+ */
+export async function insertAdminToken(
+  db,
+  { tokenId, adminId, tokenHash, label },
+) {
+  await db.query(
+    `INSERT INTO admin_tokens (id, admin_id, token_hash, label, created_at)
+     VALUES ($1, $2, $3, $4, NOW())`,
+    [tokenId, adminId, tokenHash, label],
+  );
+}
+
+/**
+ * Token còn hiệu lực của admin chưa bị disable: { token_id, token_hash, id,
+ * name, role }, hoặc null
+ */
+export async function findActiveAdminToken(db, tokenId) {
+  const result = await db.query(
+    `SELECT t.id AS token_id, t.token_hash, a.id, a.name, a.role
+     FROM admin_tokens t
+     JOIN admins a ON a.id = t.admin_id
+     WHERE t.id = $1 AND a.disabled_at IS NULL
+       AND (t.revoked_at IS NULL OR t.revoked_at > NOW())`,
+    [tokenId],
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Khoá token chưa bị revoke (FOR UPDATE). Returns row, hoặc null.
+ */
+export async function lockActiveAdminToken(client, tokenId) {
+  const result = await client.query(
+    `SELECT * FROM admin_tokens
+     WHERE id = $1 AND (revoked_at IS NULL OR revoked_at > NOW())
+     FOR UPDATE`,
+    [tokenId],
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Ghi lần dùng token gần nhất
+ */
+export async function touchAdminToken(db, tokenId) {
+  await db.query("UPDATE admin_tokens SET last_used_at = NOW() WHERE id = $1", [
+    tokenId,
+  ]);
+}
+
+/**
+ * Revoke token sau graceSeconds giây (0 = ngay). Returns admin_id, hoặc null
+ * nếu token không có / đã revoke.
+ */
+export async function revokeAdminToken(db, tokenId, graceSeconds = 0) {
+  const result = await db.query(
+    `UPDATE admin_tokens SET revoked_at = NOW() + make_interval(secs => $2)
+     WHERE id = $1 AND (revoked_at IS NULL OR revoked_at > NOW())
+     RETURNING admin_id`,
+    [tokenId, graceSeconds],
+  );
+  return result.rows[0]?.admin_id ?? null;
+}
@@ -0,0 +1,60 @@
+// lib/repos/audit.js - Queries: audit_events (đọc; ghi bằng recordAudit trong
+// lib/admin-ops.js)
+
+/**
+ * Build WHERE clause for audit log filters
+ *
+ * action hỗ trợ wildcard cuối, vd: action=license.*
+ */
+function buildAuditFilter(filters) {
+  const conditions = [];
+  const params = [];
+  const add = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace("?", `$${params.length}`));
+  };
+
+  if (filters.action) {
+    if (filters.action.endsWith("*")) {
+      const prefix = filters.action.slice(0, -1).replace(/[%_\\]/g, "\\$&");
+      add("action LIKE ?", `${prefix}%`);
+    } else {
+      add("action = ?", filters.action);
+    }
+  }
+  if (filters.actor) add("actor = ?", filters.actor);
+  if (filters.userId) add("user_id = ?", filters.userId);
+  if (filters.deviceId) add("device_id = ?", filters.deviceId);
+  if (filters.license) add("license = ?", filters.license);
+  if (filters.from) add("created_at >= ?", new Date(filters.from));
+  if (filters.to) add("created_at < ?", new Date(filters.to));
+
+  return { conditions, params, add };
+}
+
+/**
+ * Audit events, mới nhất trước (keyset theo id)
+ *
+ * filters: action, actor, userId, deviceId, license, from, to (ISO date).
+ * after = id của dòng cuối trang trước. Returns { events, next }: next = id
+ * nếu còn trang sau, ngược lại null.
+ */
+export async function listAuditEvents(db, filters, { limit, after = null }) {
+  const { conditions, params, add } = buildAuditFilter(filters);
+  if (after) add("id < ?", after);
+  params.push(limit + 1);
+
+  const result = await db.query(
+    `SELECT * FROM audit_events
+     ${conditions.length ? `WHERE ${conditions.join(" AND ")}` : ""}
+     ORDER BY id DESC
+     LIMIT $${params.length}`,
+    params,
+  );
+
+  const events = result.rows.slice(0, limit);
+  return {
+    events,
+    next: result.rows.length > limit ? events[events.length - 1].id : null,
+  };
+}
@@ -0,0 +1,273 @@
+// lib/repos/bookmarks.js - Queries: bookmarks, bookmark_tombstones
+//
+// Mọi query lọc theo userId: bookmark luôn thuộc về learner đã xác thực. Ghi
+// bookmark tăng sync_seq để /api/sync trả về thay đổi (lib/sync.js), caller
+// phải giữ lockSyncUser (lib/repos/sync.js) trong cùng transaction.
+import { normalizeTags } from "../bookmarks.js";
+
+export const BOOKMARK_COLUMNS =
+  "id, question_key, question_text, question_number, options, answer, detail, test_id, user_id, timestamp, note, tags, folder, created_at, updated_at";
+
+/**
+ * Insert / update bookmark của user
+ *
+ * clock = thời điểm sửa theo client (last-writer-wins khi sync, mặc định
+ * NOW()). Returns row, hoặc null nếu id đã thuộc về user khác.
+ */
+export async function upsertBookmark(
+  client,
+  userId,
+  value,
+  { deviceId, clock = null },
+) {
+  const result = await client.query(
+    `INSERT INTO bookmarks
+       (id, question_key, question_text, question_number, options, answer, detail,
+        test_id, user_id, timestamp, note, tags, folder, created_at, updated_at,
+        client_updated_at, client_device_id, sync_seq)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, COALESCE($12::text[], '{}'), $13, NOW(), NOW(),
+             COALESCE($14::timestamptz, NOW()), $15, nextval('sync_seq'))
+     ON CONFLICT (id) DO UPDATE SET
+       note              = EXCLUDED.note,
+       options           = EXCLUDED.options,
+       answer            = EXCLUDED.answer,
+       detail            = EXCLUDED.detail,
+       timestamp         = EXCLUDED.timestamp,
+       tags              = COALESCE($12::text[], bookmarks.tags),
+       folder            = COALESCE($13, bookmarks.folder),
+       updated_at        = NOW(),
+       client_updated_at = EXCLUDED.client_updated_at,
+       client_device_id  = EXCLUDED.client_device_id,
+       sync_seq          = EXCLUDED.sync_seq
+     WHERE bookmarks.user_id = EXCLUDED.user_id
+     RETURNING ${BOOKMARK_COLUMNS}`,
+    [
+      value.id,
+      value.questionKey,
+      value.questionText || "",
+      value.questionNumber || null,
+      JSON.stringify(value.options || []),
+      value.answer || null,
+      value.detail || null,
+      value.testId || null,
+      userId,
+      value.timestamp || Date.now(),
+      value.note || "",
+      value.tags ? normalizeTags(value.tags) : null,
+      value.folder || null,
+      clock,
+      deviceId,
+    ],
+  );
+  if (result.rows.length === 0) return null;
+
+  // Tạo lại sau khi xoá → bỏ tombstone
+  await client.query(
+    "DELETE FROM bookmark_tombstones WHERE user_id = $1 AND id = $2",
+    [userId, value.id],
+  );
+  return result.rows[0];
+}
+
+/**
+ * Xoá bookmark của user và ghi tombstone (để các máy khác sync việc xoá)
+ *
+ * Returns true nếu có bookmark bị xoá. Tombstone giữ clock mới nhất.
+ */
+export async function deleteBookmark(
+  client,
+  userId,
+  id,
+  { deviceId, clock = null },
+) {
+  const result = await client.query(
+    "DELETE FROM bookmarks WHERE id = $1 AND user_id = $2",
+    [id, userId],
+  );
+
+  await client.query(
+    `INSERT INTO bookmark_tombstones (user_id, id, deleted_at, device_id, sync_seq)
+     VALUES ($1, $2, COALESCE($3::timestamptz, NOW()), $4, nextval('sync_seq'))
+     ON CONFLICT (user_id, id) DO UPDATE SET
+       deleted_at = EXCLUDED.deleted_at,
+       device_id  = EXCLUDED.device_id,
+       sync_seq   = EXCLUDED.sync_seq
+     WHERE (EXCLUDED.deleted_at, COALESCE(EXCLUDED.device_id, ''))
+         > (bookmark_tombstones.deleted_at, COALESCE(bookmark_tombstones.device_id, ''))`,
+    [userId, id, clock, deviceId],
+  );
+
+  return result.rowCount > 0;
+}
+
+/**
+ * Khoá bookmark của user (FOR UPDATE). Returns false nếu không có.
+ */
+export async function lockBookmark(client, userId, id) {
+  const result = await client.query(
+    "SELECT 1 FROM bookmarks WHERE id = $1 AND user_id = $2 FOR UPDATE",
+    [id, userId],
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Sửa note / tags / folder (field undefined = giữ nguyên, tags đã chuẩn hoá)
+ *
+ * Returns row, hoặc null nếu không có bookmark.
+ */
+export async function updateBookmark(
+  db,
+  userId,
+  id,
+  { note, tags, folder },
+  { deviceId },
+) {
+  const sets = [];
+  const params = [];
+  for (const [column, value] of [
+    ["note", note],
+    ["tags", tags],
+    ["folder", folder],
+  ]) {
+    if (value === undefined) continue;
+    params.push(value);
+    sets.push(`${column} = $${params.length}`);
+  }
+
+  params.push(deviceId, id, userId);
+  const result = await db.query(
+    `UPDATE bookmarks SET ${sets.join(", ")}, updated_at = NOW(),
+         client_updated_at = NOW(), client_device_id = $${params.length - 2},
+         sync_seq = nextval('sync_seq')
+       WHERE id = $${params.length - 1} AND user_id = $${params.length}
+       RETURNING ${BOOKMARK_COLUMNS}`,
+    params,
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Bookmarks của user, mới nhất trước (keyset theo created_at, id)
+ *
+ * filters: testId, q (tìm trong question_text / note), tag, folder. after =
+ * { createdAt, id } của dòng cuối trang trước. Returns { bookmarks, next }:
+ * next = { createdAt, id } nếu còn trang sau, ngược lại null.
+ */
+export async function listBookmarks(
+  db,
+  userId,
+  { testId, q, tag, folder },
+  { limit, after },
+) {
+  const conditions = ["user_id = $1"];
+  const params = [userId];
+  const addParam = (v) => {
+    params.push(v);
+    return `$${params.length}`;
+  };
+
+  if (testId) conditions.push(`test_id = ${addParam(testId)}`);
+  if (tag) conditions.push(`${addParam(tag.trim().toLowerCase())} = ANY(tags)`);
+  if (folder) conditions.push(`folder = ${addParam(folder)}`);
+  if (q) {
+    // FTS cho từ có khoảng trắng, ILIKE cho tiếng Nhật / một phần của từ
+    // (SQLite không có search_vector → chỉ ILIKE)
+    const fts =
+      db.dialect === "sqlite"
+        ? ""
+        : `search_vector @@ plainto_tsquery('simple', ${addParam(q)}) OR `;
+    const like = addParam(`%${q.replace(/[\\%_]/g, "\\$&")}%`);
+    conditions.push(
+      `(${fts}question_text ILIKE ${like} OR note ILIKE ${like})`,
+    );
+  }
+  if (after) {
+    conditions.push(
+      `(created_at, id) < (${addParam(after.createdAt)}::timestamptz, ${addParam(after.id)})`,
+    );
+  }
+
+  const result = await db.query(
+    `SELECT ${BOOKMARK_COLUMNS}, created_at::text AS cursor_created_at
+       FROM bookmarks
+       WHERE ${conditions.join(" AND ")}
+       ORDER BY created_at DESC, id DESC
+       LIMIT ${addParam(limit + 1)}`,
+    params,
+  );
+
+  const rows = result.rows.slice(0, limit);
+  const last = rows[rows.length - 1];
+  return {
+    bookmarks: rows.map(({ cursor_created_at, ...b }) => b),
+    next:
+      result.rows.length > limit
+        ? { createdAt: last.cursor_created_at, id: last.id }
+        : null,
+  };
+}
+
+/**
+ * Bookmark mới nhất của user (admin console), tối đa limit dòng
+ */
+export async function listRecentBookmarks(db, userId, limit) {
+  const result = await db.query(
+    `SELECT question_key, question_text, test_id, folder, tags, created_at
+     FROM bookmarks WHERE user_id = $1
+     ORDER BY created_at DESC LIMIT $2`,
+    [userId, limit],
+  );
+  return result.rows;
+}
+
+/**
+ * Tags và folders của user kèm số bookmark. Returns { tags, folders }.
+ */
+export async function listBookmarkTags(db, userId) {
+  const tags = await db.query(
+    db.dialect === "sqlite"
+      ? `SELECT t.value AS tag, COUNT(*) AS count
+       FROM bookmarks, json_each(bookmarks.tags) AS t
+       WHERE user_id = $1
+       GROUP BY t.value ORDER BY count DESC, tag`
+      : `SELECT tag, COUNT(*)::int AS count
+       FROM bookmarks, unnest(tags) AS tag
+       WHERE user_id = $1
+       GROUP BY tag ORDER BY count DESC, tag`,
+    [userId],
+  );
+  const folders = await db.query(
+    `SELECT folder, COUNT(*)::int AS count FROM bookmarks
+       WHERE user_id = $1 AND folder IS NOT NULL
+       GROUP BY folder ORDER BY folder`,
+    [userId],
+  );
+  return { tags: tags.rows, folders: folders.rows };
+}
+
+/**
+ * Khoá bookmark (FOR UPDATE), trả về chủ sở hữu + clock lần sửa cuối:
+ * { user_id, client_updated_at, client_device_id }, hoặc null nếu không có.
+ * userId = chỉ tìm bookmark của user đó.
+ */
+export async function lockBookmarkClock(client, id, userId = null) {
+  const result = await client.query(
+    `SELECT user_id, client_updated_at, client_device_id FROM bookmarks
+     WHERE id = $1 AND ($2::text IS NULL OR user_id = $2)
+     FOR UPDATE`,
+    [id, userId],
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Tombstone của bookmark đã xoá: { deleted_at, device_id }, hoặc null
+ */
+export async function findBookmarkTombstone(client, userId, id) {
+  const result = await client.query(
+    "SELECT deleted_at, device_id FROM bookmark_tombstones WHERE user_id = $1 AND id = $2",
+    [userId, id],
+  );
+  return result.rows[0] || null;
+}
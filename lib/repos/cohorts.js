@@ -0,0 +1,87 @@
+// lib/repos/cohorts.js - Queries: cohorts, cohort_members
+
+/**
+ * Cohorts kèm số thành viên (cột members), mới nhất trước
+ */
+export async function listCohorts(db) {
+  const result = await db.query(
+    `SELECT c.*, COUNT(m.user_id)::int AS members
+     FROM cohorts c LEFT JOIN cohort_members m ON m.cohort_id = c.id
+     GROUP BY c.id
+     ORDER BY c.created_at DESC`,
+  );
+  return result.rows;
+}
+
+/**
+ * Tạo cohort. Returns row, hoặc null nếu tên đã có.
+ */
+export async function insertCohort(db, { name, description, createdBy }) {
+  const result = await db.query(
+    `INSERT INTO cohorts (name, description, created_by, created_at)
+     VALUES ($1, $2, $3, NOW())
+     ON CONFLICT (name) DO NOTHING
+     RETURNING *`,
+    [name, description, createdBy],
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Xoá cohort (thành viên xoá theo cascade). Returns { id, name }, hoặc null.
+ */
+export async function deleteCohort(db, id) {
+  const result = await db.query(
+    "DELETE FROM cohorts WHERE id = $1 RETURNING id, name",
+    [id],
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Cohort theo id: { id, name }, hoặc null. lock = SELECT … FOR UPDATE.
+ */
+export async function findCohort(db, id, { lock = false } = {}) {
+  const result = await db.query(
+    `SELECT id, name FROM cohorts WHERE id = $1${lock ? " FOR UPDATE" : ""}`,
+    [id],
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * userIds của thành viên (theo userId)
+ */
+export async function listCohortMemberIds(db, cohortId) {
+  const result = await db.query(
+    "SELECT user_id FROM cohort_members WHERE cohort_id = $1 ORDER BY user_id",
+    [cohortId],
+  );
+  return result.rows.map((r) => r.user_id);
+}
+
+/**
+ * Thêm thành viên (bỏ qua user không tồn tại / đã là thành viên). Returns
+ * userIds được thêm.
+ */
+export async function addCohortMembers(db, cohortId, userIds, addedBy) {
+  const result = await db.query(
+    `INSERT INTO cohort_members (cohort_id, user_id, added_by, added_at)
+     SELECT $1, user_id, $3, NOW() FROM users WHERE user_id = ANY($2)
+     ON CONFLICT (cohort_id, user_id) DO NOTHING
+     RETURNING user_id`,
+    [cohortId, userIds, addedBy],
+  );
+  return result.rows.map((r) => r.user_id);
+}
+
+/**
+ * Bớt thành viên. Returns userIds bị bớt.
+ */
+export async function removeCohortMembers(db, cohortId, userIds) {
+  const result = await db.query(
+    "DELETE FROM cohort_members WHERE cohort_id = $1 AND user_id = ANY($2) RETURNING user_id",
+    [cohortId, userIds],
+  );
+  return result.rows.map((r) => r.user_id);
+}
@@ -0,0 +1,64 @@
+// lib/repos/devices.js - Queries: device_bindings (seat), revoked_devices
+//
+// Bind / gỡ máy kèm audit nằm trong lib/admin-ops.js và lib/licensing.js.
+
+/**
+ * Máy (seat) của user, dùng gần nhất trước
+ */
+export async function listDeviceBindings(db, userId) {
+  const result = await db.query(
+    "SELECT * FROM device_bindings WHERE user_id = $1 ORDER BY last_seen_at DESC",
+    [userId],
+  );
+  return result.rows;
+}
+
+/**
+ * Seat của máy. Returns row, hoặc null nếu máy không có seat.
+ * lock = SELECT … FOR UPDATE (caller giữ transaction).
+ */
+export async function findDeviceBinding(
+  db,
+  userId,
+  deviceId,
+  { lock = false } = {},
+) {
+  const result = await db.query(
+    `SELECT * FROM device_bindings WHERE user_id = $1 AND device_id = $2${lock ? " FOR UPDATE" : ""}`,
+    [userId, deviceId],
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Cập nhật last_seen_at của seat (evict-lru đẩy máy lâu không dùng nhất)
+ */
+export async function touchDeviceBinding(db, userId, deviceId) {
+  await db.query(
+    `UPDATE device_bindings SET last_seen_at = NOW()
+     WHERE user_id = $1 AND device_id = $2`,
+    [userId, deviceId],
+  );
+}
+
+/**
+ * Máy đã bị revoke?
+ */
+export async function isDeviceRevoked(db, deviceId) {
+  const result = await db.query(
+    "SELECT 1 FROM revoked_devices WHERE device_id = $1",
+    [deviceId],
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Các deviceId (trong deviceIds) đã bị revoke
+ */
+export async function findRevokedDeviceIds(db, deviceIds) {
+  const result = await db.query(
+    "SELECT device_id FROM revoked_devices WHERE device_id = ANY($1)",
+    [deviceIds],
+  );
+  return result.rows.map((r) => r.device_id);
+}
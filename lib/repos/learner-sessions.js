@@ -0,0 +1,61 @@
+// lib/repos/learner-sessions.js - Queries: learner_sessions (refresh token của
+// learner, lib/session-tokens.js)
+//
+// Chỉ lưu hash của refresh token; previous_hash phát hiện refresh token đã
+// dùng bị gửi lại.
+
+/**
+ * Tạo session cho refresh token (refresh = generateRefreshToken())
+ */
+export async function insertLearnerSession(
+  db,
+  refresh,
+  { userId, deviceId, license, expiresAt },
+) {
+  await db.query(
+    `INSERT INTO learner_sessions
+       (id, user_id, device_id, license, refresh_hash, created_at, expires_at)
+     VALUES ($1, $2, $3, $4, $5, NOW(), $6)`,
+    [refresh.sessionId, userId, deviceId, license, refresh.hash, expiresAt],
+  );
+}
+
+/**
+ * Session theo id, hoặc null. lock = SELECT … FOR UPDATE.
+ */
+export async function findLearnerSession(db, id, { lock = false } = {}) {
+  const result = await db.query(
+    `SELECT * FROM learner_sessions WHERE id = $1${lock ? " FOR UPDATE" : ""}`,
+    [id],
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Đổi refresh token của session (token cũ thành previous_hash)
+ */
+export async function rotateLearnerSession(
+  db,
+  id,
+  refresh,
+  { license, expiresAt },
+) {
+  await db.query(
+    `UPDATE learner_sessions
+     SET refresh_hash = $1, previous_hash = refresh_hash, license = $2,
+         refreshed_at = NOW(), expires_at = $3
+     WHERE id = $4`,
+    [refresh.hash, license, expiresAt, id],
+  );
+}
+
+/**
+ * Revoke session (access token của session hết hiệu lực ngay)
+ */
+export async function revokeLearnerSession(db, id, reason) {
+  await db.query(
+    `UPDATE learner_sessions SET revoked_at = NOW(), revoked_reason = $1
+     WHERE id = $2`,
+    [reason, id],
+  );
+}
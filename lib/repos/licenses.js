@@ -0,0 +1,82 @@
+// lib/repos/licenses.js - Queries: licenses
+//
+// Cấp / thay thế / chuyển license kèm audit: lib/licensing.js, lib/admin-ops.js.
+
+export const LICENSE_COLUMNS =
+  "license, user_id, device_id, expiry, plan, status, status_reason, superseded_by, created_at";
+
+/**
+ * Plan của license active mới nhất của user (undefined nếu không có)
+ */
+export async function findActivePlan(db, userId) {
+  const result = await db.query(
+    `SELECT plan FROM licenses WHERE user_id = $1 AND status = 'active'
+     ORDER BY created_at DESC LIMIT 1`,
+    [userId],
+  );
+  return result.rows[0]?.plan;
+}
+
+/**
+ * Lưu license mới cấp (bỏ qua nếu chuỗi license đã có)
+ */
+export async function insertLicense(
+  db,
+  { license, userId, deviceId, expiry, plan },
+) {
+  await db.query(
+    `INSERT INTO licenses (license, user_id, device_id, expiry, plan, created_at)
+     VALUES ($1, $2, $3, $4, $5, NOW())
+     ON CONFLICT (license) DO NOTHING`,
+    [license, userId, deviceId, expiry, plan],
+  );
+}
+
+/**
+ * Gắn license chưa bind vào máy
+ */
+export async function bindLicenseDevice(db, license, deviceId) {
+  await db.query("UPDATE licenses SET device_id = $1 WHERE license = $2", [
+    deviceId,
+    license,
+  ]);
+}
+
+/**
+ * Đánh dấu license active đã hết hạn
+ */
+export async function markLicenseExpired(db, license) {
+  await db.query(
+    `UPDATE licenses SET status = 'expired', status_changed_at = NOW()
+     WHERE license = $1 AND status = 'active'`,
+    [license],
+  );
+}
+
+/**
+ * Đổi status của license (xoá status_reason). Returns row mới.
+ */
+export async function setLicenseStatus(db, license, status) {
+  const result = await db.query(
+    `UPDATE licenses
+     SET status = $1, status_reason = NULL, status_changed_at = NOW()
+     WHERE license = $2
+     RETURNING ${LICENSE_COLUMNS}`,
+    [status, license],
+  );
+  return result.rows[0];
+}
+
+/**
+ * User có license active / expired đã gắn máy (gia hạn được) không?
+ */
+export async function hasBoundLicense(db, userId) {
+  const result = await db.query(
+    `SELECT 1 FROM licenses
+     WHERE user_id = $1 AND status IN ('active', 'expired')
+       AND device_id IS NOT NULL
+     LIMIT 1`,
+    [userId],
+  );
+  return result.rows.length > 0;
+}
@@ -0,0 +1,47 @@
+// lib/repos/messages.js - Queries: user_messages (tin nhắn admin gửi learner)
+
+/**
+ * Gửi tin nhắn cho learner (cohortId = gửi qua /api/admin/cohorts/bulk)
+ */
+export async function insertMessage(
+  db,
+  userId,
+  { title, body, cohortId = null, createdBy },
+) {
+  await db.query(
+    `INSERT INTO user_messages (user_id, cohort_id, title, body, created_by, created_at)
+     VALUES ($1, $2, $3, $4, $5, NOW())`,
+    [userId, cohortId, title, body, createdBy],
+  );
+}
+
+/**
+ * 50 tin nhắn mới nhất của learner + số tin chưa đọc: { messages, unread }
+ */
+export async function listMessages(db, userId) {
+  const messages = await db.query(
+    `SELECT id, title, body, created_at, read_at FROM user_messages
+     WHERE user_id = $1
+     ORDER BY created_at DESC, id DESC
+     LIMIT 50`,
+    [userId],
+  );
+  const unread = await db.query(
+    "SELECT COUNT(*)::int AS unread FROM user_messages WHERE user_id = $1 AND read_at IS NULL",
+    [userId],
+  );
+  return { messages: messages.rows, unread: unread.rows[0].unread };
+}
+
+/**
+ * Đánh dấu đã đọc (ids = null → tất cả). Returns số tin được đánh dấu.
+ */
+export async function markMessagesRead(db, userId, ids = null) {
+  const result = await db.query(
+    `UPDATE user_messages SET read_at = NOW()
+     WHERE user_id = $1 AND read_at IS NULL
+       AND ($2::bigint[] IS NULL OR id = ANY($2))`,
+    [userId, ids],
+  );
+  return result.rowCount;
+}
@@ -0,0 +1,44 @@
+// lib/repos/notifications.js - Queries: notifications (đọc cho admin)
+//
+// Hàng đợi gửi / scheduler: lib/notifications.js.
+
+/**
+ * Notifications, mới nhất trước (keyset theo id)
+ *
+ * filters: userId, kind, status. after = id của dòng cuối trang trước.
+ * Returns { notifications, next }: next = id nếu còn trang sau, ngược lại null.
+ */
+export async function listNotifications(
+  db,
+  { userId, kind, status },
+  { limit, after = null },
+) {
+  const conditions = [];
+  const params = [];
+  const add = (sql, value) => {
+    params.push(value);
+    conditions.push(`${sql} $${params.length}`);
+  };
+  if (userId) add("user_id =", userId);
+  if (kind) add("kind =", kind);
+  if (status) add("status =", status);
+  if (after) add("id <", after);
+  params.push(limit + 1);
+
+  const result = await db.query(
+    `SELECT * FROM notifications
+     ${conditions.length ? `WHERE ${conditions.join(" AND ")}` : ""}
+     ORDER BY id DESC
+     LIMIT $${params.length}`,
+    params,
+  );
+
+  const notifications = result.rows.slice(0, limit);
+  return {
+    notifications,
+    next:
+      result.rows.length > limit
+        ? notifications[notifications.length - 1].id
+        : null,
+  };
+}
@@ -0,0 +1,170 @@
+// lib/repos/orders.js - Queries: orders, payment_events
+//
+// Fulfillment / refund kèm audit: lib/routes/payments.js.
+
+/**
+ * Tạo đơn pending (giá, thời hạn chụp từ plan lúc đặt). Returns row.
+ */
+export async function insertOrder(
+  db,
+  { reference, userId, userName, email, plan },
+) {
+  const result = await db.query(
+    `INSERT INTO orders
+       (reference, user_id, user_name, email, plan, amount, currency,
+        duration_days, status, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'pending', NOW())
+     RETURNING *`,
+    [
+      reference,
+      userId,
+      userName,
+      email,
+      plan.code,
+      plan.price,
+      plan.currency,
+      plan.duration_days,
+    ],
+  );
+  return result.rows[0];
+}
+
+/**
+ * Đơn theo reference (orderId), hoặc null. lock = SELECT … FOR UPDATE.
+ */
+export async function findOrder(db, reference, { lock = false } = {}) {
+  const result = await db.query(
+    `SELECT * FROM orders WHERE reference = $1${lock ? " FOR UPDATE" : ""}`,
+    [reference],
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Orders, mới nhất trước (keyset theo id)
+ *
+ * filters: status, userId, plan. after = id của dòng cuối trang trước.
+ * Returns { orders, next }: next = id nếu còn trang sau.
+ */
+export async function listOrders(
+  db,
+  { status, userId, plan },
+  { limit, after = null },
+) {
+  const conditions = [];
+  const params = [];
+  const add = (sql, value) => {
+    params.push(value);
+    conditions.push(`${sql} $${params.length}`);
+  };
+  if (status) add("status =", status);
+  if (userId) add("user_id =", userId);
+  if (plan) add("plan =", plan);
+  if (after) add("id <", Number(after));
+  params.push(limit + 1);
+
+  const result = await db.query(
+    `SELECT * FROM orders
+     ${conditions.length ? `WHERE ${conditions.join(" AND ")}` : ""}
+     ORDER BY id DESC
+     LIMIT $${params.length}`,
+    params,
+  );
+
+  const orders = result.rows.slice(0, limit);
+  return {
+    orders,
+    next: result.rows.length > limit ? orders[orders.length - 1].id : null,
+  };
+}
+
+/**
+ * Đánh dấu đơn đã thanh toán + lưu fulfillment. Returns row mới.
+ */
+export async function setOrderPaid(
+  db,
+  id,
+  { provider, providerRef, fulfillment },
+) {
+  const result = await db.query(
+    `UPDATE orders
+     SET status = 'paid', provider = $1, provider_ref = $2, fulfillment = $3,
+         paid_at = NOW()
+     WHERE id = $4
+     RETURNING *`,
+    [provider, providerRef || null, JSON.stringify(fulfillment), id],
+  );
+  return result.rows[0];
+}
+
+/**
+ * Đánh dấu đơn đã hoàn tiền. Returns row mới.
+ */
+export async function setOrderRefunded(db, id, reason) {
+  const result = await db.query(
+    `UPDATE orders
+     SET status = 'refunded', refunded_at = NOW(), refund_reason = $1
+     WHERE id = $2
+     RETURNING *`,
+    [reason, id],
+  );
+  return result.rows[0];
+}
+
+/**
+ * Huỷ đơn. Returns row mới.
+ */
+export async function setOrderCancelled(db, id) {
+  const result = await db.query(
+    "UPDATE orders SET status = 'cancelled' WHERE id = $1 RETURNING *",
+    [id],
+  );
+  return result.rows[0];
+}
+
+/**
+ * Ghi callback của provider (idempotent theo provider + event.id). Returns id
+ * của dòng mới, hoặc null nếu callback này đã nhận.
+ */
+export async function insertPaymentEvent(db, provider, event) {
+  const result = await db.query(
+    `INSERT INTO payment_events (provider, event_id, type, payload, received_at)
+     VALUES ($1, $2, $3, $4, NOW())
+     ON CONFLICT (provider, event_id) DO NOTHING
+     RETURNING id`,
+    [provider, event.id, event.type, JSON.stringify(event)],
+  );
+  return result.rows[0]?.id ?? null;
+}
+
+/**
+ * Kết quả đã lưu của một callback, hoặc null
+ */
+export async function findPaymentEventResult(db, provider, eventId) {
+  const result = await db.query(
+    "SELECT result FROM payment_events WHERE provider = $1 AND event_id = $2",
+    [provider, eventId],
+  );
+  return result.rows[0]?.result ?? null;
+}
+
+/**
+ * Lưu đơn liên quan + kết quả xử lý của callback
+ */
+export async function setPaymentEventResult(db, id, orderId, eventResult) {
+  await db.query(
+    "UPDATE payment_events SET order_id = $1, result = $2 WHERE id = $3",
+    [orderId, JSON.stringify(eventResult), id],
+  );
+}
+
+/**
+ * Mọi callback đã nhận của một đơn (theo thứ tự nhận)
+ */
+export async function listPaymentEvents(db, orderId) {
+  const result = await db.query(
+    "SELECT * FROM payment_events WHERE order_id = $1 ORDER BY id",
+    [orderId],
+  );
+  return result.rows;
+}
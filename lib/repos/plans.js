@@ -0,0 +1,58 @@
+// lib/repos/plans.js - Queries: plans
+//
+// Features theo plan (có cache) cho entitlements: lib/licensing.js.
+
+/**
+ * Mọi plan: active = true → chỉ gói đang bán (giá tăng dần), không thì mọi
+ * gói theo code
+ */
+export async function listPlans(db, { active = false } = {}) {
+  const result = await db.query(
+    active
+      ? "SELECT * FROM plans WHERE active ORDER BY price, code"
+      : "SELECT * FROM plans ORDER BY code",
+  );
+  return result.rows;
+}
+
+/**
+ * Plan theo code, hoặc null. lock = SELECT … FOR UPDATE.
+ */
+export async function findPlan(db, code, { lock = false } = {}) {
+  const result = await db.query(
+    `SELECT * FROM plans WHERE code = $1${lock ? " FOR UPDATE" : ""}`,
+    [code],
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Tạo / sửa plan theo code (features null = giữ như cũ). Returns row.
+ */
+export async function upsertPlan(
+  db,
+  { code, name, price, currency, durationDays, active, features },
+) {
+  const result = await db.query(
+    `INSERT INTO plans
+       (code, name, price, currency, duration_days, active, features, created_at, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), NOW())
+     ON CONFLICT (code) DO UPDATE SET
+       name = EXCLUDED.name, price = EXCLUDED.price,
+       currency = EXCLUDED.currency, duration_days = EXCLUDED.duration_days,
+       active = EXCLUDED.active,
+       features = COALESCE(EXCLUDED.features, plans.features),
+       updated_at = NOW()
+     RETURNING *`,
+    [
+      code,
+      name,
+      price,
+      currency,
+      durationDays,
+      active,
+      features && JSON.stringify(features),
+    ],
+  );
+  return result.rows[0];
+}
@@ -0,0 +1,244 @@
+// lib/repos/progress.js - Queries: progress, attempts, attempt_answers,
+// question_stats
+//
+// Ghi progress tăng sync_seq (state trả về cho /api/sync). Hàm ghi nhận client
+// của transaction đang mở, caller giữ lockSyncUser (lib/repos/sync.js).
+import { formatAttempt, formatQuestionStat } from "../progress.js";
+
+/**
+ * Lưu một lần làm bài: attempts + attempt_answers + cập nhật question_stats
+ *
+ * Attempt offline gửi muộn (finishedAt cũ hơn lần trả lời gần nhất) vẫn được
+ * đếm vào attempts/correct nhưng không đổi streak / last_correct.
+ *
+ * attempt = { testId, moduleId, answers: [{ questionKey, answer, correct,
+ * timeMs }], score, total, durationMs, startedAt, finishedAt } (ms epoch)
+ */
+export async function recordAttempt(client, userId, deviceId, attempt) {
+  const inserted = await client.query(
+    `INSERT INTO attempts
+       (user_id, test_id, module_id, score, total, duration_ms, device_id,
+        started_at, finished_at, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7,
+             to_timestamp($8::bigint / 1000.0),
+             COALESCE(to_timestamp($9::bigint / 1000.0), NOW()), NOW())
+     RETURNING *`,
+    [
+      userId,
+      attempt.testId,
+      attempt.moduleId || null,
+      attempt.score,
+      attempt.total,
+      attempt.durationMs ?? null,
+      deviceId,
+      attempt.startedAt ?? null,
+      attempt.finishedAt ?? null,
+    ],
+  );
+  const row = inserted.rows[0];
+
+  const keys = attempt.answers.map((a) => a.questionKey);
+  const correct = attempt.answers.map((a) => a.correct);
+
+  await client.query(
+    `INSERT INTO attempt_answers (attempt_id, question_key, answer, correct, time_ms)
+     SELECT $1, * FROM unnest($2::text[], $3::text[], $4::boolean[], $5::integer[])`,
+    [
+      row.id,
+      keys,
+      attempt.answers.map((a) => a.answer ?? null),
+      correct,
+      attempt.answers.map((a) => a.timeMs ?? null),
+    ],
+  );
+
+  await client.query(
+    `INSERT INTO question_stats
+       (user_id, question_key, test_id, attempts, correct, streak, last_correct, last_answered_at)
+     SELECT $1, q, $2, 1, c::int, c::int, c, $5
+     FROM unnest($3::text[], $4::boolean[]) AS t(q, c)
+     ON CONFLICT (user_id, question_key) DO UPDATE SET
+       test_id          = EXCLUDED.test_id,
+       attempts         = question_stats.attempts + 1,
+       correct          = question_stats.correct + EXCLUDED.correct,
+       streak           = CASE
+                            WHEN EXCLUDED.last_answered_at < question_stats.last_answered_at
+                              THEN question_stats.streak
+                            WHEN EXCLUDED.last_correct
+                              THEN question_stats.streak + 1
+                            ELSE 0
+                          END,
+       last_correct     = CASE
+                            WHEN EXCLUDED.last_answered_at < question_stats.last_answered_at
+                              THEN question_stats.last_correct
+                            ELSE EXCLUDED.last_correct
+                          END,
+       last_answered_at = GREATEST(question_stats.last_answered_at,
+                                   EXCLUDED.last_answered_at)`,
+    [userId, attempt.testId, keys, correct, row.finished_at],
+  );
+
+  return row;
+}
+
+/**
+ * Tăng perfectCount của một module (atomic). Returns perfectCount mới.
+ *
+ * client của store SQLite có dialect = "sqlite" (không có JSONB operators).
+ */
+export async function incrementPerfect(client, userId, moduleId) {
+  if (client.dialect === "sqlite") {
+    // Caller giữ transaction (SQLite khoá ghi cả database) → đọc-sửa-ghi an toàn
+    const current = await client.query(
+      "SELECT perfect FROM progress WHERE user_id = $1",
+      [userId],
+    );
+    const perfect = current.rows[0]?.perfect || {};
+    const perfectCount = (perfect[moduleId]?.perfectCount || 0) + 1;
+    perfect[moduleId] = { ...perfect[moduleId], perfectCount };
+    await client.query(
+      `INSERT INTO progress (user_id, perfect, updated_at, sync_seq)
+       VALUES ($1, $2, NOW(), nextval('sync_seq'))
+       ON CONFLICT (user_id) DO UPDATE SET
+         perfect    = EXCLUDED.perfect,
+         updated_at = NOW(),
+         sync_seq   = EXCLUDED.sync_seq`,
+      [userId, perfect],
+    );
+    return perfectCount;
+  }
+
+  const result = await client.query(
+    `INSERT INTO progress (user_id, perfect, updated_at, sync_seq)
+     VALUES ($1, jsonb_build_object($2::text, jsonb_build_object('perfectCount', 1)),
+             NOW(), nextval('sync_seq'))
+     ON CONFLICT (user_id) DO UPDATE SET
+       perfect    = jsonb_set(
+                      progress.perfect,
+                      ARRAY[$2::text],
+                      COALESCE(progress.perfect -> $2::text, '{}')
+                        || jsonb_build_object('perfectCount',
+                             COALESCE((progress.perfect -> $2::text ->> 'perfectCount')::int, 0) + 1)),
+       updated_at = NOW(),
+       sync_seq   = EXCLUDED.sync_seq
+     RETURNING (perfect -> $2::text ->> 'perfectCount')::int AS perfect_count`,
+    [userId, moduleId],
+  );
+  return result.rows[0].perfect_count;
+}
+
+/**
+ * Progress của user: { perfect, updated_at }, hoặc null nếu chưa có
+ */
+export async function getProgress(db, userId) {
+  const result = await db.query(
+    "SELECT perfect, updated_at FROM progress WHERE user_id = $1",
+    [userId],
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Aggregates từ attempts / question_stats cho /api/progress/get
+ *
+ * tests: { [testId]: { attempts, bestScore, bestTotal, lastAttempt } }
+ * weakQuestions: câu hay sai nhất (làm >= 2 lần, tỉ lệ đúng < 70%)
+ */
+export async function getAttemptAggregates(client, userId, testIds = null) {
+  const filter = testIds ? " AND test_id = ANY($2)" : "";
+  const params = testIds ? [userId, testIds] : [userId];
+
+  const summary = await client.query(
+    `SELECT test_id, COUNT(*)::int AS attempts FROM attempts
+     WHERE user_id = $1${filter}
+     GROUP BY test_id`,
+    params,
+  );
+  // Window function thay cho DISTINCT ON (chạy được cả trên SQLite)
+  const best = await client.query(
+    `SELECT * FROM (
+       SELECT *, ROW_NUMBER() OVER (
+         PARTITION BY test_id
+         ORDER BY score::float / NULLIF(total, 0) DESC NULLS LAST, finished_at DESC
+       ) AS rn
+       FROM attempts WHERE user_id = $1${filter}
+     ) ranked WHERE rn = 1`,
+    params,
+  );
+  const last = await client.query(
+    `SELECT * FROM (
+       SELECT *, ROW_NUMBER() OVER (
+         PARTITION BY test_id ORDER BY finished_at DESC, id DESC
+       ) AS rn
+       FROM attempts WHERE user_id = $1${filter}
+     ) ranked WHERE rn = 1`,
+    params,
+  );
+
+  const tests = {};
+  for (const r of summary.rows) tests[r.test_id] = { attempts: r.attempts };
+  for (const r of best.rows) {
+    tests[r.test_id].bestScore = r.score;
+    tests[r.test_id].bestTotal = r.total;
+  }
+  for (const r of last.rows) tests[r.test_id].lastAttempt = formatAttempt(r);
+
+  const weak = await client.query(
+    `SELECT * FROM question_stats
+     WHERE user_id = $1${filter}
+       AND attempts >= 2 AND correct::float / attempts < 0.7
+     ORDER BY correct::float / attempts, attempts DESC, last_answered_at DESC
+     LIMIT 20`,
+    params,
+  );
+
+  return { tests, weakQuestions: weak.rows.map(formatQuestionStat) };
+}
+
+/**
+ * Attempts của user, mới nhất trước (keyset theo id)
+ *
+ * after = id của dòng cuối trang trước. Returns { attempts, next }: next = id
+ * nếu còn trang sau, ngược lại null.
+ */
+export async function listAttempts(db, userId, { testId }, { limit, after }) {
+  const conditions = ["user_id = $1"];
+  const params = [userId];
+  if (testId) {
+    params.push(testId);
+    conditions.push(`test_id = $${params.length}`);
+  }
+  if (after) {
+    params.push(after);
+    conditions.push(`id < $${params.length}`);
+  }
+  params.push(limit + 1);
+
+  const result = await db.query(
+    `SELECT * FROM attempts
+     WHERE ${conditions.join(" AND ")}
+     ORDER BY id DESC
+     LIMIT $${params.length}`,
+    params,
+  );
+  const attempts = result.rows.slice(0, limit);
+  return {
+    attempts,
+    next: result.rows.length > limit ? attempts[attempts.length - 1].id : null,
+  };
+}
+
+/**
+ * Câu trả lời của các attempt. Returns Map attemptId → rows (theo questionKey).
+ */
+export async function listAttemptAnswers(db, attemptIds) {
+  const answers = new Map(attemptIds.map((id) => [id, []]));
+  if (attemptIds.length === 0) return answers;
+
+  const result = await db.query(
+    "SELECT * FROM attempt_answers WHERE attempt_id = ANY($1) ORDER BY question_key",
+    [attemptIds],
+  );
+  for (const a of result.rows) answers.get(a.attempt_id).push(a);
+  return answers;
+}
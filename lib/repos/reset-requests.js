@@ -0,0 +1,74 @@
+// lib/repos/reset-requests.js - Queries: reset_requests (chuyển license sang
+// máy mới)
+//
+// Duyệt / từ chối bởi admin: approveResetRequest, rejectResetRequest
+// (lib/licensing.js).
+import crypto from "crypto";
+
+/**
+ * Tạo request pending. Returns row.
+ */
+export async function insertResetRequest(
+  db,
+  { userId, oldLicense, oldDeviceId, newDeviceId, note },
+) {
+  const result = await db.query(
+    `INSERT INTO reset_requests
+       (id, user_id, old_license, old_device_id, new_device_id, note, status, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, 'pending', NOW())
+     RETURNING *`,
+    [crypto.randomUUID(), userId, oldLicense, oldDeviceId, newDeviceId, note],
+  );
+  return result.rows[0];
+}
+
+/**
+ * Request đang chờ cho cùng license + máy mới, hoặc null
+ */
+export async function findPendingResetRequest(db, license, newDeviceId) {
+  const result = await db.query(
+    `SELECT * FROM reset_requests
+     WHERE old_license = $1 AND new_device_id = $2 AND status = 'pending'`,
+    [license, newDeviceId],
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Request theo id, chỉ khi đúng máy mới gửi (poll từ máy mới), hoặc null
+ */
+export async function findResetRequestForDevice(db, id, newDeviceId) {
+  const result = await db.query(
+    "SELECT * FROM reset_requests WHERE id = $1 AND new_device_id = $2",
+    [id, newDeviceId],
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Số lần user tự chuyển máy (auto-approved) trong windowDays ngày gần đây
+ */
+export async function countAutoApprovedResets(db, userId, windowDays) {
+  const result = await db.query(
+    `SELECT COUNT(*)::int AS count FROM reset_requests
+     WHERE user_id = $1 AND status = 'auto-approved'
+       AND decided_at > NOW() - make_interval(days => $2)`,
+    [userId, windowDays],
+  );
+  return result.rows[0].count;
+}
+
+/**
+ * Đánh dấu request tự duyệt (self-service) với license mới. Returns row.
+ */
+export async function markResetAutoApproved(db, id, newLicense) {
+  const result = await db.query(
+    `UPDATE reset_requests
+     SET status = 'auto-approved', new_license = $1,
+         decided_by = 'self-service', decided_at = NOW()
+     WHERE id = $2
+     RETURNING *`,
+    [newLicense, id],
+  );
+  return result.rows[0];
+}
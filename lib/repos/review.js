@@ -0,0 +1,191 @@
+// lib/repos/review.js - Queries: review_cards, review_log + giới hạn ôn của
+// users
+//
+// Lịch ôn (SM-2) tính trong lib/srs.js, repo chỉ lưu kết quả.
+
+/**
+ * Tạo thẻ ôn tập cho bookmark / câu sai mới; bỏ thẻ của bookmark đã xoá
+ * (/api/review/due và stats)
+ */
+export async function refreshReviewCards(client, userId) {
+  await client.query(
+    `INSERT INTO review_cards (user_id, question_key, test_id, source, due_at, created_at)
+     SELECT DISTINCT ON (question_key) $1::varchar, question_key, test_id, 'bookmark', NOW(), NOW()
+     FROM bookmarks WHERE user_id = $1
+     ON CONFLICT (user_id, question_key) DO NOTHING`,
+    [userId],
+  );
+  await client.query(
+    `INSERT INTO review_cards (user_id, question_key, test_id, source, due_at, created_at)
+     SELECT $1::varchar, question_key, test_id, 'missed', NOW(), NOW()
+     FROM question_stats WHERE user_id = $1 AND last_correct = false
+     ON CONFLICT (user_id, question_key) DO NOTHING`,
+    [userId],
+  );
+  await client.query(
+    `DELETE FROM review_cards c
+     WHERE c.user_id = $1 AND c.source = 'bookmark'
+       AND NOT EXISTS (
+         SELECT 1 FROM bookmarks b
+         WHERE b.user_id = c.user_id AND b.question_key = c.question_key
+       )`,
+    [userId],
+  );
+}
+
+/**
+ * exam_date + giới hạn ôn riêng của user (null = mặc định của server), hoặc
+ * null nếu không có user
+ */
+export async function findReviewSettings(db, userId) {
+  const result = await db.query(
+    "SELECT exam_date, review_daily_limit, review_new_limit FROM users WHERE user_id = $1",
+    [userId],
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Đổi giới hạn ôn của user (field undefined = giữ nguyên, null = mặc định)
+ */
+export async function updateReviewSettings(
+  db,
+  userId,
+  { dailyLimit, newLimit },
+) {
+  const sets = [];
+  const params = [userId];
+  for (const [column, value] of [
+    ["review_daily_limit", dailyLimit],
+    ["review_new_limit", newLimit],
+  ]) {
+    if (value === undefined) continue;
+    params.push(value);
+    sets.push(`${column} = $${params.length}`);
+  }
+  if (sets.length === 0) return;
+
+  await db.query(
+    `UPDATE users SET ${sets.join(", ")} WHERE user_id = $1`,
+    params,
+  );
+}
+
+/**
+ * Số lượt ôn từ since: { reviewed, newReviewed }
+ */
+export async function countReviewsSince(db, userId, since) {
+  const result = await db.query(
+    `SELECT COUNT(*)::int AS reviewed,
+            COUNT(*) FILTER (WHERE was_new)::int AS new_reviewed
+     FROM review_log WHERE user_id = $1 AND reviewed_at >= $2`,
+    [userId, since],
+  );
+  const { reviewed, new_reviewed } = result.rows[0];
+  return { reviewed, newReviewed: new_reviewed };
+}
+
+/**
+ * Số thẻ đến hạn / thẻ mới: { due, new }
+ */
+export async function countReviewCards(db, userId) {
+  const result = await db.query(
+    `SELECT COUNT(*) FILTER (WHERE last_reviewed_at IS NOT NULL AND due_at <= NOW())::int AS due,
+            COUNT(*) FILTER (WHERE last_reviewed_at IS NULL)::int AS new_cards
+     FROM review_cards WHERE user_id = $1`,
+    [userId],
+  );
+  return { due: result.rows[0].due, new: result.rows[0].new_cards };
+}
+
+// Nội dung bookmark mới nhất của câu (cột bookmark, null nếu không có)
+const BOOKMARK_JOIN = `LEFT JOIN LATERAL (
+     SELECT json_build_object(
+              'id', b.id, 'questionText', b.question_text,
+              'questionNumber', b.question_number, 'options', b.options,
+              'answer', b.answer, 'detail', b.detail, 'note', b.note
+            ) AS bookmark
+     FROM bookmarks b
+     WHERE b.user_id = c.user_id AND b.question_key = c.question_key
+     ORDER BY b.updated_at DESC
+     LIMIT 1
+   ) bm ON true`;
+
+/**
+ * Thẻ đã ôn và đến hạn (hạn sớm nhất trước), kèm bookmark
+ */
+export async function listDueReviewCards(db, userId, limit) {
+  const result = await db.query(
+    `SELECT c.*, bm.bookmark FROM review_cards c ${BOOKMARK_JOIN}
+     WHERE c.user_id = $1 AND c.last_reviewed_at IS NOT NULL AND c.due_at <= NOW()
+     ORDER BY c.due_at
+     LIMIT $2`,
+    [userId, limit],
+  );
+  return result.rows;
+}
+
+/**
+ * Thẻ chưa ôn (câu sai trước bookmark, cũ trước), kèm bookmark
+ */
+export async function listNewReviewCards(db, userId, limit) {
+  const result = await db.query(
+    `SELECT c.*, bm.bookmark FROM review_cards c ${BOOKMARK_JOIN}
+     WHERE c.user_id = $1 AND c.last_reviewed_at IS NULL
+     ORDER BY c.source = 'missed' DESC, c.created_at
+     LIMIT $2`,
+    [userId, limit],
+  );
+  return result.rows;
+}
+
+/**
+ * Khoá thẻ ôn (FOR UPDATE). Returns row, hoặc null nếu không có.
+ */
+export async function lockReviewCard(client, userId, questionKey) {
+  const result = await client.query(
+    "SELECT * FROM review_cards WHERE user_id = $1 AND question_key = $2 FOR UPDATE",
+    [userId, questionKey],
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Lưu lịch ôn mới của thẻ (next = kết quả scheduleReview) + ghi review_log.
+ * Returns row đã cập nhật.
+ */
+export async function recordReview(client, card, grade, next) {
+  const updated = await client.query(
+    `UPDATE review_cards
+     SET ease = $3, interval_days = $4, repetitions = $5, lapses = $6,
+         due_at = $7, last_grade = $8, last_reviewed_at = NOW()
+     WHERE user_id = $1 AND question_key = $2
+     RETURNING *`,
+    [
+      card.user_id,
+      card.question_key,
+      next.ease,
+      next.intervalDays,
+      next.repetitions,
+      next.lapses,
+      next.dueAt,
+      grade,
+    ],
+  );
+
+  await client.query(
+    `INSERT INTO review_log
+       (user_id, question_key, grade, was_new, interval_days, ease, reviewed_at)
+     VALUES ($1, $2, $3, $4, $5, $6, NOW())`,
+    [
+      card.user_id,
+      card.question_key,
+      grade,
+      card.last_reviewed_at === null,
+      next.intervalDays,
+      next.ease,
+    ],
+  );
+
+  return updated.rows[0];
+}
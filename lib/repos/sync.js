@@ -0,0 +1,84 @@
+// lib/repos/sync.js - Queries: sync_events + state trả về cho /api/sync
+//
+// Quy tắc merge: lib/sync.js. Hàm nhận client của transaction đang mở.
+import { BOOKMARK_COLUMNS } from "./bookmarks.js";
+import { getProgress } from "./progress.js";
+
+/**
+ * Khoá user row: các sync của cùng user chạy tuần tự
+ *
+ * Mọi transaction lấy nextval('sync_seq') cho user (sync, REST bookmarks /
+ * progress) phải gọi trước khi ghi: cursor trả về là MAX(sync_seq) lúc đang
+ * giữ lock, nên không còn transaction nào của user giữ seq nhỏ hơn mà chưa
+ * commit (thay đổi đó sẽ không bao giờ tới các máy khác).
+ */
+export async function lockSyncUser(client, userId) {
+  await client.query("SELECT 1 FROM users WHERE user_id = $1 FOR UPDATE", [
+    userId,
+  ]);
+}
+
+/**
+ * Event đã nhận: { status, result }, hoặc null nếu chưa có
+ */
+export async function findSyncEvent(client, userId, eventId) {
+  const result = await client.query(
+    "SELECT status, result FROM sync_events WHERE user_id = $1 AND event_id = $2",
+    [userId, eventId],
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Ghi event đã xử lý (result = JSON của kết quả hoặc { error })
+ */
+export async function insertSyncEvent(
+  client,
+  { userId, eventId, deviceId, type, deviceTs, status, result },
+) {
+  await client.query(
+    `INSERT INTO sync_events
+       (user_id, event_id, device_id, type, device_ts, status, result, received_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())`,
+    [userId, eventId, deviceId, type, deviceTs, status, JSON.stringify(result)],
+  );
+}
+
+/**
+ * State đã merge của user: progress (luôn đầy đủ), bookmarks / tombstones
+ * thay đổi sau cursor (cursor = 0 → toàn bộ)
+ */
+export async function getSyncState(client, userId, since) {
+  const progress = await getProgress(client, userId);
+  const bookmarks = await client.query(
+    `SELECT ${BOOKMARK_COLUMNS} FROM bookmarks
+     WHERE user_id = $1 AND sync_seq > $2
+     ORDER BY sync_seq`,
+    [userId, since],
+  );
+  const tombstones = await client.query(
+    `SELECT id FROM bookmark_tombstones
+     WHERE user_id = $1 AND sync_seq > $2
+     ORDER BY sync_seq`,
+    [userId, since],
+  );
+  const seq = await client.query(
+    `SELECT GREATEST(
+       $2::bigint,
+       (SELECT MAX(sync_seq) FROM bookmarks WHERE user_id = $1),
+       (SELECT MAX(sync_seq) FROM bookmark_tombstones WHERE user_id = $1),
+       (SELECT sync_seq FROM progress WHERE user_id = $1)
+     ) AS cursor`,
+    [userId, since],
+  );
+
+  return {
+    cursor: String(seq.rows[0].cursor),
+    progress: {
+      perfect: progress?.perfect || {},
+      updatedAt: progress?.updated_at || null,
+    },
+    bookmarks: bookmarks.rows,
+    deletedBookmarks: tombstones.rows.map((r) => r.id),
+  };
+}
@@ -0,0 +1,131 @@
+// lib/repos/users.js - Queries: users, revoked_users
+//
+// Revoke / unrevoke kèm audit nằm trong lib/admin-ops.js.
+
+/**
+ * User đã bị revoke?
+ */
+export async function isUserRevoked(db, userId) {
+  const result = await db.query(
+    "SELECT 1 FROM revoked_users WHERE user_id = $1",
+    [userId],
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Khoá user (FOR UPDATE) và trả về seat limit riêng: { max_devices,
+ * seat_policy }, hoặc null nếu không có user
+ */
+export async function lockSeatLimit(client, userId) {
+  const result = await client.query(
+    "SELECT max_devices, seat_policy FROM users WHERE user_id = $1 FOR UPDATE",
+    [userId],
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Đặt seat limit riêng của user (null = mặc định theo plan / ENV)
+ */
+export async function updateSeatLimit(db, userId, { maxDevices, policy }) {
+  await db.query(
+    "UPDATE users SET max_devices = $1, seat_policy = $2 WHERE user_id = $3",
+    [maxDevices, policy, userId],
+  );
+}
+
+/**
+ * Tên + ngày thi của user (trả về khi verify), hoặc null
+ */
+export async function findUserProfile(db, userId) {
+  const result = await db.query(
+    "SELECT user_name, exam_date FROM users WHERE user_id = $1",
+    [userId],
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * User đã tồn tại?
+ */
+export async function userExists(db, userId) {
+  const result = await db.query("SELECT 1 FROM users WHERE user_id = $1", [
+    userId,
+  ]);
+  return result.rows.length > 0;
+}
+
+/**
+ * Mọi user kèm license (một dòng mỗi license, user chưa có license: một dòng
+ * license = null) và trạng thái revoke của user / máy, cho export CSV
+ */
+export async function listUserLicenses(db) {
+  const result = await db.query(
+    `SELECT u.user_id, u.user_name, u.exam_date, u.created_at AS user_created_at,
+            l.license, l.plan, l.device_id, l.expiry, l.status AS license_status,
+            l.created_at AS license_created_at,
+            (ru.user_id IS NOT NULL) AS user_revoked,
+            (rd.device_id IS NOT NULL) AS device_revoked
+     FROM users u
+     LEFT JOIN licenses l ON l.user_id = u.user_id
+     LEFT JOIN revoked_users ru ON ru.user_id = u.user_id
+     LEFT JOIN revoked_devices rd ON rd.device_id = l.device_id
+     ORDER BY u.user_id, l.created_at`,
+  );
+  return result.rows;
+}
+
+/**
+ * Các userId (trong userIds) đã tồn tại
+ */
+export async function findExistingUserIds(db, userIds) {
+  const result = await db.query(
+    "SELECT user_id FROM users WHERE user_id = ANY($1)",
+    [userIds],
+  );
+  return result.rows.map((r) => r.user_id);
+}
+
+/**
+ * userId đầu tiên (tạo sớm nhất) có email này (so khớp không phân biệt hoa
+ * thường, email đã lowercase), hoặc null
+ */
+export async function findUserIdByEmail(db, email) {
+  const result = await db.query(
+    "SELECT user_id FROM users WHERE LOWER(email) = $1 ORDER BY created_at LIMIT 1",
+    [email],
+  );
+  return result.rows[0]?.user_id || null;
+}
+
+/**
+ * Email của user: { email } (email có thể null), hoặc null nếu không có user
+ */
+export async function findUserEmail(db, userId) {
+  const result = await db.query("SELECT email FROM users WHERE user_id = $1", [
+    userId,
+  ]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Tạo user mới (từ đơn hàng)
+ */
+export async function insertUser(db, { userId, userName, email = null }) {
+  await db.query(
+    `INSERT INTO users (user_id, user_name, email, created_at)
+     VALUES ($1, $2, $3, NOW())`,
+    [userId, userName, email],
+  );
+}
+
+/**
+ * Đặt email của user
+ */
+export async function updateUserEmail(db, userId, email) {
+  await db.query("UPDATE users SET email = $1 WHERE user_id = $2", [
+    email,
+    userId,
+  ]);
+}
@@ -0,0 +1,143 @@
+// lib/repos/webhooks.js - Queries: webhooks, webhook_deliveries (admin)
+//
+// Outbox (enqueueWebhookEvent) và delivery worker: lib/webhooks.js.
+
+/**
+ * Mọi webhook (theo id) + số delivery theo status: { webhooks, counts }
+ * (counts = [{ webhook_id, status, count }])
+ */
+export async function listWebhooks(db) {
+  const webhooks = await db.query("SELECT * FROM webhooks ORDER BY id");
+  const counts = await db.query(
+    `SELECT webhook_id, status, COUNT(*)::int AS count
+     FROM webhook_deliveries GROUP BY webhook_id, status`,
+  );
+  return { webhooks: webhooks.rows, counts: counts.rows };
+}
+
+/**
+ * Tạo webhook. Returns row.
+ */
+export async function insertWebhook(
+  db,
+  { url, secret, events, description, createdBy },
+) {
+  const result = await db.query(
+    `INSERT INTO webhooks (url, secret, events, description, created_by, created_at)
+     VALUES ($1, $2, $3, $4, $5, NOW())
+     RETURNING *`,
+    [url, secret, events, description, createdBy],
+  );
+  return result.rows[0];
+}
+
+/**
+ * Webhook theo id, hoặc null. lock = SELECT … FOR UPDATE.
+ */
+export async function findWebhook(db, id, { lock = false } = {}) {
+  const result = await db.query(
+    `SELECT * FROM webhooks WHERE id = $1${lock ? " FOR UPDATE" : ""}`,
+    [id],
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Sửa webhook (field null / undefined = giữ nguyên; disabled: true tắt, false
+ * bật lại). Returns row mới.
+ */
+export async function updateWebhook(
+  db,
+  id,
+  { url, events, description, secret, disabled },
+) {
+  const result = await db.query(
+    `UPDATE webhooks
+     SET url = COALESCE($1, url),
+         events = COALESCE($2, events),
+         description = COALESCE($3, description),
+         secret = COALESCE($4, secret),
+         disabled_at = CASE
+           WHEN $5::boolean IS NULL THEN disabled_at
+           WHEN $5::boolean THEN COALESCE(disabled_at, NOW())
+           ELSE NULL
+         END
+     WHERE id = $6
+     RETURNING *`,
+    [
+      url ?? null,
+      events ?? null,
+      description ?? null,
+      secret ?? null,
+      disabled ?? null,
+      id,
+    ],
+  );
+  return result.rows[0];
+}
+
+/**
+ * Xoá webhook (delivery xoá theo cascade). Returns row đã xoá, hoặc null.
+ */
+export async function deleteWebhook(db, id) {
+  const result = await db.query(
+    "DELETE FROM webhooks WHERE id = $1 RETURNING *",
+    [id],
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Delivery log, mới nhất trước (keyset theo id)
+ *
+ * filters: webhookId, status, eventType. after = id của dòng cuối trang
+ * trước. Returns { deliveries, next }: next = id nếu còn trang sau.
+ */
+export async function listWebhookDeliveries(
+  db,
+  { webhookId, status, eventType },
+  { limit, after = null },
+) {
+  const conditions = [];
+  const params = [];
+  const add = (sql, value) => {
+    params.push(value);
+    conditions.push(`${sql} $${params.length}`);
+  };
+  if (webhookId) add("webhook_id =", webhookId);
+  if (status) add("status =", status);
+  if (eventType) add("event_type =", eventType);
+  if (after) add("id <", after);
+  params.push(limit + 1);
+
+  const result = await db.query(
+    `SELECT * FROM webhook_deliveries
+     ${conditions.length ? `WHERE ${conditions.join(" AND ")}` : ""}
+     ORDER BY id DESC
+     LIMIT $${params.length}`,
+    params,
+  );
+
+  const deliveries = result.rows.slice(0, limit);
+  return {
+    deliveries,
+    next:
+      result.rows.length > limit ? deliveries[deliveries.length - 1].id : null,
+  };
+}
+
+/**
+ * Đưa delivery về pending (attempts = 0) để dispatcher gửi lại: theo
+ * deliveryIds, hoặc mọi delivery failed của webhookId. Returns ids.
+ */
+export async function requeueWebhookDeliveries(db, { deliveryIds, webhookId }) {
+  const result = await db.query(
+    `UPDATE webhook_deliveries
+     SET status = 'pending', attempts = 0, next_attempt_at = NOW(),
+         delivered_at = NULL
+     WHERE ${deliveryIds ? "id = ANY($1)" : "webhook_id = $1 AND status = 'failed'"}
+     RETURNING id`,
+    [deliveryIds || webhookId],
+  );
+  return result.rows.map((r) => r.id);
+}
@@ -0,0 +1,318 @@
+// lib/routes/admin-accounts.js - Admin accounts & API tokens (/api/admin/me,
+// /api/admin/admins/*, /api/admin/tokens/*)
+import express from "express";
+import { recordAudit, adminActor } from "../admin-ops.js";
+import { ADMIN_ROLES, createAdminToken } from "../admin-auth.js";
+import {
+  listAdmins,
+  insertAdmin,
+  findAdmin,
+  updateAdmin,
+  lockActiveAdminToken,
+  revokeAdminToken,
+} from "../repos/admins.js";
+
+/**
+ * Format admin row (kèm tokens) for API responses
+ */
+function formatAdmin(a, tokens = []) {
+  return {
+    id: a.id,
+    name: a.name,
+    role: a.role,
+    createdAt: a.created_at,
+    disabledAt: a.disabled_at,
+    tokens: tokens.map((t) => ({
+      tokenId: t.id,
+      label: t.label,
+      createdAt: t.created_at,
+      lastUsedAt: t.last_used_at,
+      revokedAt: t.revoked_at,
+    })),
+  };
+}
+
+/**
+ * Create router: /api/admin/me, /api/admin/admins/*, /api/admin/tokens/*
+ */
+export function adminAccountRoutes({ store, adminAuth }) {
+  const router = express.Router();
+
+  /**
+   * GET /api/admin/me - Current admin identity
+   */
+  router.get("/api/admin/me", adminAuth("viewer"), (req, res) => {
+    res.json({ ok: true, admin: req.admin });
+  });
+
+  /**
+   * GET /api/admin/admins - List admins and their tokens (không có secret)
+   */
+  router.get("/api/admin/admins", adminAuth("owner"), async (req, res) => {
+    try {
+      const { admins, tokens } = await listAdmins(store);
+
+      res.json({
+        ok: true,
+        admins: admins.map((a) =>
+          formatAdmin(
+            a,
+            tokens.filter((t) => t.admin_id === a.id),
+          ),
+        ),
+      });
+    } catch (err) {
+      console.error("❌ /api/admin/admins error:", err);
+      res.status(500).send("Internal server error");
+    }
+  });
+
+  /**
+   * POST /api/admin/admins - Create admin + first token
+   *
+   * Body: name, role (viewer | support | owner), label
+   * Token chỉ trả về một lần, server chỉ lưu hash.
+   */
+  router.post("/api/admin/admins", adminAuth("owner"), async (req, res) => {
+    const { name, role, label } = req.body;
+
+    if (!name || !role) return res.status(400).send("Missing name or role");
+    if (!ADMIN_ROLES.includes(role)) {
+      return res
+        .status(400)
+        .send(`Role must be one of: ${ADMIN_ROLES.join(", ")}`);
+    }
+    if (name === "root") return res.status(400).send("Name is reserved");
+
+    const client = await store.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      const admin = await insertAdmin(client, { name, role });
+      if (!admin) {
+        await client.query("ROLLBACK");
+        return res.status(409).send("Admin already exists");
+      }
+
+      const { tokenId, token } = await createAdminToken(
+        client,
+        admin.id,
+        label,
+      );
+
+      await recordAudit(client, req, {
+        actor: adminActor(req),
+        action: "admin.create",
+        after: { adminId: admin.id, name, role, tokenId },
+      });
+
+      await client.query("COMMIT");
+
+      res.json({ ok: true, admin: formatAdmin(admin), tokenId, token });
+    } catch (err) {
+      await client.query("ROLLBACK");
+      console.error("❌ /api/admin/admins create error:", err);
+      res.status(500).send("Internal server error");
+    } finally {
+      client.release();
+    }
+  });
+
+  /**
+   * POST /api/admin/admins/:id/update - Change role or disable/enable admin
+   *
+   * Body: role, disabled (boolean)
+   */
+  router.post(
+    "/api/admin/admins/:id/update",
+    adminAuth("owner"),
+    async (req, res) => {
+      const { role, disabled } = req.body;
+
+      if (role !== undefined && !ADMIN_ROLES.includes(role)) {
+        return res
+          .status(400)
+          .send(`Role must be one of: ${ADMIN_ROLES.join(", ")}`);
+      }
+
+      const client = await store.connect();
+
+      try {
+        await client.query("BEGIN");
+
+        const before = await findAdmin(client, req.params.id, { lock: true });
+        if (!before) {
+          await client.query("ROLLBACK");
+          return res.status(404).send("Admin not found");
+        }
+
+        const updated = await updateAdmin(client, req.params.id, {
+          role,
+          disabled,
+        });
+
+        await recordAudit(client, req, {
+          actor: adminActor(req),
+          action: "admin.update",
+          before: formatAdmin(before),
+          after: formatAdmin(updated),
+        });
+
+        await client.query("COMMIT");
+
+        res.json({ ok: true, admin: formatAdmin(updated) });
+      } catch (err) {
+        await client.query("ROLLBACK");
+        console.error("❌ /api/admin/admins/update error:", err);
+        res.status(500).send("Internal server error");
+      } finally {
+        client.release();
+      }
+    },
+  );
+
+  /**
+   * POST /api/admin/admins/:id/tokens - Issue an additional token
+   */
+  router.post(
+    "/api/admin/admins/:id/tokens",
+    adminAuth("owner"),
+    async (req, res) => {
+      const client = await store.connect();
+
+      try {
+        await client.query("BEGIN");
+
+        const admin = await findAdmin(client, req.params.id);
+        if (!admin) {
+          await client.query("ROLLBACK");
+          return res.status(404).send("Admin not found");
+        }
+
+        const { tokenId, token } = await createAdminToken(
+          client,
+          admin.id,
+          req.body.label,
+        );
+
+        await recordAudit(client, req, {
+          actor: adminActor(req),
+          action: "admin-token.create",
+          after: { adminId: admin.id, tokenId, label: req.body.label },
+        });
+
+        await client.query("COMMIT");
+
+        res.json({ ok: true, tokenId, token });
+      } catch (err) {
+        await client.query("ROLLBACK");
+        console.error("❌ /api/admin/admins/tokens error:", err);
+        res.status(500).send("Internal server error");
+      } finally {
+        client.release();
+      }
+    },
+  );
+
+  /**
+   * POST /api/admin/tokens/:tokenId/rotate - Replace a token with a new one
+   *
+   * Owner rotate được mọi token; admin khác chỉ rotate token của chính mình.
+   * Body: graceSeconds - giữ token cũ thêm một lúc để deploy token mới (mặc định 0)
+   */
+  router.post(
+    "/api/admin/tokens/:tokenId/rotate",
+    adminAuth("viewer"),
+    async (req, res) => {
+      const { tokenId } = req.params;
+      const graceSeconds = Math.max(
+        parseInt(req.body.graceSeconds, 10) || 0,
+        0,
+      );
+
+      if (req.admin.role !== "owner" && req.admin.tokenId !== tokenId) {
+        return res.status(403).send("Forbidden: Requires owner role");
+      }
+
+      const client = await store.connect();
+
+      try {
+        await client.query("BEGIN");
+
+        const old = await lockActiveAdminToken(client, tokenId);
+        if (!old) {
+          await client.query("ROLLBACK");
+          return res.status(404).send("Token not found or revoked");
+        }
+
+        const created = await createAdminToken(client, old.admin_id, old.label);
+        await revokeAdminToken(client, tokenId, graceSeconds);
+
+        await recordAudit(client, req, {
+          actor: adminActor(req),
+          action: "admin-token.rotate",
+          before: { tokenId },
+          after: { tokenId: created.tokenId, graceSeconds },
+        });
+
+        await client.query("COMMIT");
+
+        res.json({ ok: true, tokenId: created.tokenId, token: created.token });
+      } catch (err) {
+        await client.query("ROLLBACK");
+        console.error("❌ /api/admin/tokens/rotate error:", err);
+        res.status(500).send("Internal server error");
+      } finally {
+        client.release();
+      }
+    },
+  );
+
+  /**
+   * POST /api/admin/tokens/:tokenId/revoke - Revoke a token immediately
+   *
+   * Owner revoke được mọi token; admin khác chỉ revoke token của chính mình.
+   */
+  router.post(
+    "/api/admin/tokens/:tokenId/revoke",
+    adminAuth("viewer"),
+    async (req, res) => {
+      const { tokenId } = req.params;
+
+      if (req.admin.role !== "owner" && req.admin.tokenId !== tokenId) {
+        return res.status(403).send("Forbidden: Requires owner role");
+      }
+
+      const client = await store.connect();
+
+      try {
+        await client.query("BEGIN");
+
+        const adminId = await revokeAdminToken(client, tokenId);
+        if (adminId === null) {
+          await client.query("ROLLBACK");
+          return res.status(404).send("Token not found or revoked");
+        }
+
+        await recordAudit(client, req, {
+          actor: adminActor(req),
+          action: "admin-token.revoke",
+          before: { tokenId, adminId },
+        });
+
+        await client.query("COMMIT");
+
+        res.json({ ok: true, tokenId, revoked: true });
+      } catch (err) {
+        await client.query("ROLLBACK");
+        console.error("❌ /api/admin/tokens/revoke error:", err);
+        res.status(500).send("Internal server error");
+      } finally {
+        client.release();
+      }
+    },
+  );
+
+  return router;
+}
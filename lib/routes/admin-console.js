@@ -0,0 +1,632 @@
+// lib/routes/admin-console.js - Admin console (/admin - HTML render phía server)
+//
+// Đăng nhập bằng admin token (hoặc ADMIN_KEY) → session cookie HttpOnly,
+// SameSite=Strict, chỉ gửi trong /admin. Mọi form POST kèm _csrf của session
+// (trước khi đăng nhập: double-submit cookie). Các action gọi chung helper với
+// /api/admin/* nên audit / quyền giống hệt API.
+import express from "express";
+import crypto from "crypto";
+import {
+  recordAudit,
+  adminActor,
+  revokeUser,
+  unrevokeUser,
+  revokeDevice,
+  unrevokeDevice,
+  resetProgress,
+  listUsers,
+} from "../admin-ops.js";
+import {
+  errorPage,
+  loginPage,
+  usersPage,
+  userPage,
+  resetRequestsPage,
+} from "../admin-ui.js";
+import { hashAdminSecret, ADMIN_ROLES } from "../admin-auth.js";
+import { listResetRequests, rejectResetRequest } from "../licensing.js";
+import {
+  findAdminSession,
+  touchAdminSession,
+  setAdminSessionFlash,
+  insertAdminSession,
+  deleteAdminSession,
+} from "../repos/admin-sessions.js";
+import { findRevokedDeviceIds } from "../repos/devices.js";
+import { listRecentBookmarks } from "../repos/bookmarks.js";
+
+const ADMIN_SESSION_COOKIE = "n1_admin";
+
+const ADMIN_LOGIN_CSRF_COOKIE = "n1_admin_csrf";
+
+/**
+ * Security headers cho mọi trang /admin (không JS, không nhúng iframe)
+ */
+export function adminConsoleHeaders(req, res, next) {
+  res.set({
+    "Content-Security-Policy":
+      "default-src 'self'; style-src 'unsafe-inline'; script-src 'none'; frame-ancestors 'none'; form-action 'self'",
+    "X-Frame-Options": "DENY",
+    "X-Content-Type-Options": "nosniff",
+    "Referrer-Policy": "same-origin",
+    "Cache-Control": "no-store",
+  });
+  next();
+}
+
+/**
+ * Parse header Cookie → { name: value }
+ */
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of (header || "").split(";")) {
+    const index = part.indexOf("=");
+    if (index < 0) continue;
+    const name = part.slice(0, index).trim();
+    try {
+      cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch {
+      // bỏ qua cookie lỗi encoding
+    }
+  }
+  return cookies;
+}
+
+/**
+ * So sánh constant-time hai string (token / CSRF)
+ */
+function safeEqual(a, b) {
+  if (typeof a !== "string" || typeof b !== "string") return false;
+  return crypto.timingSafeEqual(
+    Buffer.from(hashAdminSecret(a), "hex"),
+    Buffer.from(hashAdminSecret(b), "hex"),
+  );
+}
+
+function adminCookieOptions(req, maxAge) {
+  return {
+    httpOnly: true,
+    sameSite: "strict",
+    secure: req.secure,
+    path: "/admin",
+    ...(maxAge ? { maxAge } : {}),
+  };
+}
+
+/**
+ * Admin đang đăng nhập, kèm quyền để template ẩn / hiện action
+ */
+function consoleAdmin(req) {
+  const rank = ADMIN_ROLES.indexOf(req.admin.role);
+  return {
+    name: req.admin.name,
+    role: req.admin.role,
+    can: {
+      support: rank >= ADMIN_ROLES.indexOf("support"),
+      owner: rank >= ADMIN_ROLES.indexOf("owner"),
+    },
+  };
+}
+
+/**
+ * Render một trang console (kèm admin, csrf, flash của session)
+ */
+function renderConsole(req, res, page, data, status = 200) {
+  res
+    .status(status)
+    .type("html")
+    .send(
+      page({
+        admin: consoleAdmin(req),
+        csrf: req.adminSession.csrf,
+        flash: req.adminSession.flash,
+        ...data,
+      }),
+    );
+}
+
+function consoleUserUrl(userId) {
+  return `/admin/users/${encodeURIComponent(userId)}`;
+}
+
+/**
+ * Create router: /admin/*
+ */
+export function adminConsoleRoutes({
+  store,
+  config,
+  rateLimiter,
+  resolveAdminToken,
+  getUserInfo,
+  statsCache,
+  validateGenerateInput,
+  issueLicense,
+  approveResetRequest,
+}) {
+  const { adminKey: ADMIN_KEY, adminSessionHours: ADMIN_SESSION_HOURS } =
+    config;
+  const router = express.Router();
+
+  /**
+   * Đọc session từ cookie, kiểm tra lại admin / token còn hiệu lực
+   *
+   * Gắn req.admin (giống adminAuth) + req.adminSession = { id, csrf, flash }.
+   * Flash chỉ hiển thị một lần (xoá khi đọc ở request GET).
+   */
+  async function loadAdminSession(req) {
+    const token = parseCookies(req.headers.cookie)[ADMIN_SESSION_COOKIE];
+    if (!token) return null;
+
+    const sessionId = hashAdminSecret(token);
+    const row = await findAdminSession(store, sessionId);
+    // Session của root chỉ hợp lệ khi ADMIN_KEY vẫn còn cấu hình
+    if (!row || (row.admin_id === null && !ADMIN_KEY)) return null;
+
+    const consumeFlash = req.method === "GET" && row.flash !== null;
+    await touchAdminSession(store, sessionId, { consumeFlash });
+
+    let flash = null;
+    if (consumeFlash) {
+      try {
+        flash = JSON.parse(row.flash);
+      } catch {
+        // flash hỏng → bỏ qua
+      }
+    }
+
+    return {
+      admin: {
+        id: row.admin_id,
+        name: row.admin_name,
+        role: row.role,
+        tokenId: row.token_id,
+      },
+      session: { id: sessionId, csrf: row.csrf_token, flash },
+    };
+  }
+
+  /**
+   * Session + CSRF (POST) + role check: router.get(path, adminConsole("support"), handler)
+   */
+  function adminConsole(role = "viewer") {
+    return async (req, res, next) => {
+      let loaded;
+      try {
+        loaded = await loadAdminSession(req);
+      } catch (err) {
+        console.error("❌ /admin session error:", err);
+        return res
+          .status(500)
+          .type("html")
+          .send(
+            errorPage({
+              title: "Error",
+              message: "Internal server error",
+            }),
+          );
+      }
+      if (!loaded) return res.redirect(303, "/admin/login");
+
+      req.admin = loaded.admin;
+      req.adminSession = loaded.session;
+
+      if (
+        req.method === "POST" &&
+        !safeEqual(req.body?._csrf, req.adminSession.csrf)
+      ) {
+        return renderConsole(
+          req,
+          res,
+          errorPage,
+          {
+            title: "Forbidden",
+            message: "Invalid CSRF token, reload the page",
+          },
+          403,
+        );
+      }
+      if (ADMIN_ROLES.indexOf(req.admin.role) < ADMIN_ROLES.indexOf(role)) {
+        return renderConsole(
+          req,
+          res,
+          errorPage,
+          { title: "Forbidden", message: `Requires ${role} role` },
+          403,
+        );
+      }
+      next();
+    };
+  }
+
+  /**
+   * Lưu flash cho trang tiếp theo (sau redirect)
+   */
+  async function setAdminFlash(req, flash) {
+    try {
+      await setAdminSessionFlash(store, req.adminSession.id, flash);
+    } catch (err) {
+      console.error("❌ /admin flash error:", err.message);
+    }
+  }
+
+  /**
+   * Chạy một action của console trong transaction rồi lưu flash
+   *
+   * action(client) trả về { message, detail } hoặc { error: { message } }.
+   * Returns true nếu đã COMMIT.
+   */
+  async function runConsoleAction(req, action) {
+    const client = await store.connect();
+    let flash;
+    let committed = false;
+
+    try {
+      await client.query("BEGIN");
+
+      const result = await action(client);
+      if (result.error) {
+        await client.query("ROLLBACK");
+        flash = { type: "error", message: result.error.message };
+      } else {
+        await client.query("COMMIT");
+        committed = true;
+        flash = { type: "ok", message: result.message, detail: result.detail };
+      }
+    } catch (err) {
+      await client.query("ROLLBACK");
+      console.error(`❌ ${req.path} error:`, err);
+      flash = { type: "error", message: "Internal server error" };
+    } finally {
+      client.release();
+    }
+
+    await setAdminFlash(req, flash);
+    return committed;
+  }
+
+  /**
+   * GET /admin/login - Form đăng nhập
+   */
+  router.get("/admin/login", (req, res) => {
+    const csrf = crypto.randomBytes(32).toString("hex");
+    res.cookie(ADMIN_LOGIN_CSRF_COOKIE, csrf, adminCookieOptions(req));
+    res.type("html").send(loginPage({ csrf }));
+  });
+
+  /**
+   * POST /admin/login - Đổi admin token lấy session cookie
+   */
+  router.post("/admin/login", async (req, res) => {
+    const cookieCsrf = parseCookies(req.headers.cookie)[
+      ADMIN_LOGIN_CSRF_COOKIE
+    ];
+    const renderLogin = (status, error) => {
+      const csrf = crypto.randomBytes(32).toString("hex");
+      res.cookie(ADMIN_LOGIN_CSRF_COOKIE, csrf, adminCookieOptions(req));
+      res.status(status).type("html").send(loginPage({ csrf, error }));
+    };
+
+    if (!cookieCsrf || !safeEqual(req.body._csrf, cookieCsrf)) {
+      return renderLogin(403, "Invalid CSRF token, try again");
+    }
+
+    try {
+      if (rateLimiter) {
+        const limit = await rateLimiter.check({ ip: req.ip });
+        if (!limit.allowed) {
+          res.set("Retry-After", String(Math.max(limit.retryAfter, 1)));
+          return renderLogin(429, "Too many failed attempts, try again later");
+        }
+      }
+
+      const admin = await resolveAdminToken(
+        typeof req.body.token === "string" ? req.body.token.trim() : null,
+      );
+      if (!admin) {
+        rateLimiter
+          ?.recordFailure({ ip: req.ip }, "/admin/login 401")
+          .catch((err) => console.error("❌ Rate limiter error:", err));
+        return renderLogin(401, "Invalid admin token");
+      }
+
+      const token = crypto.randomBytes(32).toString("base64url");
+      const maxAge = ADMIN_SESSION_HOURS * 3_600_000;
+      await insertAdminSession(store, {
+        id: hashAdminSecret(token),
+        admin,
+        csrfToken: crypto.randomBytes(32).toString("hex"),
+        ip: req.ip,
+        maxAge,
+      });
+
+      req.admin = admin;
+      await recordAudit(store, req, {
+        actor: adminActor(req),
+        action: "admin.login",
+        after: { tokenId: admin.tokenId },
+      });
+
+      res.clearCookie(ADMIN_LOGIN_CSRF_COOKIE, adminCookieOptions(req));
+      res.cookie(ADMIN_SESSION_COOKIE, token, adminCookieOptions(req, maxAge));
+      res.redirect(303, "/admin/users");
+    } catch (err) {
+      console.error("❌ /admin/login error:", err);
+      renderLogin(500, "Internal server error");
+    }
+  });
+
+  /**
+   * POST /admin/logout
+   */
+  router.post("/admin/logout", adminConsole("viewer"), async (req, res) => {
+    try {
+      await deleteAdminSession(store, req.adminSession.id);
+    } catch (err) {
+      console.error("❌ /admin/logout error:", err);
+    }
+    res.clearCookie(ADMIN_SESSION_COOKIE, adminCookieOptions(req));
+    res.redirect(303, "/admin/login");
+  });
+
+  router.get("/admin", (req, res) => res.redirect(303, "/admin/users"));
+
+  /**
+   * GET /admin/users - Tìm / lọc learner (cùng query với GET /api/admin/users)
+   */
+  router.get("/admin/users", adminConsole("viewer"), async (req, res) => {
+    // Form GET gửi cả field trống
+    const query = Object.fromEntries(
+      Object.entries(req.query).filter(
+        ([, value]) => typeof value === "string" && value !== "",
+      ),
+    );
+
+    try {
+      const result = await listUsers(store, query);
+      if (result.error) {
+        return renderConsole(
+          req,
+          res,
+          usersPage,
+          { query, users: [], total: 0, error: result.error },
+          400,
+        );
+      }
+      renderConsole(req, res, usersPage, { query, ...result });
+    } catch (err) {
+      console.error("❌ /admin/users error:", err);
+      renderConsole(
+        req,
+        res,
+        errorPage,
+        { title: "Error", message: "Internal server error" },
+        500,
+      );
+    }
+  });
+
+  /**
+   * GET /admin/users/:userId - Licenses, devices, progress, bookmarks
+   */
+  router.get(
+    "/admin/users/:userId",
+    adminConsole("viewer"),
+    async (req, res) => {
+      const { userId } = req.params;
+
+      const client = await store.connect();
+
+      try {
+        const info = await getUserInfo(client, userId);
+
+        const deviceIds = [
+          ...new Set([
+            ...info.devices,
+            ...info.deviceBindings.map((b) => b.deviceId),
+          ]),
+        ];
+        const revokedDevices = await findRevokedDeviceIds(client, deviceIds);
+        const bookmarks = await listRecentBookmarks(client, userId, 50);
+
+        renderConsole(req, res, userPage, {
+          info,
+          revokedDevices: new Set(revokedDevices),
+          bookmarks: bookmarks.map((b) => ({
+            questionKey: b.question_key,
+            questionText: b.question_text,
+            testId: b.test_id,
+            folder: b.folder,
+            tags: b.tags,
+            createdAt: b.created_at,
+          })),
+        });
+      } catch (err) {
+        console.error("❌ /admin/users/:userId error:", err);
+        renderConsole(
+          req,
+          res,
+          errorPage,
+          { title: "Error", message: "Internal server error" },
+          500,
+        );
+      } finally {
+        client.release();
+      }
+    },
+  );
+
+  /**
+   * POST /admin/users/:userId/revoke | unrevoke
+   */
+  router.post(
+    "/admin/users/:userId/revoke",
+    adminConsole("support"),
+    async (req, res) => {
+      const { userId } = req.params;
+      await runConsoleAction(req, async (client) => {
+        await revokeUser(client, req, userId, req.body.reason || null);
+        return { message: `User ${userId} revoked` };
+      });
+      res.redirect(303, consoleUserUrl(userId));
+    },
+  );
+
+  router.post(
+    "/admin/users/:userId/unrevoke",
+    adminConsole("support"),
+    async (req, res) => {
+      const { userId } = req.params;
+      await runConsoleAction(req, async (client) => {
+        const changed = await unrevokeUser(client, req, userId);
+        return changed
+          ? { message: `User ${userId} unrevoked` }
+          : { error: { message: "User not revoked" } };
+      });
+      res.redirect(303, consoleUserUrl(userId));
+    },
+  );
+
+  /**
+   * POST /admin/users/:userId/revoke-device | unrevoke-device (body: deviceId)
+   */
+  router.post(
+    "/admin/users/:userId/revoke-device",
+    adminConsole("support"),
+    async (req, res) => {
+      const { userId } = req.params;
+      const { deviceId, reason } = req.body;
+      await runConsoleAction(req, async (client) => {
+        if (!deviceId) return { error: { message: "Missing deviceId" } };
+        await revokeDevice(client, req, deviceId, reason || null);
+        return { message: `Device ${deviceId} revoked` };
+      });
+      res.redirect(303, consoleUserUrl(userId));
+    },
+  );
+
+  router.post(
+    "/admin/users/:userId/unrevoke-device",
+    adminConsole("support"),
+    async (req, res) => {
+      const { userId } = req.params;
+      const { deviceId } = req.body;
+      await runConsoleAction(req, async (client) => {
+        if (!deviceId) return { error: { message: "Missing deviceId" } };
+        const changed = await unrevokeDevice(client, req, deviceId);
+        return changed
+          ? { message: `Device ${deviceId} unrevoked` }
+          : { error: { message: "Device not revoked" } };
+      });
+      res.redirect(303, consoleUserUrl(userId));
+    },
+  );
+
+  /**
+   * POST /admin/users/:userId/reset-progress
+   */
+  router.post(
+    "/admin/users/:userId/reset-progress",
+    adminConsole("support"),
+    async (req, res) => {
+      const { userId } = req.params;
+      const committed = await runConsoleAction(req, async (client) => {
+        await resetProgress(client, req, userId);
+        return { message: "Progress reset" };
+      });
+      if (committed) statsCache.delete(userId);
+      res.redirect(303, consoleUserUrl(userId));
+    },
+  );
+
+  /**
+   * POST /admin/generate - Cấp license (form trên trang Users / user detail)
+   */
+  router.post("/admin/generate", adminConsole("owner"), async (req, res) => {
+    const input = validateGenerateInput(req.body);
+    await runConsoleAction(req, async (client) => {
+      if (input.error) return input;
+      const issued = await issueLicense(client, req, input.value);
+      if (issued.error) return issued;
+      return {
+        message: `License ${input.value.format} issued (expiry ${input.value.expiry})`,
+        detail: issued.license,
+      };
+    });
+    res.redirect(
+      303,
+      req.body.userId ? consoleUserUrl(req.body.userId) : "/admin/users",
+    );
+  });
+
+  /**
+   * GET /admin/reset-requests - Hàng đợi chuyển máy (mặc định: pending)
+   */
+  router.get(
+    "/admin/reset-requests",
+    adminConsole("viewer"),
+    async (req, res) => {
+      const status =
+        req.query.status === "all" ? "" : req.query.status || "pending";
+
+      try {
+        const requests = await listResetRequests(store, {
+          status,
+          limit: 200,
+        });
+        renderConsole(req, res, resetRequestsPage, { status, requests });
+      } catch (err) {
+        console.error("❌ /admin/reset-requests error:", err);
+        renderConsole(
+          req,
+          res,
+          errorPage,
+          { title: "Error", message: "Internal server error" },
+          500,
+        );
+      }
+    },
+  );
+
+  /**
+   * POST /admin/reset-requests/:id/approve | reject
+   */
+  router.post(
+    "/admin/reset-requests/:id/approve",
+    adminConsole("support"),
+    async (req, res) => {
+      const { license, note } = req.body;
+      await runConsoleAction(req, async (client) => {
+        const result = await approveResetRequest(client, req, req.params.id, {
+          license: license || null,
+          note,
+        });
+        if (result.error) return result;
+        return {
+          message: `Request #${result.request.requestId} approved → ${result.request.newDeviceId}`,
+          detail: result.license,
+        };
+      });
+      res.redirect(303, "/admin/reset-requests");
+    },
+  );
+
+  router.post(
+    "/admin/reset-requests/:id/reject",
+    adminConsole("support"),
+    async (req, res) => {
+      await runConsoleAction(req, async (client) => {
+        const result = await rejectResetRequest(
+          client,
+          req,
+          req.params.id,
+          req.body.note || null,
+        );
+        if (result.error) return result;
+        return { message: `Request #${result.request.requestId} rejected` };
+      });
+      res.redirect(303, "/admin/reset-requests");
+    },
+  );
+
+  return router;
+}
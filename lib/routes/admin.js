@@ -0,0 +1,573 @@
+// lib/routes/admin.js - Admin: learner (tìm, export CSV, user-info, stats,
+// revoke / unrevoke, reset progress, cài đặt nhắc), lockouts, audit log
+//
+// /api/admin/* xác thực bằng adminAuth(role) (lib/admin-auth.js).
+import express from "express";
+import { toCsvLine } from "../csv.js";
+import { isExpiryValid, formatDate } from "../dates.js";
+import {
+  recordAudit,
+  adminActor,
+  revokeUser,
+  unrevokeUser,
+  resetProgress,
+  listUsers,
+} from "../admin-ops.js";
+import { isV2License } from "../license-v2.js";
+import {
+  NOTIFICATION_KINDS,
+  parseNotificationSettings,
+  updateNotificationSettings,
+} from "../notifications.js";
+import { listUserLicenses } from "../repos/users.js";
+import { listAuditEvents } from "../repos/audit.js";
+import { listNotifications } from "../repos/notifications.js";
+
+/**
+ * Format audit row for API responses
+ */
+function formatAuditEvent(r) {
+  return {
+    id: String(r.id),
+    createdAt: r.created_at,
+    actor: r.actor,
+    action: r.action,
+    userId: r.user_id,
+    deviceId: r.device_id,
+    license: r.license,
+    ip: r.ip,
+    before: r.before_data,
+    after: r.after_data,
+  };
+}
+
+/**
+ * Create router: /api/admin/ learner, lockout và audit routes
+ */
+export function adminRoutes({
+  store,
+  config,
+  adminAuth,
+  getUserInfo,
+  getLearnerStats,
+  statsCache,
+  rateLimiter,
+}) {
+  const { notifyDefaultLocale: NOTIFY_DEFAULT_LOCALE } = config;
+  const router = express.Router();
+
+  /**
+   * GET /api/admin/export/users.csv - Users + licenses (kèm status) dạng CSV
+   *
+   * Một dòng cho mỗi license; learner chưa có license vẫn có một dòng.
+   * status: active | expired | unbound | device-revoked | user-revoked
+   */
+  router.get(
+    "/api/admin/export/users.csv",
+    adminAuth("support"),
+    async (req, res) => {
+      const columns = [
+        "userId",
+        "userName",
+        "examDate",
+        "userCreatedAt",
+        "license",
+        "format",
+        "plan",
+        "deviceId",
+        "expiry",
+        "status",
+        "licenseCreatedAt",
+      ];
+
+      try {
+        const rows = await listUserLicenses(store);
+
+        res.set("Content-Type", "text/csv; charset=utf-8");
+        res.set(
+          "Content-Disposition",
+          `attachment; filename="users-${new Date().toISOString().slice(0, 10)}.csv"`,
+        );
+        // BOM để Excel đọc đúng UTF-8 (tên tiếng Việt)
+        res.write("\uFEFF" + toCsvLine(columns));
+
+        for (const r of rows) {
+          let status = null;
+          if (r.user_revoked) status = "user-revoked";
+          else if (["revoked", "superseded"].includes(r.license_status))
+            status = r.license_status;
+          else if (r.license && r.device_revoked) status = "device-revoked";
+          else if (r.license && !isExpiryValid(r.expiry)) status = "expired";
+          else if (r.license && !r.device_id) status = "unbound";
+          else if (r.license) status = "active";
+
+          res.write(
+            toCsvLine([
+              r.user_id,
+              r.user_name,
+              formatDate(r.exam_date),
+              r.user_created_at,
+              r.license,
+              r.license ? (isV2License(r.license) ? "v2" : "v1") : null,
+              r.plan,
+              r.device_id,
+              r.expiry,
+              status,
+              r.license_created_at,
+            ]),
+          );
+        }
+
+        res.end();
+      } catch (err) {
+        console.error("❌ /api/admin/export/users.csv error:", err);
+        res.status(500).send("Internal server error");
+      }
+    },
+  );
+
+  /**
+   * POST /api/admin/user-info - Get full user info
+   */
+  router.post("/api/admin/user-info", adminAuth("viewer"), async (req, res) => {
+    const { userId } = req.body;
+
+    if (!userId) return res.status(400).send("Missing userId");
+
+    const client = await store.connect();
+
+    try {
+      res.json({ ok: true, ...(await getUserInfo(client, userId)) });
+    } catch (err) {
+      console.error("❌ /api/admin/user-info error:", err);
+      res.status(500).send("Internal server error");
+    } finally {
+      client.release();
+    }
+  });
+
+  /**
+   * GET /api/admin/users - Tìm / lọc learner (query: xem listUsers)
+   */
+  router.get("/api/admin/users", adminAuth("viewer"), async (req, res) => {
+    try {
+      const result = await listUsers(store, req.query);
+      if (result.error) return res.status(400).send(result.error);
+
+      res.json({ ok: true, ...result });
+    } catch (err) {
+      console.error("❌ /api/admin/users error:", err);
+      res.status(500).send("Internal server error");
+    }
+  });
+
+  /**
+   * GET /api/admin/stats?userId=&fresh=1 - Dashboard của một learner
+   */
+  router.get("/api/admin/stats", adminAuth("viewer"), async (req, res) => {
+    const { userId, fresh } = req.query;
+
+    if (!userId) return res.status(400).send("Missing userId");
+
+    try {
+      const stats = await getLearnerStats(store, userId, {
+        fresh: fresh === "1" || fresh === "true",
+      });
+      if (!stats) return res.status(404).send("User not found");
+
+      res.json({ ok: true, stats });
+    } catch (err) {
+      console.error("❌ /api/admin/stats error:", err);
+      res.status(500).send("Internal server error");
+    }
+  });
+
+  /**
+   * POST /api/admin/notification-settings - Email / ngôn ngữ / bật tắt nhắc
+   * của learner (như /api/notifications/settings)
+   *
+   * Body: userId, email, locale, enabled
+   */
+  router.post(
+    "/api/admin/notification-settings",
+    adminAuth("support"),
+    async (req, res) => {
+      const { userId } = req.body;
+      if (!userId) return res.status(400).send("Missing userId");
+      const update = parseNotificationSettings(req.body);
+      if (update.error) return res.status(400).send(update.error);
+
+      const client = await store.connect();
+
+      try {
+        await client.query("BEGIN");
+
+        const before = await updateNotificationSettings(
+          client,
+          userId,
+          [],
+          NOTIFY_DEFAULT_LOCALE,
+        );
+        if (!before) {
+          await client.query("ROLLBACK");
+          return res.status(404).send("User not found");
+        }
+        const after = await updateNotificationSettings(
+          client,
+          userId,
+          update.columns,
+          NOTIFY_DEFAULT_LOCALE,
+        );
+        await recordAudit(client, req, {
+          actor: adminActor(req),
+          action: "user.notification-settings",
+          userId,
+          before,
+          after,
+        });
+
+        await client.query("COMMIT");
+
+        res.json({ ok: true, userId, ...after });
+      } catch (err) {
+        await client.query("ROLLBACK");
+        console.error("❌ /api/admin/notification-settings error:", err);
+        res.status(500).send("Internal server error");
+      } finally {
+        client.release();
+      }
+    },
+  );
+
+  /**
+   * GET /api/admin/notifications - Thông báo đã ghi / đã gửi (mới nhất trước)
+   *
+   * Query: userId, kind, status (pending | sent | failed | skipped), limit
+   * (max 200), cursor (nextCursor của trang trước)
+   */
+  router.get(
+    "/api/admin/notifications",
+    adminAuth("support"),
+    async (req, res) => {
+      const { userId, kind, status, cursor } = req.query;
+      const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+      if (kind && !NOTIFICATION_KINDS.includes(kind)) {
+        return res
+          .status(400)
+          .send(`Kind must be ${NOTIFICATION_KINDS.join(" or ")}`);
+      }
+      if (
+        status &&
+        !["pending", "sent", "failed", "skipped"].includes(status)
+      ) {
+        return res
+          .status(400)
+          .send("Status must be pending, sent, failed or skipped");
+      }
+      if (cursor && !/^\d+$/.test(cursor)) {
+        return res.status(400).send("Invalid cursor");
+      }
+
+      try {
+        const { notifications, next } = await listNotifications(
+          store,
+          { userId, kind, status },
+          { limit, after: cursor },
+        );
+
+        res.json({
+          ok: true,
+          notifications: notifications.map((n) => ({
+            id: String(n.id),
+            userId: n.user_id,
+            kind: n.kind,
+            locale: n.locale,
+            recipient: n.recipient,
+            subject: n.subject,
+            body: n.body,
+            data: n.data,
+            transport: n.transport,
+            status: n.status,
+            attempts: n.attempts,
+            lastError: n.last_error,
+            createdAt: n.created_at,
+            sentAt: n.sent_at,
+          })),
+          nextCursor: next === null ? null : String(next),
+        });
+      } catch (err) {
+        console.error("❌ /api/admin/notifications error:", err);
+        res.status(500).send("Internal server error");
+      }
+    },
+  );
+
+  /**
+   * POST /api/admin/revoke-user
+   */
+  router.post(
+    "/api/admin/revoke-user",
+    adminAuth("support"),
+    async (req, res) => {
+      const { userId, reason } = req.body;
+
+      if (!userId) return res.status(400).send("Missing userId");
+
+      const client = await store.connect();
+
+      try {
+        await client.query("BEGIN");
+
+        await revokeUser(client, req, userId, reason);
+
+        await client.query("COMMIT");
+
+        res.json({ ok: true, userId, revoked: true });
+      } catch (err) {
+        await client.query("ROLLBACK");
+        console.error("❌ /api/admin/revoke-user error:", err);
+        res.status(500).send("Internal server error");
+      } finally {
+        client.release();
+      }
+    },
+  );
+
+  /**
+   * POST /api/admin/unrevoke-user
+   */
+  router.post(
+    "/api/admin/unrevoke-user",
+    adminAuth("support"),
+    async (req, res) => {
+      const { userId } = req.body;
+
+      if (!userId) return res.status(400).send("Missing userId");
+
+      const client = await store.connect();
+
+      try {
+        await client.query("BEGIN");
+
+        await unrevokeUser(client, req, userId);
+
+        await client.query("COMMIT");
+
+        res.json({ ok: true, userId, revoked: false });
+      } catch (err) {
+        await client.query("ROLLBACK");
+        console.error("❌ /api/admin/unrevoke-user error:", err);
+        res.status(500).send("Internal server error");
+      } finally {
+        client.release();
+      }
+    },
+  );
+
+  /**
+   * POST /api/admin/reset-progress - Clear user progress
+   */
+  router.post(
+    "/api/admin/reset-progress",
+    adminAuth("support"),
+    async (req, res) => {
+      const { userId } = req.body;
+
+      if (!userId) return res.status(400).send("Missing userId");
+
+      const client = await store.connect();
+
+      try {
+        await client.query("BEGIN");
+
+        await resetProgress(client, req, userId);
+
+        await client.query("COMMIT");
+        statsCache.delete(userId);
+
+        res.json({ ok: true, userId, progressReset: true });
+      } catch (err) {
+        await client.query("ROLLBACK");
+        console.error("❌ /api/admin/reset-progress error:", err);
+        res.status(500).send("Internal server error");
+      } finally {
+        client.release();
+      }
+    },
+  );
+
+  /**
+   * GET /api/admin/lockouts - Keys đang bị khoá (brute-force protection)
+   */
+  router.get("/api/admin/lockouts", adminAuth("support"), async (req, res) => {
+    try {
+      const lockouts = rateLimiter ? await rateLimiter.listLockouts() : [];
+      const now = Date.now();
+
+      res.json({
+        ok: true,
+        enabled: Boolean(rateLimiter),
+        lockouts: lockouts.map((l) => ({
+          key: l.key,
+          type: l.key.slice(0, l.key.indexOf(":")),
+          value: l.key.slice(l.key.indexOf(":") + 1),
+          reason: l.reason,
+          failures: l.failures,
+          lockedAt: new Date(l.lockedAt).toISOString(),
+          until: new Date(l.until).toISOString(),
+          retryAfter: Math.ceil((l.until - now) / 1000),
+        })),
+      });
+    } catch (err) {
+      console.error("❌ /api/admin/lockouts error:", err);
+      res.status(500).send("Internal server error");
+    }
+  });
+
+  /**
+   * POST /api/admin/lockouts/clear - Mở khoá một key (vd. "device:abc")
+   */
+  router.post(
+    "/api/admin/lockouts/clear",
+    adminAuth("support"),
+    async (req, res) => {
+      const { key } = req.body;
+
+      if (!key) return res.status(400).send("Missing key");
+      if (!rateLimiter) return res.status(409).send("Rate limiting disabled");
+
+      try {
+        const cleared = await rateLimiter.clearLockout(key);
+
+        if (cleared) {
+          await recordAudit(store, req, {
+            actor: adminActor(req),
+            action: "lockout.clear",
+            deviceId: key.startsWith("device:") ? key.slice(7) : null,
+            license: key.startsWith("license:") ? key.slice(8) : null,
+            before: { key },
+            after: null,
+          });
+        }
+
+        res.json({ ok: true, key, cleared });
+      } catch (err) {
+        console.error("❌ /api/admin/lockouts/clear error:", err);
+        res.status(500).send("Internal server error");
+      }
+    },
+  );
+
+  /**
+   * GET /api/admin/audit - Query audit log (newest first)
+   *
+   * Query: action, actor, userId, deviceId, license, from, to (ISO date),
+   * limit (max 200), cursor (nextCursor của trang trước)
+   */
+  router.get("/api/admin/audit", adminAuth("support"), async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    for (const key of ["from", "to"]) {
+      if (req.query[key] && isNaN(new Date(req.query[key]))) {
+        return res.status(400).send(`Invalid ${key} date`);
+      }
+    }
+    if (req.query.cursor && !/^\d+$/.test(req.query.cursor)) {
+      return res.status(400).send("Invalid cursor");
+    }
+
+    try {
+      const { events, next } = await listAuditEvents(store, req.query, {
+        limit,
+        after: req.query.cursor,
+      });
+
+      res.json({
+        ok: true,
+        events: events.map(formatAuditEvent),
+        nextCursor: next === null ? null : String(next),
+      });
+    } catch (err) {
+      console.error("❌ /api/admin/audit error:", err);
+      res.status(500).send("Internal server error");
+    }
+  });
+
+  /**
+   * GET /api/admin/audit/export - Export audit log as CSV or NDJSON
+   *
+   * Cùng filter với /api/admin/audit, format=csv (mặc định) | ndjson.
+   * Stream theo batch để không load toàn bộ log vào memory.
+   */
+  router.get(
+    "/api/admin/audit/export",
+    adminAuth("support"),
+    async (req, res) => {
+      const format = req.query.format || "csv";
+      if (format !== "csv" && format !== "ndjson") {
+        return res.status(400).send("Format must be csv or ndjson");
+      }
+      for (const key of ["from", "to"]) {
+        if (req.query[key] && isNaN(new Date(req.query[key]))) {
+          return res.status(400).send(`Invalid ${key} date`);
+        }
+      }
+
+      const BATCH_SIZE = 1000;
+      const columns = [
+        "id",
+        "createdAt",
+        "actor",
+        "action",
+        "userId",
+        "deviceId",
+        "license",
+        "ip",
+        "before",
+        "after",
+      ];
+
+      try {
+        res.set(
+          "Content-Type",
+          format === "csv"
+            ? "text/csv; charset=utf-8"
+            : "application/x-ndjson; charset=utf-8",
+        );
+        res.set(
+          "Content-Disposition",
+          `attachment; filename="audit-${new Date().toISOString().slice(0, 10)}.${format}"`,
+        );
+        if (format === "csv") res.write(toCsvLine(columns));
+
+        let cursor = null;
+        do {
+          const { events, next } = await listAuditEvents(store, req.query, {
+            limit: BATCH_SIZE,
+            after: cursor,
+          });
+
+          for (const row of events) {
+            const event = formatAuditEvent(row);
+            res.write(
+              format === "csv"
+                ? toCsvLine(columns.map((c) => event[c]))
+                : JSON.stringify(event) + "\n",
+            );
+          }
+
+          cursor = next;
+        } while (cursor !== null);
+
+        res.end();
+      } catch (err) {
+        console.error("❌ /api/admin/audit/export error:", err);
+        if (res.headersSent) return res.destroy(err);
+        res.status(500).send("Internal server error");
+      }
+    },
+  );
+
+  return router;
+}
@@ -0,0 +1,272 @@
+// lib/routes/bookmarks.js - /api/bookmarks (CRUD, tìm kiếm, tags)
+//
+// Learner xác thực bằng access token hoặc header X-Device-Id + X-License (xem
+// learnerAuth), bookmark luôn thuộc về userId của license. Plan phải có
+// bookmarkSync (requireBookmarkSync).
+import express from "express";
+import { validate } from "../validate.js";
+import {
+  BOOKMARK_SCHEMA,
+  BOOKMARK_PATCH_SCHEMA,
+  normalizeTags,
+} from "../bookmarks.js";
+import {
+  upsertBookmark,
+  deleteBookmark,
+  lockBookmark,
+  updateBookmark,
+  listBookmarks,
+  listBookmarkTags,
+} from "../repos/bookmarks.js";
+import { lockSyncUser } from "../repos/sync.js";
+
+/**
+ * Create router: /api/bookmarks/*
+ */
+export function bookmarkRoutes({
+  store,
+  learnerAuth,
+  requireBookmarkSync,
+  statsCache,
+}) {
+  const router = express.Router();
+
+  /**
+   * POST /api/bookmarks - Create or update a bookmark
+   */
+  router.post(
+    "/api/bookmarks",
+    learnerAuth,
+    requireBookmarkSync,
+    async (req, res) => {
+      const { value, errors } = validate(BOOKMARK_SCHEMA, req.body);
+      if (errors.length > 0) {
+        return res.status(400).json({ ok: false, error: errors.join("; ") });
+      }
+
+      const client = await store.connect();
+
+      try {
+        await client.query("BEGIN");
+        await lockSyncUser(client, req.learner.userId);
+
+        // Chỉ update khi id thuộc về chính user này
+        const bookmark = await upsertBookmark(
+          client,
+          req.learner.userId,
+          value,
+          {
+            deviceId: req.learner.deviceId,
+          },
+        );
+
+        if (!bookmark) {
+          await client.query("ROLLBACK");
+          return res
+            .status(409)
+            .json({ ok: false, error: "id đã được dùng cho bookmark khác" });
+        }
+
+        await client.query("COMMIT");
+        statsCache.delete(req.learner.userId);
+
+        res.json({ ok: true, bookmark });
+      } catch (err) {
+        await client.query("ROLLBACK");
+        console.error("❌ /api/bookmarks error:", err);
+        res.status(500).json({ ok: false, error: "Internal server error" });
+      } finally {
+        client.release();
+      }
+    },
+  );
+
+  /**
+   * PATCH /api/bookmarks/:id - Update note / tags / folder
+   *
+   * folder = "" để bỏ khỏi folder.
+   */
+  router.patch(
+    "/api/bookmarks/:id",
+    learnerAuth,
+    requireBookmarkSync,
+    async (req, res) => {
+      const { value, errors } = validate(BOOKMARK_PATCH_SCHEMA, req.body, {
+        partial: true,
+      });
+      if (errors.length > 0) {
+        return res.status(400).json({ ok: false, error: errors.join("; ") });
+      }
+
+      const { note, tags, folder } = value;
+      if (note === undefined && tags === undefined && folder === undefined) {
+        return res
+          .status(400)
+          .json({ ok: false, error: "Thiếu note, tags hoặc folder" });
+      }
+
+      const client = await store.connect();
+
+      try {
+        await client.query("BEGIN");
+        await lockSyncUser(client, req.learner.userId);
+
+        const bookmark = await updateBookmark(
+          client,
+          req.learner.userId,
+          req.params.id,
+          {
+            note,
+            tags: tags && normalizeTags(tags),
+            folder: folder === undefined ? undefined : folder || null,
+          },
+          { deviceId: req.learner.deviceId },
+        );
+
+        if (!bookmark) {
+          await client.query("ROLLBACK");
+          return res
+            .status(404)
+            .json({ ok: false, error: "Không tìm thấy bookmark" });
+        }
+
+        await client.query("COMMIT");
+
+        res.json({ ok: true, bookmark });
+      } catch (err) {
+        await client.query("ROLLBACK");
+        console.error("❌ /api/bookmarks/:id (patch) error:", err);
+        res.status(500).json({ ok: false, error: "Internal server error" });
+      } finally {
+        client.release();
+      }
+    },
+  );
+
+  /**
+   * DELETE /api/bookmarks/:id - Xoá bookmark (chỉ của chính user)
+   */
+  router.delete(
+    "/api/bookmarks/:id",
+    learnerAuth,
+    requireBookmarkSync,
+    async (req, res) => {
+      const { id } = req.params;
+      const client = await store.connect();
+
+      try {
+        await client.query("BEGIN");
+        await lockSyncUser(client, req.learner.userId);
+
+        if (!(await lockBookmark(client, req.learner.userId, id))) {
+          await client.query("ROLLBACK");
+          return res
+            .status(404)
+            .json({ ok: false, error: "Không tìm thấy bookmark" });
+        }
+
+        await deleteBookmark(client, req.learner.userId, id, {
+          deviceId: req.learner.deviceId,
+        });
+
+        await client.query("COMMIT");
+        statsCache.delete(req.learner.userId);
+
+        res.json({ ok: true, deleted: id });
+      } catch (err) {
+        await client.query("ROLLBACK");
+        console.error("❌ /api/bookmarks/:id (delete) error:", err);
+        res.status(500).json({ ok: false, error: "Internal server error" });
+      } finally {
+        client.release();
+      }
+    },
+  );
+
+  /**
+   * GET /api/bookmarks - List bookmarks (mới nhất trước)
+   *
+   * Query: testId, q (tìm trong question_text / note), tag, folder,
+   * limit (mặc định 50, tối đa 200), cursor (nextCursor của trang trước)
+   */
+  router.get(
+    "/api/bookmarks",
+    learnerAuth,
+    requireBookmarkSync,
+    async (req, res) => {
+      const { testId, q, tag, folder, cursor } = req.query;
+      const limit = req.query.limit ? parseInt(req.query.limit, 10) : 50;
+
+      if (!(limit > 0 && limit <= 200)) {
+        return res
+          .status(400)
+          .json({ ok: false, error: "limit must be between 1 and 200" });
+      }
+
+      let after = null;
+      if (cursor) {
+        let createdAt, id;
+        try {
+          [createdAt, id] = JSON.parse(
+            Buffer.from(cursor, "base64url").toString(),
+          );
+        } catch {
+          // xử lý bên dưới
+        }
+        if (typeof createdAt !== "string" || typeof id !== "string") {
+          return res.status(400).json({ ok: false, error: "Invalid cursor" });
+        }
+        after = { createdAt, id };
+      }
+
+      try {
+        const { bookmarks, next } = await listBookmarks(
+          store,
+          req.learner.userId,
+          { testId, q, tag, folder },
+          { limit, after },
+        );
+        const nextCursor = next
+          ? Buffer.from(JSON.stringify([next.createdAt, next.id])).toString(
+              "base64url",
+            )
+          : null;
+
+        res.json({
+          ok: true,
+          bookmarks,
+          total: bookmarks.length,
+          filtered: testId ? `testId=${testId}` : "all tests",
+          nextCursor,
+        });
+      } catch (err) {
+        console.error("❌ /api/bookmarks error:", err);
+        res.status(500).json({ ok: false, error: "Internal server error" });
+      }
+    },
+  );
+
+  /**
+   * GET /api/bookmarks/tags - Tags và folders của user (kèm số bookmark)
+   */
+  router.get(
+    "/api/bookmarks/tags",
+    learnerAuth,
+    requireBookmarkSync,
+    async (req, res) => {
+      try {
+        const { tags, folders } = await listBookmarkTags(
+          store,
+          req.learner.userId,
+        );
+
+        res.json({ ok: true, tags, folders });
+      } catch (err) {
+        console.error("❌ /api/bookmarks/tags error:", err);
+        res.status(500).json({ ok: false, error: "Internal server error" });
+      }
+    },
+  );
+
+  return router;
+}
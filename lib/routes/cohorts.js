@@ -0,0 +1,378 @@
+// lib/routes/cohorts.js - Admin: cohorts (nhóm learner + thao tác hàng loạt)
+import express from "express";
+import { validate } from "../validate.js";
+import {
+  adminActor,
+  recordAudit,
+  revokeUser,
+  unrevokeUser,
+} from "../admin-ops.js";
+import { ADMIN_ROLES } from "../admin-auth.js";
+import { validateExtension, extendChanges } from "../licensing.js";
+import { insertMessage } from "../repos/messages.js";
+import { findExistingUserIds } from "../repos/users.js";
+import {
+  listCohorts,
+  insertCohort,
+  deleteCohort,
+  findCohort,
+  listCohortMemberIds,
+  addCohortMembers,
+  removeCohortMembers,
+} from "../repos/cohorts.js";
+
+const COHORT_SCHEMA = {
+  name: { type: "string", required: true, maxLength: 100 },
+  description: { type: "string", maxLength: 2000 },
+};
+
+const MESSAGE_SCHEMA = {
+  title: { type: "string", required: true, maxLength: 200 },
+  body: { type: "string", maxLength: 10000 },
+};
+
+const COHORT_BULK_ACTIONS = ["extend", "revoke", "unrevoke", "message"];
+
+/**
+ * Format cohort row for API responses
+ */
+function formatCohort(c) {
+  return {
+    id: String(c.id),
+    name: c.name,
+    description: c.description,
+    members: c.members ?? undefined,
+    createdBy: c.created_by,
+    createdAt: c.created_at,
+  };
+}
+
+/**
+ * Parse danh sách userIds (1-1000 phần tử). Returns null nếu sai.
+ */
+function parseUserIds(userIds) {
+  if (!Array.isArray(userIds) || userIds.length === 0) return null;
+  if (userIds.length > 1000) return null;
+  if (userIds.some((id) => typeof id !== "string" || !id)) return null;
+  return [...new Set(userIds)];
+}
+
+/**
+ * Create router: /api/admin/cohorts/*
+ */
+export function cohortRoutes({
+  store,
+  adminAuth,
+  replaceUserLicenses,
+  statsCache,
+}) {
+  const router = express.Router();
+
+  /**
+   * GET /api/admin/cohorts - List cohorts (kèm số thành viên)
+   */
+  router.get("/api/admin/cohorts", adminAuth("viewer"), async (req, res) => {
+    try {
+      const cohorts = await listCohorts(store);
+
+      res.json({ ok: true, cohorts: cohorts.map(formatCohort) });
+    } catch (err) {
+      console.error("❌ /api/admin/cohorts error:", err);
+      res.status(500).send("Internal server error");
+    }
+  });
+
+  /**
+   * POST /api/admin/cohorts - Create cohort
+   *
+   * Body: name (duy nhất), description
+   */
+  router.post("/api/admin/cohorts", adminAuth("support"), async (req, res) => {
+    const { value, errors } = validate(COHORT_SCHEMA, req.body);
+    if (errors.length > 0) return res.status(400).send(errors.join("; "));
+
+    const client = await store.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      const cohort = await insertCohort(client, {
+        name: value.name.trim(),
+        description: value.description || null,
+        createdBy: adminActor(req),
+      });
+      if (!cohort) {
+        await client.query("ROLLBACK");
+        return res.status(409).send("Cohort name already exists");
+      }
+
+      await recordAudit(client, req, {
+        actor: adminActor(req),
+        action: "cohort.create",
+        before: null,
+        after: { id: cohort.id, name: cohort.name },
+      });
+
+      await client.query("COMMIT");
+
+      res.json({ ok: true, cohort: formatCohort(cohort) });
+    } catch (err) {
+      await client.query("ROLLBACK");
+      console.error("❌ /api/admin/cohorts (create) error:", err);
+      res.status(500).send("Internal server error");
+    } finally {
+      client.release();
+    }
+  });
+
+  /**
+   * POST /api/admin/cohorts/delete - Delete cohort (không ảnh hưởng learner)
+   */
+  router.post(
+    "/api/admin/cohorts/delete",
+    adminAuth("support"),
+    async (req, res) => {
+      const { cohortId } = req.body;
+
+      if (!cohortId) return res.status(400).send("Missing cohortId");
+
+      const client = await store.connect();
+
+      try {
+        await client.query("BEGIN");
+
+        const deleted = await deleteCohort(client, cohortId);
+        if (!deleted) {
+          await client.query("ROLLBACK");
+          return res.status(404).send("Cohort not found");
+        }
+
+        await recordAudit(client, req, {
+          actor: adminActor(req),
+          action: "cohort.delete",
+          before: deleted,
+          after: null,
+        });
+
+        await client.query("COMMIT");
+
+        res.json({ ok: true, cohortId: String(cohortId), deleted: true });
+      } catch (err) {
+        await client.query("ROLLBACK");
+        console.error("❌ /api/admin/cohorts/delete error:", err);
+        res.status(500).send("Internal server error");
+      } finally {
+        client.release();
+      }
+    },
+  );
+
+  /**
+   * POST /api/admin/cohorts/members - Thêm / bớt thành viên
+   *
+   * Body: cohortId, add (userIds), remove (userIds)
+   */
+  router.post(
+    "/api/admin/cohorts/members",
+    adminAuth("support"),
+    async (req, res) => {
+      const { cohortId } = req.body;
+      const add = req.body.add ? parseUserIds(req.body.add) : [];
+      const remove = req.body.remove ? parseUserIds(req.body.remove) : [];
+
+      if (!cohortId) return res.status(400).send("Missing cohortId");
+      if (!add || !remove) {
+        return res
+          .status(400)
+          .send("add / remove must be arrays of 1-1000 userIds");
+      }
+      if (add.length === 0 && remove.length === 0) {
+        return res.status(400).send("Missing add or remove");
+      }
+
+      const client = await store.connect();
+
+      try {
+        await client.query("BEGIN");
+
+        const cohort = await findCohort(client, cohortId, { lock: true });
+        if (!cohort) {
+          await client.query("ROLLBACK");
+          return res.status(404).send("Cohort not found");
+        }
+
+        const added = await addCohortMembers(
+          client,
+          cohortId,
+          add,
+          adminActor(req),
+        );
+        const knownIds = new Set(await findExistingUserIds(client, add));
+        const removed = await removeCohortMembers(client, cohortId, remove);
+
+        await recordAudit(client, req, {
+          actor: adminActor(req),
+          action: "cohort.members",
+          before: null,
+          after: {
+            cohortId: String(cohortId),
+            name: cohort.name,
+            added,
+            removed,
+          },
+        });
+
+        await client.query("COMMIT");
+
+        res.json({
+          ok: true,
+          cohortId: String(cohortId),
+          added: added.length,
+          removed: removed.length,
+          unknownUserIds: add.filter((id) => !knownIds.has(id)),
+        });
+      } catch (err) {
+        await client.query("ROLLBACK");
+        console.error("❌ /api/admin/cohorts/members error:", err);
+        res.status(500).send("Internal server error");
+      } finally {
+        client.release();
+      }
+    },
+  );
+
+  /**
+   * POST /api/admin/cohorts/bulk - Thao tác hàng loạt trên cả cohort
+   *
+   * Body: cohortId, action:
+   *   extend   - days hoặc expiry (cần quyền owner)
+   *   revoke   - reason
+   *   unrevoke
+   *   message  - title, body (learner đọc qua /api/messages)
+   * Mỗi learner trong một savepoint: learner lỗi (vd. không có license để
+   * extend) không làm hỏng cả batch. Returns kết quả từng learner.
+   */
+  router.post(
+    "/api/admin/cohorts/bulk",
+    adminAuth("support"),
+    async (req, res) => {
+      const { cohortId, action, days, expiry, reason } = req.body;
+
+      if (!cohortId) return res.status(400).send("Missing cohortId");
+      if (!COHORT_BULK_ACTIONS.includes(action)) {
+        return res
+          .status(400)
+          .send(`action must be one of: ${COHORT_BULK_ACTIONS.join(", ")}`);
+      }
+      if (
+        action === "extend" &&
+        ADMIN_ROLES.indexOf(req.admin.role) < ADMIN_ROLES.indexOf("owner")
+      ) {
+        return res.status(403).send("Forbidden: Requires owner role");
+      }
+      if (action === "extend") {
+        const error = validateExtension({ days, expiry });
+        if (error) return res.status(400).send(error);
+      }
+      let message = null;
+      if (action === "message") {
+        const { value, errors } = validate(MESSAGE_SCHEMA, req.body);
+        if (errors.length > 0) return res.status(400).send(errors.join("; "));
+        message = value;
+      }
+
+      const client = await store.connect();
+
+      try {
+        await client.query("BEGIN");
+
+        const cohort = await findCohort(client, cohortId);
+        if (!cohort) {
+          await client.query("ROLLBACK");
+          return res.status(404).send("Cohort not found");
+        }
+        const members = await listCohortMemberIds(client, cohortId);
+
+        const results = [];
+        for (const userId of members) {
+          await client.query("SAVEPOINT cohort_member");
+          try {
+            let result = { userId, ok: true };
+            if (action === "extend") {
+              const replaced = await replaceUserLicenses(
+                client,
+                req,
+                { userId },
+                {
+                  action: "extend",
+                  statuses: ["active"],
+                  changesFor: extendChanges({ days, expiry }),
+                },
+              );
+              result = replaced.error
+                ? { userId, ok: false, error: replaced.error.message }
+                : { userId, ok: true, licenses: replaced.licenses.length };
+            } else if (action === "revoke") {
+              result.changed = await revokeUser(client, req, userId, reason);
+            } else if (action === "unrevoke") {
+              result.changed = await unrevokeUser(client, req, userId);
+            } else {
+              await insertMessage(client, userId, {
+                title: message.title,
+                body: message.body || "",
+                cohortId,
+                createdBy: adminActor(req),
+              });
+            }
+
+            if (result.ok) {
+              await client.query("RELEASE SAVEPOINT cohort_member");
+            } else {
+              await client.query("ROLLBACK TO SAVEPOINT cohort_member");
+            }
+            results.push(result);
+          } catch (err) {
+            await client.query("ROLLBACK TO SAVEPOINT cohort_member");
+            console.error(`❌ Cohort bulk ${action} (${userId}) error:`, err);
+            results.push({ userId, ok: false, error: "Internal server error" });
+          }
+        }
+
+        await recordAudit(client, req, {
+          actor: adminActor(req),
+          action: `cohort.${action}`,
+          before: null,
+          after: {
+            cohortId: String(cohortId),
+            name: cohort.name,
+            members: results.length,
+            succeeded: results.filter((r) => r.ok).length,
+            ...(action === "extend" && { days, expiry }),
+            ...(action === "revoke" && { reason }),
+            ...(message && { title: message.title }),
+          },
+        });
+
+        await client.query("COMMIT");
+        for (const r of results) statsCache.delete(r.userId);
+
+        res.json({
+          ok: true,
+          cohortId: String(cohortId),
+          action,
+          succeeded: results.filter((r) => r.ok).length,
+          failed: results.filter((r) => !r.ok).length,
+          results,
+        });
+      } catch (err) {
+        await client.query("ROLLBACK");
+        console.error("❌ /api/admin/cohorts/bulk error:", err);
+        res.status(500).send("Internal server error");
+      } finally {
+        client.release();
+      }
+    },
+  );
+
+  return router;
+}
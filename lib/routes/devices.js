@@ -0,0 +1,742 @@
+// lib/routes/devices.js - Máy của learner
+//
+// Learner: chuyển máy (/api/request-reset), xem / gỡ máy, mã thêm máy.
+// Admin: revoke / unrevoke device, seat limit, duyệt reset request.
+import express from "express";
+import { SEAT_POLICIES } from "../config.js";
+import { isExpiryValid, addDaysYmd } from "../dates.js";
+import {
+  recordAudit,
+  revokeDevice,
+  unrevokeDevice,
+  formatDeviceBinding,
+  adminActor,
+} from "../admin-ops.js";
+import { isV2License } from "../license-v2.js";
+import {
+  findCurrentLicense,
+  formatResetRequest,
+  resolveLearnerLicense,
+  releaseDevice,
+  createActivationCodes,
+  listResetRequests,
+  rejectResetRequest,
+} from "../licensing.js";
+import { bearerToken } from "../learner-auth.js";
+import {
+  listDeviceBindings,
+  findDeviceBinding,
+  isDeviceRevoked,
+} from "../repos/devices.js";
+import {
+  isUserRevoked,
+  lockSeatLimit,
+  updateSeatLimit,
+} from "../repos/users.js";
+import {
+  insertResetRequest,
+  findPendingResetRequest,
+  findResetRequestForDevice,
+  countAutoApprovedResets,
+  markResetAutoApproved,
+} from "../repos/reset-requests.js";
+import { findActivePlan } from "../repos/licenses.js";
+
+/**
+ * Create router: /api/request-reset, /api/devices/*, /api/admin/ device +
+ * reset request routes
+ */
+export function deviceRoutes({
+  store,
+  config,
+  parseAndValidateLicense,
+  authenticateAccessToken,
+  transferLicense,
+  getSeatLimit,
+  authenticateLearner,
+  adminAuth,
+  approveResetRequest,
+}) {
+  const {
+    resetFreeTransfers: RESET_FREE_TRANSFERS,
+    resetFreeWindowDays: RESET_FREE_WINDOW_DAYS,
+  } = config;
+  const router = express.Router();
+
+  /**
+   * POST /api/request-reset - Request moving a license to a new device
+   *
+   * deviceId = máy mới. Nếu còn lượt chuyển miễn phí (RESET_FREE_TRANSFERS /
+   * RESET_FREE_WINDOW_DAYS) và request kèm "Authorization: Bearer <access
+   * token>" của máy đang bind (chủ license xác nhận) thì duyệt tự động và trả
+   * về license mới ngay, ngược lại request ở trạng thái pending chờ admin.
+   * Route không cần đăng nhập: chỉ biết license thì không tự chuyển được.
+   */
+  router.post("/api/request-reset", async (req, res) => {
+    const { deviceId, oldLicense, note } = req.body;
+
+    if (!deviceId) return res.status(400).send("Missing deviceId");
+
+    const client = await store.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      let licenseRow = null;
+      if (oldLicense) {
+        const found = await findCurrentLicense(client, oldLicense, {
+          lock: true,
+        });
+        if (!found) {
+          await client.query("ROLLBACK");
+          return res.status(404).send("License not found");
+        }
+
+        // License phải hợp lệ với máy đang bind (chống giả mạo)
+        if (
+          found.record.device_id &&
+          !parseAndValidateLicense(oldLicense, found.record.device_id).valid
+        ) {
+          await client.query("ROLLBACK");
+          return res.status(400).send("Invalid license");
+        }
+
+        // License cũ đã được gia hạn / nâng cấp → chuyển license hiện hành
+        licenseRow = found.current;
+        if (licenseRow.status === "revoked") {
+          await client.query("ROLLBACK");
+          return res.status(403).send("License revoked");
+        }
+        if (licenseRow.status === "superseded") {
+          await client.query("ROLLBACK");
+          return res.status(409).send("License superseded");
+        }
+        if (licenseRow.device_id === deviceId) {
+          await client.query("ROLLBACK");
+          return res.status(400).send("License already bound to this device");
+        }
+      }
+
+      if (await isDeviceRevoked(client, deviceId)) {
+        await client.query("ROLLBACK");
+        return res.status(403).send("Device revoked");
+      }
+
+      // Request trùng (cùng license + máy mới) đang chờ → trả lại request cũ
+      if (licenseRow) {
+        const existing = await findPendingResetRequest(
+          client,
+          licenseRow.license,
+          deviceId,
+        );
+        if (existing) {
+          await client.query("COMMIT");
+          return res.json({
+            ok: true,
+            ...formatResetRequest(existing),
+            message: "Reset request already pending. Admin will contact you.",
+          });
+        }
+      }
+
+      let request = await insertResetRequest(client, {
+        userId: licenseRow?.user_id || null,
+        oldLicense: licenseRow?.license || null,
+        oldDeviceId: licenseRow?.device_id || null,
+        newDeviceId: deviceId,
+        note: note || null,
+      });
+
+      await recordAudit(client, req, {
+        actor: "learner",
+        action: "reset-request.create",
+        userId: request.user_id,
+        deviceId,
+        license: request.old_license,
+        after: { requestId: request.id, note: request.note },
+      });
+
+      // Auto-approve theo policy, chỉ khi máy đang bind xác nhận
+      let confirmed = false;
+      const token = bearerToken(req);
+      if (licenseRow && token) {
+        const auth = await authenticateAccessToken(
+          client,
+          token,
+          licenseRow.device_id,
+        );
+        confirmed = !auth.error && auth.userId === licenseRow.user_id;
+      }
+
+      let newLicense = null;
+      if (confirmed && RESET_FREE_TRANSFERS > 0) {
+        const revokedUser = await isUserRevoked(client, licenseRow.user_id);
+        const used = await countAutoApprovedResets(
+          client,
+          licenseRow.user_id,
+          RESET_FREE_WINDOW_DAYS,
+        );
+        if (
+          !revokedUser &&
+          isExpiryValid(licenseRow.expiry) &&
+          used < RESET_FREE_TRANSFERS
+        ) {
+          const transferred = await transferLicense(
+            client,
+            req,
+            licenseRow,
+            deviceId,
+            "self-service",
+          );
+          // Không chuyển được (trùng license đã revoke) → chờ admin xử lý
+          if (!transferred.error) {
+            newLicense = transferred.license;
+            request = await markResetAutoApproved(
+              client,
+              request.id,
+              newLicense,
+            );
+          }
+        }
+      }
+
+      await client.query("COMMIT");
+
+      console.log("📋 RESET REQUEST:", {
+        requestId: request.id,
+        userId: request.user_id,
+        deviceId,
+        status: request.status,
+      });
+
+      res.json({
+        ok: true,
+        ...formatResetRequest(request),
+        license: newLicense,
+        message: newLicense
+          ? "Device transferred. Use the new license on this device."
+          : "Reset request logged. Admin will contact you.",
+      });
+    } catch (err) {
+      await client.query("ROLLBACK");
+      console.error("❌ /api/request-reset error:", err);
+      res.status(500).send("Internal server error");
+    } finally {
+      client.release();
+    }
+  });
+
+  /**
+   * POST /api/request-reset/status - Poll a reset request from the new device
+   */
+  router.post("/api/request-reset/status", async (req, res) => {
+    const { requestId, deviceId } = req.body;
+
+    if (!requestId || !deviceId) {
+      return res.status(400).send("Missing requestId or deviceId");
+    }
+
+    try {
+      const request = await findResetRequestForDevice(
+        store,
+        requestId,
+        deviceId,
+      );
+      if (!request) {
+        return res.status(404).send("Reset request not found");
+      }
+
+      res.json({
+        ok: true,
+        requestId: request.id,
+        status: request.status,
+        decisionNote: request.decision_note,
+        license: ["approved", "auto-approved"].includes(request.status)
+          ? request.new_license
+          : null,
+      });
+    } catch (err) {
+      console.error("❌ /api/request-reset/status error:", err);
+      res.status(500).send("Internal server error");
+    }
+  });
+
+  /**
+   * POST /api/devices - List devices (seats) của learner
+   */
+  router.post("/api/devices", async (req, res) => {
+    const { deviceId, license } = req.body;
+
+    if (!deviceId || !license) {
+      return res.status(400).send("Missing deviceId or license");
+    }
+
+    const client = await store.connect();
+
+    try {
+      const parsed = parseAndValidateLicense(license, deviceId);
+      if (!parsed.valid) {
+        return res.status(400).send(parsed.reason || "Invalid license");
+      }
+
+      const resolved = await resolveLearnerLicense(
+        client,
+        license,
+        deviceId,
+        parsed,
+      );
+      if (resolved.error) {
+        return res.status(resolved.error.status).send(resolved.error.message);
+      }
+
+      const { user_id: userId, plan } = resolved.current;
+      const bindings = await listDeviceBindings(client, userId);
+      const { maxDevices, policy } = await getSeatLimit(client, userId, plan);
+
+      res.json({
+        ok: true,
+        maxDevices,
+        policy,
+        devices: bindings.map((b) => ({
+          deviceId: b.device_id,
+          deviceName: b.device_name,
+          createdAt: b.created_at,
+          lastSeenAt: b.last_seen_at,
+          current: b.device_id === deviceId,
+        })),
+      });
+    } catch (err) {
+      console.error("❌ /api/devices error:", err);
+      res.status(500).send("Internal server error");
+    } finally {
+      client.release();
+    }
+  });
+
+  /**
+   * POST /api/devices/remove - Learner gỡ một máy của mình (giải phóng seat)
+   *
+   * Body: deviceId, license (máy đang dùng), removeDeviceId (máy cần gỡ)
+   */
+  router.post("/api/devices/remove", async (req, res) => {
+    const { deviceId, license, removeDeviceId } = req.body;
+
+    if (!deviceId || !license || !removeDeviceId) {
+      return res
+        .status(400)
+        .send("Missing deviceId, license or removeDeviceId");
+    }
+
+    const client = await store.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      const parsed = parseAndValidateLicense(license, deviceId);
+      if (!parsed.valid) {
+        await client.query("ROLLBACK");
+        return res.status(400).send(parsed.reason || "Invalid license");
+      }
+
+      const resolved = await resolveLearnerLicense(
+        client,
+        license,
+        deviceId,
+        parsed,
+      );
+      if (resolved.error) {
+        await client.query("ROLLBACK");
+        return res.status(resolved.error.status).send(resolved.error.message);
+      }
+
+      const { user_id: userId } = resolved.current;
+      const binding = await findDeviceBinding(client, userId, removeDeviceId, {
+        lock: true,
+      });
+      if (!binding) {
+        await client.query("ROLLBACK");
+        return res.status(404).send("Device not found");
+      }
+
+      await releaseDevice(client, req, binding, {
+        action: "remove",
+        actor: "learner",
+      });
+
+      await client.query("COMMIT");
+
+      res.json({ ok: true, deviceId: removeDeviceId, removed: true });
+    } catch (err) {
+      await client.query("ROLLBACK");
+      console.error("❌ /api/devices/remove error:", err);
+      res.status(500).send("Internal server error");
+    } finally {
+      client.release();
+    }
+  });
+
+  /**
+   * POST /api/devices/add-code - Mã kích hoạt để thêm máy (seat)
+   *
+   * Learner đang dùng máy đã bind (deviceId + license hoặc Bearer) lấy mã dùng
+   * một lần, nhập trên máy mới ở /api/verify: máy mới nhận license riêng cùng
+   * plan / expiry và chiếm seat theo seat limit. Mã hết hạn sau ngày mai.
+   */
+  router.post("/api/devices/add-code", async (req, res) => {
+    const { deviceId, license } = req.body;
+    const token = bearerToken(req);
+
+    if (!token && (!deviceId || !license)) {
+      return res.status(400).send("Missing deviceId or license");
+    }
+
+    const client = await store.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      const auth = token
+        ? await authenticateAccessToken(client, token, deviceId)
+        : await authenticateLearner(client, deviceId, license, {
+            invalidStatus: 400,
+          });
+      if (auth.error) {
+        await client.query("ROLLBACK");
+        return res.status(auth.error.status).send(auth.error.message);
+      }
+
+      const found = await findCurrentLicense(client, auth.license);
+      const current = found?.current;
+      if (!current || current.status !== "active") {
+        await client.query("ROLLBACK");
+        return res.status(403).send("License not active");
+      }
+      // Máy bị đẩy khỏi seat (evict-lru) phải verify lại trước
+      if (!(await findDeviceBinding(client, auth.userId, auth.deviceId))) {
+        await client.query("ROLLBACK");
+        return res.status(403).send("Device has no seat, verify again");
+      }
+
+      const [code] = await createActivationCodes(client, req, {
+        userId: auth.userId,
+        plan: current.plan,
+        format: isV2License(current.license) ? "v2" : "v1",
+        expiry: current.expiry,
+        maxActivations: 1,
+        activateBefore: addDaysYmd(1),
+        note: `Thêm máy (từ ${auth.deviceId})`,
+        actor: "learner",
+        createdBy: `learner:${auth.userId}`,
+      });
+
+      await client.query("COMMIT");
+
+      res.json({
+        ok: true,
+        activationCode: code,
+        activateBefore: addDaysYmd(1),
+      });
+    } catch (err) {
+      await client.query("ROLLBACK");
+      console.error("❌ /api/devices/add-code error:", err);
+      res.status(500).send("Internal server error");
+    } finally {
+      client.release();
+    }
+  });
+
+  // ==================== ADMIN ====================
+
+  /**
+   * POST /api/admin/revoke-device
+   */
+  router.post(
+    "/api/admin/revoke-device",
+    adminAuth("support"),
+    async (req, res) => {
+      const { deviceId, reason } = req.body;
+
+      if (!deviceId) return res.status(400).send("Missing deviceId");
+
+      const client = await store.connect();
+
+      try {
+        await client.query("BEGIN");
+
+        await revokeDevice(client, req, deviceId, reason);
+
+        await client.query("COMMIT");
+
+        res.json({ ok: true, deviceId, revoked: true });
+      } catch (err) {
+        await client.query("ROLLBACK");
+        console.error("❌ /api/admin/revoke-device error:", err);
+        res.status(500).send("Internal server error");
+      } finally {
+        client.release();
+      }
+    },
+  );
+
+  /**
+   * POST /api/admin/unrevoke-device
+   */
+  router.post(
+    "/api/admin/unrevoke-device",
+    adminAuth("support"),
+    async (req, res) => {
+      const { deviceId } = req.body;
+
+      if (!deviceId) return res.status(400).send("Missing deviceId");
+
+      const client = await store.connect();
+
+      try {
+        await client.query("BEGIN");
+
+        await unrevokeDevice(client, req, deviceId);
+
+        await client.query("COMMIT");
+
+        res.json({ ok: true, deviceId, revoked: false });
+      } catch (err) {
+        await client.query("ROLLBACK");
+        console.error("❌ /api/admin/unrevoke-device error:", err);
+        res.status(500).send("Internal server error");
+      } finally {
+        client.release();
+      }
+    },
+  );
+
+  /**
+   * GET /api/admin/devices?userId= - Devices (seats) của user
+   */
+  router.get("/api/admin/devices", adminAuth("viewer"), async (req, res) => {
+    const { userId } = req.query;
+
+    if (!userId) return res.status(400).send("Missing userId");
+
+    const client = await store.connect();
+
+    try {
+      const bindings = await listDeviceBindings(client, userId);
+      const plan = await findActivePlan(client, userId);
+
+      res.json({
+        ok: true,
+        userId,
+        ...(await getSeatLimit(client, userId, plan)),
+        devices: bindings.map(formatDeviceBinding),
+      });
+    } catch (err) {
+      console.error("❌ /api/admin/devices error:", err);
+      res.status(500).send("Internal server error");
+    } finally {
+      client.release();
+    }
+  });
+
+  /**
+   * POST /api/admin/devices/remove - Gỡ máy khỏi user (revoke license của máy)
+   */
+  router.post(
+    "/api/admin/devices/remove",
+    adminAuth("support"),
+    async (req, res) => {
+      const { userId, deviceId } = req.body;
+
+      if (!userId || !deviceId) {
+        return res.status(400).send("Missing userId or deviceId");
+      }
+
+      const client = await store.connect();
+
+      try {
+        await client.query("BEGIN");
+
+        const binding = await findDeviceBinding(client, userId, deviceId, {
+          lock: true,
+        });
+        if (!binding) {
+          await client.query("ROLLBACK");
+          return res.status(404).send("Device not found");
+        }
+
+        await releaseDevice(client, req, binding, {
+          action: "remove",
+          actor: adminActor(req),
+        });
+
+        await client.query("COMMIT");
+
+        res.json({ ok: true, userId, deviceId, removed: true });
+      } catch (err) {
+        await client.query("ROLLBACK");
+        console.error("❌ /api/admin/devices/remove error:", err);
+        res.status(500).send("Internal server error");
+      } finally {
+        client.release();
+      }
+    },
+  );
+
+  /**
+   * POST /api/admin/seat-limit - Seat limit riêng cho user
+   *
+   * Body: userId, maxDevices, policy (reject | evict-lru). null = dùng mặc định
+   * theo plan / ENV.
+   */
+  router.post("/api/admin/seat-limit", adminAuth("owner"), async (req, res) => {
+    const { userId, maxDevices = null, policy = null } = req.body;
+
+    if (!userId) return res.status(400).send("Missing userId");
+    if (
+      maxDevices !== null &&
+      !(Number.isInteger(maxDevices) && maxDevices > 0 && maxDevices <= 100)
+    ) {
+      return res.status(400).send("maxDevices must be between 1 and 100");
+    }
+    if (policy !== null && !SEAT_POLICIES.includes(policy)) {
+      return res
+        .status(400)
+        .send(`policy must be ${SEAT_POLICIES.join(" or ")}`);
+    }
+
+    const client = await store.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      const existing = await lockSeatLimit(client, userId);
+      if (!existing) {
+        await client.query("ROLLBACK");
+        return res.status(404).send("User not found");
+      }
+
+      await updateSeatLimit(client, userId, { maxDevices, policy });
+      await recordAudit(client, req, {
+        actor: adminActor(req),
+        action: "user.seat-limit",
+        userId,
+        before: {
+          maxDevices: existing.max_devices,
+          policy: existing.seat_policy,
+        },
+        after: { maxDevices, policy },
+      });
+
+      await client.query("COMMIT");
+
+      res.json({ ok: true, userId, maxDevices, policy });
+    } catch (err) {
+      await client.query("ROLLBACK");
+      console.error("❌ /api/admin/seat-limit error:", err);
+      res.status(500).send("Internal server error");
+    } finally {
+      client.release();
+    }
+  });
+
+  /**
+   * GET /api/admin/reset-requests - List device transfer requests
+   *
+   * Query: status (pending | approved | rejected | auto-approved), userId, limit
+   */
+  router.get(
+    "/api/admin/reset-requests",
+    adminAuth("support"),
+    async (req, res) => {
+      const { status, userId } = req.query;
+      const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+      try {
+        res.json({
+          ok: true,
+          requests: await listResetRequests(store, { status, userId, limit }),
+        });
+      } catch (err) {
+        console.error("❌ /api/admin/reset-requests error:", err);
+        res.status(500).send("Internal server error");
+      }
+    },
+  );
+
+  /**
+   * POST /api/admin/reset-requests/:id/approve - Transfer license to new device
+   *
+   * Body: license (tuỳ chọn, khi request không kèm oldLicense), note
+   */
+  router.post(
+    "/api/admin/reset-requests/:id/approve",
+    adminAuth("support"),
+    async (req, res) => {
+      const { license, note } = req.body;
+
+      const client = await store.connect();
+
+      try {
+        await client.query("BEGIN");
+
+        const result = await approveResetRequest(client, req, req.params.id, {
+          license,
+          note,
+        });
+        if (result.error) {
+          await client.query("ROLLBACK");
+          return res.status(result.error.status).send(result.error.message);
+        }
+
+        await client.query("COMMIT");
+
+        res.json({ ok: true, ...result.request, license: result.license });
+      } catch (err) {
+        await client.query("ROLLBACK");
+        console.error("❌ /api/admin/reset-requests/approve error:", err);
+        res.status(500).send("Internal server error");
+      } finally {
+        client.release();
+      }
+    },
+  );
+
+  /**
+   * POST /api/admin/reset-requests/:id/reject
+   */
+  router.post(
+    "/api/admin/reset-requests/:id/reject",
+    adminAuth("support"),
+    async (req, res) => {
+      const { note } = req.body;
+
+      const client = await store.connect();
+
+      try {
+        await client.query("BEGIN");
+
+        const result = await rejectResetRequest(
+          client,
+          req,
+          req.params.id,
+          note,
+        );
+        if (result.error) {
+          await client.query("ROLLBACK");
+          return res.status(result.error.status).send(result.error.message);
+        }
+
+        await client.query("COMMIT");
+
+        res.json({ ok: true, ...result.request });
+      } catch (err) {
+        await client.query("ROLLBACK");
+        console.error("❌ /api/admin/reset-requests/reject error:", err);
+        res.status(500).send("Internal server error");
+      } finally {
+        client.release();
+      }
+    },
+  );
+
+  return router;
+}
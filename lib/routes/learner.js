@@ -0,0 +1,118 @@
+// lib/routes/learner.js - Learner: dashboard (/api/stats/me), tin nhắn từ
+// admin, cài đặt nhắc hạn license / ngày thi (lib/notifications.js)
+import express from "express";
+import {
+  parseNotificationSettings,
+  updateNotificationSettings,
+} from "../notifications.js";
+import { listMessages, markMessagesRead } from "../repos/messages.js";
+
+/**
+ * Create router: /api/stats/me, /api/messages/*, /api/notifications/*
+ */
+export function learnerRoutes({ store, config, learnerAuth, getLearnerStats }) {
+  const { notifyDefaultLocale: NOTIFY_DEFAULT_LOCALE } = config;
+  const router = express.Router();
+
+  /**
+   * GET /api/stats/me - Dashboard của learner
+   */
+  router.get("/api/stats/me", learnerAuth, async (req, res) => {
+    try {
+      const stats = await getLearnerStats(store, req.learner.userId);
+      res.json({ ok: true, stats });
+    } catch (err) {
+      console.error("❌ /api/stats/me error:", err);
+      res.status(500).json({ ok: false, error: "Internal server error" });
+    }
+  });
+
+  // ==================== MESSAGES API ====================
+
+  /**
+   * GET /api/messages - Tin nhắn admin gửi cho learner (mới nhất trước)
+   */
+  router.get("/api/messages", learnerAuth, async (req, res) => {
+    try {
+      const { messages, unread } = await listMessages(
+        store,
+        req.learner.userId,
+      );
+
+      res.json({
+        ok: true,
+        messages: messages.map((m) => ({
+          id: String(m.id),
+          title: m.title,
+          body: m.body,
+          createdAt: m.created_at,
+          readAt: m.read_at,
+        })),
+        unread,
+      });
+    } catch (err) {
+      console.error("❌ /api/messages error:", err);
+      res.status(500).json({ ok: false, error: "Internal server error" });
+    }
+  });
+
+  /**
+   * POST /api/messages/read - Đánh dấu đã đọc
+   *
+   * Body: ids (bỏ trống = tất cả)
+   */
+  router.post("/api/messages/read", learnerAuth, async (req, res) => {
+    const { ids } = req.body;
+
+    if (
+      ids !== undefined &&
+      !(Array.isArray(ids) && ids.every((id) => /^\d+$/.test(String(id))))
+    ) {
+      return res.status(400).json({ ok: false, error: "Invalid ids" });
+    }
+
+    try {
+      const marked = await markMessagesRead(
+        store,
+        req.learner.userId,
+        ids ? ids.map(String) : null,
+      );
+
+      res.json({ ok: true, marked });
+    } catch (err) {
+      console.error("❌ /api/messages/read error:", err);
+      res.status(500).json({ ok: false, error: "Internal server error" });
+    }
+  });
+
+  // ==================== NOTIFICATIONS API ====================
+
+  /**
+   * POST /api/notifications/settings - Email / ngôn ngữ / bật tắt nhắc
+   *
+   * Body: email, locale (vi | en), enabled - chỉ đổi field được gửi (body
+   * trống = đọc cài đặt hiện tại)
+   */
+  router.post("/api/notifications/settings", learnerAuth, async (req, res) => {
+    const update = parseNotificationSettings(req.body);
+    if (update.error) {
+      return res.status(400).json({ ok: false, error: update.error });
+    }
+
+    try {
+      const settings = await updateNotificationSettings(
+        store,
+        req.learner.userId,
+        update.columns,
+        NOTIFY_DEFAULT_LOCALE,
+      );
+
+      res.json({ ok: true, ...settings });
+    } catch (err) {
+      console.error("❌ /api/notifications/settings error:", err);
+      res.status(500).json({ ok: false, error: "Internal server error" });
+    }
+  });
+
+  return router;
+}
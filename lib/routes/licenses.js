@@ -0,0 +1,755 @@
+// lib/routes/licenses.js - Admin: cấp license (generate, generate-bulk),
+// activation codes, extend / renew / upgrade / revoke license
+import express from "express";
+import { parseCsv } from "../csv.js";
+import { isValidYmd, isExpiryValid } from "../dates.js";
+import {
+  formatActivationCodeRow,
+  recordAudit,
+  adminActor,
+  formatLicenseRow,
+  upsertDeviceBinding,
+} from "../admin-ops.js";
+import {
+  normalizeActivationCode,
+  formatActivationCode,
+} from "../activation-code.js";
+import {
+  createActivationCodes,
+  validateExtension,
+  extendChanges,
+  renewChanges,
+  findCurrentLicense,
+  revokeLicense,
+} from "../licensing.js";
+import { isValidPlanCode } from "../entitlements.js";
+import { userExists } from "../repos/users.js";
+import { setLicenseStatus } from "../repos/licenses.js";
+import {
+  listActivationCodes,
+  listActivations,
+  revokeActivationCode,
+} from "../repos/activation-codes.js";
+
+/**
+ * Read bulk rows from JSON ({ rows: [...] }) or CSV body (có header)
+ *
+ * Header CSV không phân biệt hoa thường / dấu gạch: userId, user_id, UserID...
+ */
+function readBulkRows(req) {
+  if (typeof req.body !== "string") {
+    if (!Array.isArray(req.body.rows)) throw new Error("Missing rows array");
+    return req.body.rows;
+  }
+
+  const records = parseCsv(req.body);
+  if (records.length === 0) throw new Error("Empty CSV");
+
+  const fields = {
+    userid: "userId",
+    username: "userName",
+    examdate: "examDate",
+    deviceid: "deviceId",
+    expiry: "expiry",
+    durationdays: "durationDays",
+    plan: "plan",
+    format: "format",
+  };
+  const header = records[0].map(
+    (h) => fields[h.toLowerCase().replace(/[^a-z]/g, "")] || null,
+  );
+  if (!header.includes("userId") || !header.includes("userName")) {
+    throw new Error("CSV header must include userId and userName");
+  }
+
+  return records.slice(1).map((record) => {
+    const row = {};
+    header.forEach((key, i) => {
+      if (key && record[i] !== undefined && record[i].trim() !== "") {
+        row[key] = record[i].trim();
+      }
+    });
+    return row;
+  });
+}
+
+/**
+ * Create router: /api/admin/ license + activation code routes
+ */
+export function licenseRoutes({
+  store,
+  config,
+  adminAuth,
+  validateGenerateInput,
+  issueLicense,
+  getEntitlements,
+  replaceUserLicenses,
+}) {
+  const {
+    keyring: LICENSE_KEYRING,
+    licenseDefaultFormat: LICENSE_DEFAULT_FORMAT,
+  } = config;
+  const router = express.Router();
+
+  /**
+   * Validate + normalize one bulk row. Returns { value, errors }
+   */
+  function validateBulkRow(row, defaults) {
+    const errors = [];
+    const value = {
+      userId: typeof row.userId === "string" ? row.userId.trim() : row.userId,
+      userName:
+        typeof row.userName === "string" ? row.userName.trim() : row.userName,
+      examDate: row.examDate ? String(row.examDate).replace(/-/g, "") : null,
+      deviceId: row.deviceId ? String(row.deviceId).trim() : null,
+      expiry: row.expiry ? String(row.expiry).trim() : null,
+      durationDays: row.durationDays ? Number(row.durationDays) : null,
+      format: row.format || defaults.format,
+      plan: row.plan || defaults.plan,
+    };
+    if (value.deviceId && value.deviceId.toLowerCase() === "unbound") {
+      value.deviceId = null;
+    }
+
+    if (!value.userId || typeof value.userId !== "string") {
+      errors.push("Missing userId");
+    } else if (value.userId.length > 100) {
+      errors.push("userId too long (max 100)");
+    }
+    if (!value.userName || typeof value.userName !== "string") {
+      errors.push("Missing userName");
+    } else if (value.userName.length > 255) {
+      errors.push("userName too long (max 255)");
+    }
+    if (value.examDate && !isValidYmd(value.examDate)) {
+      errors.push("examDate must be YYYYMMDD or YYYY-MM-DD");
+    }
+    if (value.deviceId) {
+      if (value.deviceId.length > 255) errors.push("deviceId too long");
+      if (!value.expiry) {
+        errors.push("Missing expiry");
+      } else if (!isValidYmd(value.expiry)) {
+        errors.push("Expiry must be YYYYMMDD");
+      }
+      if (value.durationDays) {
+        errors.push("durationDays only applies to unbound rows");
+      }
+    } else {
+      if (value.expiry && !isValidYmd(value.expiry)) {
+        errors.push("Expiry must be YYYYMMDD");
+      }
+      if (
+        value.durationDays !== null &&
+        !(Number.isInteger(value.durationDays) && value.durationDays > 0)
+      ) {
+        errors.push("durationDays must be a positive integer");
+      }
+      if (value.expiry && value.durationDays) {
+        errors.push("Use either expiry or durationDays, not both");
+      }
+    }
+    if (!isValidPlanCode(value.plan)) {
+      errors.push("Plan must contain only a-z, 0-9 and dashes");
+    }
+    if (value.format !== "v1" && value.format !== "v2") {
+      errors.push("Format must be v1 or v2");
+    } else if (value.format === "v2" && !LICENSE_KEYRING.signingKey) {
+      errors.push("V2 signing key not configured");
+    }
+
+    if (value.examDate) {
+      value.examDate = `${value.examDate.slice(0, 4)}-${value.examDate.slice(4, 6)}-${value.examDate.slice(6, 8)}`;
+    }
+
+    return { value, errors };
+  }
+
+  /**
+   * POST /api/admin/generate - Generate new license
+   *
+   * plan: trial | standard (mặc định) | premium | plan khác trong
+   * /api/admin/plans; quyền của plan trả về trong entitlements.
+   */
+  router.post("/api/admin/generate", adminAuth("owner"), async (req, res) => {
+    const input = validateGenerateInput(req.body);
+    if (input.error) {
+      return res.status(input.error.status).send(input.error.message);
+    }
+    const { deviceId, expiry, userId, userName, examDate, format, plan } =
+      input.value;
+
+    const client = await store.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      const issued = await issueLicense(client, req, {
+        userId,
+        userName,
+        examDate,
+        deviceId,
+        expiry,
+        format,
+        plan,
+      });
+      if (issued.error) {
+        await client.query("ROLLBACK");
+        return res.status(issued.error.status).send(issued.error.message);
+      }
+      const { license } = issued;
+      const entitlements = await getEntitlements(client, plan);
+
+      await client.query("COMMIT");
+
+      res.json({
+        ok: true,
+        license,
+        format,
+        plan,
+        entitlements,
+        expiry,
+        userId,
+        userName,
+        examDate: examDate || "",
+      });
+    } catch (err) {
+      await client.query("ROLLBACK");
+      console.error("❌ /api/admin/generate error:", err);
+      res.status(500).send("Internal server error");
+    } finally {
+      client.release();
+    }
+  });
+
+  /**
+   * POST /api/admin/generate-bulk - Issue many licenses in one transaction
+   *
+   * Body: JSON { rows: [{ userId, userName, examDate, deviceId, expiry,
+   * durationDays, plan, format }], dryRun, format, plan } hoặc CSV
+   * (Content-Type: text/csv, có header; dryRun/format/plan qua query string).
+   * deviceId trống hoặc "unbound": cấp activation code (nếu có expiry hoặc
+   * durationDays), ngược lại chỉ tạo learner.
+   *
+   * Tất cả hoặc không: có bất kỳ dòng lỗi nào thì rollback toàn bộ và trả về
+   * lỗi theo từng dòng (row = số thứ tự dòng dữ liệu, bắt đầu từ 1).
+   */
+  router.post(
+    "/api/admin/generate-bulk",
+    adminAuth("owner"),
+    async (req, res) => {
+      const MAX_ROWS = 5000;
+      const options = typeof req.body === "string" ? req.query : req.body;
+      const dryRun = options.dryRun === true || options.dryRun === "true";
+      const defaults = {
+        format: options.format || LICENSE_DEFAULT_FORMAT,
+        plan: options.plan || "standard",
+      };
+
+      let rows;
+      try {
+        rows = readBulkRows(req);
+      } catch (err) {
+        return res.status(400).json({ ok: false, error: err.message });
+      }
+      if (rows.length === 0) {
+        return res.status(400).json({ ok: false, error: "No rows" });
+      }
+      if (rows.length > MAX_ROWS) {
+        return res
+          .status(400)
+          .json({ ok: false, error: `Too many rows (max ${MAX_ROWS})` });
+      }
+
+      // 1. Validate tất cả các dòng trước khi chạm vào database
+      const seen = new Set();
+      const results = rows.map((row, i) => {
+        const { value, errors } = validateBulkRow(row || {}, defaults);
+        const key = `${value.userId}|${value.deviceId || ""}`;
+        if (value.userId && seen.has(key)) {
+          errors.push("Duplicate userId/deviceId in this batch");
+        }
+        seen.add(key);
+        return { row: i + 1, value, errors };
+      });
+
+      const client = await store.connect();
+
+      try {
+        await client.query("BEGIN");
+
+        // 2. Apply từng dòng hợp lệ, SAVEPOINT để bắt lỗi DB theo dòng
+        for (const result of results) {
+          if (result.errors.length > 0) continue;
+          await client.query("SAVEPOINT bulk_row");
+          try {
+            const { value } = result;
+            const issued = await issueLicense(client, req, value);
+            if (issued.error) throw new Error(issued.error.message);
+            result.license = issued.license;
+            if (!value.deviceId && (value.expiry || value.durationDays)) {
+              [result.activationCode] = await createActivationCodes(
+                client,
+                req,
+                value,
+              );
+            }
+            await client.query("RELEASE SAVEPOINT bulk_row");
+          } catch (err) {
+            await client.query("ROLLBACK TO SAVEPOINT bulk_row");
+            result.errors.push(err.message);
+          }
+        }
+
+        const failed = results.filter((r) => r.errors.length > 0);
+        const commit = failed.length === 0 && !dryRun;
+        await client.query(commit ? "COMMIT" : "ROLLBACK");
+
+        res.status(failed.length > 0 ? 400 : 200).json({
+          ok: failed.length === 0,
+          dryRun,
+          committed: commit,
+          summary: {
+            rows: results.length,
+            licenses: results.filter((r) => r.license).length,
+            activationCodes: results.filter((r) => r.activationCode).length,
+            usersOnly: results.filter(
+              (r) => r.errors.length === 0 && !r.license && !r.activationCode,
+            ).length,
+            errors: failed.length,
+          },
+          results: results.map((r) => ({
+            row: r.row,
+            userId: r.value.userId || null,
+            deviceId: r.value.deviceId,
+            expiry: r.value.expiry,
+            durationDays: r.value.durationDays,
+            status:
+              r.errors.length > 0
+                ? "error"
+                : r.license
+                  ? "license"
+                  : r.activationCode
+                    ? "activation-code"
+                    : "user-only",
+            // Dry run: license/code sinh thử không được lưu, không trả về
+            license: commit ? r.license || null : null,
+            activationCode: commit ? r.activationCode || null : null,
+            errors: r.errors,
+          })),
+        });
+      } catch (err) {
+        await client.query("ROLLBACK");
+        console.error("❌ /api/admin/generate-bulk error:", err);
+        res.status(500).json({ ok: false, error: "Internal server error" });
+      } finally {
+        client.release();
+      }
+    },
+  );
+
+  /**
+   * POST /api/admin/activation-codes - Create activation codes
+   *
+   * Body: userId, userName (bắt buộc nếu user chưa tồn tại), examDate, plan,
+   * format, expiry (YYYYMMDD) hoặc durationDays (tính từ lúc kích hoạt),
+   * maxActivations (mặc định 1), activateBefore (YYYYMMDD), count, note
+   */
+  router.post(
+    "/api/admin/activation-codes",
+    adminAuth("owner"),
+    async (req, res) => {
+      const {
+        userId,
+        userName,
+        examDate,
+        plan,
+        format,
+        expiry,
+        durationDays,
+        maxActivations = 1,
+        activateBefore,
+        count = 1,
+        note,
+      } = req.body;
+
+      if (!userId) return res.status(400).send("Missing userId");
+      if (!expiry === !durationDays) {
+        return res.status(400).send("Provide either expiry or durationDays");
+      }
+      if (expiry && !isValidYmd(expiry)) {
+        return res.status(400).send("Expiry must be YYYYMMDD");
+      }
+      if (
+        durationDays &&
+        !(Number.isInteger(durationDays) && durationDays > 0)
+      ) {
+        return res.status(400).send("durationDays must be a positive integer");
+      }
+      if (!(Number.isInteger(maxActivations) && maxActivations > 0)) {
+        return res
+          .status(400)
+          .send("maxActivations must be a positive integer");
+      }
+      if (!(Number.isInteger(count) && count > 0 && count <= 500)) {
+        return res.status(400).send("count must be between 1 and 500");
+      }
+      if (activateBefore && !isValidYmd(activateBefore)) {
+        return res.status(400).send("activateBefore must be YYYYMMDD");
+      }
+      if (format && format !== "v1" && format !== "v2") {
+        return res.status(400).send("Format must be v1 or v2");
+      }
+      if (format === "v2" && !LICENSE_KEYRING.signingKey) {
+        return res.status(400).send("V2 signing key not configured");
+      }
+
+      const client = await store.connect();
+
+      try {
+        await client.query("BEGIN");
+
+        if (userName) {
+          await issueLicense(client, req, { userId, userName, examDate });
+        } else {
+          if (!(await userExists(client, userId))) {
+            await client.query("ROLLBACK");
+            return res
+              .status(404)
+              .send("User not found (pass userName to create)");
+          }
+        }
+
+        const codes = await createActivationCodes(client, req, {
+          userId,
+          plan,
+          format,
+          expiry,
+          durationDays,
+          maxActivations,
+          activateBefore,
+          note,
+          count,
+        });
+
+        await client.query("COMMIT");
+
+        res.json({
+          ok: true,
+          userId,
+          codes,
+          plan: plan || "standard",
+          expiry: expiry || null,
+          durationDays: durationDays || null,
+          maxActivations,
+          activateBefore: activateBefore || null,
+        });
+      } catch (err) {
+        await client.query("ROLLBACK");
+        console.error("❌ /api/admin/activation-codes error:", err);
+        res.status(500).send("Internal server error");
+      } finally {
+        client.release();
+      }
+    },
+  );
+
+  /**
+   * GET /api/admin/activation-codes - List activation codes
+   *
+   * Query: userId, code
+   */
+  router.get(
+    "/api/admin/activation-codes",
+    adminAuth("viewer"),
+    async (req, res) => {
+      const { userId } = req.query;
+      const code = req.query.code
+        ? normalizeActivationCode(req.query.code)
+        : null;
+
+      if (!userId && !code)
+        return res.status(400).send("Missing userId or code");
+
+      try {
+        const codes = await listActivationCodes(store, {
+          userId: userId || null,
+          code,
+        });
+        const activations = await listActivations(
+          store,
+          codes.map((c) => c.code),
+        );
+
+        res.json({
+          ok: true,
+          codes: codes.map((c) =>
+            formatActivationCodeRow(
+              c,
+              activations.filter((a) => a.code === c.code),
+            ),
+          ),
+        });
+      } catch (err) {
+        console.error("❌ /api/admin/activation-codes list error:", err);
+        res.status(500).send("Internal server error");
+      }
+    },
+  );
+
+  /**
+   * POST /api/admin/activation-codes/:code/revoke - Chặn kích hoạt thêm
+   *
+   * License đã cấp từ code vẫn hoạt động (dùng revoke-device / revoke-user).
+   */
+  router.post(
+    "/api/admin/activation-codes/:code/revoke",
+    adminAuth("support"),
+    async (req, res) => {
+      const code = normalizeActivationCode(req.params.code);
+      if (!code) return res.status(400).send("Invalid activation code");
+
+      const client = await store.connect();
+
+      try {
+        await client.query("BEGIN");
+
+        const revoked = await revokeActivationCode(client, code);
+        if (!revoked) {
+          await client.query("ROLLBACK");
+          return res.status(404).send("Activation code not found or revoked");
+        }
+
+        await recordAudit(client, req, {
+          actor: adminActor(req),
+          action: "activation-code.revoke",
+          userId: revoked.user_id,
+          license: code,
+          before: { activationCount: revoked.activation_count },
+          after: { reason: req.body.reason || null },
+        });
+
+        await client.query("COMMIT");
+
+        res.json({ ok: true, code: formatActivationCode(code), revoked: true });
+      } catch (err) {
+        await client.query("ROLLBACK");
+        console.error("❌ /api/admin/activation-codes/revoke error:", err);
+        res.status(500).send("Internal server error");
+      } finally {
+        client.release();
+      }
+    },
+  );
+
+  // ==================== LICENSE LIFECYCLE ====================
+
+  /**
+   * Route handler cho extend / renew / upgrade (body.userId hoặc body.license),
+   * tất cả trong một transaction
+   */
+  async function replaceLicenses(req, res, options) {
+    const { userId, license } = req.body;
+
+    if (!userId && !license) {
+      return res.status(400).send("Missing userId or license");
+    }
+
+    const client = await store.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      const result = await replaceUserLicenses(
+        client,
+        req,
+        { userId, license },
+        options,
+      );
+      if (result.error) {
+        await client.query("ROLLBACK");
+        return res.status(result.error.status).send(result.error.message);
+      }
+
+      await client.query("COMMIT");
+
+      res.json({ ok: true, ...result });
+    } catch (err) {
+      await client.query("ROLLBACK");
+      console.error(`❌ /api/admin/${options.action} error:`, err);
+      res.status(500).send("Internal server error");
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * POST /api/admin/extend - Extend expiry (cộng thêm vào expiry hiện tại)
+   *
+   * Body: userId hoặc license, days hoặc expiry (YYYYMMDD). Chỉ áp dụng cho
+   * license đang active; license đã hết hạn dùng /api/admin/renew.
+   */
+  router.post("/api/admin/extend", adminAuth("owner"), async (req, res) => {
+    const { days, expiry } = req.body;
+
+    const error = validateExtension({ days, expiry });
+    if (error) return res.status(400).send(error);
+
+    await replaceLicenses(req, res, {
+      action: "extend",
+      statuses: ["active"],
+      changesFor: extendChanges({ days, expiry }),
+    });
+  });
+
+  /**
+   * POST /api/admin/renew - Renew (kể cả license đã hết hạn)
+   *
+   * Body: userId hoặc license, days hoặc expiry (YYYYMMDD). days được cộng từ
+   * hôm nay nếu license đã hết hạn, ngược lại từ expiry hiện tại.
+   */
+  router.post("/api/admin/renew", adminAuth("owner"), async (req, res) => {
+    const { days, expiry } = req.body;
+
+    const error = validateExtension({ days, expiry });
+    if (error) return res.status(400).send(error);
+
+    await replaceLicenses(req, res, {
+      action: "renew",
+      statuses: ["active", "expired"],
+      changesFor: renewChanges({ days, expiry }),
+    });
+  });
+
+  /**
+   * POST /api/admin/upgrade - Change plan and/or format (giữ nguyên expiry)
+   *
+   * Body: userId hoặc license, plan, format (v1 | v2)
+   */
+  router.post("/api/admin/upgrade", adminAuth("owner"), async (req, res) => {
+    const { plan, format } = req.body;
+
+    if (!plan && !format) return res.status(400).send("Missing plan or format");
+    if (format && format !== "v1" && format !== "v2") {
+      return res.status(400).send("Format must be v1 or v2");
+    }
+    if (format === "v2" && !LICENSE_KEYRING.signingKey) {
+      return res.status(400).send("V2 signing key not configured");
+    }
+
+    await replaceLicenses(req, res, {
+      action: "upgrade",
+      statuses: ["active"],
+      changesFor: () => ({ plan, format }),
+    });
+  });
+
+  /**
+   * POST /api/admin/revoke-license - Revoke one license (kèm lý do)
+   *
+   * License cũ (superseded) → revoke license hiện hành của chuỗi.
+   */
+  router.post(
+    "/api/admin/revoke-license",
+    adminAuth("support"),
+    async (req, res) => {
+      const { license, reason } = req.body;
+
+      if (!license) return res.status(400).send("Missing license");
+
+      const client = await store.connect();
+
+      try {
+        await client.query("BEGIN");
+
+        const found = await findCurrentLicense(client, license, { lock: true });
+        if (!found) {
+          await client.query("ROLLBACK");
+          return res.status(404).send("License not found");
+        }
+        const current = found.current;
+
+        if (current.status !== "revoked") {
+          Object.assign(
+            current,
+            await revokeLicense(client, req, current, reason),
+          );
+        }
+
+        await client.query("COMMIT");
+
+        res.json({ ok: true, ...formatLicenseRow(current), revoked: true });
+      } catch (err) {
+        await client.query("ROLLBACK");
+        console.error("❌ /api/admin/revoke-license error:", err);
+        res.status(500).send("Internal server error");
+      } finally {
+        client.release();
+      }
+    },
+  );
+
+  /**
+   * POST /api/admin/unrevoke-license
+   */
+  router.post(
+    "/api/admin/unrevoke-license",
+    adminAuth("support"),
+    async (req, res) => {
+      const { license } = req.body;
+
+      if (!license) return res.status(400).send("Missing license");
+
+      const client = await store.connect();
+
+      try {
+        await client.query("BEGIN");
+
+        const found = await findCurrentLicense(client, license, { lock: true });
+        if (!found) {
+          await client.query("ROLLBACK");
+          return res.status(404).send("License not found");
+        }
+        let current = found.current;
+
+        if (current.status === "revoked") {
+          const status = isExpiryValid(current.expiry) ? "active" : "expired";
+          const updated = await setLicenseStatus(
+            client,
+            current.license,
+            status,
+          );
+          await recordAudit(client, req, {
+            actor: adminActor(req),
+            action: "license.unrevoke",
+            userId: current.user_id,
+            deviceId: current.device_id,
+            license: current.license,
+            before: { status: "revoked", reason: current.status_reason },
+            after: { status },
+          });
+          current = updated;
+          // Admin khôi phục → lấy lại seat (không kiểm tra limit)
+          if (current.device_id) {
+            await upsertDeviceBinding(client, {
+              userId: current.user_id,
+              deviceId: current.device_id,
+              license: current.license,
+            });
+          }
+        }
+
+        await client.query("COMMIT");
+
+        res.json({ ok: true, ...formatLicenseRow(current), revoked: false });
+      } catch (err) {
+        await client.query("ROLLBACK");
+        console.error("❌ /api/admin/unrevoke-license error:", err);
+        res.status(500).send("Internal server error");
+      } finally {
+        client.release();
+      }
+    },
+  );
+
+  return router;
+}
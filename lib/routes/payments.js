@@ -0,0 +1,845 @@
+// lib/routes/payments.js - Plans, orders & payments (provider: lib/payments.js)
+//
+// Public: /api/plans, /api/orders, callback của payment provider. Admin:
+// plans, orders (mark-paid / refund / cancel). Order đã thanh toán → cấp /
+// gia hạn license (fulfillOrder).
+import express from "express";
+import crypto from "crypto";
+import { validate } from "../validate.js";
+import { recordAudit, adminActor } from "../admin-ops.js";
+import { normalizeActivationCode } from "../activation-code.js";
+import {
+  resolveFeatures,
+  DEFAULT_PLAN_FEATURES,
+  validateFeatures,
+} from "../entitlements.js";
+import {
+  verifyPaymentSignature,
+  parsePaymentEvent,
+  generateOrderReference,
+  signPaymentCallback,
+  MOCK_PROVIDER,
+  ORDER_STATUSES,
+  MANUAL_PROVIDER,
+} from "../payments.js";
+import {
+  findCurrentLicense,
+  revokeLicense,
+  renewChanges,
+  createActivationCodes,
+} from "../licensing.js";
+import { EMAIL_PATTERN } from "../notifications.js";
+import { listPlans, findPlan, upsertPlan } from "../repos/plans.js";
+import {
+  insertOrder,
+  findOrder,
+  listOrders,
+  setOrderPaid,
+  setOrderRefunded,
+  setOrderCancelled,
+  insertPaymentEvent,
+  findPaymentEventResult,
+  setPaymentEventResult,
+  listPaymentEvents,
+} from "../repos/orders.js";
+import {
+  revokeActivationCode,
+  listActivations,
+} from "../repos/activation-codes.js";
+import {
+  userExists,
+  isUserRevoked,
+  findUserIdByEmail,
+  findUserEmail,
+  insertUser,
+  updateUserEmail,
+} from "../repos/users.js";
+import { hasBoundLicense } from "../repos/licenses.js";
+
+const PLAN_SCHEMA = {
+  code: { type: "string", required: true, maxLength: 50 },
+  name: { type: "string", required: true, maxLength: 255 },
+  price: { type: "integer", required: true, min: 0 },
+  currency: { type: "string", maxLength: 3 },
+  durationDays: { type: "integer", required: true, min: 1, max: 3650 },
+  active: { type: "boolean" },
+  // lib/entitlements.js: { modules, testSets, bookmarkSync }
+  features: { type: "object" },
+};
+
+const ORDER_SCHEMA = {
+  plan: { type: "string", required: true, maxLength: 50 },
+  userName: { type: "string", required: true, maxLength: 255 },
+  email: { type: "string", maxLength: 255 },
+  userId: { type: "string", maxLength: 100 },
+};
+
+const ORDER_REFERENCE_PATTERN = /^ord_[0-9a-f]{24}$/;
+
+/**
+ * Format plan row for API responses
+ */
+function formatPlan(p) {
+  return {
+    code: p.code,
+    name: p.name,
+    price: Number(p.price),
+    currency: p.currency,
+    durationDays: p.duration_days,
+    active: p.active,
+    features: resolveFeatures(p.code, p.features),
+    createdAt: p.created_at,
+    updatedAt: p.updated_at,
+  };
+}
+
+/**
+ * Format order row for admin API responses
+ */
+function formatOrder(o) {
+  return {
+    orderId: o.reference,
+    userId: o.user_id,
+    userName: o.user_name,
+    email: o.email,
+    plan: o.plan,
+    amount: Number(o.amount),
+    currency: o.currency,
+    durationDays: o.duration_days,
+    status: o.status,
+    provider: o.provider,
+    providerRef: o.provider_ref,
+    fulfillment: o.fulfillment,
+    createdAt: o.created_at,
+    paidAt: o.paid_at,
+    refundedAt: o.refunded_at,
+    refundReason: o.refund_reason,
+  };
+}
+
+/**
+ * Đơn hàng cho người mua (GET /api/orders/:orderId): không có license,
+ * chỉ có activation code (learner mới) hoặc expiry sau khi gia hạn
+ *
+ * Endpoint không xác thực: code chỉ trả về khi chính đơn này tạo user
+ * (fulfillment.newUser). Code cấp cho user có sẵn (license bị revoke giữa
+ * lúc đặt và lúc trả tiền) chỉ admin xem được.
+ */
+function formatPublicOrder(o) {
+  const fulfillment = o.status === "paid" ? o.fulfillment : null;
+  return {
+    orderId: o.reference,
+    userId: o.user_id,
+    plan: o.plan,
+    amount: Number(o.amount),
+    currency: o.currency,
+    durationDays: o.duration_days,
+    status: o.status,
+    createdAt: o.created_at,
+    paidAt: o.paid_at,
+    activationCode:
+      (fulfillment?.newUser && fulfillment.activationCode) || null,
+    renewed: fulfillment
+      ? (fulfillment.licenses || []).map((l) => ({
+          deviceId: l.deviceId,
+          expiry: l.expiry,
+        }))
+      : [],
+  };
+}
+
+/**
+ * Hoàn tiền đơn đã thanh toán (đã lock): revoke license đã cấp / gia hạn
+ * (license hiện hành của chuỗi, kể cả đã chuyển máy) và activation code.
+ * Đơn gia hạn → license bị revoke hẳn, không quay về expiry cũ.
+ * Returns { order, revokedLicenses }.
+ */
+async function refundOrder(client, req, order, reason) {
+  const fulfillment = order.fulfillment || {};
+  let licenses = (fulfillment.licenses || []).map((l) => l.license);
+
+  if (fulfillment.activationCode) {
+    const code = normalizeActivationCode(fulfillment.activationCode);
+    const revokedCode = await revokeActivationCode(client, code);
+    if (revokedCode) {
+      await recordAudit(client, req, {
+        actor: adminActor(req),
+        action: "activation-code.revoke",
+        userId: revokedCode.user_id,
+        license: code,
+        before: { activationCount: revokedCode.activation_count },
+        after: { reason },
+      });
+    }
+    const activations = await listActivations(client, [code]);
+    licenses = activations.map((a) => a.license);
+  }
+
+  const revokedLicenses = [];
+  for (const license of licenses) {
+    const found = await findCurrentLicense(client, license, { lock: true });
+    if (!found || found.current.status === "revoked") continue;
+    await revokeLicense(client, req, found.current, reason);
+    revokedLicenses.push(found.current.license);
+  }
+
+  const updated = await setOrderRefunded(client, order.id, reason);
+
+  await recordAudit(client, req, {
+    actor: adminActor(req),
+    action: "order.refund",
+    userId: order.user_id,
+    before: { status: order.status },
+    after: { orderId: order.reference, reason, revokedLicenses },
+  });
+
+  return { order: updated, revokedLicenses };
+}
+
+/**
+ * Create router: /api/plans, /api/orders/*, /api/payments/*,
+ * /api/admin/plans, /api/admin/orders/*
+ */
+export function paymentRoutes({
+  store,
+  config,
+  replaceUserLicenses,
+  getSeatLimit,
+  statsCache,
+  adminAuth,
+  planFeaturesCache,
+}) {
+  const {
+    paymentProviders: PAYMENT_PROVIDERS,
+    paymentMock: PAYMENT_MOCK,
+    paymentToleranceSeconds: PAYMENT_TOLERANCE_SECONDS,
+  } = config;
+  const router = express.Router();
+
+  /**
+   * Cấp license cho đơn vừa thanh toán (trong transaction, order đã lock)
+   *
+   * User chưa có → tạo từ thông tin đơn. Đã có license gắn máy (active /
+   * expired) → renew thêm duration_days và đổi sang plan của đơn; chưa có →
+   * activation code (tính ngày từ lúc kích hoạt, số máy theo seat limit của
+   * plan). Returns fulfillment để lưu vào orders.fulfillment.
+   */
+  async function fulfillOrder(client, req, order) {
+    const userId = order.user_id;
+    const user = await findUserEmail(client, userId);
+    const newUser = !user;
+    if (newUser) {
+      await insertUser(client, {
+        userId,
+        userName: order.user_name,
+        email: order.email,
+      });
+      await recordAudit(client, req, {
+        actor: adminActor(req),
+        action: "user.upsert",
+        userId,
+        after: { userName: order.user_name, email: order.email },
+      });
+    } else if (order.email && !user.email) {
+      await updateUserEmail(client, userId, order.email);
+    }
+
+    if (await hasBoundLicense(client, userId)) {
+      const renewed = await replaceUserLicenses(
+        client,
+        req,
+        { userId },
+        {
+          action: "renew",
+          statuses: ["active", "expired"],
+          changesFor: renewChanges({
+            days: order.duration_days,
+            plan: order.plan,
+          }),
+        },
+      );
+      if (renewed.error) throw new Error(renewed.error.message);
+      return {
+        action: "renew",
+        licenses: renewed.licenses.map((l) => ({
+          previousLicense: l.previousLicense,
+          license: l.license,
+          deviceId: l.deviceId,
+          expiry: l.expiry,
+        })),
+        activationCodes: renewed.activationCodes,
+      };
+    }
+
+    const { maxDevices } = await getSeatLimit(client, userId, order.plan);
+    const [activationCode] = await createActivationCodes(client, req, {
+      userId,
+      plan: order.plan,
+      durationDays: order.duration_days,
+      maxActivations: maxDevices,
+      note: `Order ${order.reference}`,
+    });
+    return {
+      action: "activation-code",
+      activationCode,
+      durationDays: order.duration_days,
+      newUser,
+    };
+  }
+
+  /**
+   * Đánh dấu đơn (pending, đã lock) là đã thanh toán + cấp license.
+   * Returns order row mới.
+   */
+  async function markOrderPaid(client, req, order, { provider, providerRef }) {
+    const fulfillment = await fulfillOrder(client, req, order);
+
+    const updated = await setOrderPaid(client, order.id, {
+      provider,
+      providerRef,
+      fulfillment,
+    });
+
+    await recordAudit(client, req, {
+      actor: adminActor(req),
+      action: "order.paid",
+      userId: order.user_id,
+      license: fulfillment.activationCode
+        ? normalizeActivationCode(fulfillment.activationCode)
+        : null,
+      before: { status: order.status },
+      after: {
+        orderId: order.reference,
+        plan: order.plan,
+        amount: Number(order.amount),
+        currency: order.currency,
+        provider,
+        providerRef: providerRef || null,
+        fulfillment: fulfillment.action,
+      },
+    });
+
+    return updated;
+  }
+
+  /**
+   * Áp dụng một callback đã kiểm tra chữ ký (trong transaction)
+   *
+   * Callback trùng (cùng provider + id) trả lại kết quả lần đầu với
+   * duplicate: true. Callback không áp dụng được (sai số tiền, đơn đã
+   * huỷ...) vẫn được ghi lại và trả 200 để provider không gửi lại; admin
+   * xem trong GET /api/admin/orders/:orderId.
+   */
+  async function applyPaymentEvent(client, req, provider, event) {
+    const eventRowId = await insertPaymentEvent(client, provider, event);
+    if (eventRowId === null) {
+      const previous = await findPaymentEventResult(client, provider, event.id);
+      return { ...previous, duplicate: true };
+    }
+
+    let order = await findOrder(client, event.orderId, { lock: true });
+    let reason = null;
+
+    if (!order) {
+      reason = "Order not found";
+    } else if (event.type === "payment.succeeded") {
+      if (order.status !== "pending") {
+        reason = `Order already ${order.status}`;
+      } else if (
+        event.amount !== Number(order.amount) ||
+        (event.currency && event.currency !== order.currency)
+      ) {
+        reason = "Amount mismatch";
+      } else {
+        order = await markOrderPaid(client, req, order, {
+          provider,
+          providerRef: event.providerRef,
+        });
+      }
+    } else if (order.status !== "paid") {
+      reason = `Order ${order.status}`;
+    } else {
+      ({ order } = await refundOrder(
+        client,
+        req,
+        order,
+        event.reason || `Refunded via ${provider}`,
+      ));
+    }
+
+    const result = {
+      orderId: event.orderId,
+      status: order?.status || null,
+      applied: !reason,
+      ...(reason && { reason }),
+    };
+    await setPaymentEventResult(client, eventRowId, order?.id || null, result);
+    return result;
+  }
+
+  /**
+   * Kiểm tra chữ ký + áp dụng callback, gửi response (route callback và
+   * mock checkout dùng chung)
+   */
+  async function handlePaymentCallback(req, res, provider, body, signature) {
+    const secret = PAYMENT_PROVIDERS.get(provider);
+    if (!secret) return res.status(404).send("Unknown payment provider");
+
+    const signatureError = verifyPaymentSignature(secret, signature, body, {
+      toleranceSeconds: PAYMENT_TOLERANCE_SECONDS,
+    });
+    if (signatureError) return res.status(401).send(signatureError);
+
+    const { event, error } = parsePaymentEvent(body);
+    if (error) return res.status(400).send(error);
+
+    // Audit / license ghi actor "admin:payment:<provider>" (như CLI)
+    const systemReq = { ip: req.ip, admin: { name: `payment:${provider}` } };
+    const client = await store.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      const result = await applyPaymentEvent(
+        client,
+        systemReq,
+        provider,
+        event,
+      );
+
+      await client.query("COMMIT");
+      if (result.applied && !result.duplicate) statsCache.clear();
+
+      res.json({ ok: true, ...result });
+    } catch (err) {
+      await client.query("ROLLBACK");
+      console.error("❌ /api/payments/callback error:", err);
+      res.status(500).send("Internal server error");
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * GET /api/plans - Các gói đang bán
+   */
+  router.get("/api/plans", async (req, res) => {
+    try {
+      const plans = await listPlans(store, { active: true });
+      res.json({ ok: true, plans: plans.map(formatPlan) });
+    } catch (err) {
+      console.error("❌ /api/plans error:", err);
+      res.status(500).send("Internal server error");
+    }
+  });
+
+  /**
+   * POST /api/orders - Đặt mua một gói
+   *
+   * Body: plan, userName, email, userId (learner hiện có muốn gia hạn).
+   * Không có userId → tìm learner theo email, không thấy thì tạo userId mới
+   * (user chỉ được tạo khi đơn thanh toán xong). Returns orderId để gửi cho
+   * cổng thanh toán / ghi vào nội dung chuyển khoản.
+   *
+   * Người đặt không cần xác thực nên đơn cho user có sẵn chỉ là gia hạn: user
+   * chưa có license gắn máy → 409 (đơn đó sẽ cấp activation code vào tài
+   * khoản của người khác).
+   */
+  router.post("/api/orders", async (req, res) => {
+    const { value, errors } = validate(ORDER_SCHEMA, req.body);
+    if (errors.length > 0) return res.status(400).send(errors.join("; "));
+    const email = value.email?.trim().toLowerCase() || null;
+    if (email && !EMAIL_PATTERN.test(email)) {
+      return res.status(400).send("Invalid email");
+    }
+
+    try {
+      const plan = await findPlan(store, value.plan);
+      if (!plan || !plan.active) {
+        return res.status(404).send("Plan not found");
+      }
+
+      let userId = value.userId || null;
+      if (userId) {
+        if (!(await userExists(store, userId))) {
+          return res.status(404).send("User not found");
+        }
+      } else if (email) {
+        userId = await findUserIdByEmail(store, email);
+      }
+      if (userId && !(await hasBoundLicense(store, userId))) {
+        return res
+          .status(409)
+          .send("Account has no license to renew, contact support");
+      }
+      userId ||= `u-${crypto.randomBytes(5).toString("hex")}`;
+
+      if (await isUserRevoked(store, userId)) {
+        return res.status(403).send("User revoked");
+      }
+
+      const order = await insertOrder(store, {
+        reference: generateOrderReference(),
+        userId,
+        userName: value.userName.trim(),
+        email,
+        plan,
+      });
+
+      res.json({ ok: true, ...formatPublicOrder(order) });
+    } catch (err) {
+      console.error("❌ /api/orders error:", err);
+      res.status(500).send("Internal server error");
+    }
+  });
+
+  /**
+   * GET /api/orders/:orderId - Trạng thái đơn (người mua poll sau khi trả tiền)
+   *
+   * Đã thanh toán: activationCode (learner mới) hoặc renewed (expiry mới,
+   * client /api/verify để nhận replacementLicense).
+   */
+  router.get("/api/orders/:orderId", async (req, res) => {
+    if (!ORDER_REFERENCE_PATTERN.test(req.params.orderId)) {
+      return res.status(404).send("Order not found");
+    }
+
+    try {
+      const order = await findOrder(store, req.params.orderId);
+      if (!order) {
+        return res.status(404).send("Order not found");
+      }
+
+      res.json({ ok: true, ...formatPublicOrder(order) });
+    } catch (err) {
+      console.error("❌ /api/orders/:orderId error:", err);
+      res.status(500).send("Internal server error");
+    }
+  });
+
+  /**
+   * POST /api/payments/:provider/callback - Callback của cổng thanh toán
+   *
+   * Body (raw JSON, ký X-N1-Signature): { id, type, orderId, amount,
+   * currency, providerRef, reason }. Xem format trong lib/payments.js.
+   */
+  router.post("/api/payments/:provider/callback", async (req, res) => {
+    const body = Buffer.isBuffer(req.body) ? req.body.toString("utf8") : "";
+    await handlePaymentCallback(
+      req,
+      res,
+      req.params.provider,
+      body,
+      req.get("x-n1-signature"),
+    );
+  });
+
+  /**
+   * POST /api/payments/mock/checkout - Thanh toán giả (PAYMENT_MOCK=true)
+   *
+   * Body: orderId, type (mặc định payment.succeeded), amount (mặc định đúng
+   * giá đơn), eventId (gửi lại cùng eventId = callback trùng). Ký callback
+   * bằng secret của provider "mock" rồi xử lý như callback thật.
+   */
+  router.post("/api/payments/mock/checkout", async (req, res) => {
+    if (!PAYMENT_MOCK) return res.status(404).send("Mock payments disabled");
+
+    const { orderId, type = "payment.succeeded", eventId, reason } = req.body;
+    if (!orderId) return res.status(400).send("Missing orderId");
+
+    let { amount } = req.body;
+    if (amount === undefined) {
+      try {
+        const order = await findOrder(store, orderId);
+        amount = order ? Number(order.amount) : 0;
+      } catch (err) {
+        console.error("❌ /api/payments/mock/checkout error:", err);
+        return res.status(500).send("Internal server error");
+      }
+    }
+
+    const { body, signature } = signPaymentCallback(
+      PAYMENT_PROVIDERS.get(MOCK_PROVIDER),
+      {
+        id: eventId || `mock_${crypto.randomUUID()}`,
+        type,
+        orderId,
+        amount,
+        providerRef: `mock-${orderId}`,
+        ...(reason && { reason }),
+      },
+    );
+    await handlePaymentCallback(req, res, MOCK_PROVIDER, body, signature);
+  });
+
+  /**
+   * GET /api/admin/plans - Mọi gói (kể cả ngừng bán) + features mặc định
+   */
+  router.get("/api/admin/plans", adminAuth("viewer"), async (req, res) => {
+    try {
+      const plans = await listPlans(store);
+      res.json({
+        ok: true,
+        plans: plans.map(formatPlan),
+        defaults: DEFAULT_PLAN_FEATURES,
+      });
+    } catch (err) {
+      console.error("❌ /api/admin/plans error:", err);
+      res.status(500).send("Internal server error");
+    }
+  });
+
+  /**
+   * POST /api/admin/plans - Tạo / sửa gói (theo code)
+   *
+   * Body: code (= plan của license), name, price (đơn vị nhỏ nhất, VND =
+   * đồng), currency (mặc định VND), durationDays, active, features
+   * ({ modules, testSets, bookmarkSync }, thiếu key = mặc định của plan, bỏ
+   * trống = giữ như cũ). Đơn đã đặt giữ giá và thời hạn lúc đặt; features áp
+   * dụng ngay cho mọi license cùng plan.
+   */
+  router.post("/api/admin/plans", adminAuth("owner"), async (req, res) => {
+    const { value, errors } = validate(PLAN_SCHEMA, req.body);
+    if (errors.length > 0) return res.status(400).send(errors.join("; "));
+    if (!/^[a-z0-9-]+$/.test(value.code)) {
+      return res.status(400).send("code must contain only a-z, 0-9 and dashes");
+    }
+    const currency = value.currency || "VND";
+    if (!/^[A-Z]{3}$/.test(currency)) {
+      return res.status(400).send("currency must be a 3-letter code");
+    }
+    let features = null;
+    if (value.features !== undefined) {
+      const checked = validateFeatures(value.features);
+      if (checked.error) return res.status(400).send(checked.error);
+      features = checked.value;
+    }
+
+    const client = await store.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      const before = await findPlan(client, value.code, { lock: true });
+      const plan = formatPlan(
+        await upsertPlan(client, {
+          code: value.code,
+          name: value.name,
+          price: value.price,
+          currency,
+          durationDays: value.durationDays,
+          active: value.active ?? true,
+          features,
+        }),
+      );
+
+      await recordAudit(client, req, {
+        actor: adminActor(req),
+        action: "plan.upsert",
+        before: before ? formatPlan(before) : null,
+        after: plan,
+      });
+
+      await client.query("COMMIT");
+      planFeaturesCache.delete(plan.code);
+
+      res.json({ ok: true, plan });
+    } catch (err) {
+      await client.query("ROLLBACK");
+      console.error("❌ /api/admin/plans upsert error:", err);
+      res.status(500).send("Internal server error");
+    } finally {
+      client.release();
+    }
+  });
+
+  /**
+   * GET /api/admin/orders - List orders (mới nhất trước)
+   *
+   * Query: status (pending | paid | refunded | cancelled), userId, plan,
+   * limit (max 200), cursor (nextCursor của trang trước)
+   */
+  router.get("/api/admin/orders", adminAuth("support"), async (req, res) => {
+    const { status, userId, plan, cursor } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    if (status && !ORDER_STATUSES.includes(status)) {
+      return res
+        .status(400)
+        .send(`Status must be one of: ${ORDER_STATUSES.join(", ")}`);
+    }
+    if (cursor && !/^\d+$/.test(cursor)) {
+      return res.status(400).send("Invalid cursor");
+    }
+
+    try {
+      const { orders, next } = await listOrders(
+        store,
+        { status, userId, plan },
+        { limit, after: cursor },
+      );
+
+      res.json({
+        ok: true,
+        orders: orders.map(formatOrder),
+        nextCursor: next === null ? null : String(next),
+      });
+    } catch (err) {
+      console.error("❌ /api/admin/orders error:", err);
+      res.status(500).send("Internal server error");
+    }
+  });
+
+  /**
+   * GET /api/admin/orders/:orderId - Order + mọi callback đã nhận
+   */
+  router.get(
+    "/api/admin/orders/:orderId",
+    adminAuth("support"),
+    async (req, res) => {
+      if (!ORDER_REFERENCE_PATTERN.test(req.params.orderId)) {
+        return res.status(404).send("Order not found");
+      }
+
+      try {
+        const order = await findOrder(store, req.params.orderId);
+        if (!order) {
+          return res.status(404).send("Order not found");
+        }
+        const events = await listPaymentEvents(store, order.id);
+
+        res.json({
+          ok: true,
+          order: formatOrder(order),
+          paymentEvents: events.map((e) => ({
+            provider: e.provider,
+            eventId: e.event_id,
+            type: e.type,
+            payload: e.payload,
+            result: e.result,
+            receivedAt: e.received_at,
+          })),
+        });
+      } catch (err) {
+        console.error("❌ /api/admin/orders/:orderId error:", err);
+        res.status(500).send("Internal server error");
+      }
+    },
+  );
+
+  /**
+   * Route admin đổi trạng thái một đơn: lock order, kiểm tra status rồi gọi
+   * apply(client, order) → { order, ...extra } trong một transaction
+   */
+  async function updateOrder(req, res, { action, statuses, apply }) {
+    if (!ORDER_REFERENCE_PATTERN.test(req.params.orderId)) {
+      return res.status(404).send("Order not found");
+    }
+
+    const client = await store.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      const found = await findOrder(client, req.params.orderId, {
+        lock: true,
+      });
+      if (!found) {
+        await client.query("ROLLBACK");
+        return res.status(404).send("Order not found");
+      }
+      if (!statuses.includes(found.status)) {
+        await client.query("ROLLBACK");
+        return res.status(409).send(`Order ${found.status}`);
+      }
+
+      const { order, ...extra } = await apply(client, found);
+
+      await client.query("COMMIT");
+      statsCache.delete(order.user_id);
+
+      res.json({ ok: true, order: formatOrder(order), ...extra });
+    } catch (err) {
+      await client.query("ROLLBACK");
+      console.error(`❌ /api/admin/orders/${action} error:`, err);
+      res.status(500).send("Internal server error");
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * POST /api/admin/orders/:orderId/mark-paid - Xác nhận thanh toán bằng tay
+   * (chuyển khoản ngân hàng), cấp license như callback. Đơn đã huỷ vẫn
+   * đánh dấu được (khách chuyển tiền muộn).
+   *
+   * Body: providerRef (mã giao dịch ngân hàng)
+   */
+  router.post(
+    "/api/admin/orders/:orderId/mark-paid",
+    adminAuth("owner"),
+    async (req, res) => {
+      const { providerRef } = req.body;
+      if (providerRef != null && typeof providerRef !== "string") {
+        return res.status(400).send("providerRef must be a string");
+      }
+
+      await updateOrder(req, res, {
+        action: "mark-paid",
+        statuses: ["pending", "cancelled"],
+        apply: async (client, order) => ({
+          order: await markOrderPaid(client, req, order, {
+            provider: MANUAL_PROVIDER,
+            providerRef,
+          }),
+        }),
+      });
+    },
+  );
+
+  /**
+   * POST /api/admin/orders/:orderId/refund - Hoàn tiền, revoke license đã cấp
+   *
+   * Body: reason
+   */
+  router.post(
+    "/api/admin/orders/:orderId/refund",
+    adminAuth("owner"),
+    async (req, res) => {
+      const reason = req.body.reason || "Refunded by admin";
+
+      await updateOrder(req, res, {
+        action: "refund",
+        statuses: ["paid"],
+        apply: (client, order) => refundOrder(client, req, order, reason),
+      });
+    },
+  );
+
+  /**
+   * POST /api/admin/orders/:orderId/cancel - Huỷ đơn chưa thanh toán
+   */
+  router.post(
+    "/api/admin/orders/:orderId/cancel",
+    adminAuth("support"),
+    async (req, res) => {
+      await updateOrder(req, res, {
+        action: "cancel",
+        statuses: ["pending"],
+        apply: async (client, order) => {
+          const updated = await setOrderCancelled(client, order.id);
+          await recordAudit(client, req, {
+            actor: adminActor(req),
+            action: "order.cancel",
+            userId: order.user_id,
+            before: { status: order.status },
+            after: { orderId: order.reference, status: "cancelled" },
+          });
+          return { order: updated };
+        },
+      });
+    },
+  );
+
+  return router;
+}
@@ -0,0 +1,314 @@
+// lib/routes/progress.js - /api/progress/*, /api/attempts/* của learner
+//
+// Xác thực: "Authorization: Bearer <access token>" hoặc deviceId + license
+// trong body (lib/learner-auth.js).
+import express from "express";
+import { checkEntitlement } from "../entitlements.js";
+import { bearerToken } from "../learner-auth.js";
+import { validateAttempt, formatAttempt } from "../progress.js";
+import {
+  getProgress,
+  getAttemptAggregates,
+  incrementPerfect,
+  recordAttempt,
+  listAttempts,
+  listAttemptAnswers,
+} from "../repos/progress.js";
+import { applySyncEvent } from "../sync.js";
+import { lockSyncUser } from "../repos/sync.js";
+
+/**
+ * Create router: /api/progress/*, /api/attempts/*
+ */
+export function progressRoutes({
+  store,
+  authenticateAccessToken,
+  authenticateLearner,
+  getEntitlements,
+  statsCache,
+}) {
+  const router = express.Router();
+
+  /**
+   * POST /api/progress/get - Get user progress
+   *
+   * Xác thực bằng deviceId + license trong body hoặc "Authorization: Bearer
+   * <access token>" (các route learner khác cũng vậy).
+   */
+  router.post("/api/progress/get", async (req, res) => {
+    const { deviceId, license, testIds } = req.body;
+    const token = bearerToken(req);
+
+    if (!token && (!deviceId || !license)) {
+      return res.status(400).send("Missing deviceId or license");
+    }
+
+    const client = await store.connect();
+
+    try {
+      const auth = token
+        ? await authenticateAccessToken(client, token, deviceId)
+        : await authenticateLearner(client, deviceId, license, {
+            invalidStatus: 400,
+          });
+      if (auth.error) {
+        return res.status(auth.error.status).send(auth.error.message);
+      }
+
+      const { userId } = auth;
+
+      const progress = await getProgress(client, userId);
+
+      // Best score / last attempt / weak questions (attempts API)
+      const aggregates = await getAttemptAggregates(
+        client,
+        userId,
+        Array.isArray(testIds) && testIds.length > 0
+          ? testIds.map(String)
+          : null,
+      );
+
+      if (!progress) {
+        return res.json({ ok: true, data: {}, ...aggregates });
+      }
+
+      const { perfect, updated_at } = progress;
+
+      // Filter only requested testIds if provided
+      let result = perfect;
+      if (Array.isArray(testIds) && testIds.length > 0) {
+        result = {};
+        for (const testId of testIds) {
+          if (perfect[testId]) {
+            result[testId] = perfect[testId];
+          }
+        }
+      }
+
+      res.json({
+        ok: true,
+        data: result,
+        updatedAt: updated_at,
+        ...aggregates,
+      });
+    } catch (err) {
+      console.error("❌ /api/progress/get error:", err);
+      res.status(500).send("Internal server error");
+    } finally {
+      client.release();
+    }
+  });
+
+  /**
+   * POST /api/progress/mark-perfect - Mark a test as perfect
+   *
+   * eventId (tuỳ chọn): idempotency key - gửi lại cùng eventId không tăng
+   * perfectCount lần nữa (xem /api/sync).
+   */
+  router.post("/api/progress/mark-perfect", async (req, res) => {
+    const { deviceId, license, moduleId, eventId } = req.body;
+    const token = bearerToken(req);
+
+    if ((!token && (!deviceId || !license)) || !moduleId) {
+      return res.status(400).send("Missing deviceId, license or moduleId");
+    }
+
+    const client = await store.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      const auth = token
+        ? await authenticateAccessToken(client, token, deviceId)
+        : await authenticateLearner(client, deviceId, license, {
+            invalidStatus: 400,
+          });
+      if (auth.error) {
+        await client.query("ROLLBACK");
+        return res.status(auth.error.status).send(auth.error.message);
+      }
+
+      const { userId } = auth;
+
+      const locked = checkEntitlement(
+        await getEntitlements(client, auth.plan),
+        { moduleId },
+      );
+      if (locked) {
+        await client.query("ROLLBACK");
+        return res.status(403).send(locked);
+      }
+
+      let perfectCount;
+      let duplicate = false;
+
+      // Tăng sync_seq → giữ sync lock như /api/sync (xem lockSyncUser)
+      await lockSyncUser(client, userId);
+      if (eventId) {
+        const outcome = await applySyncEvent(
+          client,
+          { userId, deviceId: auth.deviceId },
+          {
+            id: String(eventId),
+            type: "progress.perfect",
+            ts: Date.now(),
+            payload: { moduleId },
+          },
+        );
+        if (outcome.status === "rejected") {
+          await client.query("ROLLBACK");
+          return res.status(400).send(outcome.error);
+        }
+        duplicate = !!outcome.duplicate;
+
+        const progress = await getProgress(client, userId);
+        perfectCount = progress?.perfect?.[moduleId]?.perfectCount ?? 0;
+      } else {
+        perfectCount = await incrementPerfect(client, userId, moduleId);
+      }
+
+      await client.query("COMMIT");
+      statsCache.delete(userId);
+
+      res.json({
+        ok: true,
+        moduleId,
+        perfectCount,
+        ...(eventId && { duplicate }),
+      });
+    } catch (err) {
+      await client.query("ROLLBACK");
+      console.error("❌ /api/progress/mark-perfect error:", err);
+      res.status(500).send("Internal server error");
+    } finally {
+      client.release();
+    }
+  });
+
+  /**
+   * POST /api/attempts - Record a test session
+   *
+   * Body: deviceId, license, testId, moduleId, answers [{ questionKey, answer,
+   * correct, timeMs }], score / total (mặc định tính từ answers), durationMs,
+   * startedAt, finishedAt
+   */
+  router.post("/api/attempts", async (req, res) => {
+    const { deviceId, license } = req.body;
+    const token = bearerToken(req);
+
+    if (!token && (!deviceId || !license)) {
+      return res.status(400).send("Missing deviceId or license");
+    }
+
+    const { value, error } = validateAttempt(req.body);
+    if (error) return res.status(400).send(error);
+
+    const client = await store.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      const auth = token
+        ? await authenticateAccessToken(client, token, deviceId)
+        : await authenticateLearner(client, deviceId, license);
+      if (auth.error) {
+        await client.query("ROLLBACK");
+        return res.status(auth.error.status).send(auth.error.message);
+      }
+
+      const locked = checkEntitlement(
+        await getEntitlements(client, auth.plan),
+        { moduleId: value.moduleId, testId: value.testId },
+      );
+      if (locked) {
+        await client.query("ROLLBACK");
+        return res.status(403).send(locked);
+      }
+
+      // Tuần tự với event attempt của /api/sync cùng user
+      await lockSyncUser(client, auth.userId);
+      const attempt = await recordAttempt(
+        client,
+        auth.userId,
+        auth.deviceId,
+        value,
+      );
+
+      await client.query("COMMIT");
+      statsCache.delete(auth.userId);
+
+      res.json({
+        ok: true,
+        ...formatAttempt(attempt),
+        perfect: attempt.score === attempt.total,
+      });
+    } catch (err) {
+      await client.query("ROLLBACK");
+      console.error("❌ /api/attempts error:", err);
+      res.status(500).send("Internal server error");
+    } finally {
+      client.release();
+    }
+  });
+
+  /**
+   * POST /api/attempts/history - Attempts của learner (mới nhất trước)
+   *
+   * Body: deviceId, license, testId, limit (mặc định 20, tối đa 100), cursor,
+   * includeAnswers
+   */
+  router.post("/api/attempts/history", async (req, res) => {
+    const { deviceId, license, testId, cursor, includeAnswers } = req.body;
+    const limit = req.body.limit ?? 20;
+    const token = bearerToken(req);
+
+    if (!token && (!deviceId || !license)) {
+      return res.status(400).send("Missing deviceId or license");
+    }
+    if (!(Number.isInteger(limit) && limit > 0 && limit <= 100)) {
+      return res.status(400).send("limit must be between 1 and 100");
+    }
+    if (cursor && !/^\d+$/.test(String(cursor))) {
+      return res.status(400).send("Invalid cursor");
+    }
+
+    const client = await store.connect();
+
+    try {
+      const auth = token
+        ? await authenticateAccessToken(client, token, deviceId)
+        : await authenticateLearner(client, deviceId, license);
+      if (auth.error) {
+        return res.status(auth.error.status).send(auth.error.message);
+      }
+
+      const { attempts, next } = await listAttempts(
+        client,
+        auth.userId,
+        { testId },
+        { limit, after: cursor },
+      );
+      const answers = includeAnswers
+        ? await listAttemptAnswers(
+            client,
+            attempts.map((r) => r.id),
+          )
+        : null;
+
+      res.json({
+        ok: true,
+        attempts: attempts.map((r) =>
+          formatAttempt(r, answers && answers.get(r.id)),
+        ),
+        nextCursor: next === null ? null : String(next),
+      });
+    } catch (err) {
+      console.error("❌ /api/attempts/history error:", err);
+      res.status(500).send("Internal server error");
+    } finally {
+      client.release();
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,242 @@
+// lib/routes/review.js - /api/review/* (ôn tập)
+//
+// Hàng đợi ôn tập (spaced repetition) từ câu đã bookmark + câu làm sai gần
+// nhất (question_stats.last_correct = false). Lịch ôn: lib/srs.js, nén theo
+// users.exam_date.
+import express from "express";
+import { validate } from "../validate.js";
+import { daysUntilExam, scheduleReview } from "../srs.js";
+import { formatDate } from "../dates.js";
+import {
+  refreshReviewCards,
+  findReviewSettings,
+  updateReviewSettings,
+  countReviewsSince,
+  countReviewCards,
+  listDueReviewCards,
+  listNewReviewCards,
+  lockReviewCard,
+  recordReview,
+} from "../repos/review.js";
+
+const REVIEW_SETTINGS_SCHEMA = {
+  dailyLimit: { type: "integer", min: 1, max: 10000 },
+  newLimit: { type: "integer", min: 0, max: 10000 },
+};
+
+/**
+ * Format review card (kèm nội dung bookmark nếu có)
+ */
+function formatReviewCard(r) {
+  return {
+    questionKey: r.question_key,
+    testId: r.test_id,
+    source: r.source,
+    isNew: r.last_reviewed_at === null,
+    dueAt: r.due_at,
+    intervalDays: r.interval_days,
+    ease: Math.round(r.ease * 100) / 100,
+    repetitions: r.repetitions,
+    lapses: r.lapses,
+    lastGrade: r.last_grade,
+    lastReviewedAt: r.last_reviewed_at,
+    ...(r.bookmark !== undefined && { bookmark: r.bookmark }),
+  };
+}
+
+/**
+ * Create router: /api/review/*
+ */
+export function reviewRoutes({ store, config, learnerAuth, statsCache }) {
+  const {
+    reviewDailyLimit: REVIEW_DAILY_LIMIT,
+    reviewNewLimit: REVIEW_NEW_LIMIT,
+  } = config;
+  const router = express.Router();
+
+  /**
+   * Giới hạn ôn mỗi ngày của user + số lượt đã ôn hôm nay (theo giờ server)
+   */
+  async function getReviewLimits(client, userId) {
+    const row = (await findReviewSettings(client, userId)) || {};
+
+    const startOfToday = new Date();
+    startOfToday.setHours(0, 0, 0, 0);
+    const today = await countReviewsSince(client, userId, startOfToday);
+
+    return {
+      examDate: row.exam_date || null,
+      dailyLimit: row.review_daily_limit ?? REVIEW_DAILY_LIMIT,
+      newLimit: row.review_new_limit ?? REVIEW_NEW_LIMIT,
+      custom: row.review_daily_limit != null || row.review_new_limit != null,
+      reviewedToday: today.reviewed,
+      newToday: today.newReviewed,
+    };
+  }
+
+  /**
+   * GET /api/review/due - Thẻ cần ôn hôm nay
+   *
+   * Thẻ đến hạn trước, sau đó thẻ mới (câu sai trước bookmark), trong giới hạn
+   * mỗi ngày. Query: limit (tối đa 200).
+   */
+  router.get("/api/review/due", learnerAuth, async (req, res) => {
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : 50;
+    if (!(limit > 0 && limit <= 200)) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "limit must be between 1 and 200" });
+    }
+
+    const { userId } = req.learner;
+    const client = await store.connect();
+
+    try {
+      await refreshReviewCards(client, userId);
+      const limits = await getReviewLimits(client, userId);
+
+      const remaining = Math.max(0, limits.dailyLimit - limits.reviewedToday);
+      const newRemaining = Math.max(
+        0,
+        Math.min(limits.newLimit - limits.newToday, remaining),
+      );
+
+      const counts = await countReviewCards(client, userId);
+
+      const reviewLimit = Math.min(limit, remaining);
+      const due = await listDueReviewCards(client, userId, reviewLimit);
+
+      const newLimit = Math.min(newRemaining, reviewLimit - due.length);
+      const fresh = await listNewReviewCards(
+        client,
+        userId,
+        Math.max(0, newLimit),
+      );
+
+      res.json({
+        ok: true,
+        cards: [...due, ...fresh].map(formatReviewCard),
+        counts: {
+          due: counts.due,
+          new: counts.new,
+          reviewedToday: limits.reviewedToday,
+          newToday: limits.newToday,
+        },
+        limits: {
+          dailyLimit: limits.dailyLimit,
+          newLimit: limits.newLimit,
+          remaining,
+          newRemaining,
+        },
+        examDate: formatDate(limits.examDate),
+        daysUntilExam: daysUntilExam(limits.examDate),
+      });
+    } catch (err) {
+      console.error("❌ /api/review/due error:", err);
+      res.status(500).json({ ok: false, error: "Internal server error" });
+    } finally {
+      client.release();
+    }
+  });
+
+  /**
+   * POST /api/review/grade - Chấm một thẻ
+   *
+   * Body: questionKey, grade (0-5, SM-2: < 3 = quên)
+   */
+  router.post("/api/review/grade", learnerAuth, async (req, res) => {
+    const { questionKey, grade } = req.body;
+
+    if (typeof questionKey !== "string" || !questionKey) {
+      return res.status(400).json({ ok: false, error: "Missing questionKey" });
+    }
+    if (!(Number.isInteger(grade) && grade >= 0 && grade <= 5)) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "grade must be an integer 0-5" });
+    }
+
+    const { userId } = req.learner;
+    const client = await store.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      const card = await lockReviewCard(client, userId, questionKey);
+      if (!card) {
+        await client.query("ROLLBACK");
+        return res
+          .status(404)
+          .json({ ok: false, error: "Không tìm thấy thẻ ôn tập" });
+      }
+
+      const user = await findReviewSettings(client, userId);
+      const next = scheduleReview(
+        {
+          ease: card.ease,
+          intervalDays: card.interval_days,
+          repetitions: card.repetitions,
+          lapses: card.lapses,
+        },
+        grade,
+        { examDate: user?.exam_date },
+      );
+
+      const updated = await recordReview(client, card, grade, next);
+
+      await client.query("COMMIT");
+      statsCache.delete(userId);
+
+      res.json({ ok: true, card: formatReviewCard(updated) });
+    } catch (err) {
+      await client.query("ROLLBACK");
+      console.error("❌ /api/review/grade error:", err);
+      res.status(500).json({ ok: false, error: "Internal server error" });
+    } finally {
+      client.release();
+    }
+  });
+
+  /**
+   * POST /api/review/settings - Giới hạn ôn mỗi ngày của learner
+   *
+   * Body: dailyLimit, newLimit (null = dùng mặc định của server)
+   */
+  router.post("/api/review/settings", learnerAuth, async (req, res) => {
+    const { value, errors } = validate(REVIEW_SETTINGS_SCHEMA, req.body, {
+      partial: true,
+    });
+    if (errors.length > 0) {
+      return res.status(400).json({ ok: false, error: errors.join("; ") });
+    }
+
+    // null = về mặc định của server
+    const settings = {};
+    for (const field of ["dailyLimit", "newLimit"]) {
+      if (req.body[field] === undefined) continue;
+      settings[field] = req.body[field] === null ? null : value[field];
+    }
+    if (Object.keys(settings).length === 0) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "Thiếu dailyLimit hoặc newLimit" });
+    }
+
+    try {
+      await updateReviewSettings(store, req.learner.userId, settings);
+      const limits = await getReviewLimits(store, req.learner.userId);
+
+      res.json({
+        ok: true,
+        dailyLimit: limits.dailyLimit,
+        newLimit: limits.newLimit,
+        custom: limits.custom,
+      });
+    } catch (err) {
+      console.error("❌ /api/review/settings error:", err);
+      res.status(500).json({ ok: false, error: "Internal server error" });
+    }
+  });
+
+  return router;
+}
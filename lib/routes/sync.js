@@ -0,0 +1,74 @@
+// lib/routes/sync.js - POST /api/sync (quy tắc merge: lib/sync.js)
+import express from "express";
+import { validate } from "../validate.js";
+import { SYNC_SCHEMA, applySyncEvent } from "../sync.js";
+import { lockSyncUser, getSyncState } from "../repos/sync.js";
+
+/**
+ * Create router: /api/sync
+ */
+export function syncRoutes({
+  store,
+  learnerAuth,
+  getEntitlements,
+  statsCache,
+}) {
+  const router = express.Router();
+
+  /**
+   * POST /api/sync - Push event offline + pull state đã merge
+   *
+   * Body: cursor (từ lần sync trước, bỏ trống = full), events [{ id, type, ts,
+   * payload }]. Event lỗi không làm hỏng cả batch: status "error" → gửi lại sau.
+   */
+  router.post("/api/sync", learnerAuth, async (req, res) => {
+    const { value, errors } = validate(SYNC_SCHEMA, req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ ok: false, error: errors.join("; ") });
+    }
+    if (value.cursor && !/^\d+$/.test(value.cursor)) {
+      return res.status(400).json({ ok: false, error: "Invalid cursor" });
+    }
+
+    const ctx = { userId: req.learner.userId, deviceId: req.learner.deviceId };
+    const client = await store.connect();
+
+    try {
+      await client.query("BEGIN");
+      await lockSyncUser(client, ctx.userId);
+      ctx.entitlements = await getEntitlements(client, req.learner.plan);
+
+      const results = [];
+      for (const event of value.events || []) {
+        await client.query("SAVEPOINT sync_event");
+        try {
+          results.push(await applySyncEvent(client, ctx, event));
+          await client.query("RELEASE SAVEPOINT sync_event");
+        } catch (err) {
+          await client.query("ROLLBACK TO SAVEPOINT sync_event");
+          console.error(`❌ /api/sync event ${event.id} error:`, err);
+          results.push({
+            id: event.id,
+            status: "error",
+            error: "Internal server error",
+          });
+        }
+      }
+
+      const state = await getSyncState(client, ctx.userId, value.cursor || "0");
+
+      await client.query("COMMIT");
+      statsCache.delete(ctx.userId);
+
+      res.json({ ok: true, results, ...state });
+    } catch (err) {
+      await client.query("ROLLBACK");
+      console.error("❌ /api/sync error:", err);
+      res.status(500).json({ ok: false, error: "Internal server error" });
+    } finally {
+      client.release();
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,661 @@
+// lib/routes/verify.js - Public endpoints: ping, public keys, /api/verify
+// (license hoặc activation code → access + refresh token) và
+// /api/token/refresh | revoke
+import express from "express";
+import crypto from "crypto";
+import { isExpiryValid, addDaysYmd, formatDate } from "../dates.js";
+import { recordAudit } from "../admin-ops.js";
+import {
+  normalizeActivationCode,
+  formatActivationCode,
+  isActivationCodeLike,
+} from "../activation-code.js";
+import { exportPublicJwks, isV2License } from "../license-v2.js";
+import { parseRefreshToken, generateRefreshToken } from "../session-tokens.js";
+import {
+  findCurrentLicense,
+  recordVerifyRejection,
+  resolveLearnerLicense,
+} from "../licensing.js";
+import { isDeviceRevoked, touchDeviceBinding } from "../repos/devices.js";
+import { isUserRevoked, findUserProfile } from "../repos/users.js";
+import {
+  insertLicense,
+  bindLicenseDevice,
+  markLicenseExpired,
+} from "../repos/licenses.js";
+import {
+  lockActivationCode,
+  findActivationLicense,
+  recordActivation,
+} from "../repos/activation-codes.js";
+import {
+  findLearnerSession,
+  rotateLearnerSession,
+  revokeLearnerSession,
+} from "../repos/learner-sessions.js";
+
+/**
+ * So sánh hash refresh token (sha256 hex) constant-time
+ */
+function refreshHashMatches(stored, presented) {
+  return (
+    !!stored &&
+    crypto.timingSafeEqual(
+      Buffer.from(stored, "hex"),
+      Buffer.from(presented, "hex"),
+    )
+  );
+}
+
+/**
+ * Kiểm tra lại session khi refresh: license hiện hành (đã gia hạn / revoke /
+ * chuyển máy) và revocation của user / máy, như /api/verify.
+ *
+ * Returns { current } hoặc { error, revoke } (revoke = revoke luôn session).
+ */
+async function checkLearnerSession(client, session) {
+  const found = await findCurrentLicense(client, session.license);
+  const current = found?.current;
+  if (!current) {
+    return {
+      error: { status: 404, message: "License not found" },
+      revoke: true,
+    };
+  }
+  if (current.status === "revoked") {
+    return {
+      error: { status: 403, message: "License revoked" },
+      revoke: true,
+    };
+  }
+  if (current.status === "superseded") {
+    return {
+      error: { status: 403, message: "License superseded" },
+      revoke: true,
+    };
+  }
+  if (current.device_id !== session.device_id) {
+    return {
+      error: {
+        status: 403,
+        message: "License transferred to another device",
+      },
+      revoke: true,
+    };
+  }
+  // Hết hạn: giữ session, license gia hạn sau đó vẫn refresh được
+  if (!isExpiryValid(current.expiry)) {
+    return { error: { status: 400, message: "Expired" } };
+  }
+
+  if (await isDeviceRevoked(client, session.device_id)) {
+    return {
+      error: { status: 403, message: "Device revoked" },
+      revoke: true,
+    };
+  }
+  if (await isUserRevoked(client, session.user_id)) {
+    return { error: { status: 403, message: "User revoked" }, revoke: true };
+  }
+
+  return { current };
+}
+
+/**
+ * Create router: /api/ping, /api/public-keys, /api/verify, /api/token/*
+ */
+export function verifyRoutes({
+  store,
+  config,
+  generateLicense,
+  claimSeat,
+  createLearnerSession,
+  getEntitlements,
+  parseAndValidateLicense,
+  sessionTokens,
+}) {
+  const {
+    allowFallbackBind: ALLOW_FALLBACK_BIND,
+    keyring: LICENSE_KEYRING,
+    licenseDefaultFormat: LICENSE_DEFAULT_FORMAT,
+    refreshTokenDays: REFRESH_TOKEN_DAYS,
+  } = config;
+  const SQLITE = store.dialect === "sqlite";
+  const router = express.Router();
+
+  /**
+   * GET /api/ping - Health check
+   */
+  router.get("/api/ping", (req, res) => {
+    res.json({
+      ok: true,
+      timestamp: new Date().toISOString(),
+      mode: ALLOW_FALLBACK_BIND ? "fallback" : "strict",
+      database: SQLITE ? "sqlite" : "neon.tech",
+    });
+  });
+
+  /**
+   * GET /api/public-keys - Ed25519 public keys (JWK) để client verify V2 offline
+   *
+   * Client nên cache theo kid; key cũ vẫn được liệt kê trong thời gian rotate.
+   */
+  router.get("/api/public-keys", (req, res) => {
+    res.set("Cache-Control", "public, max-age=3600");
+    res.json({
+      ok: true,
+      activeKid: LICENSE_KEYRING.activeKid,
+      keys: exportPublicJwks(LICENSE_KEYRING),
+    });
+  });
+
+  /**
+   * GET /api/public-keys/:kid - Single public key by key id
+   */
+  router.get("/api/public-keys/:kid", (req, res) => {
+    const key = exportPublicJwks(LICENSE_KEYRING).find(
+      (k) => k.kid === req.params.kid,
+    );
+    if (!key) return res.status(404).send("Key not found");
+    res.set("Cache-Control", "public, max-age=3600");
+    res.json({ ok: true, key });
+  });
+
+  /**
+   * Activate an activation code on this device (gọi từ /api/verify)
+   *
+   * Cấp license riêng cho deviceId; verify lại cùng code trên cùng máy trả về
+   * license đã cấp, không tốn thêm lượt kích hoạt.
+   */
+  async function activateCode(req, res) {
+    const { deviceId, license: input, deviceName } = req.body;
+
+    const code = normalizeActivationCode(input);
+    if (!code) return res.status(400).send("Invalid activation code");
+
+    const client = await store.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      const activation = await lockActivationCode(client, code);
+      if (!activation) {
+        await client.query("ROLLBACK");
+        return res.status(404).send("Activation code not found");
+      }
+      const { user_id: userId } = activation;
+      const auditRow = { user_id: userId, license: code, device_id: null };
+
+      if (activation.revoked_at) {
+        await client.query("ROLLBACK");
+        return res.status(403).send("Activation code revoked");
+      }
+
+      if (await isDeviceRevoked(client, deviceId)) {
+        await client.query("ROLLBACK");
+        await recordVerifyRejection(client, req, auditRow, "Device revoked");
+        return res.status(403).send("Device revoked");
+      }
+
+      if (await isUserRevoked(client, userId)) {
+        await client.query("ROLLBACK");
+        await recordVerifyRejection(client, req, auditRow, "User revoked");
+        return res.status(403).send("User revoked");
+      }
+
+      const user = (await findUserProfile(client, userId)) || {
+        user_name: null,
+        exam_date: null,
+      };
+
+      // Máy này đã kích hoạt code → trả lại license cũ
+      const existing = await findActivationLicense(client, code, deviceId);
+
+      let license, expiry, plan;
+      const isFirstBind = !existing;
+
+      if (!isFirstBind) {
+        // License có thể đã được gia hạn / nâng cấp / chuyển máy
+        const found = await findCurrentLicense(client, existing);
+        const current = found?.current;
+        if (!current || current.status === "superseded") {
+          await client.query("ROLLBACK");
+          return res.status(404).send("License not found");
+        }
+        if (current.status === "revoked") {
+          await client.query("ROLLBACK");
+          return res.status(403).send("License revoked");
+        }
+        if (current.device_id !== deviceId) {
+          await client.query("ROLLBACK");
+          return res.status(403).send("License transferred to another device");
+        }
+        ({ license, expiry, plan } = current);
+        if (!isExpiryValid(expiry)) {
+          await client.query("ROLLBACK");
+          return res.status(400).send("Expired");
+        }
+      } else {
+        if (
+          activation.activate_before &&
+          !isExpiryValid(activation.activate_before)
+        ) {
+          await client.query("ROLLBACK");
+          return res.status(400).send("Activation code expired");
+        }
+        if (activation.activation_count >= activation.max_activations) {
+          await client.query("ROLLBACK");
+          await recordVerifyRejection(
+            client,
+            req,
+            auditRow,
+            "Activation limit reached",
+          );
+          return res.status(403).send("Activation limit reached");
+        }
+
+        expiry = activation.expiry || addDaysYmd(activation.duration_days);
+        if (!isExpiryValid(expiry)) {
+          await client.query("ROLLBACK");
+          return res.status(400).send("Expired");
+        }
+
+        let format = activation.format || LICENSE_DEFAULT_FORMAT;
+        if (format === "v2" && !LICENSE_KEYRING.signingKey) format = "v1";
+        plan = activation.plan;
+        license = generateLicense({ format, userId, deviceId, expiry, plan });
+
+        await insertLicense(client, {
+          license,
+          userId,
+          deviceId,
+          expiry,
+          plan,
+        });
+        await recordActivation(client, code, deviceId, license);
+
+        await recordAudit(client, req, {
+          actor: "learner",
+          action: "license.activate",
+          userId,
+          deviceId,
+          license,
+          before: {
+            code: formatActivationCode(code),
+            activationCount: activation.activation_count,
+          },
+          after: { expiry, plan, format },
+        });
+      }
+
+      const seat = await claimSeat(client, req, {
+        userId,
+        deviceId,
+        deviceName: deviceName ? deviceName.trim().slice(0, 100) : null,
+        license,
+        plan,
+        actor: "learner",
+      });
+      if (seat.error) {
+        await client.query("ROLLBACK");
+        await recordVerifyRejection(client, req, auditRow, seat.error.message);
+        return res.status(seat.error.status).send(seat.error.message);
+      }
+
+      const tokens = await createLearnerSession(client, {
+        userId,
+        deviceId,
+        license,
+        plan,
+      });
+      const entitlements = await getEntitlements(client, plan);
+
+      await client.query("COMMIT");
+
+      res.json({
+        ok: true,
+        expiry,
+        userId,
+        userName: user.user_name || "",
+        examDate: user.exam_date ? formatDate(user.exam_date) : "",
+        bound: !isFirstBind,
+        firstBind: isFirstBind,
+        format: isV2License(license) ? "v2" : "v1",
+        plan,
+        entitlements,
+        // Client lưu license này thay cho activation code
+        license,
+        activated: true,
+        evictedDevices: seat.evicted,
+        ...tokens,
+      });
+    } catch (err) {
+      await client.query("ROLLBACK");
+      console.error("❌ /api/verify (activation) error:", err);
+      res.status(500).send("Internal server error");
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * POST /api/verify - Verify license (hoặc activation code)
+   */
+  router.post("/api/verify", async (req, res) => {
+    const { deviceId, license, deviceName } = req.body;
+
+    if (!deviceId || !license) {
+      return res.status(400).send("Missing deviceId or license");
+    }
+    if (deviceName !== undefined && typeof deviceName !== "string") {
+      return res.status(400).send("deviceName must be a string");
+    }
+
+    if (isActivationCodeLike(license)) {
+      return activateCode(req, res);
+    }
+
+    const client = await store.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      // 1. Parse and validate license format
+      //
+      // License của máy khác (kể cả cùng user) sai hash / chữ ký với deviceId
+      // này → cùng lỗi như license sai, không lộ license có hợp lệ hay không.
+      // Thêm máy: activation code lấy từ /api/devices/add-code.
+      const parsed = parseAndValidateLicense(license, deviceId);
+      if (!parsed.valid) {
+        await client.query("ROLLBACK");
+        return res
+          .status(400)
+          .send(parsed.reason || "Invalid license format or hash");
+      }
+
+      // 2. Check license in DB (status + license hiện hành nếu đã bị thay)
+      const resolved = await resolveLearnerLicense(
+        client,
+        license,
+        deviceId,
+        parsed,
+      );
+      if (resolved.error) {
+        await client.query("ROLLBACK");
+        if (resolved.error.status === 403) {
+          await recordVerifyRejection(
+            client,
+            req,
+            resolved.record,
+            resolved.error.message,
+          );
+        }
+        return res.status(resolved.error.status).send(resolved.error.message);
+      }
+
+      const licenseRecord = resolved.current;
+      const { user_id: userId, device_id: boundDeviceId } = licenseRecord;
+
+      // 3. Check effective expiry (có thể đã được gia hạn)
+      if (!isExpiryValid(licenseRecord.expiry)) {
+        await client.query("ROLLBACK");
+        await markLicenseExpired(client, licenseRecord.license);
+        return res.status(400).send("Expired");
+      }
+
+      // 4. Check if device is revoked
+      if (await isDeviceRevoked(client, deviceId)) {
+        await client.query("ROLLBACK");
+        await recordVerifyRejection(
+          client,
+          req,
+          licenseRecord,
+          "Device revoked",
+        );
+        return res.status(403).send("Device revoked");
+      }
+
+      // 5. Check if user is revoked
+      if (await isUserRevoked(client, userId)) {
+        await client.query("ROLLBACK");
+        await recordVerifyRejection(client, req, licenseRecord, "User revoked");
+        return res.status(403).send("User revoked");
+      }
+
+      // 6. Check device binding
+      const isFirstBind = !boundDeviceId;
+      if (boundDeviceId && boundDeviceId !== deviceId) {
+        await client.query("ROLLBACK");
+        await recordVerifyRejection(
+          client,
+          req,
+          licenseRecord,
+          "License already bound to another device",
+        );
+        return res.status(403).send("License already bound to another device");
+      }
+
+      // 7. Seat limit (multi-device)
+      const seat = await claimSeat(client, req, {
+        userId,
+        deviceId,
+        deviceName: deviceName ? deviceName.trim().slice(0, 100) : null,
+        license: licenseRecord.license,
+        plan: licenseRecord.plan,
+        actor: "learner",
+      });
+      if (seat.error) {
+        await client.query("ROLLBACK");
+        await recordVerifyRejection(
+          client,
+          req,
+          licenseRecord,
+          seat.error.message,
+        );
+        return res.status(seat.error.status).send(seat.error.message);
+      }
+
+      // 8. Bind: license chưa gắn máy → gắn
+      if (isFirstBind) {
+        await bindLicenseDevice(client, licenseRecord.license, deviceId);
+        await recordAudit(client, req, {
+          actor: "learner",
+          action: "license.bind",
+          userId,
+          deviceId,
+          license: licenseRecord.license,
+          before: { deviceId: null },
+          after: { deviceId, evicted: seat.evicted },
+        });
+      }
+
+      // 9. Get user info
+      const user = (await findUserProfile(client, userId)) || {
+        user_name: null,
+        exam_date: null,
+      };
+
+      // 10. Session tokens: các request sau dùng Authorization: Bearer
+      const tokens = await createLearnerSession(client, {
+        userId,
+        deviceId,
+        license: licenseRecord.license,
+        plan: licenseRecord.plan,
+      });
+      // 11. Quyền theo plan (client khoá module / bộ đề / sync bookmark)
+      const entitlements = await getEntitlements(client, licenseRecord.plan);
+
+      await client.query("COMMIT");
+
+      res.json({
+        ok: true,
+        expiry: licenseRecord.expiry,
+        userId,
+        userName: user.user_name || "",
+        examDate: user.exam_date ? formatDate(user.exam_date) : "",
+        bound: !isFirstBind,
+        firstBind: isFirstBind,
+        format: isV2License(licenseRecord.license) ? "v2" : "v1",
+        plan: licenseRecord.plan || null,
+        entitlements,
+        status: "active",
+        // License đã được gia hạn / nâng cấp / cấp cho máy này → client lưu license mới
+        replacementLicense:
+          licenseRecord.license !== license ? licenseRecord.license : null,
+        evictedDevices: seat.evicted,
+        ...tokens,
+      });
+    } catch (err) {
+      await client.query("ROLLBACK");
+      console.error("❌ /api/verify error:", err);
+      res.status(500).send("Internal server error");
+    } finally {
+      client.release();
+    }
+  });
+
+  // ==================== SESSION TOKENS ====================
+
+  /**
+   * POST /api/token/refresh - Đổi refresh token lấy access + refresh token mới
+   *
+   * Body: refreshToken, deviceId. Refresh token cũ hết hiệu lực ngay (rotate);
+   * gửi lại refresh token đã dùng → revoke cả session (token có thể đã bị lộ).
+   * 401 → client verify lại bằng license để lấy session mới.
+   */
+  router.post("/api/token/refresh", async (req, res) => {
+    const { refreshToken, deviceId } = req.body;
+
+    if (!refreshToken || !deviceId) {
+      return res.status(400).send("Missing refreshToken or deviceId");
+    }
+    const presented = parseRefreshToken(refreshToken);
+    if (!presented) return res.status(401).send("Invalid refresh token");
+
+    const client = await store.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      const session = await findLearnerSession(client, presented.sessionId, {
+        lock: true,
+      });
+
+      if (
+        !session ||
+        !refreshHashMatches(session.refresh_hash, presented.hash)
+      ) {
+        if (
+          session &&
+          !session.revoked_at &&
+          refreshHashMatches(session.previous_hash, presented.hash)
+        ) {
+          await revokeLearnerSession(
+            client,
+            session.id,
+            "Refresh token reused",
+          );
+          await recordAudit(client, req, {
+            actor: "learner",
+            action: "session.reuse",
+            userId: session.user_id,
+            deviceId: session.device_id,
+            license: session.license,
+            after: { sessionId: session.id },
+          });
+          await client.query("COMMIT");
+          return res.status(401).send("Refresh token reused");
+        }
+        await client.query("ROLLBACK");
+        return res.status(401).send("Invalid refresh token");
+      }
+      if (session.revoked_at) {
+        await client.query("ROLLBACK");
+        return res.status(401).send("Session revoked");
+      }
+      if (session.expires_at <= new Date()) {
+        await client.query("ROLLBACK");
+        return res.status(401).send("Refresh token expired");
+      }
+      if (session.device_id !== deviceId) {
+        await client.query("ROLLBACK");
+        return res.status(401).send("Refresh token issued for another device");
+      }
+
+      const checked = await checkLearnerSession(client, session);
+      if (checked.error) {
+        if (checked.revoke) {
+          await revokeLearnerSession(client, session.id, checked.error.message);
+          await client.query("COMMIT");
+        } else {
+          await client.query("ROLLBACK");
+        }
+        return res.status(checked.error.status).send(checked.error.message);
+      }
+      const { current } = checked;
+
+      const refresh = generateRefreshToken(session.id);
+      const expiresAt = new Date(Date.now() + REFRESH_TOKEN_DAYS * 86_400_000);
+      await rotateLearnerSession(client, session.id, refresh, {
+        license: current.license,
+        expiresAt,
+      });
+      // Seat LRU (evict-lru) dựa vào last_seen_at, client ít verify lại khi có token
+      await touchDeviceBinding(client, session.user_id, session.device_id);
+      const entitlements = await getEntitlements(client, current.plan);
+
+      await client.query("COMMIT");
+
+      res.json({
+        ok: true,
+        userId: session.user_id,
+        expiry: current.expiry,
+        plan: current.plan || null,
+        entitlements,
+        ...sessionTokens(refresh, expiresAt, {
+          userId: session.user_id,
+          deviceId,
+          plan: current.plan,
+        }),
+      });
+    } catch (err) {
+      await client.query("ROLLBACK");
+      console.error("❌ /api/token/refresh error:", err);
+      res.status(500).send("Internal server error");
+    } finally {
+      client.release();
+    }
+  });
+
+  /**
+   * POST /api/token/revoke - Đăng xuất: revoke session của refresh token
+   *
+   * Body: refreshToken. Access token của session hết hiệu lực ngay.
+   */
+  router.post("/api/token/revoke", async (req, res) => {
+    const presented = parseRefreshToken(req.body.refreshToken);
+    if (!presented) return res.status(400).send("Invalid refresh token");
+
+    try {
+      const session = await findLearnerSession(store, presented.sessionId);
+      if (
+        !session ||
+        !refreshHashMatches(session.refresh_hash, presented.hash)
+      ) {
+        return res.status(401).send("Invalid refresh token");
+      }
+
+      if (!session.revoked_at) {
+        await revokeLearnerSession(store, session.id, "Logged out");
+      }
+
+      res.json({ ok: true, revoked: true });
+    } catch (err) {
+      console.error("❌ /api/token/revoke error:", err);
+      res.status(500).send("Internal server error");
+    }
+  });
+
+  return router;
+}
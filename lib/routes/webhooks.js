@@ -0,0 +1,416 @@
+// lib/routes/webhooks.js - Admin: webhook endpoints, deliveries, replay
+// (outbox + delivery worker: lib/webhooks.js)
+import express from "express";
+import { validate } from "../validate.js";
+import { recordAudit, adminActor } from "../admin-ops.js";
+import {
+  isValidEventPattern,
+  WEBHOOK_EVENTS,
+  generateWebhookSecret,
+  enqueueWebhookEvent,
+  WEBHOOK_TEST_EVENT,
+} from "../webhooks.js";
+import {
+  listWebhooks,
+  insertWebhook,
+  findWebhook,
+  updateWebhook,
+  deleteWebhook,
+  listWebhookDeliveries,
+  requeueWebhookDeliveries,
+} from "../repos/webhooks.js";
+
+const WEBHOOK_SCHEMA = {
+  url: { type: "string", required: true, maxLength: 2000 },
+  events: {
+    type: "array",
+    required: true,
+    maxItems: 50,
+    items: { type: "string", maxLength: 100 },
+  },
+  description: { type: "string", maxLength: 255 },
+  disabled: { type: "boolean" },
+  rotateSecret: { type: "boolean" },
+};
+
+/**
+ * Validate webhook body (partial = update). Returns { value, error }.
+ */
+function validateWebhook(body, { partial = false } = {}) {
+  const { value, errors } = validate(WEBHOOK_SCHEMA, body, { partial });
+  if (errors.length > 0) return { error: errors.join("; ") };
+
+  if (value.url !== undefined) {
+    let url;
+    try {
+      url = new URL(value.url);
+    } catch {
+      return { error: "url must be a valid URL" };
+    }
+    if (url.protocol !== "https:" && url.protocol !== "http:") {
+      return { error: "url must be http(s)" };
+    }
+  }
+  if (value.events !== undefined) {
+    if (value.events.length === 0) return { error: "events is empty" };
+    const invalid = value.events.filter((e) => !isValidEventPattern(e));
+    if (invalid.length > 0) {
+      return {
+        error: `Unknown events: ${invalid.join(", ")} (available: ${WEBHOOK_EVENTS.join(", ")})`,
+      };
+    }
+    value.events = [...new Set(value.events)];
+  }
+  return { value };
+}
+
+/**
+ * Format webhook row for API responses (không có secret)
+ */
+function formatWebhook(w) {
+  return {
+    id: w.id,
+    url: w.url,
+    events: w.events,
+    description: w.description,
+    createdBy: w.created_by,
+    createdAt: w.created_at,
+    disabledAt: w.disabled_at,
+  };
+}
+
+/**
+ * Format webhook delivery row for API responses
+ */
+function formatWebhookDelivery(d) {
+  return {
+    id: String(d.id),
+    webhookId: d.webhook_id,
+    eventId: d.event_id,
+    eventType: d.event_type,
+    status: d.status,
+    attempts: d.attempts,
+    nextAttemptAt: d.status === "pending" ? d.next_attempt_at : null,
+    lastAttemptAt: d.last_attempt_at,
+    lastStatus: d.last_status,
+    lastError: d.last_error,
+    createdAt: d.created_at,
+    deliveredAt: d.delivered_at,
+    payload: d.payload,
+  };
+}
+
+/**
+ * Create router: /api/admin/webhooks/*
+ */
+export function webhookRoutes({ store, adminAuth }) {
+  const router = express.Router();
+
+  /**
+   * GET /api/admin/webhooks - List webhooks + số delivery theo status
+   */
+  router.get("/api/admin/webhooks", adminAuth("support"), async (req, res) => {
+    try {
+      const { webhooks, counts } = await listWebhooks(store);
+
+      res.json({
+        ok: true,
+        events: WEBHOOK_EVENTS,
+        webhooks: webhooks.map((w) => {
+          const deliveries = { pending: 0, delivered: 0, failed: 0 };
+          for (const c of counts) {
+            if (c.webhook_id === w.id) deliveries[c.status] = c.count;
+          }
+          return { ...formatWebhook(w), deliveries };
+        }),
+      });
+    } catch (err) {
+      console.error("❌ /api/admin/webhooks error:", err);
+      res.status(500).send("Internal server error");
+    }
+  });
+
+  /**
+   * POST /api/admin/webhooks - Create webhook subscription
+   *
+   * Body: url, events (tên event, "license.*" hoặc "*"), description.
+   * secret (để bên nhận kiểm tra X-N1-Signature) chỉ trả về một lần.
+   */
+  router.post("/api/admin/webhooks", adminAuth("owner"), async (req, res) => {
+    const { value, error } = validateWebhook(req.body);
+    if (error) return res.status(400).send(error);
+
+    const client = await store.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      const secret = generateWebhookSecret();
+      const webhook = await insertWebhook(client, {
+        url: value.url,
+        secret,
+        events: value.events,
+        description: value.description || null,
+        createdBy: req.admin.name,
+      });
+
+      await recordAudit(client, req, {
+        actor: adminActor(req),
+        action: "webhook.create",
+        after: formatWebhook(webhook),
+      });
+
+      await client.query("COMMIT");
+
+      res.json({ ok: true, webhook: formatWebhook(webhook), secret });
+    } catch (err) {
+      await client.query("ROLLBACK");
+      console.error("❌ /api/admin/webhooks create error:", err);
+      res.status(500).send("Internal server error");
+    } finally {
+      client.release();
+    }
+  });
+
+  /**
+   * POST /api/admin/webhooks/:id/update - Đổi url / events / description,
+   * bật / tắt (disabled), rotateSecret: true → secret mới (trả về một lần)
+   *
+   * Webhook bị tắt: event mới không được ghi, delivery đang chờ giữ nguyên
+   * tới khi bật lại.
+   */
+  router.post(
+    "/api/admin/webhooks/:id/update",
+    adminAuth("owner"),
+    async (req, res) => {
+      if (!/^\d+$/.test(req.params.id)) {
+        return res.status(404).send("Webhook not found");
+      }
+      const { value, error } = validateWebhook(req.body, { partial: true });
+      if (error) return res.status(400).send(error);
+
+      const client = await store.connect();
+
+      try {
+        await client.query("BEGIN");
+
+        const before = await findWebhook(client, req.params.id, {
+          lock: true,
+        });
+        if (!before) {
+          await client.query("ROLLBACK");
+          return res.status(404).send("Webhook not found");
+        }
+
+        const secret = value.rotateSecret ? generateWebhookSecret() : null;
+        const webhook = await updateWebhook(client, req.params.id, {
+          url: value.url,
+          events: value.events,
+          description: value.description,
+          secret,
+          disabled: value.disabled,
+        });
+
+        await recordAudit(client, req, {
+          actor: adminActor(req),
+          action: "webhook.update",
+          before: formatWebhook(before),
+          after: { ...formatWebhook(webhook), secretRotated: !!secret },
+        });
+
+        await client.query("COMMIT");
+
+        res.json({
+          ok: true,
+          webhook: formatWebhook(webhook),
+          ...(secret && { secret }),
+        });
+      } catch (err) {
+        await client.query("ROLLBACK");
+        console.error("❌ /api/admin/webhooks/update error:", err);
+        res.status(500).send("Internal server error");
+      } finally {
+        client.release();
+      }
+    },
+  );
+
+  /**
+   * POST /api/admin/webhooks/:id/delete - Xoá webhook (kèm lịch sử delivery)
+   */
+  router.post(
+    "/api/admin/webhooks/:id/delete",
+    adminAuth("owner"),
+    async (req, res) => {
+      if (!/^\d+$/.test(req.params.id)) {
+        return res.status(404).send("Webhook not found");
+      }
+
+      const client = await store.connect();
+
+      try {
+        await client.query("BEGIN");
+
+        const deleted = await deleteWebhook(client, req.params.id);
+        if (!deleted) {
+          await client.query("ROLLBACK");
+          return res.status(404).send("Webhook not found");
+        }
+
+        await recordAudit(client, req, {
+          actor: adminActor(req),
+          action: "webhook.delete",
+          before: formatWebhook(deleted),
+        });
+
+        await client.query("COMMIT");
+
+        res.json({ ok: true, id: deleted.id, deleted: true });
+      } catch (err) {
+        await client.query("ROLLBACK");
+        console.error("❌ /api/admin/webhooks/delete error:", err);
+        res.status(500).send("Internal server error");
+      } finally {
+        client.release();
+      }
+    },
+  );
+
+  /**
+   * POST /api/admin/webhooks/:id/test - Gửi event webhook.test tới webhook
+   */
+  router.post(
+    "/api/admin/webhooks/:id/test",
+    adminAuth("owner"),
+    async (req, res) => {
+      if (!/^\d+$/.test(req.params.id)) {
+        return res.status(404).send("Webhook not found");
+      }
+
+      try {
+        const queued = await enqueueWebhookEvent(
+          store,
+          WEBHOOK_TEST_EVENT,
+          { actor: adminActor(req) },
+          { webhookId: req.params.id },
+        );
+        if (queued === 0) {
+          return res.status(404).send("Webhook not found or disabled");
+        }
+
+        res.json({ ok: true, queued });
+      } catch (err) {
+        console.error("❌ /api/admin/webhooks/test error:", err);
+        res.status(500).send("Internal server error");
+      }
+    },
+  );
+
+  /**
+   * GET /api/admin/webhooks/deliveries - Delivery log (mới nhất trước)
+   *
+   * Query: webhookId, status (pending | delivered | failed), eventType,
+   * limit (max 200), cursor (nextCursor của trang trước)
+   */
+  router.get(
+    "/api/admin/webhooks/deliveries",
+    adminAuth("support"),
+    async (req, res) => {
+      const { webhookId, status, eventType, cursor } = req.query;
+      const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+      if (webhookId && !/^\d+$/.test(webhookId)) {
+        return res.status(400).send("Invalid webhookId");
+      }
+      if (status && !["pending", "delivered", "failed"].includes(status)) {
+        return res
+          .status(400)
+          .send("Status must be pending, delivered or failed");
+      }
+      if (cursor && !/^\d+$/.test(cursor)) {
+        return res.status(400).send("Invalid cursor");
+      }
+
+      try {
+        const { deliveries, next } = await listWebhookDeliveries(
+          store,
+          { webhookId, status, eventType },
+          { limit, after: cursor },
+        );
+
+        res.json({
+          ok: true,
+          deliveries: deliveries.map(formatWebhookDelivery),
+          nextCursor: next === null ? null : String(next),
+        });
+      } catch (err) {
+        console.error("❌ /api/admin/webhooks/deliveries error:", err);
+        res.status(500).send("Internal server error");
+      }
+    },
+  );
+
+  /**
+   * POST /api/admin/webhooks/replay - Gửi lại delivery (payload cũ)
+   *
+   * Body: deliveryIds (gửi lại các delivery này, kể cả đã delivered) hoặc
+   * webhookId (gửi lại mọi delivery failed của webhook). Delivery được đưa
+   * về pending với số lần thử = 0, dispatcher gửi ở lượt poll kế tiếp.
+   */
+  router.post(
+    "/api/admin/webhooks/replay",
+    adminAuth("support"),
+    async (req, res) => {
+      const { deliveryIds, webhookId } = req.body;
+
+      const byIds = Array.isArray(deliveryIds) && deliveryIds.length > 0;
+      if (!byIds && !webhookId) {
+        return res.status(400).send("Missing deliveryIds or webhookId");
+      }
+      if (
+        (byIds && !deliveryIds.every((id) => /^\d+$/.test(String(id)))) ||
+        (!byIds && !/^\d+$/.test(String(webhookId)))
+      ) {
+        return res.status(400).send("Invalid deliveryIds or webhookId");
+      }
+
+      const client = await store.connect();
+
+      try {
+        await client.query("BEGIN");
+
+        const ids = await requeueWebhookDeliveries(
+          client,
+          byIds
+            ? { deliveryIds: deliveryIds.map(Number) }
+            : { webhookId: Number(webhookId) },
+        );
+
+        await recordAudit(client, req, {
+          actor: adminActor(req),
+          action: "webhook.replay",
+          after: {
+            webhookId: byIds ? null : Number(webhookId),
+            deliveryIds: ids.map(String),
+          },
+        });
+
+        await client.query("COMMIT");
+
+        res.json({
+          ok: true,
+          replayed: ids.length,
+          deliveryIds: ids.map(String),
+        });
+      } catch (err) {
+        await client.query("ROLLBACK");
+        console.error("❌ /api/admin/webhooks/replay error:", err);
+        res.status(500).send("Internal server error");
+      } finally {
+        client.release();
+      }
+    },
+  );
+
+  return router;
+}
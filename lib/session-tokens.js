@@ -0,0 +1,133 @@
+// lib/session-tokens.js - Access / refresh tokens của learner
+//
+// /api/verify cấp kèm license một cặp token để client không phải gửi license
+// mỗi request (server cũng không phải verify lại license + query revocation):
+//
+// Access token: n1s.<payload>.<signature>
+//   payload   - base64url(JSON { sid, uid, did, plan, exp }), exp = giây epoch
+//   signature - base64url(HMAC-SHA256 over "n1s.<payload>")
+//   Sống ngắn (ACCESS_TOKEN_MINUTES), gửi qua "Authorization: Bearer <token>",
+//   chỉ dùng được trên máy did.
+//
+// Refresh token: n1r_<sessionId>_<secret> - chỉ lưu sha256 của secret trong
+// learner_sessions (giống admin token). Mỗi lần refresh đổi secret mới.
+import crypto from "crypto";
+
+export const ACCESS_PREFIX = "n1s";
+
+const REFRESH_PATTERN = /^n1r_([0-9a-f]{24})_([A-Za-z0-9_-]{43})$/;
+
+/**
+ * HMAC key mặc định khi không đặt SESSION_TOKEN_SECRET (derive từ LICENSE_SECRET)
+ */
+export function deriveSessionSecret(licenseSecret) {
+  return crypto
+    .createHmac("sha256", licenseSecret)
+    .update("n1-session-tokens")
+    .digest("hex");
+}
+
+function sign(data, secret) {
+  return crypto.createHmac("sha256", secret).update(data).digest("base64url");
+}
+
+/**
+ * Quick format check, không verify chữ ký
+ */
+export function isAccessToken(token) {
+  return typeof token === "string" && token.startsWith(`${ACCESS_PREFIX}.`);
+}
+
+/**
+ * Create access token. Returns { token, expiresAt (Date) }
+ */
+export function signAccessToken(
+  { sessionId, userId, deviceId, plan, ttlSeconds },
+  secret,
+) {
+  const exp = Math.floor(Date.now() / 1000) + ttlSeconds;
+  const payload = Buffer.from(
+    JSON.stringify({
+      sid: sessionId,
+      uid: userId,
+      did: deviceId,
+      plan: plan || null,
+      exp,
+    }),
+  ).toString("base64url");
+  const signed = `${ACCESS_PREFIX}.${payload}`;
+  return {
+    token: `${signed}.${sign(signed, secret)}`,
+    expiresAt: new Date(exp * 1000),
+  };
+}
+
+/**
+ * Validate access token: chữ ký + thời hạn
+ *
+ * Returns { valid, reason, sessionId, userId, deviceId, plan }
+ */
+export function verifyAccessToken(token, secret) {
+  const parts = typeof token === "string" ? token.split(".") : [];
+  if (parts.length !== 3 || parts[0] !== ACCESS_PREFIX) {
+    return { valid: false, reason: "Invalid access token" };
+  }
+  const [, payload, signature] = parts;
+
+  const expected = Buffer.from(sign(`${ACCESS_PREFIX}.${payload}`, secret));
+  const actual = Buffer.from(signature);
+  if (
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    return { valid: false, reason: "Invalid access token" };
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  } catch {
+    return { valid: false, reason: "Invalid access token" };
+  }
+  if (!(claims.exp > Date.now() / 1000)) {
+    return { valid: false, reason: "Access token expired" };
+  }
+
+  return {
+    valid: true,
+    sessionId: claims.sid,
+    userId: claims.uid,
+    deviceId: claims.did,
+    plan: claims.plan,
+  };
+}
+
+/**
+ * Hash refresh token secret (sha256 hex)
+ */
+export function hashRefreshSecret(secret) {
+  return crypto.createHash("sha256").update(secret).digest("hex");
+}
+
+/**
+ * New refresh token (sessionId mới nếu không truyền).
+ * Returns { sessionId, token, hash }
+ */
+export function generateRefreshToken(sessionId) {
+  const id = sessionId || crypto.randomBytes(12).toString("hex");
+  const secret = crypto.randomBytes(32).toString("base64url");
+  return {
+    sessionId: id,
+    token: `n1r_${id}_${secret}`,
+    hash: hashRefreshSecret(secret),
+  };
+}
+
+/**
+ * Parse refresh token. Returns { sessionId, hash } hoặc null nếu sai format
+ */
+export function parseRefreshToken(token) {
+  const match = REFRESH_PATTERN.exec(typeof token === "string" ? token : "");
+  if (!match) return null;
+  return { sessionId: match[1], hash: hashRefreshSecret(match[2]) };
+}
@@ -0,0 +1,82 @@
+// lib/srs.js - Spaced repetition scheduler (SM-2)
+//
+// grade 0-5 theo SM-2: < 3 là quên (ôn lại sau vài phút, reset repetitions),
+// >= 3 là nhớ (interval 1 → 6 → interval × ease). Khi có ngày thi, interval
+// bị nén để mỗi câu còn được ôn ít nhất EXAM_MIN_REVIEWS lần trước ngày thi.
+
+const DAY_MS = 86_400_000;
+const RELEARN_MS = 10 * 60_000;
+const EXAM_MIN_REVIEWS = 2;
+
+export const DEFAULT_EASE = 2.5;
+export const MIN_EASE = 1.3;
+
+function startOfDay(d) {
+  const day = new Date(d);
+  day.setHours(0, 0, 0, 0);
+  return day;
+}
+
+/**
+ * Số ngày (theo lịch) từ now tới ngày thi; null nếu không có / đã qua
+ */
+export function daysUntilExam(examDate, now = new Date()) {
+  if (!examDate) return null;
+  const days = Math.round((startOfDay(examDate) - startOfDay(now)) / DAY_MS);
+  return days >= 0 ? days : null;
+}
+
+/**
+ * Nén interval (ngày) cho vừa số ngày còn lại tới kỳ thi
+ */
+export function compressInterval(intervalDays, daysLeft) {
+  if (daysLeft === null || daysLeft === undefined) return intervalDays;
+  return Math.min(
+    intervalDays,
+    Math.max(1, Math.floor(daysLeft / EXAM_MIN_REVIEWS)),
+  );
+}
+
+/**
+ * Chấm một lần ôn
+ *
+ * card = { ease, intervalDays, repetitions, lapses }. Returns state mới kèm
+ * dueAt (Date).
+ */
+export function scheduleReview(
+  card,
+  grade,
+  { now = new Date(), examDate = null } = {},
+) {
+  const ease = Math.max(
+    MIN_EASE,
+    card.ease + 0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02),
+  );
+
+  if (grade < 3) {
+    return {
+      ease,
+      intervalDays: 0,
+      repetitions: 0,
+      lapses: card.lapses + 1,
+      dueAt: new Date(now.getTime() + RELEARN_MS),
+    };
+  }
+
+  const repetitions = card.repetitions + 1;
+  const interval =
+    repetitions === 1
+      ? 1
+      : repetitions === 2
+        ? 6
+        : Math.round(Math.max(card.intervalDays, 1) * ease);
+  const intervalDays = compressInterval(interval, daysUntilExam(examDate, now));
+
+  return {
+    ease,
+    intervalDays,
+    repetitions,
+    lapses: card.lapses,
+    dueAt: new Date(now.getTime() + intervalDays * DAY_MS),
+  };
+}
@@ -0,0 +1,41 @@
+// lib/store/index.js - Chọn store theo DATABASE_URL
+//
+//   postgres://... / postgresql://...  Postgres (Neon.tech), lib/store/postgres.js
+//   sqlite:./data/n1.db                SQLite file, lib/store/sqlite.js
+//   sqlite::memory:                    SQLite in-memory
+//   memory:                            Postgres in-memory (PGlite), lib/store/memory.js
+//
+// Dùng chung cho server.js và scripts (migrate, n1-admin, copy-data).
+import { createPostgresStore } from "./postgres.js";
+import { createMemoryStore } from "./memory.js";
+import { createSqliteStore } from "./sqlite.js";
+
+/**
+ * Loại store của DATABASE_URL: postgres | sqlite | memory
+ */
+export function storeKind(databaseUrl) {
+  if (databaseUrl === "memory:") return "memory";
+  if (databaseUrl.startsWith("sqlite:")) return "sqlite";
+  return "postgres";
+}
+
+/**
+ * Open store cho DATABASE_URL
+ */
+export async function openStore(databaseUrl) {
+  switch (storeKind(databaseUrl)) {
+    case "memory":
+      return createMemoryStore();
+    case "sqlite": {
+      const filename = databaseUrl.slice("sqlite:".length);
+      if (!filename) {
+        throw new Error(
+          "DATABASE_URL sqlite: needs a file path (e.g. sqlite:./data/n1.db)",
+        );
+      }
+      return createSqliteStore(filename);
+    }
+    default:
+      return createPostgresStore(databaseUrl);
+  }
+}
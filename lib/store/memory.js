@@ -0,0 +1,82 @@
+// lib/store/memory.js - Store in-memory (PGlite: Postgres chạy trong process)
+//
+// Cùng interface với lib/store/postgres.js nên toàn bộ SQL của app chạy
+// nguyên vẹn, không cần database ngoài → dùng cho test (`node --test`) và
+// chạy thử local (DATABASE_URL=memory:). Dữ liệu mất khi process thoát.
+//
+// PGlite chỉ có một session: connect() giữ session tới khi release() (các
+// query / transaction khác xếp hàng chờ), xem lib/store/session-lock.js.
+// Kết quả parse bằng type parser của pg (BIGINT → string, DATE → local date…)
+// và tham số qua prepareValue của pg để hành vi giống hệt Postgres thật.
+import pg from "pg";
+import pgUtils from "pg/lib/utils.js";
+import { createSessionLock } from "./session-lock.js";
+
+// Đủ cho mọi type built-in (kể cả array) của Postgres
+const MAX_BUILTIN_OID = 6000;
+
+function pgParsers() {
+  const parsers = {};
+  for (let oid = 0; oid < MAX_BUILTIN_OID; oid++) {
+    parsers[oid] = pg.types.getTypeParser(oid, "text");
+  }
+  return parsers;
+}
+
+/**
+ * Create in-memory store (cần devDependency @electric-sql/pglite)
+ */
+export async function createMemoryStore() {
+  const { PGlite } = await import("@electric-sql/pglite");
+  const db = await PGlite.create({ parsers: pgParsers() });
+
+  const lock = createSessionLock();
+
+  const run = async (text, params) => {
+    // Không có tham số → simple protocol như pg (cho phép nhiều câu lệnh, vd. migration)
+    if (!params || params.length === 0) {
+      const results = await db.exec(text);
+      const last = results[results.length - 1] || { rows: [], fields: [] };
+      return {
+        rows: last.rows,
+        fields: last.fields,
+        rowCount: last.affectedRows || last.rows.length,
+      };
+    }
+    const result = await db.query(text, params.map(pgUtils.prepareValue));
+    return {
+      rows: result.rows,
+      fields: result.fields,
+      rowCount: result.affectedRows || result.rows.length,
+    };
+  };
+
+  return {
+    async query(text, params) {
+      if (lock.holdsSession()) return run(text, params);
+      const release = await lock.acquire();
+      try {
+        return await run(text, params);
+      } finally {
+        release();
+      }
+    },
+
+    async connect() {
+      const release = await lock.hold();
+      let released = false;
+      return {
+        query: (text, params) => run(text, params),
+        release() {
+          if (released) return;
+          released = true;
+          release();
+        },
+      };
+    },
+
+    async end() {
+      await db.close();
+    },
+  };
+}
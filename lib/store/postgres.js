@@ -0,0 +1,39 @@
+// lib/store/postgres.js - Store Postgres (Neon.tech)
+//
+// Store = interface giống pg.Pool mà app dùng: query(text, params),
+// connect() → client { query, release } cho transaction, end().
+// SQL viết theo dialect Postgres (xem lib/store/memory.js cho bản in-memory).
+import pg from "pg";
+import ws from "ws";
+import { neonConfig } from "@neondatabase/serverless";
+
+// =========================================================
+// NEON CONFIG - QUAN TRỌNG: Cấu hình WebSocket
+// =========================================================
+neonConfig.webSocketConstructor = ws;
+// Nếu chạy trên Render, có thể cần thêm dòng này:
+neonConfig.useSecureWebSocket = true; // Dùng WSS thay vì WS
+
+/**
+ * Create pg.Pool cấu hình cho Neon
+ */
+export function createPostgresStore(connectionString) {
+  const pool = new pg.Pool({
+    connectionString,
+    ssl: {
+      rejectUnauthorized: false, // Neon yêu cầu SSL
+    },
+    max: 5, // Giới hạn connections cho free tier (Neon free cho phép 5 concurrent)
+    idleTimeoutMillis: 10000, // Đóng connection không dùng sau 10s
+    connectionTimeoutMillis: 5000, // Timeout sau 5s nếu không kết nối được
+    allowExitOnIdle: true, // Cho phép pool đóng khi không dùng
+  });
+
+  // Handle pool errors
+  pool.on("error", (err) => {
+    console.error("❌ Unexpected DB pool error:", err);
+    // Không exit vì pool có thể reconnect
+  });
+
+  return pool;
+}
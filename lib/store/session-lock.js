@@ -0,0 +1,59 @@
+// lib/store/session-lock.js - Mutex cho store chỉ có một session (PGlite, SQLite)
+//
+// connect() giữ session tới khi release(), query / connect khác xếp hàng chờ.
+// Luồng đang giữ client (async context của lời gọi connect, theo dõi bằng
+// AsyncLocalStorage) gọi store.query() thì query chạy luôn trên session đó,
+// tức là nằm trong transaction của client - không phải chờ release (chờ chính
+// nó → treo). Khác Postgres (store.query lấy connection khác của pool), nên
+// code trong transaction vẫn nên dùng client.query().
+import { AsyncLocalStorage } from "async_hooks";
+
+/**
+ * Create session lock. Returns { holdsSession, acquire, hold }.
+ */
+export function createSessionLock() {
+  const owners = new AsyncLocalStorage();
+  let queue = Promise.resolve();
+  let holder = null;
+
+  // Resolve với hàm release khi tới lượt
+  const acquire = () => {
+    let release;
+    const turn = new Promise((resolve) => {
+      release = resolve;
+    });
+    const ready = queue.then(() => release);
+    queue = queue.then(() => turn);
+    return ready;
+  };
+
+  /**
+   * Async context hiện tại có đang giữ session (connect() chưa release) không
+   */
+  const holdsSession = () => holder !== null && owners.getStore() === holder;
+
+  /**
+   * Giữ session cho async context của caller (gọi đồng bộ trong connect(),
+   * trước await đầu tiên). Returns Promise<release>.
+   */
+  const hold = () => {
+    if (holdsSession()) {
+      return Promise.reject(
+        new Error(
+          "connect() while this context already holds the session (release the client first)",
+        ),
+      );
+    }
+    const owner = {};
+    owners.enterWith(owner);
+    return acquire().then((release) => {
+      holder = owner;
+      return () => {
+        holder = null;
+        release();
+      };
+    });
+  };
+
+  return { acquire, holdsSession, hold };
+}
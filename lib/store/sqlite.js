@@ -0,0 +1,229 @@
+// lib/store/sqlite.js - Store SQLite (better-sqlite3) cho local / dev và
+// deployment nhỏ
+//
+// Cùng interface với lib/store/postgres.js. SQL của app viết theo dialect
+// Postgres; store dịch phần cú pháp khác biệt đơn giản (tham số $n, cast ::type,
+// FOR UPDATE, ILIKE, = ANY(...), BEGIN) và chuyển kiểu theo kiểu khai báo của
+// cột trong migrations/sqlite/ để kết quả giống pg (TIMESTAMPTZ → Date,
+// JSONB / TEXT[] → object / array, BOOLEAN → boolean, BIGINT → string).
+// Những query không dịch được (JSONB operators, tsvector, unnest...) có bản
+// riêng (store.dialect / client.dialect === "sqlite"), route chưa hỗ trợ trả
+// 501 (SQLITE_ROUTES trong lib/app.js).
+//
+// better-sqlite3 chạy đồng bộ trên một connection: connect() giữ connection
+// tới khi release() (lib/store/session-lock.js), BEGIN → BEGIN IMMEDIATE để
+// process khác (vd. scripts/copy-data.js) không ghi chen vào transaction.
+// Timestamp lưu dạng ISO 8601 UTC (toISOString) nên so sánh chuỗi = so sánh giờ.
+import { createSessionLock } from "./session-lock.js";
+
+/**
+ * ISO 8601 UTC, cùng định dạng với Date#toISOString (dùng cho NOW())
+ */
+const SQLITE_NOW = "strftime('%Y-%m-%dT%H:%M:%fZ', 'now')";
+
+/**
+ * Dịch SQL (dialect Postgres) sang SQLite. Returns { sql, order }: order[i] =
+ * index (0-based) trong params của tham số ?(i + 1).
+ */
+export function translateSql(text) {
+  const order = [];
+  let sql = text
+    .replace(/\bDEFAULT NOW\(\)/gi, `DEFAULT (${SQLITE_NOW})`)
+    .replace(/::float\b/gi, " * 1.0")
+    .replace(/::[a-z]+(\[\])?/gi, "")
+    .replace(/\s+FOR UPDATE\b/gi, "")
+    .replace(/\bILIKE (\$\d+)/gi, "LIKE $1 ESCAPE '\\'")
+    .replace(/=\s*ANY\(([^()]+)\)/gi, "IN (SELECT value FROM json_each($1))");
+
+  // $n → ?k đánh số lại liên tục (better-sqlite3 không cho tham số bị bỏ trống)
+  sql = sql.replace(/\$(\d+)/g, (_, n) => {
+    const index = parseInt(n, 10) - 1;
+    let k = order.indexOf(index);
+    if (k === -1) k = order.push(index) - 1;
+    return `?${k + 1}`;
+  });
+
+  if (/^\s*BEGIN\s*;?\s*$/i.test(sql)) sql = "BEGIN IMMEDIATE";
+  return { sql, order };
+}
+
+/**
+ * Giá trị JS → giá trị lưu trong SQLite
+ */
+function toSqliteValue(value) {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "boolean") return value ? 1 : 0;
+  if (Buffer.isBuffer(value)) return value;
+  if (typeof value === "object") return JSON.stringify(value);
+  return value;
+}
+
+/**
+ * Giá trị SQLite → giá trị JS như pg trả về, theo kiểu khai báo của cột
+ */
+function fromSqliteValue(type, value) {
+  if (value === null || !type) return value;
+  const t = type.toUpperCase();
+
+  if (t.endsWith("[]")) {
+    // '{}' = mảng rỗng kiểu Postgres (DEFAULT '{}' trong SQL của app)
+    return value === "{}" ? [] : JSON.parse(value);
+  }
+  if (t === "JSONB" || t === "JSON") return JSON.parse(value);
+  if (t.startsWith("TIMESTAMP")) return new Date(value);
+  if (t === "DATE") {
+    // Giống pg: DATE → 00:00 giờ local
+    const ymd = String(value).replace(/-/g, "");
+    return new Date(+ymd.slice(0, 4), +ymd.slice(4, 6) - 1, +ymd.slice(6, 8));
+  }
+  if (t === "BOOLEAN") return value !== 0;
+  // pg trả int8 dạng string
+  if (t === "BIGINT") return String(value);
+  return value;
+}
+
+/**
+ * Create SQLite store. filename = đường dẫn file hoặc ":memory:"
+ * (cần optionalDependency better-sqlite3)
+ */
+export async function createSqliteStore(filename) {
+  const { default: Database } = await import("better-sqlite3");
+  const db = new Database(filename);
+  db.pragma("journal_mode = WAL");
+  db.pragma("foreign_keys = ON");
+  db.pragma("busy_timeout = 5000");
+
+  // Postgres functions mà SQL của app dùng
+  db.function("NOW", () => new Date().toISOString());
+
+  // nextval(): giá trị hiện tại nằm trong bảng sequences (function SQLite
+  // không được query DB nên đọc trước / ghi lại sau câu lệnh, xem withSequences)
+  const sequences = new Map();
+  db.function("nextval", (name) => {
+    if (!sequences.has(name)) throw new Error(`Unknown sequence: ${name}`);
+    const value = sequences.get(name) + 1;
+    sequences.set(name, value);
+    return value;
+  });
+
+  function withSequences(sql, fn) {
+    const names = [...sql.matchAll(/nextval\('(\w+)'\)/g)].map((m) => m[1]);
+    if (names.length === 0) return fn();
+
+    const run = () => {
+      const read = db.prepare("SELECT value FROM sequences WHERE name = ?");
+      for (const name of names) {
+        const row = read.get(name);
+        if (!row) throw new Error(`Unknown sequence: ${name}`);
+        sequences.set(name, row.value);
+      }
+      try {
+        return fn();
+      } finally {
+        const write = db.prepare(
+          "UPDATE sequences SET value = ? WHERE name = ?",
+        );
+        for (const name of names) write.run(sequences.get(name), name);
+        sequences.clear();
+      }
+    };
+    return db.inTransaction ? run() : db.transaction(run).immediate();
+  }
+
+  const statements = new Map();
+  function prepare(text) {
+    let entry = statements.get(text);
+    if (!entry) {
+      const { sql, order } = translateSql(text);
+      entry = { sql, order, stmt: db.prepare(sql) };
+      statements.set(text, entry);
+    }
+    return entry;
+  }
+
+  function execute(text, params = []) {
+    // Postgres chỉ cảnh báo khi COMMIT / ROLLBACK ngoài transaction
+    if (/^\s*(COMMIT|ROLLBACK)\s*;?\s*$/i.test(text)) {
+      if (db.inTransaction) db.exec(text);
+      return { rows: [], fields: [], rowCount: 0 };
+    }
+
+    let entry;
+    try {
+      entry = prepare(text);
+    } catch (err) {
+      // Nhiều câu lệnh, không tham số (migration) → exec như simple protocol của pg
+      if (params.length > 0 || !/more than one statement/.test(err.message)) {
+        throw err;
+      }
+      db.exec(translateSql(text).sql);
+      return { rows: [], fields: [], rowCount: 0 };
+    }
+    return runStatement(entry, params);
+  }
+
+  function runStatement({ sql, order, stmt }, params) {
+    const bound = {};
+    order.forEach((index, k) => {
+      bound[k + 1] = toSqliteValue(params[index]);
+    });
+    const args = order.length > 0 ? [bound] : [];
+
+    return withSequences(sql, () => {
+      if (!stmt.reader) {
+        const info = stmt.run(...args);
+        return { rows: [], fields: [], rowCount: info.changes };
+      }
+      const columns = stmt.columns();
+      const rows = stmt.all(...args).map((raw) => {
+        const row = {};
+        for (const column of columns) {
+          row[column.name] = fromSqliteValue(column.type, raw[column.name]);
+        }
+        return row;
+      });
+      return {
+        rows,
+        fields: columns.map((c) => ({ name: c.name })),
+        rowCount: rows.length,
+      };
+    });
+  }
+
+  const lock = createSessionLock();
+
+  return {
+    dialect: "sqlite",
+
+    async query(text, params) {
+      if (lock.holdsSession()) return execute(text, params);
+      const release = await lock.acquire();
+      try {
+        return execute(text, params);
+      } finally {
+        release();
+      }
+    },
+
+    async connect() {
+      const release = await lock.hold();
+      let released = false;
+      return {
+        dialect: "sqlite",
+        query: async (text, params) => execute(text, params),
+        release() {
+          if (released) return;
+          released = true;
+          // Transaction bị bỏ dở không được giữ write lock
+          if (db.inTransaction) db.exec("ROLLBACK");
+          release();
+        },
+      };
+    },
+
+    async end() {
+      db.close();
+    },
+  };
+}
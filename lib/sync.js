@@ -0,0 +1,213 @@
+// lib/sync.js - Merge event offline của /api/sync
+//
+// Offline-first: client ghi event vào hàng đợi local (kèm id duy nhất và giờ
+// máy), khi có mạng gửi cả batch lên /api/sync. Quy tắc merge:
+//   - Event id đã nhận → không apply lại (idempotent, retry thoải mái)
+//   - progress.perfect: counter cộng dồn, mỗi event +1 (thứ tự không quan trọng)
+//   - attempt: ghi attempts / question_stats (xem recordAttempt)
+//   - bookmark.upsert / bookmark.delete: last-writer-wins theo clock
+//     (giờ máy, deviceId); giờ máy ở tương lai bị kẹp về giờ server
+// Server trả về state đã merge + cursor; lần sau gửi cursor để chỉ nhận phần
+// thay đổi (sync_seq > cursor).
+//
+// /api/progress/mark-perfect có eventId cũng đi qua applySyncEvent (dedupe
+// chung với /api/sync). Query: lib/repos/sync.js.
+import { validate } from "./validate.js";
+import { checkEntitlement } from "./entitlements.js";
+import { validateAttempt } from "./progress.js";
+import { BOOKMARK_SCHEMA } from "./bookmarks.js";
+import { incrementPerfect, recordAttempt } from "./repos/progress.js";
+import {
+  upsertBookmark,
+  deleteBookmark,
+  lockBookmarkClock,
+  findBookmarkTombstone,
+} from "./repos/bookmarks.js";
+import { findSyncEvent, insertSyncEvent } from "./repos/sync.js";
+
+const SYNC_EVENT_SCHEMA = {
+  id: { type: "string", required: true, maxLength: 100 },
+  type: { type: "string", required: true, maxLength: 50 },
+  // Device time (ms)
+  ts: { type: "integer", required: true, min: 0 },
+  payload: { type: "any" },
+};
+
+export const SYNC_SCHEMA = {
+  cursor: { type: "string", maxLength: 20 },
+  events: {
+    type: "array",
+    maxItems: 200,
+    items: { type: "object", properties: SYNC_EVENT_SCHEMA },
+  },
+};
+
+/**
+ * a mới hơn b? clock = { at: Date, deviceId }; bằng giờ thì so deviceId
+ */
+function clockAfter(a, b) {
+  if (!b) return true;
+  const diff = a.at.getTime() - b.at.getTime();
+  if (diff !== 0) return diff > 0;
+  return (a.deviceId || "") > (b.deviceId || "");
+}
+
+const SYNC_HANDLERS = {
+  "progress.perfect": async (client, ctx, payload) => {
+    if (typeof payload?.moduleId !== "string" || !payload.moduleId) {
+      return { status: "rejected", error: "payload.moduleId is required" };
+    }
+    const perfectCount = await incrementPerfect(
+      client,
+      ctx.userId,
+      payload.moduleId,
+    );
+    return {
+      status: "applied",
+      result: { moduleId: payload.moduleId, perfectCount },
+    };
+  },
+
+  attempt: async (client, ctx, payload, clock) => {
+    const { value, error } = validateAttempt(payload || {});
+    if (error) return { status: "rejected", error };
+
+    value.finishedAt ??= clock.at.getTime();
+    const attempt = await recordAttempt(
+      client,
+      ctx.userId,
+      ctx.deviceId,
+      value,
+    );
+    return { status: "applied", result: { attemptId: String(attempt.id) } };
+  },
+
+  "bookmark.upsert": async (client, ctx, payload, clock) => {
+    const { value, errors } = validate(BOOKMARK_SCHEMA, payload || {});
+    if (errors.length > 0) {
+      return { status: "rejected", error: errors.join("; ") };
+    }
+
+    const row = await lockBookmarkClock(client, value.id);
+    if (row && row.user_id !== ctx.userId) {
+      return {
+        status: "rejected",
+        error: "id đã được dùng cho bookmark khác",
+      };
+    }
+    if (
+      row &&
+      !clockAfter(clock, {
+        at: row.client_updated_at,
+        deviceId: row.client_device_id,
+      })
+    ) {
+      return { status: "ignored", result: { reason: "stale" } };
+    }
+
+    const dead = await findBookmarkTombstone(client, ctx.userId, value.id);
+    if (
+      dead &&
+      !clockAfter(clock, { at: dead.deleted_at, deviceId: dead.device_id })
+    ) {
+      return { status: "ignored", result: { reason: "deleted" } };
+    }
+
+    await upsertBookmark(client, ctx.userId, value, {
+      deviceId: clock.deviceId,
+      clock: clock.at,
+    });
+    return { status: "applied", result: { id: value.id } };
+  },
+
+  "bookmark.delete": async (client, ctx, payload, clock) => {
+    if (typeof payload?.id !== "string" || !payload.id) {
+      return { status: "rejected", error: "payload.id is required" };
+    }
+
+    const row = await lockBookmarkClock(client, payload.id, ctx.userId);
+    if (
+      row &&
+      !clockAfter(clock, {
+        at: row.client_updated_at,
+        deviceId: row.client_device_id,
+      })
+    ) {
+      return { status: "ignored", result: { reason: "stale" } };
+    }
+
+    // Chưa có bookmark vẫn ghi tombstone: chặn upsert cũ hơn tới sau
+    await deleteBookmark(client, ctx.userId, payload.id, {
+      deviceId: clock.deviceId,
+      clock: clock.at,
+    });
+    return { status: "applied", result: { id: payload.id } };
+  },
+};
+
+/**
+ * Quyền cần có cho từng loại sync event (checkEntitlement)
+ */
+function syncEventRequirement(event) {
+  if (event.type === "progress.perfect") {
+    return { moduleId: event.payload?.moduleId };
+  }
+  if (event.type === "attempt") {
+    return {
+      moduleId: event.payload?.moduleId,
+      testId: event.payload?.testId,
+    };
+  }
+  if (event.type.startsWith("bookmark.")) return { bookmarkSync: true };
+  return {};
+}
+
+/**
+ * Apply một sync event (idempotent theo event id)
+ *
+ * ctx = { userId, deviceId, entitlements }. Returns { id, status, result,
+ * error, duplicate } với status applied | ignored | rejected. Caller phải giữ
+ * lockSyncUser.
+ */
+export async function applySyncEvent(client, ctx, event) {
+  const seen = await findSyncEvent(client, ctx.userId, event.id);
+  if (seen) {
+    const { status, result } = seen;
+    return {
+      id: event.id,
+      status,
+      duplicate: true,
+      ...(status === "rejected" ? { error: result?.error } : { result }),
+    };
+  }
+
+  // Không ghi vào sync_events: nâng cấp plan rồi gửi lại cùng event id được
+  const locked =
+    ctx.entitlements &&
+    checkEntitlement(ctx.entitlements, syncEventRequirement(event));
+  if (locked) return { id: event.id, status: "rejected", error: locked };
+
+  const clock = {
+    at: new Date(Math.min(event.ts, Date.now())),
+    deviceId: ctx.deviceId,
+  };
+  const handler = SYNC_HANDLERS[event.type];
+  const outcome = handler
+    ? await handler(client, ctx, event.payload, clock)
+    : { status: "rejected", error: `Unknown event type: ${event.type}` };
+
+  await insertSyncEvent(client, {
+    userId: ctx.userId,
+    eventId: event.id,
+    deviceId: ctx.deviceId,
+    type: event.type,
+    deviceTs: clock.at,
+    status: outcome.status,
+    result:
+      outcome.status === "rejected"
+        ? { error: outcome.error }
+        : outcome.result || null,
+  });
+
+  return { id: event.id, ...outcome };
+}
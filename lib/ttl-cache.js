@@ -0,0 +1,37 @@
+// lib/ttl-cache.js - Small in-memory TTL cache
+//
+// Cache theo từng instance: mỗi instance tự hết hạn sau ttlMs, ghi ở instance
+// khác chỉ thấy sau tối đa ttlMs. Đầy maxEntries thì bỏ entry cũ nhất.
+
+/**
+ * Create a TTL cache. ttlMs = 0 → không cache.
+ */
+export function createTtlCache({ ttlMs = 60_000, maxEntries = 1000 } = {}) {
+  const entries = new Map();
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return undefined;
+      }
+      return entry.value;
+    },
+    set(key, value) {
+      if (ttlMs <= 0) return;
+      entries.delete(key);
+      if (entries.size >= maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+    delete(key) {
+      entries.delete(key);
+    },
+    clear() {
+      entries.clear();
+    },
+  };
+}
@@ -0,0 +1,98 @@
+// lib/validate.js - Minimal schema validation cho request body
+//
+// Schema: { field: rule }, rule = { type, required, maxLength, truncate,
+// min, max, maxItems, items, properties }. type: "string" | "integer" |
+// "boolean" | "array" | "object" | "any".
+// Field không có trong schema bị bỏ qua.
+
+function checkValue(name, v, rule, errors) {
+  switch (rule.type) {
+    case "string": {
+      if (typeof v === "number") v = String(v);
+      if (typeof v !== "string") {
+        errors.push(`${name} must be a string`);
+        return undefined;
+      }
+      if (rule.maxLength && v.length > rule.maxLength) {
+        if (rule.truncate) return v.slice(0, rule.maxLength);
+        errors.push(`${name} must be at most ${rule.maxLength} characters`);
+        return undefined;
+      }
+      return v;
+    }
+    case "integer": {
+      if (
+        !Number.isInteger(v) ||
+        (rule.min !== undefined && v < rule.min) ||
+        (rule.max !== undefined && v > rule.max)
+      ) {
+        const range =
+          rule.min !== undefined && rule.max !== undefined
+            ? ` between ${rule.min} and ${rule.max}`
+            : rule.min !== undefined
+              ? ` >= ${rule.min}`
+              : "";
+        errors.push(`${name} must be an integer${range}`);
+        return undefined;
+      }
+      return v;
+    }
+    case "array": {
+      if (!Array.isArray(v)) {
+        errors.push(`${name} must be an array`);
+        return undefined;
+      }
+      if (rule.maxItems && v.length > rule.maxItems) {
+        errors.push(`${name} must have at most ${rule.maxItems} items`);
+        return undefined;
+      }
+      if (!rule.items) return v;
+      return v.map((item, i) =>
+        checkValue(`${name}[${i}]`, item, rule.items, errors),
+      );
+    }
+    case "boolean": {
+      if (typeof v !== "boolean") {
+        errors.push(`${name} must be a boolean`);
+        return undefined;
+      }
+      return v;
+    }
+    case "object": {
+      if (typeof v !== "object" || Array.isArray(v)) {
+        errors.push(`${name} must be an object`);
+        return undefined;
+      }
+      if (!rule.properties) return v;
+      const nested = validate(rule.properties, v);
+      errors.push(...nested.errors.map((e) => `${name}.${e}`));
+      return nested.value;
+    }
+    default:
+      return v;
+  }
+}
+
+/**
+ * Validate input theo schema. Returns { value, errors }.
+ *
+ * partial = true (PATCH): bỏ qua required, value chỉ chứa field được gửi.
+ */
+export function validate(schema, input, { partial = false } = {}) {
+  const value = {};
+  const errors = [];
+  const body =
+    input && typeof input === "object" && !Array.isArray(input) ? input : {};
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const v = body[field];
+    if (v === undefined || v === null || (rule.required && v === "")) {
+      if (rule.required && !partial) errors.push(`${field} is required`);
+      continue;
+    }
+    const checked = checkValue(field, v, rule, errors);
+    if (checked !== undefined) value[field] = checked;
+  }
+
+  return { value, errors };
+}
@@ -0,0 +1,334 @@
+// lib/webhooks.js - Webhooks cho sự kiện license / learner
+//
+// Outbox: recordAudit (lib/admin-ops.js) gọi enqueueWebhookEvent trong cùng
+// transaction với thay đổi → event chỉ được gửi khi thay đổi đã COMMIT, và
+// không mất nếu server tắt giữa chừng. Dispatcher (server.js start) đọc
+// webhook_deliveries tới hạn, POST tới url và retry với exponential backoff;
+// hết số lần thử → status failed, admin xem / replay qua /api/admin/webhooks.
+//
+// Request gửi đi:
+//   POST <url>, body = JSON { id, type, createdAt, data }
+//   X-N1-Event: <type>
+//   X-N1-Delivery: <delivery id>
+//   X-N1-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256(secret, "<t>.<body>")>
+// Bên nhận nên kiểm tra chữ ký và bỏ request có t quá cũ (chống replay).
+//
+// data không chứa license / activation code đầy đủ (url là của bên thứ ba,
+// license và code = quyền dùng): xem redactLicenses.
+import crypto from "crypto";
+import { isActivationCodeLike } from "./activation-code.js";
+
+/**
+ * Event có thể đăng ký (trùng tên action trong audit log)
+ */
+export const WEBHOOK_EVENTS = [
+  "license.generate",
+  "license.bind",
+  "license.activate",
+  "license.revoke",
+  "license.unrevoke",
+  "user.revoke",
+  "user.unrevoke",
+  "device.revoke",
+  "device.unrevoke",
+  "reset-request.create",
+  "progress.reset",
+  "order.paid",
+  "order.refund",
+];
+
+// Event gửi qua POST /api/admin/webhooks/:id/test, không đăng ký được
+export const WEBHOOK_TEST_EVENT = "webhook.test";
+
+const BACKOFF_BASE_SECONDS = 30;
+const BACKOFF_MAX_SECONDS = 6 * 3600;
+const LICENSE_VISIBLE_CHARS = 8;
+// Code chỉ có 12 ký tự: giữ 8 thì đoán nốt phần còn lại được
+const CODE_VISIBLE_CHARS = 4;
+const SENSITIVE_KEY = /license|^codes?$|activationCodes?$/i;
+
+/**
+ * Pattern đăng ký hợp lệ: tên event, "<prefix>.*" hoặc "*"
+ */
+export function isValidEventPattern(pattern) {
+  if (pattern === "*") return true;
+  if (typeof pattern !== "string") return false;
+  if (pattern.endsWith(".*")) {
+    const prefix = pattern.slice(0, -1);
+    return WEBHOOK_EVENTS.some((event) => event.startsWith(prefix));
+  }
+  return WEBHOOK_EVENTS.includes(pattern);
+}
+
+/**
+ * Webhook có đăng ký event type không
+ */
+export function matchesEvent(patterns, type) {
+  return patterns.some(
+    (p) =>
+      p === "*" ||
+      p === type ||
+      (p.endsWith(".*") && type.startsWith(p.slice(0, -1))),
+  );
+}
+
+/**
+ * Secret mới cho webhook (hiển thị một lần khi tạo / rotate)
+ */
+export function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString("base64url")}`;
+}
+
+/**
+ * Header X-N1-Signature cho body (string) tại thời điểm timestamp (giây)
+ */
+export function signWebhookPayload(secret, timestamp, body) {
+  const signature = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Delay trước lần thử thứ attempts + 1 (giây): 30s, 60s, 120s... tối đa 6h
+ */
+export function backoffSeconds(attempts) {
+  return Math.min(
+    BACKOFF_BASE_SECONDS * 2 ** Math.max(attempts - 1, 0),
+    BACKOFF_MAX_SECONDS,
+  );
+}
+
+/**
+ * Che license / activation code trong data của event (đệ quy)
+ *
+ * Field có tên chứa "license" (license, oldLicense, revokedLicenses,
+ * new_license...) hoặc là code / codes / activationCode(s): string → "..." +
+ * 8 ký tự cuối (license), 4 ký tự cuối (giá trị có dạng activation code), đủ
+ * để đối chiếu với admin API / audit log. Các field khác giữ nguyên.
+ */
+export function redactLicenses(value, sensitive = false) {
+  if (typeof value?.toJSON === "function") value = value.toJSON();
+  if (Array.isArray(value)) {
+    return value.map((item) => redactLicenses(item, sensitive));
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, v]) => [
+        key,
+        redactLicenses(v, SENSITIVE_KEY.test(key)),
+      ]),
+    );
+  }
+  if (sensitive && typeof value === "string") {
+    const visible = isActivationCodeLike(value)
+      ? CODE_VISIBLE_CHARS
+      : LICENSE_VISIBLE_CHARS;
+    return `...${value.slice(-visible)}`;
+  }
+  return value;
+}
+
+/**
+ * Ghi event vào outbox cho mọi webhook đang bật có đăng ký type.
+ * webhookId: chỉ gửi cho một webhook (test). Returns số delivery đã tạo.
+ */
+export async function enqueueWebhookEvent(
+  client,
+  type,
+  data,
+  { webhookId = null } = {},
+) {
+  const result = webhookId
+    ? await client.query(
+        "SELECT id, events FROM webhooks WHERE id = $1 AND disabled_at IS NULL",
+        [webhookId],
+      )
+    : await client.query(
+        "SELECT id, events FROM webhooks WHERE disabled_at IS NULL",
+      );
+  const targets = webhookId
+    ? result.rows
+    : result.rows.filter((w) => matchesEvent(w.events, type));
+  if (targets.length === 0) return 0;
+
+  const event = {
+    id: crypto.randomUUID(),
+    type,
+    createdAt: new Date().toISOString(),
+    data: redactLicenses(data),
+  };
+  for (const webhook of targets) {
+    await client.query(
+      `INSERT INTO webhook_deliveries
+       (webhook_id, event_id, event_type, payload, created_at, next_attempt_at)
+     VALUES ($1, $2, $3, $4, NOW(), NOW())`,
+      [webhook.id, event.id, type, JSON.stringify(event)],
+    );
+  }
+  return targets.length;
+}
+
+/**
+ * Dispatcher gửi webhook_deliveries tới hạn
+ *
+ * options: maxAttempts (hết → failed), timeoutMs mỗi request, batchSize,
+ * intervalMs (start()), fetch (test truyền hàm giả).
+ */
+export function createWebhookDispatcher({
+  store,
+  maxAttempts = 10,
+  timeoutMs = 10_000,
+  batchSize = 20,
+  intervalMs = 5_000,
+  fetch = globalThis.fetch,
+  log = console,
+}) {
+  /**
+   * Gửi một delivery. Returns { ok, status, error }
+   */
+  async function send(webhook, delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    try {
+      const res = await fetch(webhook.url, {
+        method: "POST",
+        headers: {
+          "content-type": "application/json",
+          "user-agent": "n1-license-server",
+          "x-n1-event": delivery.event_type,
+          "x-n1-delivery": String(delivery.id),
+          "x-n1-signature": signWebhookPayload(webhook.secret, timestamp, body),
+        },
+        body,
+        redirect: "manual",
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      if (res.status >= 200 && res.status < 300) {
+        return { ok: true, status: res.status };
+      }
+      const text = await res.text().catch(() => "");
+      return {
+        ok: false,
+        status: res.status,
+        error: `HTTP ${res.status}${text ? `: ${text.slice(0, 500)}` : ""}`,
+      };
+    } catch (err) {
+      return { ok: false, status: null, error: err.message };
+    }
+  }
+
+  /**
+   * Gửi các delivery tới hạn (một batch). Returns số delivery đã xử lý.
+   */
+  async function runOnce() {
+    // Claim: đẩy next_attempt_at ra sau thời gian gửi tối đa để instance khác
+    // không lấy trùng (server chết giữa chừng → delivery được thử lại sau lease)
+    const lease = new Date(Date.now() + timeoutMs + 60_000);
+    const claimed = await store.query(
+      `UPDATE webhook_deliveries SET next_attempt_at = $1
+     WHERE id IN (
+       SELECT d.id FROM webhook_deliveries d
+       JOIN webhooks w ON w.id = d.webhook_id
+       WHERE d.status = 'pending' AND d.next_attempt_at <= NOW()
+         AND w.disabled_at IS NULL
+       ORDER BY d.next_attempt_at, d.id
+       LIMIT $2
+     )
+     AND status = 'pending' AND next_attempt_at <= NOW()
+     RETURNING id, webhook_id, event_type, payload, attempts`,
+      [lease, batchSize],
+    );
+    if (claimed.rows.length === 0) return 0;
+
+    const webhooks = await store.query(
+      "SELECT id, url, secret FROM webhooks WHERE id = ANY($1)",
+      [[...new Set(claimed.rows.map((d) => d.webhook_id))]],
+    );
+    const byId = new Map(webhooks.rows.map((w) => [w.id, w]));
+
+    for (const delivery of claimed.rows) {
+      const webhook = byId.get(delivery.webhook_id);
+      if (!webhook) continue;
+
+      const result = await send(webhook, delivery);
+      const attempts = delivery.attempts + 1;
+
+      if (result.ok) {
+        await store.query(
+          `UPDATE webhook_deliveries
+         SET status = 'delivered', attempts = $1, last_attempt_at = NOW(),
+             last_status = $2, last_error = NULL, delivered_at = NOW()
+         WHERE id = $3`,
+          [attempts, result.status, delivery.id],
+        );
+        continue;
+      }
+
+      const failed = attempts >= maxAttempts;
+      await store.query(
+        `UPDATE webhook_deliveries
+       SET status = $1, attempts = $2, last_attempt_at = NOW(),
+           last_status = $3, last_error = $4, next_attempt_at = $5
+       WHERE id = $6`,
+        [
+          failed ? "failed" : "pending",
+          attempts,
+          result.status,
+          result.error,
+          new Date(Date.now() + backoffSeconds(attempts) * 1000),
+          delivery.id,
+        ],
+      );
+      if (failed) {
+        log.error(
+          `❌ Webhook delivery ${delivery.id} (${delivery.event_type}) failed after ${attempts} attempts: ${result.error}`,
+        );
+      }
+    }
+
+    return claimed.rows.length;
+  }
+
+  let timer = null;
+  let running = null;
+
+  async function tick() {
+    try {
+      // Gửi hết các batch đang tới hạn rồi mới nghỉ
+      while ((await runOnce()) === batchSize) {
+        /* tiếp batch sau */
+      }
+    } catch (err) {
+      log.error("❌ Webhook dispatcher error:", err);
+    }
+  }
+
+  return {
+    runOnce,
+
+    /**
+     * Poll mỗi intervalMs (không chạy chồng lên nhau)
+     */
+    start() {
+      if (timer) return;
+      const loop = async () => {
+        running = tick();
+        await running;
+        running = null;
+        if (timer) timer = setTimeout(loop, intervalMs);
+      };
+      timer = setTimeout(loop, 0);
+    },
+
+    /**
+     * Dừng poll, đợi batch đang gửi xong
+     */
+    async stop() {
+      clearTimeout(timer);
+      timer = null;
+      await running;
+    },
+  };
+}
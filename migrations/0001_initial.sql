@@ -1,4 +1,6 @@
--- schema.sql - PostgreSQL schema for N1 License Server
+-- 0001_initial.sql - Initial schema (trước đây là schema.sql)
+--
+-- Dùng IF NOT EXISTS để có thể apply lên database đã tạo bằng schema.sql.
 
 -- Users table
 CREATE TABLE IF NOT EXISTS users (
@@ -42,4 +44,22 @@ CREATE TABLE IF NOT EXISTS progress (
     user_id VARCHAR(100) PRIMARY KEY REFERENCES users(user_id) ON DELETE CASCADE,
     perfect JSONB NOT NULL DEFAULT '{}',
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
-);
\ No newline at end of file
+);
+
+-- Bookmarks (đã được dùng bởi /api/bookmarks nhưng chưa có trong schema.sql)
+CREATE TABLE IF NOT EXISTS bookmarks (
+    id VARCHAR(255) PRIMARY KEY, -- client-generated
+    question_key VARCHAR(255) NOT NULL,
+    question_text VARCHAR(500),
+    question_number VARCHAR(50),
+    options JSONB NOT NULL DEFAULT '[]',
+    answer TEXT,
+    detail TEXT,
+    test_id VARCHAR(100),
+    user_id VARCHAR(100),
+    timestamp BIGINT, -- client time (ms)
+    note TEXT NOT NULL DEFAULT '',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_bookmarks_user_id ON bookmarks(user_id, test_id);
@@ -0,0 +1,4 @@
+-- 0002_license_v2.sql - V2 licenses (signed tokens > 255 chars) + plan
+
+ALTER TABLE licenses ALTER COLUMN license TYPE TEXT;
+ALTER TABLE licenses ADD COLUMN IF NOT EXISTS plan VARCHAR(50);
@@ -0,0 +1,52 @@
+-- 0003_reset_requests_audit.sql - Device transfer requests + audit log
+
+-- Device transfer requests (POST /api/request-reset)
+CREATE TABLE IF NOT EXISTS reset_requests (
+    id VARCHAR(36) PRIMARY KEY, -- random UUID, learner dùng để poll trạng thái
+    user_id VARCHAR(100) REFERENCES users(user_id) ON DELETE CASCADE,
+    old_license TEXT,
+    old_device_id VARCHAR(255),
+    new_device_id VARCHAR(255) NOT NULL,
+    note TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'approved', 'rejected', 'auto-approved')),
+    new_license TEXT,
+    decided_by VARCHAR(100),
+    decision_note TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    decided_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_reset_requests_status ON reset_requests(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_reset_requests_user_id ON reset_requests(user_id, decided_at);
+
+-- Audit log
+CREATE TABLE IF NOT EXISTS audit_events (
+    id BIGSERIAL PRIMARY KEY,
+    actor VARCHAR(100) NOT NULL,
+    action VARCHAR(100) NOT NULL,
+    user_id VARCHAR(100),
+    device_id VARCHAR(255),
+    license TEXT,
+    ip VARCHAR(64),
+    before_data JSONB,
+    after_data JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_events_user_id ON audit_events(user_id, id);
+CREATE INDEX IF NOT EXISTS idx_audit_events_device_id ON audit_events(device_id, id);
+CREATE INDEX IF NOT EXISTS idx_audit_events_action ON audit_events(action, id);
+CREATE INDEX IF NOT EXISTS idx_audit_events_created_at ON audit_events(created_at);
+
+-- Audit log là append-only: chặn UPDATE/DELETE ở mức database
+CREATE OR REPLACE FUNCTION audit_events_append_only() RETURNS trigger AS $$
+BEGIN
+    RAISE EXCEPTION 'audit_events is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_audit_events_append_only ON audit_events;
+CREATE TRIGGER trg_audit_events_append_only
+    BEFORE UPDATE OR DELETE ON audit_events
+    FOR EACH ROW EXECUTE FUNCTION audit_events_append_only();
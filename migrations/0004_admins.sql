@@ -0,0 +1,23 @@
+-- 0004_admins.sql - Admin accounts and API tokens
+
+-- Admin accounts (role: viewer < support < owner)
+CREATE TABLE IF NOT EXISTS admins (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL UNIQUE,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('viewer', 'support', 'owner')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    disabled_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Admin API tokens: n1a_<id>_<secret>, chỉ lưu sha256(secret)
+CREATE TABLE IF NOT EXISTS admin_tokens (
+    id VARCHAR(16) PRIMARY KEY,
+    admin_id INTEGER NOT NULL REFERENCES admins(id) ON DELETE CASCADE,
+    token_hash CHAR(64) NOT NULL,
+    label VARCHAR(100),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_used_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE -- có thể ở tương lai (grace period khi rotate)
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_tokens_admin_id ON admin_tokens(admin_id);
@@ -0,0 +1,29 @@
+-- 0005_activation_codes.sql - Activation codes (license chưa gắn máy)
+
+CREATE TABLE IF NOT EXISTS activation_codes (
+    code VARCHAR(12) PRIMARY KEY, -- normalized, không có dấu gạch
+    user_id VARCHAR(100) NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    plan VARCHAR(50),
+    format VARCHAR(2), -- v1 | v2, NULL = LICENSE_DEFAULT_FORMAT lúc kích hoạt
+    expiry VARCHAR(8), -- YYYYMMDD cố định, hoặc
+    duration_days INTEGER, -- số ngày tính từ lúc kích hoạt
+    max_activations INTEGER NOT NULL DEFAULT 1,
+    activation_count INTEGER NOT NULL DEFAULT 0,
+    activate_before VARCHAR(8), -- hạn chót kích hoạt (YYYYMMDD)
+    note TEXT,
+    created_by VARCHAR(100),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    CHECK (expiry IS NOT NULL OR duration_days IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_activation_codes_user_id ON activation_codes(user_id);
+
+-- Mỗi lần kích hoạt trên một máy sinh ra một license riêng cho máy đó
+CREATE TABLE IF NOT EXISTS activations (
+    code VARCHAR(12) NOT NULL REFERENCES activation_codes(code) ON DELETE CASCADE,
+    device_id VARCHAR(255) NOT NULL,
+    license TEXT NOT NULL,
+    activated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (code, device_id)
+);
@@ -0,0 +1,17 @@
+-- 0006_license_lifecycle.sql - License status (active/expired/revoked/superseded)
+--
+-- Expiry / plan / deviceId nằm trong license string nên gia hạn, nâng cấp hay
+-- chuyển máy đều cấp license mới. License cũ được giữ lại với status
+-- 'superseded' và superseded_by trỏ sang license mới.
+
+ALTER TABLE licenses ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'active'
+  CHECK (status IN ('active', 'expired', 'revoked', 'superseded'));
+ALTER TABLE licenses ADD COLUMN IF NOT EXISTS status_reason TEXT;
+ALTER TABLE licenses ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE licenses ADD COLUMN IF NOT EXISTS superseded_by TEXT
+  REFERENCES licenses(license) ON DELETE SET NULL;
+
+UPDATE licenses SET status = 'expired', status_changed_at = NOW()
+WHERE expiry < to_char(NOW(), 'YYYYMMDD');
+
+CREATE INDEX IF NOT EXISTS idx_licenses_user_status ON licenses(user_id, status);
@@ -0,0 +1,29 @@
+-- 0007_device_bindings.sql - Multi-device entitlements (seat limits)
+--
+-- Mỗi máy của user chiếm một seat, kèm license riêng cho máy đó.
+-- max_devices / seat_policy trên users ghi đè cấu hình mặc định (ENV).
+
+CREATE TABLE IF NOT EXISTS device_bindings (
+    user_id VARCHAR(100) NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    device_id VARCHAR(255) NOT NULL,
+    device_name VARCHAR(100),
+    license TEXT REFERENCES licenses(license) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_seen_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (user_id, device_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_device_bindings_license ON device_bindings(license);
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS max_devices INTEGER
+  CHECK (max_devices IS NULL OR max_devices > 0);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS seat_policy VARCHAR(20)
+  CHECK (seat_policy IS NULL OR seat_policy IN ('reject', 'evict-lru'));
+
+-- Backfill: mỗi máy đang gắn license còn hiệu lực = một seat
+INSERT INTO device_bindings (user_id, device_id, license, created_at, last_seen_at)
+SELECT DISTINCT ON (user_id, device_id) user_id, device_id, license, created_at, created_at
+FROM licenses
+WHERE device_id IS NOT NULL AND status IN ('active', 'expired')
+ORDER BY user_id, device_id, created_at DESC
+ON CONFLICT (user_id, device_id) DO NOTHING;
@@ -0,0 +1,18 @@
+-- 0008_bookmarks_search_tags.sql - Bookmarks: tags, folder, full-text search
+--
+-- Bookmark giờ thuộc về user đã xác thực (license). search_vector dùng config
+-- 'simple' (không stemming) cho question_text + note; tiếng Nhật không có
+-- khoảng trắng nên API có thêm ILIKE fallback.
+
+ALTER TABLE bookmarks ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE bookmarks ADD COLUMN IF NOT EXISTS folder VARCHAR(100);
+ALTER TABLE bookmarks ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+ALTER TABLE bookmarks ADD COLUMN IF NOT EXISTS search_vector tsvector
+  GENERATED ALWAYS AS (
+    to_tsvector('simple', coalesce(question_text, '') || ' ' || coalesce(note, ''))
+  ) STORED;
+
+-- Cursor pagination: (created_at, id) giảm dần theo user
+CREATE INDEX IF NOT EXISTS idx_bookmarks_user_created ON bookmarks(user_id, created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_bookmarks_search ON bookmarks USING GIN(search_vector);
+CREATE INDEX IF NOT EXISTS idx_bookmarks_tags ON bookmarks USING GIN(tags);
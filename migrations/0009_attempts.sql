@@ -0,0 +1,45 @@
+-- 0009_attempts.sql - Test attempts + per-question stats
+--
+-- progress.perfect (JSONB) vẫn giữ cho client cũ; attempts / question_stats
+-- là dữ liệu chi tiết theo từng lần làm bài và từng câu hỏi.
+
+CREATE TABLE IF NOT EXISTS attempts (
+    id BIGSERIAL PRIMARY KEY,
+    user_id VARCHAR(100) NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    test_id VARCHAR(100) NOT NULL,
+    module_id VARCHAR(100),
+    score INTEGER NOT NULL,
+    total INTEGER NOT NULL,
+    duration_ms INTEGER,
+    device_id VARCHAR(255),
+    started_at TIMESTAMP WITH TIME ZONE,
+    finished_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (score >= 0 AND score <= total)
+);
+
+CREATE INDEX IF NOT EXISTS idx_attempts_user_test ON attempts(user_id, test_id, finished_at DESC);
+
+CREATE TABLE IF NOT EXISTS attempt_answers (
+    attempt_id BIGINT NOT NULL REFERENCES attempts(id) ON DELETE CASCADE,
+    question_key VARCHAR(255) NOT NULL,
+    answer TEXT,
+    correct BOOLEAN NOT NULL,
+    time_ms INTEGER,
+    PRIMARY KEY (attempt_id, question_key)
+);
+
+-- Mastery theo câu hỏi: tỉ lệ đúng + số lần đúng liên tiếp gần nhất
+CREATE TABLE IF NOT EXISTS question_stats (
+    user_id VARCHAR(100) NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    question_key VARCHAR(255) NOT NULL,
+    test_id VARCHAR(100),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    correct INTEGER NOT NULL DEFAULT 0,
+    streak INTEGER NOT NULL DEFAULT 0,
+    last_correct BOOLEAN,
+    last_answered_at TIMESTAMP WITH TIME ZONE,
+    PRIMARY KEY (user_id, question_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_question_stats_user_test ON question_stats(user_id, test_id);
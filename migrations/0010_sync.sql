@@ -0,0 +1,45 @@
+-- 0010_sync.sql - Offline-first sync (POST /api/sync)
+--
+-- sync_seq: sequence chung, mỗi lần bookmark / tombstone / progress thay đổi
+-- nhận một giá trị mới → client pull các thay đổi có sync_seq > cursor.
+-- client_updated_at / client_device_id: clock last-writer-wins cho bookmark.
+
+CREATE SEQUENCE IF NOT EXISTS sync_seq;
+
+-- Event đã nhận (idempotency key = event_id do client sinh)
+CREATE TABLE IF NOT EXISTS sync_events (
+    user_id VARCHAR(100) NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    event_id VARCHAR(100) NOT NULL,
+    device_id VARCHAR(255),
+    type VARCHAR(50) NOT NULL,
+    device_ts TIMESTAMP WITH TIME ZONE,
+    status VARCHAR(20) NOT NULL CHECK (status IN ('applied', 'ignored', 'rejected')),
+    result JSONB,
+    received_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (user_id, event_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_sync_events_received ON sync_events(received_at);
+
+ALTER TABLE bookmarks ADD COLUMN IF NOT EXISTS sync_seq BIGINT NOT NULL DEFAULT nextval('sync_seq');
+ALTER TABLE bookmarks ADD COLUMN IF NOT EXISTS client_updated_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE bookmarks ADD COLUMN IF NOT EXISTS client_device_id VARCHAR(255);
+
+UPDATE bookmarks SET client_updated_at = COALESCE(updated_at, created_at, NOW())
+WHERE client_updated_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_bookmarks_user_sync ON bookmarks(user_id, sync_seq);
+
+-- Bookmark đã xoá (để xoá trên các máy khác và chặn upsert cũ hơn tới muộn)
+CREATE TABLE IF NOT EXISTS bookmark_tombstones (
+    user_id VARCHAR(100) NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    id VARCHAR(255) NOT NULL,
+    deleted_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    device_id VARCHAR(255),
+    sync_seq BIGINT NOT NULL DEFAULT nextval('sync_seq'),
+    PRIMARY KEY (user_id, id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_bookmark_tombstones_sync ON bookmark_tombstones(user_id, sync_seq);
+
+ALTER TABLE progress ADD COLUMN IF NOT EXISTS sync_seq BIGINT NOT NULL DEFAULT nextval('sync_seq');
@@ -0,0 +1,40 @@
+-- 0011_review.sql - Spaced repetition review queue
+--
+-- review_cards: một thẻ cho mỗi câu hỏi learner cần ôn (câu đã bookmark hoặc
+-- câu làm sai gần nhất), lịch ôn theo SM-2 (lib/srs.js).
+-- review_log: mỗi lần chấm, dùng để đếm giới hạn ôn mỗi ngày.
+
+CREATE TABLE IF NOT EXISTS review_cards (
+    user_id VARCHAR(100) NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    question_key VARCHAR(255) NOT NULL,
+    test_id VARCHAR(100),
+    source VARCHAR(20) NOT NULL CHECK (source IN ('bookmark', 'missed')),
+    ease REAL NOT NULL DEFAULT 2.5,
+    interval_days INTEGER NOT NULL DEFAULT 0,
+    repetitions INTEGER NOT NULL DEFAULT 0,
+    lapses INTEGER NOT NULL DEFAULT 0,
+    due_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    last_grade SMALLINT,
+    last_reviewed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (user_id, question_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_review_cards_due ON review_cards(user_id, due_at);
+
+CREATE TABLE IF NOT EXISTS review_log (
+    id BIGSERIAL PRIMARY KEY,
+    user_id VARCHAR(100) NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    question_key VARCHAR(255) NOT NULL,
+    grade SMALLINT NOT NULL CHECK (grade BETWEEN 0 AND 5),
+    was_new BOOLEAN NOT NULL,
+    interval_days INTEGER NOT NULL,
+    ease REAL NOT NULL,
+    reviewed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_review_log_user ON review_log(user_id, reviewed_at);
+
+-- Giới hạn riêng của user (NULL = REVIEW_DAILY_LIMIT / REVIEW_NEW_LIMIT)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS review_daily_limit INTEGER CHECK (review_daily_limit > 0);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS review_new_limit INTEGER CHECK (review_new_limit >= 0);
@@ -0,0 +1,40 @@
+-- 0012_cohorts.sql - Cohorts (nhóm learner, vd. "Lớp N1 12/2026") + tin nhắn
+--
+-- Cohort dùng để lọc /api/admin/users và thao tác hàng loạt (extend, revoke,
+-- gửi tin nhắn). user_messages: tin nhắn admin gửi, learner đọc qua
+-- /api/messages.
+
+CREATE TABLE IF NOT EXISTS cohorts (
+    id BIGSERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL UNIQUE,
+    description TEXT,
+    created_by VARCHAR(100),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS cohort_members (
+    cohort_id BIGINT NOT NULL REFERENCES cohorts(id) ON DELETE CASCADE,
+    user_id VARCHAR(100) NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    added_by VARCHAR(100),
+    added_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (cohort_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_cohort_members_user ON cohort_members(user_id);
+
+CREATE TABLE IF NOT EXISTS user_messages (
+    id BIGSERIAL PRIMARY KEY,
+    user_id VARCHAR(100) NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    cohort_id BIGINT REFERENCES cohorts(id) ON DELETE SET NULL,
+    title VARCHAR(200) NOT NULL,
+    body TEXT NOT NULL DEFAULT '',
+    created_by VARCHAR(100),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    read_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_messages_user ON user_messages(user_id, created_at DESC);
+
+-- Lọc / sắp xếp /api/admin/users
+CREATE INDEX IF NOT EXISTS idx_users_created ON users(created_at DESC, user_id);
+CREATE INDEX IF NOT EXISTS idx_device_bindings_seen ON device_bindings(user_id, last_seen_at DESC);
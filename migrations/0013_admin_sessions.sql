@@ -0,0 +1,21 @@
+-- 0013_admin_sessions.sql - Session đăng nhập của admin console (/admin)
+--
+-- id = sha256(session token trong cookie), không lưu token gốc. Đăng nhập
+-- bằng admin token (hoặc root ADMIN_KEY → admin_id / token_id NULL); mỗi
+-- request kiểm tra lại admin chưa bị disable và token chưa bị revoke.
+
+CREATE TABLE IF NOT EXISTS admin_sessions (
+    id CHAR(64) PRIMARY KEY,
+    admin_id INTEGER REFERENCES admins(id) ON DELETE CASCADE,
+    token_id VARCHAR(16) REFERENCES admin_tokens(id) ON DELETE CASCADE,
+    admin_name VARCHAR(100) NOT NULL,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('viewer', 'support', 'owner')),
+    csrf_token VARCHAR(64) NOT NULL,
+    ip VARCHAR(64),
+    flash TEXT, -- thông báo hiển thị một lần sau redirect (JSON)
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_used_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_sessions_expires ON admin_sessions(expires_at);
@@ -0,0 +1,25 @@
+-- 0014_learner_sessions.sql - Access / refresh tokens của learner
+--
+-- /api/verify mở một session cho (user, máy); refresh token = n1r_<id>_<secret>,
+-- chỉ lưu sha256 của secret (refresh_hash). Mỗi lần refresh đổi secret,
+-- previous_hash giữ secret vừa bị thay để phát hiện refresh token bị dùng lại.
+-- Revoke user / device / license → revoked_at, access token của session
+-- cũng hết hiệu lực (xem lib/session-tokens.js).
+
+CREATE TABLE IF NOT EXISTS learner_sessions (
+    id VARCHAR(32) PRIMARY KEY,
+    user_id VARCHAR(100) NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    device_id VARCHAR(255) NOT NULL,
+    license TEXT NOT NULL,
+    refresh_hash CHAR(64) NOT NULL,
+    previous_hash CHAR(64),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    refreshed_at TIMESTAMP WITH TIME ZONE,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    revoked_reason VARCHAR(100)
+);
+
+CREATE INDEX IF NOT EXISTS idx_learner_sessions_user ON learner_sessions(user_id, device_id);
+CREATE INDEX IF NOT EXISTS idx_learner_sessions_device ON learner_sessions(device_id);
+CREATE INDEX IF NOT EXISTS idx_learner_sessions_expires ON learner_sessions(expires_at);
@@ -0,0 +1,37 @@
+-- 0016_notifications.sql - Nhắc license sắp hết hạn / sắp tới ngày thi
+--
+-- Scheduler (lib/notifications.js) ghi mỗi thông báo một dòng với dedupe_key
+-- UNIQUE (vd. license-expiring:<userId>:<expiry>:7) nên cùng một mốc không
+-- bao giờ gửi hai lần, kể cả khi nhiều instance cùng chạy. subject / body
+-- được render lúc ghi = bản lưu lại của đúng nội dung đã gửi.
+
+-- Liên hệ của learner: email (transport smtp), ngôn ngữ (vi | en, NULL = mặc
+-- định của server), notifications_enabled = false → không nhắc nữa
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email VARCHAR(255);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS locale VARCHAR(5)
+  CHECK (locale IS NULL OR locale IN ('vi', 'en'));
+ALTER TABLE users ADD COLUMN IF NOT EXISTS notifications_enabled BOOLEAN NOT NULL DEFAULT TRUE;
+
+CREATE TABLE IF NOT EXISTS notifications (
+    id BIGSERIAL PRIMARY KEY,
+    dedupe_key VARCHAR(255) NOT NULL UNIQUE,
+    user_id VARCHAR(100) NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    kind VARCHAR(50) NOT NULL, -- license-expiring | exam-approaching
+    locale VARCHAR(5) NOT NULL,
+    recipient VARCHAR(255), -- email lúc ghi (có thể NULL với transport không cần email)
+    subject TEXT NOT NULL,
+    body TEXT NOT NULL,
+    data JSONB, -- biến của template (expiry, examDate, daysLeft...)
+    transport VARCHAR(20) NOT NULL,
+    -- skipped: transport cần email nhưng learner chưa có
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+      CHECK (status IN ('pending', 'sent', 'failed', 'skipped')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    last_error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    sent_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_due ON notifications(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id, id);
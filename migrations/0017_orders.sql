@@ -0,0 +1,57 @@
+-- 0017_orders.sql - Gói bán, đơn hàng và callback thanh toán
+--
+-- Đơn đã thanh toán tự cấp license (lib/payments.js + /api/payments/*):
+-- learner đã có license → gia hạn (renew), chưa có → activation code.
+-- orders.fulfillment ghi lại đúng license / code đã cấp để refund revoke.
+-- payment_events lưu mọi callback, UNIQUE (provider, event_id) để callback
+-- gửi lại không cấp license lần hai.
+
+CREATE TABLE IF NOT EXISTS plans (
+    code VARCHAR(50) PRIMARY KEY, -- = licenses.plan
+    name VARCHAR(255) NOT NULL,
+    price BIGINT NOT NULL CHECK (price >= 0), -- đơn vị nhỏ nhất (VND: đồng)
+    currency VARCHAR(3) NOT NULL DEFAULT 'VND',
+    duration_days INTEGER NOT NULL CHECK (duration_days > 0),
+    active BOOLEAN NOT NULL DEFAULT TRUE, -- false = ngừng bán (đơn cũ giữ nguyên)
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS orders (
+    id BIGSERIAL PRIMARY KEY,
+    reference VARCHAR(32) NOT NULL UNIQUE, -- ord_<hex>, mã công khai của đơn
+    user_id VARCHAR(100) NOT NULL, -- user được tạo khi đơn thanh toán xong
+    user_name VARCHAR(255) NOT NULL,
+    email VARCHAR(255),
+    plan VARCHAR(50) NOT NULL REFERENCES plans(code),
+    -- Giá / thời hạn lúc đặt (đổi plan sau đó không ảnh hưởng đơn cũ)
+    amount BIGINT NOT NULL,
+    currency VARCHAR(3) NOT NULL,
+    duration_days INTEGER NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+      CHECK (status IN ('pending', 'paid', 'refunded', 'cancelled')),
+    provider VARCHAR(50), -- provider đã xác nhận thanh toán (manual = admin)
+    provider_ref VARCHAR(255), -- mã giao dịch phía provider
+    fulfillment JSONB, -- { action: renew | activation-code, licenses / activationCode }
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    paid_at TIMESTAMP WITH TIME ZONE,
+    refunded_at TIMESTAMP WITH TIME ZONE,
+    refund_reason TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_orders_user ON orders(user_id, id);
+CREATE INDEX IF NOT EXISTS idx_orders_status ON orders(status, id);
+
+CREATE TABLE IF NOT EXISTS payment_events (
+    id BIGSERIAL PRIMARY KEY,
+    provider VARCHAR(50) NOT NULL,
+    event_id VARCHAR(255) NOT NULL,
+    order_id BIGINT REFERENCES orders(id) ON DELETE SET NULL,
+    type VARCHAR(50) NOT NULL,
+    payload JSONB NOT NULL,
+    result JSONB, -- response đã trả (callback trùng nhận lại y nguyên)
+    received_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (provider, event_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_events_order ON payment_events(order_id, id);
@@ -0,0 +1,7 @@
+-- 0018_plan_features.sql - Quyền theo plan (lib/entitlements.js)
+--
+-- features: { modules, testSets, bookmarkSync }. NULL hoặc thiếu key = mặc
+-- định của plan (trial / standard / premium), trả về trong /api/verify dưới
+-- dạng entitlements và được kiểm tra ở progress / attempts / bookmarks / sync.
+
+ALTER TABLE plans ADD COLUMN IF NOT EXISTS features JSONB;
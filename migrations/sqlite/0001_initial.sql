@@ -0,0 +1,340 @@
+-- 0001_initial.sql - Schema SQLite (tương đương migrations/0001 → 0013)
+--
+-- Dùng với lib/store/sqlite.js. Kiểu cột giữ tên của Postgres (TIMESTAMPTZ,
+-- JSONB, TEXT[], BOOLEAN, BIGINT, DATE) vì store dựa vào kiểu khai báo để
+-- trả về cùng kiểu JS như pg. Timestamp lưu ISO 8601 UTC, JSONB / TEXT[] lưu
+-- JSON text. Không có search_vector (tìm bookmark chỉ dùng LIKE).
+-- Thay đổi schema Postgres mới cần migration tương ứng trong thư mục này.
+
+-- Sequence chung của sync (nextval() trong lib/store/sqlite.js)
+CREATE TABLE sequences (
+    name TEXT PRIMARY KEY,
+    value INTEGER NOT NULL DEFAULT 0
+);
+INSERT INTO sequences (name, value) VALUES ('sync_seq', 0);
+
+CREATE TABLE users (
+    user_id VARCHAR(100) PRIMARY KEY,
+    user_name VARCHAR(255) NOT NULL,
+    exam_date DATE,
+    created_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    max_devices INTEGER CHECK (max_devices IS NULL OR max_devices > 0),
+    seat_policy VARCHAR(20) CHECK (seat_policy IS NULL OR seat_policy IN ('reject', 'evict-lru')),
+    review_daily_limit INTEGER CHECK (review_daily_limit > 0),
+    review_new_limit INTEGER CHECK (review_new_limit >= 0)
+);
+
+CREATE INDEX idx_users_created ON users(created_at DESC, user_id);
+
+CREATE TABLE licenses (
+    license TEXT PRIMARY KEY,
+    user_id VARCHAR(100) NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    device_id VARCHAR(255),
+    expiry VARCHAR(8) NOT NULL, -- YYYYMMDD
+    created_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    plan VARCHAR(50),
+    status VARCHAR(20) NOT NULL DEFAULT 'active'
+        CHECK (status IN ('active', 'expired', 'revoked', 'superseded')),
+    status_reason TEXT,
+    status_changed_at TIMESTAMPTZ,
+    superseded_by TEXT REFERENCES licenses(license) ON DELETE SET NULL
+);
+
+CREATE INDEX idx_licenses_user_id ON licenses(user_id);
+CREATE INDEX idx_licenses_device_id ON licenses(device_id) WHERE device_id IS NOT NULL;
+CREATE INDEX idx_licenses_user_status ON licenses(user_id, status);
+
+CREATE TABLE revoked_devices (
+    device_id VARCHAR(255) PRIMARY KEY,
+    reason TEXT,
+    revoked_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE revoked_users (
+    user_id VARCHAR(100) PRIMARY KEY REFERENCES users(user_id) ON DELETE CASCADE,
+    reason TEXT,
+    revoked_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE progress (
+    user_id VARCHAR(100) PRIMARY KEY REFERENCES users(user_id) ON DELETE CASCADE,
+    perfect JSONB NOT NULL DEFAULT '{}',
+    updated_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    sync_seq BIGINT NOT NULL DEFAULT 0
+);
+
+CREATE TABLE bookmarks (
+    id VARCHAR(255) PRIMARY KEY, -- client-generated
+    question_key VARCHAR(255) NOT NULL,
+    question_text VARCHAR(500),
+    question_number VARCHAR(50),
+    options JSONB NOT NULL DEFAULT '[]',
+    answer TEXT,
+    detail TEXT,
+    test_id VARCHAR(100),
+    user_id VARCHAR(100),
+    timestamp BIGINT, -- client time (ms)
+    note TEXT NOT NULL DEFAULT '',
+    created_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    tags TEXT[] NOT NULL DEFAULT '[]',
+    folder VARCHAR(100),
+    updated_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    sync_seq BIGINT NOT NULL DEFAULT 0,
+    client_updated_at TIMESTAMPTZ,
+    client_device_id VARCHAR(255)
+);
+
+CREATE INDEX idx_bookmarks_user_id ON bookmarks(user_id, test_id);
+CREATE INDEX idx_bookmarks_user_created ON bookmarks(user_id, created_at DESC, id DESC);
+CREATE INDEX idx_bookmarks_user_sync ON bookmarks(user_id, sync_seq);
+
+CREATE TABLE bookmark_tombstones (
+    user_id VARCHAR(100) NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    id VARCHAR(255) NOT NULL,
+    deleted_at TIMESTAMPTZ NOT NULL,
+    device_id VARCHAR(255),
+    sync_seq BIGINT NOT NULL DEFAULT 0,
+    PRIMARY KEY (user_id, id)
+);
+
+CREATE INDEX idx_bookmark_tombstones_sync ON bookmark_tombstones(user_id, sync_seq);
+
+CREATE TABLE reset_requests (
+    id VARCHAR(36) PRIMARY KEY,
+    user_id VARCHAR(100) REFERENCES users(user_id) ON DELETE CASCADE,
+    old_license TEXT,
+    old_device_id VARCHAR(255),
+    new_device_id VARCHAR(255) NOT NULL,
+    note TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'approved', 'rejected', 'auto-approved')),
+    new_license TEXT,
+    decided_by VARCHAR(100),
+    decision_note TEXT,
+    created_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    decided_at TIMESTAMPTZ
+);
+
+CREATE INDEX idx_reset_requests_status ON reset_requests(status, created_at);
+CREATE INDEX idx_reset_requests_user_id ON reset_requests(user_id, decided_at);
+
+-- Audit log (append-only)
+CREATE TABLE audit_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    actor VARCHAR(100) NOT NULL,
+    action VARCHAR(100) NOT NULL,
+    user_id VARCHAR(100),
+    device_id VARCHAR(255),
+    license TEXT,
+    ip VARCHAR(64),
+    before_data JSONB,
+    after_data JSONB,
+    created_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX idx_audit_events_user_id ON audit_events(user_id, id);
+CREATE INDEX idx_audit_events_device_id ON audit_events(device_id, id);
+CREATE INDEX idx_audit_events_action ON audit_events(action, id);
+CREATE INDEX idx_audit_events_created_at ON audit_events(created_at);
+
+CREATE TRIGGER trg_audit_events_no_update BEFORE UPDATE ON audit_events
+BEGIN
+    SELECT RAISE(ABORT, 'audit_events is append-only');
+END;
+
+CREATE TRIGGER trg_audit_events_no_delete BEFORE DELETE ON audit_events
+BEGIN
+    SELECT RAISE(ABORT, 'audit_events is append-only');
+END;
+
+CREATE TABLE admins (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name VARCHAR(100) NOT NULL UNIQUE,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('viewer', 'support', 'owner')),
+    created_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    disabled_at TIMESTAMPTZ
+);
+
+CREATE TABLE admin_tokens (
+    id VARCHAR(16) PRIMARY KEY,
+    admin_id INTEGER NOT NULL REFERENCES admins(id) ON DELETE CASCADE,
+    token_hash CHAR(64) NOT NULL,
+    label VARCHAR(100),
+    created_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    last_used_at TIMESTAMPTZ,
+    revoked_at TIMESTAMPTZ
+);
+
+CREATE INDEX idx_admin_tokens_admin_id ON admin_tokens(admin_id);
+
+CREATE TABLE admin_sessions (
+    id CHAR(64) PRIMARY KEY,
+    admin_id INTEGER REFERENCES admins(id) ON DELETE CASCADE,
+    token_id VARCHAR(16) REFERENCES admin_tokens(id) ON DELETE CASCADE,
+    admin_name VARCHAR(100) NOT NULL,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('viewer', 'support', 'owner')),
+    csrf_token VARCHAR(64) NOT NULL,
+    ip VARCHAR(64),
+    flash TEXT,
+    created_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    last_used_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX idx_admin_sessions_expires ON admin_sessions(expires_at);
+
+CREATE TABLE activation_codes (
+    code VARCHAR(12) PRIMARY KEY,
+    user_id VARCHAR(100) NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    plan VARCHAR(50),
+    format VARCHAR(2),
+    expiry VARCHAR(8),
+    duration_days INTEGER,
+    max_activations INTEGER NOT NULL DEFAULT 1,
+    activation_count INTEGER NOT NULL DEFAULT 0,
+    activate_before VARCHAR(8),
+    note TEXT,
+    created_by VARCHAR(100),
+    created_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    revoked_at TIMESTAMPTZ,
+    CHECK (expiry IS NOT NULL OR duration_days IS NOT NULL)
+);
+
+CREATE INDEX idx_activation_codes_user_id ON activation_codes(user_id);
+
+CREATE TABLE activations (
+    code VARCHAR(12) NOT NULL REFERENCES activation_codes(code) ON DELETE CASCADE,
+    device_id VARCHAR(255) NOT NULL,
+    license TEXT NOT NULL,
+    activated_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    PRIMARY KEY (code, device_id)
+);
+
+CREATE TABLE device_bindings (
+    user_id VARCHAR(100) NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    device_id VARCHAR(255) NOT NULL,
+    device_name VARCHAR(100),
+    license TEXT REFERENCES licenses(license) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    last_seen_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    PRIMARY KEY (user_id, device_id)
+);
+
+CREATE INDEX idx_device_bindings_license ON device_bindings(license);
+CREATE INDEX idx_device_bindings_seen ON device_bindings(user_id, last_seen_at DESC);
+
+CREATE TABLE attempts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id VARCHAR(100) NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    test_id VARCHAR(100) NOT NULL,
+    module_id VARCHAR(100),
+    score INTEGER NOT NULL,
+    total INTEGER NOT NULL,
+    duration_ms INTEGER,
+    device_id VARCHAR(255),
+    started_at TIMESTAMPTZ,
+    finished_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    created_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    CHECK (score >= 0 AND score <= total)
+);
+
+CREATE INDEX idx_attempts_user_test ON attempts(user_id, test_id, finished_at DESC);
+
+CREATE TABLE attempt_answers (
+    attempt_id INTEGER NOT NULL REFERENCES attempts(id) ON DELETE CASCADE,
+    question_key VARCHAR(255) NOT NULL,
+    answer TEXT,
+    correct BOOLEAN NOT NULL,
+    time_ms INTEGER,
+    PRIMARY KEY (attempt_id, question_key)
+);
+
+CREATE TABLE question_stats (
+    user_id VARCHAR(100) NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    question_key VARCHAR(255) NOT NULL,
+    test_id VARCHAR(100),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    correct INTEGER NOT NULL DEFAULT 0,
+    streak INTEGER NOT NULL DEFAULT 0,
+    last_correct BOOLEAN,
+    last_answered_at TIMESTAMPTZ,
+    PRIMARY KEY (user_id, question_key)
+);
+
+CREATE INDEX idx_question_stats_user_test ON question_stats(user_id, test_id);
+
+CREATE TABLE sync_events (
+    user_id VARCHAR(100) NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    event_id VARCHAR(100) NOT NULL,
+    device_id VARCHAR(255),
+    type VARCHAR(50) NOT NULL,
+    device_ts TIMESTAMPTZ,
+    status VARCHAR(20) NOT NULL CHECK (status IN ('applied', 'ignored', 'rejected')),
+    result JSONB,
+    received_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    PRIMARY KEY (user_id, event_id)
+);
+
+CREATE INDEX idx_sync_events_received ON sync_events(received_at);
+
+CREATE TABLE review_cards (
+    user_id VARCHAR(100) NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    question_key VARCHAR(255) NOT NULL,
+    test_id VARCHAR(100),
+    source VARCHAR(20) NOT NULL CHECK (source IN ('bookmark', 'missed')),
+    ease REAL NOT NULL DEFAULT 2.5,
+    interval_days INTEGER NOT NULL DEFAULT 0,
+    repetitions INTEGER NOT NULL DEFAULT 0,
+    lapses INTEGER NOT NULL DEFAULT 0,
+    due_at TIMESTAMPTZ NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    last_grade SMALLINT,
+    last_reviewed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    PRIMARY KEY (user_id, question_key)
+);
+
+CREATE INDEX idx_review_cards_due ON review_cards(user_id, due_at);
+
+CREATE TABLE review_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id VARCHAR(100) NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    question_key VARCHAR(255) NOT NULL,
+    grade SMALLINT NOT NULL CHECK (grade BETWEEN 0 AND 5),
+    was_new BOOLEAN NOT NULL,
+    interval_days INTEGER NOT NULL,
+    ease REAL NOT NULL,
+    reviewed_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX idx_review_log_user ON review_log(user_id, reviewed_at);
+
+CREATE TABLE cohorts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name VARCHAR(100) NOT NULL UNIQUE,
+    description TEXT,
+    created_by VARCHAR(100),
+    created_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE cohort_members (
+    cohort_id INTEGER NOT NULL REFERENCES cohorts(id) ON DELETE CASCADE,
+    user_id VARCHAR(100) NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    added_by VARCHAR(100),
+    added_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    PRIMARY KEY (cohort_id, user_id)
+);
+
+CREATE INDEX idx_cohort_members_user ON cohort_members(user_id);
+
+CREATE TABLE user_messages (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id VARCHAR(100) NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    cohort_id INTEGER REFERENCES cohorts(id) ON DELETE SET NULL,
+    title VARCHAR(200) NOT NULL,
+    body TEXT NOT NULL DEFAULT '',
+    created_by VARCHAR(100),
+    created_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    read_at TIMESTAMPTZ
+);
+
+CREATE INDEX idx_user_messages_user ON user_messages(user_id, created_at DESC);
@@ -0,0 +1,19 @@
+-- 0002_learner_sessions.sql - Như migrations/0014_learner_sessions.sql
+
+CREATE TABLE learner_sessions (
+    id VARCHAR(32) PRIMARY KEY,
+    user_id VARCHAR(100) NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    device_id VARCHAR(255) NOT NULL,
+    license TEXT NOT NULL,
+    refresh_hash CHAR(64) NOT NULL,
+    previous_hash CHAR(64),
+    created_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    refreshed_at TIMESTAMPTZ,
+    expires_at TIMESTAMPTZ NOT NULL,
+    revoked_at TIMESTAMPTZ,
+    revoked_reason VARCHAR(100)
+);
+
+CREATE INDEX idx_learner_sessions_user ON learner_sessions(user_id, device_id);
+CREATE INDEX idx_learner_sessions_device ON learner_sessions(device_id);
+CREATE INDEX idx_learner_sessions_expires ON learner_sessions(expires_at);
@@ -0,0 +1,29 @@
+-- 0004_notifications.sql - Như migrations/0016_notifications.sql
+
+ALTER TABLE users ADD COLUMN email VARCHAR(255);
+ALTER TABLE users ADD COLUMN locale VARCHAR(5)
+  CHECK (locale IS NULL OR locale IN ('vi', 'en'));
+ALTER TABLE users ADD COLUMN notifications_enabled BOOLEAN NOT NULL DEFAULT TRUE;
+
+CREATE TABLE notifications (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    dedupe_key VARCHAR(255) NOT NULL UNIQUE,
+    user_id VARCHAR(100) NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    kind VARCHAR(50) NOT NULL,
+    locale VARCHAR(5) NOT NULL,
+    recipient VARCHAR(255),
+    subject TEXT NOT NULL,
+    body TEXT NOT NULL,
+    data JSONB,
+    transport VARCHAR(20) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+      CHECK (status IN ('pending', 'sent', 'failed', 'skipped')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    last_error TEXT,
+    created_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    sent_at TIMESTAMPTZ
+);
+
+CREATE INDEX idx_notifications_due ON notifications(status, next_attempt_at);
+CREATE INDEX idx_notifications_user ON notifications(user_id, id);
@@ -0,0 +1,50 @@
+-- 0005_orders.sql - Như migrations/0017_orders.sql
+
+CREATE TABLE plans (
+    code VARCHAR(50) PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    price BIGINT NOT NULL CHECK (price >= 0),
+    currency VARCHAR(3) NOT NULL DEFAULT 'VND',
+    duration_days INTEGER NOT NULL CHECK (duration_days > 0),
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE orders (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    reference VARCHAR(32) NOT NULL UNIQUE,
+    user_id VARCHAR(100) NOT NULL,
+    user_name VARCHAR(255) NOT NULL,
+    email VARCHAR(255),
+    plan VARCHAR(50) NOT NULL REFERENCES plans(code),
+    amount BIGINT NOT NULL,
+    currency VARCHAR(3) NOT NULL,
+    duration_days INTEGER NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+      CHECK (status IN ('pending', 'paid', 'refunded', 'cancelled')),
+    provider VARCHAR(50),
+    provider_ref VARCHAR(255),
+    fulfillment JSONB,
+    created_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    paid_at TIMESTAMPTZ,
+    refunded_at TIMESTAMPTZ,
+    refund_reason TEXT
+);
+
+CREATE INDEX idx_orders_user ON orders(user_id, id);
+CREATE INDEX idx_orders_status ON orders(status, id);
+
+CREATE TABLE payment_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    provider VARCHAR(50) NOT NULL,
+    event_id VARCHAR(255) NOT NULL,
+    order_id INTEGER REFERENCES orders(id) ON DELETE SET NULL,
+    type VARCHAR(50) NOT NULL,
+    payload JSONB NOT NULL,
+    result JSONB,
+    received_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    UNIQUE (provider, event_id)
+);
+
+CREATE INDEX idx_payment_events_order ON payment_events(order_id, id);
@@ -0,0 +1,3 @@
+-- 0006_plan_features.sql - Như migrations/0018_plan_features.sql
+
+ALTER TABLE plans ADD COLUMN features JSONB;
@@ -0,0 +1,58 @@
+// scripts/copy-data.js - Copy dữ liệu Postgres ↔ SQLite
+//
+// Usage:
+//   node scripts/copy-data.js --to sqlite:./data/n1.db
+//       (nguồn = DATABASE_URL trong .env)
+//   node scripts/copy-data.js --from sqlite:./data/n1.db --to postgres://...
+//
+// Database đích được migrate trước khi copy và phải trống. Nguồn nên đã
+// migrate tới phiên bản mới nhất (cột thiếu ở nguồn sẽ nhận giá trị mặc định).
+import { parseArgs } from "util";
+import dotenv from "dotenv";
+import { copyData } from "../lib/copy-data.js";
+import { migrateUp } from "../lib/migrations.js";
+import { openStore } from "../lib/store/index.js";
+
+dotenv.config();
+
+const USAGE =
+  "Usage: node scripts/copy-data.js [--from DATABASE_URL] --to DATABASE_URL";
+
+let values;
+try {
+  ({ values } = parseArgs({
+    options: {
+      from: { type: "string", default: process.env.DATABASE_URL },
+      to: { type: "string" },
+    },
+  }));
+} catch (err) {
+  console.error(`${err.message}\n\n${USAGE}`);
+  process.exit(2);
+}
+
+if (!values.from || !values.to) {
+  console.error(USAGE);
+  process.exit(2);
+}
+if (values.from === values.to) {
+  console.error("❌ --from and --to must be different databases");
+  process.exit(2);
+}
+
+let source, target;
+try {
+  source = await openStore(values.from);
+  target = await openStore(values.to);
+
+  await migrateUp(target);
+  const { tables, syncSeq } = await copyData(source, target);
+  const total = Object.values(tables).reduce((sum, n) => sum + n, 0);
+  console.log(`✅ Copied ${total} row(s), sync_seq = ${syncSeq}`);
+} catch (err) {
+  console.error("❌ Copy error:", err.message);
+  process.exitCode = 1;
+} finally {
+  await source?.end();
+  await target?.end();
+}
@@ -0,0 +1,26 @@
+// scripts/generate-license-key.js - Tạo Ed25519 key pair cho V2 licenses
+//
+// Usage: node scripts/generate-license-key.js [kid]
+//
+// Copy LICENSE_V2_PRIVATE_KEY / LICENSE_V2_KEY_ID vào .env (hoặc Render ENV).
+// Khi rotate, đưa public key cũ vào LICENSE_V2_PUBLIC_KEYS để license đã cấp
+// vẫn verify được cho đến khi hết hạn.
+import crypto from "crypto";
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync("ed25519");
+const { x } = publicKey.export({ format: "jwk" });
+const kid =
+  process.argv[2] ||
+  crypto
+    .createHash("sha256")
+    .update(Buffer.from(x, "base64url"))
+    .digest("base64url")
+    .slice(0, 11);
+
+const pem = privateKey.export({ type: "pkcs8", format: "pem" }).trim();
+
+console.log(`LICENSE_V2_KEY_ID=${kid}`);
+console.log(`LICENSE_V2_PRIVATE_KEY="${pem.replace(/\n/g, "\\n")}"`);
+console.log("");
+console.log("# Public key entry (for LICENSE_V2_PUBLIC_KEYS after rotation):");
+console.log(`# ${kid}:${x}`);
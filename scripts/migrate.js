@@ -0,0 +1,52 @@
+// scripts/migrate.js - Schema migrations CLI
+//
+// Usage:
+//   node scripts/migrate.js up       Apply pending migrations
+//   node scripts/migrate.js status   Show applied / pending migrations
+import dotenv from "dotenv";
+import { migrateUp, getMigrationStatus } from "../lib/migrations.js";
+import { openStore } from "../lib/store/index.js";
+
+dotenv.config();
+
+const command = process.argv[2];
+
+if (!["up", "status"].includes(command)) {
+  console.error("Usage: node scripts/migrate.js <up|status>");
+  process.exit(1);
+}
+
+if (!process.env.DATABASE_URL) {
+  console.error("❌ Missing required ENV: DATABASE_URL");
+  process.exit(1);
+}
+
+// Postgres (Neon) hoặc sqlite:<file> (migrations/sqlite/)
+const pool = await openStore(process.env.DATABASE_URL);
+
+try {
+  if (command === "up") {
+    const applied = await migrateUp(pool);
+    console.log(
+      applied.length
+        ? `✅ Applied ${applied.length} migration(s)`
+        : "✅ Database is up to date",
+    );
+  } else {
+    const status = await getMigrationStatus(pool);
+    for (const m of status) {
+      const icon = { applied: "✅", pending: "⏳", modified: "⚠️ " }[m.status];
+      const when = m.appliedAt ? ` (${m.appliedAt.toISOString()})` : "";
+      console.log(
+        `${icon} ${String(m.version).padStart(4, "0")}_${m.name} - ${m.status}${when}`,
+      );
+    }
+    const pending = status.filter((m) => m.status === "pending").length;
+    console.log(`\n${pending} pending migration(s)`);
+  }
+} catch (err) {
+  console.error("❌ Migration error:", err.message);
+  process.exitCode = 1;
+} finally {
+  await pool.end();
+}
@@ -0,0 +1,398 @@
+#!/usr/bin/env node
+// scripts/n1-admin.js - Admin CLI (n1-admin)
+//
+// Usage:
+//   n1-admin generate --user-id u1 --user-name "Tên" --device-id d1 --expiry 20261231
+//            [--exam-date YYYYMMDD] [--plan standard] [--format v1|v2]
+//   n1-admin user-info <userId>
+//   n1-admin revoke-device <deviceId> [--reason "..."]
+//   n1-admin unrevoke-device <deviceId>
+//   n1-admin revoke-user <userId> [--reason "..."]
+//   n1-admin unrevoke-user <userId>
+//   n1-admin reset-progress <userId>
+//   n1-admin verify <license> --device-id <deviceId>
+//
+// Hai chế độ:
+//   - Trực tiếp DB (mặc định): DATABASE_URL, Postgres hoặc sqlite:<file>
+//     (+ LICENSE_SECRET / LICENSE_V2_* để generate), audit ghi actor
+//     "admin:cli:<user hệ thống>".
+//   - Remote: --url https://server --token n1a_... (hoặc N1_ADMIN_URL /
+//     N1_ADMIN_TOKEN), gọi /api/admin/* với quyền của token.
+// Output: --output json | table (mặc định table nếu stdout là terminal, JSON
+// nếu pipe). Lỗi ra stderr, exit code 1 (2 = sai cú pháp). verify chạy local
+// (không cần DB), exit 1 nếu license không hợp lệ.
+import os from "os";
+import { parseArgs } from "util";
+import dotenv from "dotenv";
+import {
+  revokeUser,
+  unrevokeUser,
+  revokeDevice,
+  unrevokeDevice,
+  resetProgress,
+  parseSeatLimits,
+  createAdminOps,
+} from "../lib/admin-ops.js";
+import { openStore } from "../lib/store/index.js";
+import { parseAndValidateV1 } from "../lib/license-v1.js";
+import {
+  loadKeyring,
+  isV2License,
+  parseAndValidateV2,
+} from "../lib/license-v2.js";
+import { isExpiryValid } from "../lib/dates.js";
+
+dotenv.config();
+
+const USAGE = `Usage: n1-admin <command> [args] [--url URL --token TOKEN] [--output json|table]
+
+Commands:
+  generate --user-id ID --user-name NAME --device-id ID --expiry YYYYMMDD
+           [--exam-date YYYYMMDD] [--plan PLAN] [--format v1|v2]
+  user-info <userId>
+  revoke-device <deviceId> [--reason TEXT]
+  unrevoke-device <deviceId>
+  revoke-user <userId> [--reason TEXT]
+  unrevoke-user <userId>
+  reset-progress <userId>
+  verify <license> --device-id ID     (local, không cần DB)`;
+
+class UsageError extends Error {}
+
+/**
+ * Lỗi từ thao tác admin (cùng message với API)
+ */
+class CommandError extends Error {}
+
+function requireArg(value, name) {
+  if (!value) throw new UsageError(`Missing ${name}`);
+  return value;
+}
+
+// Mỗi command: path API + body (giống /api/admin/*) + bản chạy trực tiếp DB
+// trả về đúng response của API để output hai chế độ giống nhau.
+const COMMANDS = {
+  generate: {
+    path: "/api/admin/generate",
+    body: (values) => ({
+      userId: values["user-id"],
+      userName: values["user-name"],
+      deviceId: values["device-id"],
+      expiry: values.expiry,
+      examDate: values["exam-date"],
+      plan: values.plan,
+      format: values.format,
+    }),
+    async run(client, req, ops, body) {
+      const input = ops.validateGenerateInput(body);
+      if (input.error) throw new CommandError(input.error.message);
+      const issued = await ops.issueLicense(client, req, input.value);
+      if (issued.error) throw new CommandError(issued.error.message);
+      const { license } = issued;
+      const { format, plan, expiry, userId, userName, examDate } = input.value;
+      return {
+        ok: true,
+        license,
+        format,
+        plan,
+        expiry,
+        userId,
+        userName,
+        examDate: examDate || "",
+      };
+    },
+  },
+  "user-info": {
+    path: "/api/admin/user-info",
+    body: (values, [userId]) => ({ userId: requireArg(userId, "userId") }),
+    async run(client, req, ops, { userId }) {
+      return { ok: true, ...(await ops.getUserInfo(client, userId)) };
+    },
+  },
+  "revoke-device": {
+    path: "/api/admin/revoke-device",
+    body: (values, [deviceId]) => ({
+      deviceId: requireArg(deviceId, "deviceId"),
+      reason: values.reason,
+    }),
+    async run(client, req, ops, { deviceId, reason }) {
+      await revokeDevice(client, req, deviceId, reason);
+      return { ok: true, deviceId, revoked: true };
+    },
+  },
+  "unrevoke-device": {
+    path: "/api/admin/unrevoke-device",
+    body: (values, [deviceId]) => ({
+      deviceId: requireArg(deviceId, "deviceId"),
+    }),
+    async run(client, req, ops, { deviceId }) {
+      await unrevokeDevice(client, req, deviceId);
+      return { ok: true, deviceId, revoked: false };
+    },
+  },
+  "revoke-user": {
+    path: "/api/admin/revoke-user",
+    body: (values, [userId]) => ({
+      userId: requireArg(userId, "userId"),
+      reason: values.reason,
+    }),
+    async run(client, req, ops, { userId, reason }) {
+      await revokeUser(client, req, userId, reason);
+      return { ok: true, userId, revoked: true };
+    },
+  },
+  "unrevoke-user": {
+    path: "/api/admin/unrevoke-user",
+    body: (values, [userId]) => ({ userId: requireArg(userId, "userId") }),
+    async run(client, req, ops, { userId }) {
+      await unrevokeUser(client, req, userId);
+      return { ok: true, userId, revoked: false };
+    },
+  },
+  "reset-progress": {
+    path: "/api/admin/reset-progress",
+    body: (values, [userId]) => ({ userId: requireArg(userId, "userId") }),
+    async run(client, req, ops, { userId }) {
+      // Cache /api/stats/me của server tự hết hạn sau STATS_CACHE_SECONDS
+      await resetProgress(client, req, userId);
+      return { ok: true, userId, progressReset: true };
+    },
+  },
+};
+
+/**
+ * verify: kiểm tra chữ ký + deviceId + hạn, không đụng DB
+ */
+function verifyLocal(license, deviceId) {
+  requireArg(license, "license");
+  requireArg(deviceId, "--device-id");
+
+  let parsed;
+  if (isV2License(license)) {
+    parsed = {
+      ...parseAndValidateV2(license, deviceId, loadKeyring()),
+      format: "v2",
+    };
+  } else {
+    if (!process.env.LICENSE_SECRET) {
+      throw new CommandError("Missing ENV: LICENSE_SECRET");
+    }
+    parsed = {
+      ...parseAndValidateV1(license, deviceId, process.env.LICENSE_SECRET),
+      format: "v1",
+    };
+  }
+
+  return {
+    ok: parsed.valid,
+    ...parsed,
+    deviceId,
+    expired: parsed.valid ? !isExpiryValid(parsed.expiry) : undefined,
+  };
+}
+
+/**
+ * Gọi /api/admin/* trên server (lỗi API là plain text)
+ */
+async function runRemote(url, token, command, body) {
+  const res = await fetch(new URL(command.path, url), {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${token}`,
+    },
+    body: JSON.stringify(body),
+  });
+  const text = await res.text();
+  if (!res.ok) throw new CommandError(`${res.status} ${text}`);
+  return JSON.parse(text);
+}
+
+/**
+ * Chạy trực tiếp trên DATABASE_URL trong một transaction
+ */
+async function runDirect(command, body) {
+  if (!process.env.DATABASE_URL) {
+    throw new CommandError(
+      "Missing ENV: DATABASE_URL (hoặc dùng --url / --token)",
+    );
+  }
+
+  const keyring = loadKeyring();
+  const defaultFormat =
+    process.env.LICENSE_DEFAULT_FORMAT || (keyring.signingKey ? "v2" : "v1");
+  // V1 ký bằng LICENSE_SECRET: thiếu thì license cấp ra không verify được
+  if (
+    command === COMMANDS.generate &&
+    (body.format || defaultFormat) === "v1" &&
+    !process.env.LICENSE_SECRET
+  ) {
+    throw new CommandError("Missing ENV: LICENSE_SECRET");
+  }
+
+  const ops = createAdminOps({
+    licenseSecret: process.env.LICENSE_SECRET,
+    keyring,
+    defaultFormat,
+    defaultMaxDevices: parseInt(process.env.DEFAULT_MAX_DEVICES || "1", 10),
+    planSeatLimits: parseSeatLimits(process.env.PLAN_SEAT_LIMITS),
+    seatLimitPolicy: process.env.SEAT_LIMIT_POLICY || "reject",
+  });
+
+  const req = {
+    ip: null,
+    admin: {
+      id: null,
+      name: `cli:${os.userInfo().username}`,
+      role: "owner",
+      tokenId: null,
+    },
+  };
+
+  const pool = await openStore(process.env.DATABASE_URL);
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+    const result = await command.run(client, req, ops, body);
+    await client.query("COMMIT");
+    return result;
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+// ==================== OUTPUT ====================
+
+function formatCell(value) {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+function printTable(rows) {
+  if (rows.length === 0) {
+    console.log("(none)");
+    return;
+  }
+  const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+  const cells = rows.map((row) => columns.map((c) => formatCell(row[c])));
+  const widths = columns.map((c, i) =>
+    Math.max(c.length, ...cells.map((row) => row[i].length)),
+  );
+  const line = (values) =>
+    values
+      .map((v, i) => v.padEnd(widths[i]))
+      .join("  ")
+      .trimEnd();
+  console.log(line(columns));
+  console.log(line(widths.map((w) => "-".repeat(w))));
+  for (const row of cells) console.log(line(row));
+}
+
+/**
+ * Table output: field đơn → bảng key / value, mảng object → bảng riêng
+ */
+function printResult(result) {
+  const { ok, ...data } = result;
+  const scalars = [];
+  const lists = [];
+  for (const [key, value] of Object.entries(data)) {
+    if (
+      Array.isArray(value) &&
+      value.every((v) => v && typeof v === "object")
+    ) {
+      lists.push([key, value]);
+    } else if (value && typeof value === "object" && !Array.isArray(value)) {
+      for (const [sub, subValue] of Object.entries(value)) {
+        scalars.push({ field: `${key}.${sub}`, value: formatCell(subValue) });
+      }
+    } else {
+      scalars.push({ field: key, value: formatCell(value) });
+    }
+  }
+
+  if (ok === false) scalars.unshift({ field: "ok", value: "false" });
+  printTable(scalars);
+  for (const [key, rows] of lists) {
+    console.log(`\n${key}:`);
+    printTable(rows);
+  }
+}
+
+// ==================== MAIN ====================
+
+let args;
+try {
+  args = parseArgs({
+    allowPositionals: true,
+    options: {
+      url: { type: "string", default: process.env.N1_ADMIN_URL },
+      token: { type: "string", default: process.env.N1_ADMIN_TOKEN },
+      output: { type: "string", short: "o" },
+      "user-id": { type: "string" },
+      "user-name": { type: "string" },
+      "device-id": { type: "string" },
+      expiry: { type: "string" },
+      "exam-date": { type: "string" },
+      plan: { type: "string" },
+      format: { type: "string" },
+      reason: { type: "string" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+} catch (err) {
+  console.error(`${err.message}\n\n${USAGE}`);
+  process.exit(2);
+}
+
+const { values, positionals } = args;
+const [name, ...rest] = positionals;
+const output = values.output || (process.stdout.isTTY ? "table" : "json");
+
+if (values.help || !name) {
+  console.log(USAGE);
+  process.exit(name || values.help ? 0 : 2);
+}
+if (output !== "json" && output !== "table") {
+  console.error("--output must be json or table");
+  process.exit(2);
+}
+
+try {
+  let result;
+  if (name === "verify") {
+    result = verifyLocal(rest[0], values["device-id"]);
+  } else {
+    const command = COMMANDS[name];
+    if (!command) throw new UsageError(`Unknown command: ${name}`);
+    const body = command.body(values, rest);
+
+    if (values.url) {
+      if (!values.token) throw new UsageError("--url requires --token");
+      result = await runRemote(values.url, values.token, command, body);
+    } else {
+      result = await runDirect(command, body);
+    }
+  }
+
+  if (output === "json") {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    printResult(result);
+  }
+  if (result.ok === false) process.exitCode = 1;
+} catch (err) {
+  if (err instanceof UsageError) {
+    console.error(`${err.message}\n\n${USAGE}`);
+    process.exitCode = 2;
+  } else {
+    console.error(`❌ ${err instanceof CommandError ? err.message : err}`);
+    process.exitCode = 1;
+  }
+}
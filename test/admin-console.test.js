@@ -0,0 +1,283 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer, ADMIN, ADMIN_KEY } from "./helpers.js";
+
+let api;
+
+// Bật rate limit, budget thất bại nhỏ để test khoá brute-force
+before(async () => {
+  api = await startTestServer({
+    RATE_LIMIT: "ip:1000,device:1000,license:1000",
+    RATE_LIMIT_FAILURES: "ip:5,device:3,license:3",
+  });
+});
+
+after(async () => {
+  await api.close();
+});
+
+/**
+ * Trình duyệt tối giản: giữ cookie, gửi form urlencoded, lấy _csrf từ HTML
+ */
+function browser() {
+  const cookies = new Map();
+  let csrf = null;
+
+  async function send(method, path, form) {
+    const headers = {
+      cookie: [...cookies].map(([k, v]) => `${k}=${v}`).join("; "),
+    };
+    let body;
+    if (form) {
+      headers["content-type"] = "application/x-www-form-urlencoded";
+      body = new URLSearchParams({ _csrf: csrf, ...form }).toString();
+    }
+    const res = await api.request(method, path, { headers, body });
+    for (const cookie of res.headers.getSetCookie()) {
+      const [pair] = cookie.split(";");
+      const [name, value] = pair.split("=");
+      if (value) cookies.set(name, value);
+      else cookies.delete(name);
+    }
+    const match = /name="_csrf" value="([^"]+)"/.exec(res.body);
+    if (match) csrf = match[1];
+    return res;
+  }
+
+  return {
+    cookies,
+    get: (path) => send("GET", path),
+    post: (path, form = {}) => send("POST", path, form),
+    setCsrf(value) {
+      csrf = value;
+    },
+  };
+}
+
+async function login(token = ADMIN_KEY) {
+  const b = browser();
+  await b.get("/admin/login");
+  const res = await b.post("/admin/login", { token });
+  assert.equal(res.status, 303);
+  assert.equal(res.headers.get("location"), "/admin/users");
+  await b.get("/admin/users");
+  return b;
+}
+
+// =========================================================
+// LOGIN / SESSION
+// =========================================================
+
+test("GET /admin → login khi chưa có session", async () => {
+  const b = browser();
+  let res = await b.get("/admin");
+  assert.equal(res.status, 303);
+  assert.equal(res.headers.get("location"), "/admin/users");
+  res = await b.get("/admin/users");
+  assert.equal(res.status, 303);
+  assert.equal(res.headers.get("location"), "/admin/login");
+
+  res = await b.get("/admin/login");
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("x-frame-options"), "DENY");
+  assert.ok(b.cookies.has("n1_admin_csrf"));
+});
+
+test("POST /admin/login: CSRF, token sai, đăng nhập, logout", async () => {
+  const b = browser();
+  await b.get("/admin/login");
+
+  b.setCsrf("forged");
+  let res = await b.post("/admin/login", { token: ADMIN_KEY });
+  assert.equal(res.status, 403);
+
+  res = await b.post("/admin/login", { token: "wrong" });
+  assert.equal(res.status, 401);
+  assert.match(res.body, /Invalid admin token/);
+
+  res = await b.post("/admin/login", { token: ADMIN_KEY });
+  assert.equal(res.status, 303);
+  assert.ok(b.cookies.has("n1_admin"));
+
+  res = await b.get("/admin/users");
+  assert.equal(res.status, 200);
+  assert.match(res.body, /root \(owner\)/);
+
+  res = await b.post("/admin/logout");
+  assert.equal(res.status, 303);
+  assert.equal(b.cookies.has("n1_admin"), false);
+  res = await b.get("/admin/users");
+  assert.equal(res.headers.get("location"), "/admin/login");
+});
+
+test("admin console: role viewer chỉ xem", async () => {
+  const created = await api.post(
+    "/api/admin/admins",
+    { name: "console-viewer", role: "viewer" },
+    { headers: ADMIN },
+  );
+  const b = await login(created.body.token);
+  await api.learner("console-viewed");
+
+  let res = await b.get("/admin/users/console-viewed");
+  assert.equal(res.status, 200);
+  res = await b.post("/admin/users/console-viewed/revoke", {});
+  assert.equal(res.status, 403);
+
+  // Token bị revoke → session hết hiệu lực
+  await api.post(
+    `/api/admin/tokens/${created.body.tokenId}/revoke`,
+    {},
+    { headers: ADMIN },
+  );
+  res = await b.get("/admin/users");
+  assert.equal(res.headers.get("location"), "/admin/login");
+});
+
+// =========================================================
+// USERS
+// =========================================================
+
+test("admin console: users + actions", async () => {
+  const b = await login();
+  await api.learner("console-user", "console-d", {
+    userName: "<script>x</script>",
+  });
+
+  let res = await b.get("/admin/users?q=console-user");
+  assert.equal(res.status, 200);
+  assert.match(res.body, /console-user/);
+  assert.doesNotMatch(res.body, /<script>x<\/script>/);
+  assert.match(res.body, /&lt;script&gt;/);
+
+  res = await b.get("/admin/users/console-user");
+  assert.equal(res.status, 200);
+  assert.match(res.body, /console-d/);
+
+  // Form POST thiếu _csrf của session
+  b.setCsrf("forged");
+  res = await b.post("/admin/users/console-user/revoke", {});
+  assert.equal(res.status, 403);
+  await b.get("/admin/users/console-user");
+
+  const info = () =>
+    api.post(
+      "/api/admin/user-info",
+      { userId: "console-user" },
+      {
+        headers: ADMIN,
+      },
+    );
+  const deviceRevoked = async () =>
+    (
+      await api.store.query(
+        "SELECT 1 FROM revoked_devices WHERE device_id = 'console-d'",
+      )
+    ).rows.length > 0;
+
+  res = await b.post("/admin/users/console-user/revoke", { reason: "test" });
+  assert.equal(res.status, 303);
+  assert.equal(res.headers.get("location"), "/admin/users/console-user");
+  assert.equal((await info()).body.revoked, true);
+  res = await b.get("/admin/users/console-user");
+  assert.match(res.body, /User console-user revoked/);
+
+  await b.post("/admin/users/console-user/unrevoke");
+  assert.equal((await info()).body.revoked, false);
+
+  await b.post("/admin/users/console-user/revoke-device", {
+    deviceId: "console-d",
+  });
+  assert.equal(await deviceRevoked(), true);
+  await b.post("/admin/users/console-user/unrevoke-device", {
+    deviceId: "console-d",
+  });
+  assert.equal(await deviceRevoked(), false);
+
+  res = await b.post("/admin/users/console-user/reset-progress");
+  assert.equal(res.status, 303);
+
+  res = await b.post("/admin/generate", {
+    userId: "console-new",
+    userName: "New",
+    deviceId: "console-new-d",
+    expiry: "20991231",
+  });
+  assert.equal(res.headers.get("location"), "/admin/users/console-new");
+  res = await b.get("/admin/users/console-new");
+  assert.match(res.body, /issued/);
+});
+
+// =========================================================
+// RESET REQUESTS
+// =========================================================
+
+test("admin console: reset requests approve / reject", async () => {
+  const b = await login();
+  const { license } = await api.learner("console-transfer", "ct-old");
+  const pending = await api.post("/api/request-reset", {
+    deviceId: "ct-pending",
+    oldLicense: license,
+  });
+  const rejected = await api.post("/api/request-reset", {
+    deviceId: "ct-rejected",
+    oldLicense: license,
+  });
+
+  let res = await b.get("/admin/reset-requests");
+  assert.equal(res.status, 200);
+  assert.match(res.body, /ct-pending/);
+  assert.match(res.body, /ct-rejected/);
+
+  res = await b.post(
+    `/admin/reset-requests/${rejected.body.requestId}/reject`,
+    { note: "no" },
+  );
+  assert.equal(res.status, 303);
+  res = await b.post(
+    `/admin/reset-requests/${pending.body.requestId}/approve`,
+    { note: "ok" },
+  );
+  assert.equal(res.headers.get("location"), "/admin/reset-requests");
+
+  const status = await api.post("/api/request-reset/status", {
+    requestId: pending.body.requestId,
+    deviceId: "ct-pending",
+  });
+  assert.equal(status.body.status, "approved");
+  assert.ok(status.body.license);
+
+  res = await b.get("/admin/reset-requests?status=all");
+  assert.match(res.body, /rejected/);
+});
+
+// =========================================================
+// RATE LIMIT / LOCKOUTS
+// =========================================================
+
+test("lockouts: khoá sau nhiều lần verify sai, admin mở khoá", async () => {
+  const { license } = await api.learner("lockout-user", "lock-d");
+  for (let i = 0; i < 3; i++) {
+    await api.post("/api/verify", {
+      deviceId: "lock-d",
+      license: "20991231-bad",
+    });
+  }
+
+  let res = await api.post("/api/verify", { deviceId: "lock-d", license });
+  assert.equal(res.status, 429);
+
+  res = await api.get("/api/admin/lockouts", { headers: ADMIN });
+  assert.equal(res.body.enabled, true);
+  assert.ok(res.body.lockouts.some((l) => l.key === "device:lock-d"));
+
+  res = await api.post(
+    "/api/admin/lockouts/clear",
+    { key: "device:lock-d" },
+    { headers: ADMIN },
+  );
+  assert.equal(res.body.cleared, true);
+
+  res = await api.post("/api/verify", { deviceId: "lock-d", license });
+  assert.equal(res.status, 200);
+});
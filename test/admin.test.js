@@ -0,0 +1,854 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer, ADMIN } from "./helpers.js";
+
+let api;
+
+before(async () => {
+  api = await startTestServer();
+});
+
+after(async () => {
+  await api.close();
+});
+
+const asAdmin = { headers: ADMIN };
+
+/**
+ * Tạo admin với role + trả về header Authorization của token đầu tiên
+ */
+async function createAdmin(name, role) {
+  const res = await api.post("/api/admin/admins", { name, role }, asAdmin);
+  assert.equal(res.status, 200);
+  return {
+    id: res.body.admin.id,
+    tokenId: res.body.tokenId,
+    headers: { authorization: `Bearer ${res.body.token}` },
+  };
+}
+
+// =========================================================
+// AUTH / ADMINS / TOKENS
+// =========================================================
+
+test("adminAuth: key sai / thiếu quyền", async () => {
+  let res = await api.get("/api/admin/me");
+  assert.equal(res.status, 403);
+  res = await api.get("/api/admin/me", { headers: { "x-admin-key": "nope" } });
+  assert.equal(res.status, 403);
+
+  res = await api.get("/api/admin/me", asAdmin);
+  assert.deepEqual(res.body.admin, {
+    id: null,
+    name: "root",
+    role: "owner",
+    tokenId: null,
+  });
+
+  const viewer = await createAdmin("auth-viewer", "viewer");
+  res = await api.get("/api/admin/me", { headers: viewer.headers });
+  assert.equal(res.body.admin.role, "viewer");
+  res = await api.post(
+    "/api/admin/revoke-user",
+    { userId: "x" },
+    { headers: viewer.headers },
+  );
+  assert.equal(res.status, 403);
+});
+
+test("admins: create / list / update / tokens / rotate / revoke", async () => {
+  const support = await createAdmin("ops-support", "support");
+
+  let res = await api.post(
+    "/api/admin/admins",
+    { name: "ops-support", role: "support" },
+    asAdmin,
+  );
+  assert.equal(res.status, 409);
+  res = await api.post(
+    "/api/admin/admins",
+    { name: "x", role: "god" },
+    asAdmin,
+  );
+  assert.equal(res.status, 400);
+  res = await api.post(
+    "/api/admin/admins",
+    { name: "root", role: "viewer" },
+    asAdmin,
+  );
+  assert.equal(res.status, 400);
+
+  res = await api.post(
+    `/api/admin/admins/${support.id}/tokens`,
+    { label: "ci" },
+    asAdmin,
+  );
+  assert.equal(res.status, 200);
+  const second = {
+    tokenId: res.body.tokenId,
+    headers: { authorization: `Bearer ${res.body.token}` },
+  };
+
+  res = await api.get("/api/admin/admins", asAdmin);
+  const listed = res.body.admins.find((a) => a.name === "ops-support");
+  assert.equal(listed.tokens.length, 2);
+  assert.equal(listed.tokens[1].label, "ci");
+
+  // Admin tự rotate token của mình
+  res = await api.post(
+    `/api/admin/tokens/${support.tokenId}/rotate`,
+    {},
+    { headers: support.headers },
+  );
+  assert.equal(res.status, 200);
+  const rotated = { authorization: `Bearer ${res.body.token}` };
+  assert.equal(
+    (await api.get("/api/admin/me", { headers: support.headers })).status,
+    403,
+  );
+  assert.equal(
+    (await api.get("/api/admin/me", { headers: rotated })).status,
+    200,
+  );
+
+  // Không phải owner thì không revoke token của người khác
+  const viewer = await createAdmin("ops-viewer", "viewer");
+  res = await api.post(
+    `/api/admin/tokens/${second.tokenId}/revoke`,
+    {},
+    { headers: viewer.headers },
+  );
+  assert.equal(res.status, 403);
+  res = await api.post(
+    `/api/admin/tokens/${second.tokenId}/revoke`,
+    {},
+    asAdmin,
+  );
+  assert.equal(res.status, 200);
+  assert.equal(
+    (await api.get("/api/admin/me", { headers: second.headers })).status,
+    403,
+  );
+
+  res = await api.post(
+    `/api/admin/admins/${support.id}/update`,
+    { role: "owner" },
+    asAdmin,
+  );
+  assert.equal(res.body.admin.role, "owner");
+  res = await api.post(
+    `/api/admin/admins/${support.id}/update`,
+    { disabled: true },
+    asAdmin,
+  );
+  assert.ok(res.body.admin.disabledAt);
+  assert.equal(
+    (await api.get("/api/admin/me", { headers: rotated })).status,
+    403,
+  );
+
+  res = await api.post("/api/admin/admins/999999/update", {}, asAdmin);
+  assert.equal(res.status, 404);
+});
+
+// =========================================================
+// GENERATE / BULK / ACTIVATION CODES
+// =========================================================
+
+test("POST /api/admin/generate", async () => {
+  let res = await api.post(
+    "/api/admin/generate",
+    { userId: "gen-user", userName: "Gen", deviceId: "gen-d", expiry: "2099" },
+    asAdmin,
+  );
+  assert.equal(res.status, 400);
+  assert.equal(res.body, "Expiry must be YYYYMMDD");
+
+  res = await api.post(
+    "/api/admin/generate",
+    {
+      userId: "gen-user",
+      userName: "Gen",
+      deviceId: "gen-d",
+      expiry: "20991231",
+      format: "v1",
+      plan: "pro",
+    },
+    asAdmin,
+  );
+  assert.equal(res.status, 200);
+  assert.equal(res.body.format, "v1");
+  assert.equal(res.body.plan, "pro");
+  assert.match(res.body.license, /^20991231-[0-9a-f]{64}$/);
+});
+
+test("POST /api/admin/generate-bulk: JSON, dry run, CSV", async () => {
+  const rows = [
+    {
+      userId: "bulk-1",
+      userName: "B1",
+      deviceId: "bulk-d1",
+      expiry: "20991231",
+    },
+    { userId: "bulk-2", userName: "B2", durationDays: 30 },
+    { userId: "bulk-3", userName: "B3" },
+  ];
+
+  let res = await api.post(
+    "/api/admin/generate-bulk",
+    { rows, dryRun: true },
+    asAdmin,
+  );
+  assert.equal(res.status, 200);
+  assert.equal(res.body.committed, false);
+  assert.deepEqual(res.body.summary, {
+    rows: 3,
+    licenses: 1,
+    activationCodes: 1,
+    usersOnly: 1,
+    errors: 0,
+  });
+  assert.equal(
+    (await api.post("/api/admin/user-info", { userId: "bulk-1" }, asAdmin)).body
+      .user,
+    null,
+  );
+
+  // Một dòng lỗi → không ghi gì
+  res = await api.post(
+    "/api/admin/generate-bulk",
+    { rows: [...rows, { userId: "bulk-4" }] },
+    asAdmin,
+  );
+  assert.equal(res.status, 400);
+  assert.equal(res.body.committed, false);
+  assert.equal(res.body.results[3].status, "error");
+
+  res = await api.post("/api/admin/generate-bulk", { rows }, asAdmin);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.committed, true);
+  assert.ok(res.body.results[0].license);
+  assert.ok(res.body.results[1].activationCode);
+
+  res = await api.post(
+    "/api/admin/generate-bulk",
+    "userId,userName,deviceId,expiry\nbulk-csv,CSV,csv-d,20991231\n",
+    { headers: { ...ADMIN, "content-type": "text/csv" } },
+  );
+  assert.equal(res.status, 200);
+  assert.equal(res.body.results[0].status, "license");
+
+  // Plan sai (CSV gõ nhầm) → lỗi của dòng đó, không ghi gì
+  res = await api.post(
+    "/api/admin/generate-bulk",
+    "userId,userName,deviceId,expiry,plan\nbulk-plan,P,plan-d,20991231,Premium Plan\n",
+    { headers: { ...ADMIN, "content-type": "text/csv" } },
+  );
+  assert.equal(res.status, 400);
+  assert.equal(res.body.results[0].status, "error");
+  assert.deepEqual(res.body.results[0].errors, [
+    "Plan must contain only a-z, 0-9 and dashes",
+  ]);
+
+  res = await api.post("/api/admin/generate-bulk", { rows: [] }, asAdmin);
+  assert.equal(res.status, 400);
+});
+
+test("activation codes: create / list / revoke", async () => {
+  let res = await api.post(
+    "/api/admin/activation-codes",
+    { userId: "code-missing", durationDays: 10 },
+    asAdmin,
+  );
+  assert.equal(res.status, 404);
+  res = await api.post(
+    "/api/admin/activation-codes",
+    { userId: "code-user", userName: "C", expiry: "20991231", durationDays: 5 },
+    asAdmin,
+  );
+  assert.equal(res.status, 400);
+
+  res = await api.post(
+    "/api/admin/activation-codes",
+    {
+      userId: "code-user",
+      userName: "C",
+      expiry: "20991231",
+      count: 2,
+      maxActivations: 3,
+    },
+    asAdmin,
+  );
+  assert.equal(res.status, 200);
+  assert.equal(res.body.codes.length, 2);
+  const [code] = res.body.codes;
+
+  res = await api.get("/api/admin/activation-codes?userId=code-user", asAdmin);
+  assert.equal(res.body.codes.length, 2);
+  assert.equal(
+    (await api.get("/api/admin/activation-codes", asAdmin)).status,
+    400,
+  );
+
+  res = await api.post(
+    `/api/admin/activation-codes/${code}/revoke`,
+    { reason: "leaked" },
+    asAdmin,
+  );
+  assert.equal(res.status, 200);
+  assert.equal(res.body.revoked, true);
+
+  res = await api.post("/api/verify", { deviceId: "code-d", license: code });
+  assert.equal(res.status, 403);
+  assert.equal(res.body, "Activation code revoked");
+
+  res = await api.post(
+    `/api/admin/activation-codes/${code}/revoke`,
+    {},
+    asAdmin,
+  );
+  assert.equal(res.status, 404);
+});
+
+// =========================================================
+// USERS / DEVICES / STATS
+// =========================================================
+
+test("user-info / users / export / stats", async () => {
+  const learner = await api.learner("info-user", "info-d", {
+    userName: "Info Nguyễn",
+    examDate: "20991201",
+  });
+
+  let res = await api.post(
+    "/api/admin/user-info",
+    { userId: "info-user" },
+    asAdmin,
+  );
+  assert.equal(res.status, 200);
+  assert.equal(res.body.user.userName, "Info Nguyễn");
+  assert.equal(res.body.licenses.length, 1);
+  assert.equal(res.body.revoked, false);
+  assert.equal(
+    (await api.post("/api/admin/user-info", {}, asAdmin)).status,
+    400,
+  );
+
+  res = await api.get("/api/admin/users?q=nguy", asAdmin);
+  assert.equal(res.status, 200);
+  assert.deepEqual(
+    res.body.users.map((u) => u.userId),
+    ["info-user"],
+  );
+  res = await api.get("/api/admin/users?sort=nope", asAdmin);
+  assert.equal(res.status, 400);
+
+  res = await api.get("/api/admin/export/users.csv", asAdmin);
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get("content-type"), /text\/csv/);
+  const lines = res.body.trim().split("\n");
+  assert.match(lines[0], /^userId,userName,examDate/);
+  assert.ok(lines.some((l) => l.includes(learner.license)));
+
+  await api.post("/api/attempts", {
+    ...learner,
+    testId: "t1",
+    answers: [{ questionKey: "q1", correct: true }],
+  });
+  res = await api.get("/api/admin/stats?userId=info-user&fresh=1", asAdmin);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.stats.totals.attempts, 1);
+  res = await api.get("/api/admin/stats?userId=nobody", asAdmin);
+  assert.equal(res.status, 404);
+});
+
+test("devices / seat-limit / devices/remove", async () => {
+  const learner = await api.learner("seat-user", "seat-1");
+
+  let res = await api.post(
+    "/api/admin/seat-limit",
+    { userId: "seat-user", maxDevices: 0 },
+    asAdmin,
+  );
+  assert.equal(res.status, 400);
+  res = await api.post(
+    "/api/admin/seat-limit",
+    { userId: "nobody", maxDevices: 2 },
+    asAdmin,
+  );
+  assert.equal(res.status, 404);
+  res = await api.post(
+    "/api/admin/seat-limit",
+    { userId: "seat-user", maxDevices: 2, policy: "evict-lru" },
+    asAdmin,
+  );
+  assert.equal(res.status, 200);
+
+  const second = await api.addDevice(learner, "seat-2");
+  assert.equal(second.status, 200);
+  // evict-lru: máy thứ ba đẩy máy lâu không dùng nhất
+  res = await api.addDevice(learner, "seat-3");
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.evictedDevices, ["seat-1"]);
+  const third = { deviceId: "seat-3", license: res.body.license };
+
+  res = await api.get("/api/admin/devices?userId=seat-user", asAdmin);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.devices.length, 2);
+
+  // Evict chỉ lấy lại seat: hai máy còn lại verify tiếp được, license không
+  // bị revoke
+  res = await api.post("/api/verify", third);
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.evictedDevices, []);
+  res = await api.post("/api/verify", {
+    deviceId: "seat-2",
+    license: second.body.license,
+  });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.evictedDevices, []);
+  res = await api.post(
+    "/api/admin/user-info",
+    { userId: "seat-user" },
+    asAdmin,
+  );
+  assert.deepEqual(
+    res.body.licenses.map((l) => l.status),
+    ["active", "active", "active"],
+  );
+  // Máy bị đẩy verify lại → chiếm seat, đẩy máy lâu không dùng nhất (seat-3)
+  res = await api.post("/api/verify", learner);
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.evictedDevices, ["seat-3"]);
+
+  res = await api.post(
+    "/api/admin/devices/remove",
+    { userId: "seat-user", deviceId: "seat-2" },
+    asAdmin,
+  );
+  assert.equal(res.status, 200);
+  res = await api.post(
+    "/api/admin/devices/remove",
+    { userId: "seat-user", deviceId: "seat-2" },
+    asAdmin,
+  );
+  assert.equal(res.status, 404);
+  res = await api.get("/api/admin/devices?userId=seat-user", asAdmin);
+  assert.equal(res.body.devices.length, 1);
+});
+
+test("revoke / unrevoke user + device, reset-progress", async () => {
+  const learner = await api.learner("revoke-user", "revoke-d");
+  await api.post("/api/progress/mark-perfect", { ...learner, moduleId: "m1" });
+
+  let res = await api.post(
+    "/api/admin/revoke-user",
+    { userId: "revoke-user", reason: "chargeback" },
+    asAdmin,
+  );
+  assert.equal(res.body.revoked, true);
+  res = await api.post(
+    "/api/admin/user-info",
+    { userId: "revoke-user" },
+    asAdmin,
+  );
+  assert.equal(res.body.revoked, true);
+  res = await api.post(
+    "/api/admin/unrevoke-user",
+    { userId: "revoke-user" },
+    asAdmin,
+  );
+  assert.equal(res.body.revoked, false);
+
+  res = await api.post(
+    "/api/admin/revoke-device",
+    { deviceId: "revoke-d" },
+    asAdmin,
+  );
+  assert.equal(res.body.revoked, true);
+  res = await api.post(
+    "/api/admin/unrevoke-device",
+    { deviceId: "revoke-d" },
+    asAdmin,
+  );
+  assert.equal(res.body.revoked, false);
+  assert.equal(
+    (await api.post("/api/admin/revoke-device", {}, asAdmin)).status,
+    400,
+  );
+
+  res = await api.post(
+    "/api/admin/reset-progress",
+    { userId: "revoke-user" },
+    asAdmin,
+  );
+  assert.equal(res.body.progressReset, true);
+  res = await api.post("/api/progress/get", learner);
+  assert.deepEqual(res.body.data, {});
+});
+
+// =========================================================
+// RESET REQUESTS
+// =========================================================
+
+test("reset-requests: list / approve / reject", async () => {
+  const { license: current } = await api.learner(
+    "transfer-user",
+    "transfer-old",
+  );
+
+  // Mặc định RESET_FREE_TRANSFERS=0 → luôn chờ admin
+  let res = await api.post("/api/request-reset", {
+    deviceId: "transfer-pending",
+    oldLicense: current,
+  });
+  assert.equal(res.body.status, "pending");
+  const pendingId = res.body.requestId;
+
+  res = await api.post("/api/request-reset", {
+    deviceId: "transfer-rejected",
+    oldLicense: current,
+  });
+  const rejectId = res.body.requestId;
+
+  res = await api.get(
+    "/api/admin/reset-requests?status=pending&userId=transfer-user",
+    asAdmin,
+  );
+  assert.equal(res.status, 200);
+  assert.equal(res.body.requests.length, 2);
+
+  res = await api.post(
+    `/api/admin/reset-requests/${rejectId}/reject`,
+    { note: "không rõ máy" },
+    asAdmin,
+  );
+  assert.equal(res.status, 200);
+  assert.equal(res.body.status, "rejected");
+
+  res = await api.post(
+    `/api/admin/reset-requests/${pendingId}/approve`,
+    { note: "ok" },
+    asAdmin,
+  );
+  assert.equal(res.status, 200);
+  assert.equal(res.body.status, "approved");
+  assert.ok(res.body.license);
+
+  res = await api.post("/api/verify", {
+    deviceId: "transfer-pending",
+    license: res.body.license,
+  });
+  assert.equal(res.status, 200);
+
+  // Đã xử lý rồi
+  res = await api.post(
+    `/api/admin/reset-requests/${pendingId}/approve`,
+    {},
+    asAdmin,
+  );
+  assert.equal(res.status, 409);
+});
+
+// =========================================================
+// LICENSE LIFECYCLE
+// =========================================================
+
+test("extend / renew / upgrade / revoke-license", async () => {
+  const { deviceId, license } = await api.learner("life-user", "life-d", {
+    expiry: "20990101",
+    format: "v1",
+  });
+
+  let res = await api.post(
+    "/api/admin/extend",
+    { userId: "life-user", days: 10, expiry: "20991231" },
+    asAdmin,
+  );
+  assert.equal(res.status, 400);
+
+  res = await api.post("/api/admin/extend", { license, days: 10 }, asAdmin);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.licenses[0].expiry, "20990111");
+  let current = res.body.licenses[0].license;
+
+  res = await api.post(
+    "/api/admin/renew",
+    { userId: "life-user", expiry: "20991231" },
+    asAdmin,
+  );
+  assert.equal(res.status, 200);
+  current = res.body.licenses[0].license;
+
+  res = await api.post(
+    "/api/admin/upgrade",
+    { userId: "life-user", plan: "pro", format: "v2" },
+    asAdmin,
+  );
+  assert.equal(res.status, 200);
+  assert.equal(res.body.licenses[0].plan, "pro");
+  assert.equal(res.body.licenses[0].format, "v2");
+  current = res.body.licenses[0].license;
+
+  res = await api.post("/api/verify", { deviceId, license });
+  assert.equal(res.body.replacementLicense, current);
+  assert.equal(res.body.plan, "pro");
+  assert.equal(res.body.expiry, "20991231");
+
+  res = await api.post(
+    "/api/admin/revoke-license",
+    { license: current, reason: "test" },
+    asAdmin,
+  );
+  assert.equal(res.status, 200);
+  assert.equal(res.body.revoked, true);
+  res = await api.post(
+    "/api/admin/extend",
+    { license: current, days: 1 },
+    asAdmin,
+  );
+  assert.equal(res.status, 409);
+  res = await api.post(
+    "/api/admin/unrevoke-license",
+    { license: current },
+    asAdmin,
+  );
+  assert.equal(res.body.revoked, false);
+
+  res = await api.post(
+    "/api/admin/revoke-license",
+    { license: "20991231-nope" },
+    asAdmin,
+  );
+  assert.equal(res.status, 404);
+  res = await api.post("/api/admin/upgrade", { userId: "life-user" }, asAdmin);
+  assert.equal(res.status, 400);
+});
+
+test("V1: đổi plan / renew cùng expiry → UPDATE tại chỗ, không superseded", async () => {
+  const learner = await api.learner("v1-same", "v1-same-d", {
+    expiry: "20990101",
+    format: "v1",
+    plan: "trial",
+  });
+
+  // V1 không hash plan → cùng chuỗi license
+  let res = await api.post(
+    "/api/admin/upgrade",
+    { license: learner.license, plan: "premium" },
+    asAdmin,
+  );
+  assert.equal(res.status, 200);
+  assert.equal(res.body.licenses[0].license, learner.license);
+  assert.equal(res.body.licenses[0].plan, "premium");
+
+  res = await api.post("/api/verify", learner);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.plan, "premium");
+  assert.equal(res.body.replacementLicense, null);
+
+  res = await api.post(
+    "/api/admin/renew",
+    { license: learner.license, expiry: "20990101" },
+    asAdmin,
+  );
+  assert.equal(res.status, 200);
+  assert.equal(res.body.licenses[0].license, learner.license);
+  res = await api.post("/api/verify", learner);
+  assert.equal(res.status, 200);
+
+  // extend rồi đặt lại expiry cũ → license cũ active lại, không vòng lặp
+  res = await api.post(
+    "/api/admin/extend",
+    { license: learner.license, days: 1 },
+    asAdmin,
+  );
+  const extended = res.body.licenses[0].license;
+  assert.notEqual(extended, learner.license);
+  res = await api.post(
+    "/api/admin/renew",
+    { license: extended, expiry: "20990101" },
+    asAdmin,
+  );
+  assert.equal(res.body.licenses[0].license, learner.license);
+  res = await api.post("/api/verify", learner);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.replacementLicense, null);
+  assert.equal(res.body.expiry, "20990101");
+  res = await api.post("/api/verify", { ...learner, license: extended });
+  assert.equal(res.body.replacementLicense, learner.license);
+});
+
+test("V1: renew trùng chuỗi license đã revoke → 409, không active lại", async () => {
+  const learner = await api.learner("v1-revoked", "v1-revoked-d", {
+    expiry: "20990101",
+    format: "v1",
+  });
+  let res = await api.post(
+    "/api/admin/revoke-license",
+    { license: learner.license },
+    asAdmin,
+  );
+  assert.equal(res.status, 200);
+
+  const license = await api.issueLicense({
+    userId: "v1-revoked",
+    deviceId: "v1-revoked-d",
+    expiry: "20990201",
+    format: "v1",
+  });
+  res = await api.post("/api/verify", { ...learner, license });
+  assert.equal(res.status, 200);
+
+  // Renew về expiry cũ → cùng chuỗi với license đã revoke
+  res = await api.post(
+    "/api/admin/renew",
+    { license, expiry: "20990101" },
+    asAdmin,
+  );
+  assert.equal(res.status, 409);
+
+  res = await api.post("/api/verify", learner);
+  assert.equal(res.status, 403);
+  res = await api.post("/api/verify", { ...learner, license });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.replacementLicense, null);
+});
+
+// =========================================================
+// COHORTS
+// =========================================================
+
+test("cohorts: create / members / bulk / delete", async () => {
+  await api.learner("cohort-a");
+  await api.learner("cohort-b");
+
+  let res = await api.post(
+    "/api/admin/cohorts",
+    { name: "N1 12/2099", description: "Lớp tối" },
+    asAdmin,
+  );
+  assert.equal(res.status, 200);
+  const cohortId = res.body.cohort.id;
+  res = await api.post("/api/admin/cohorts", { name: "N1 12/2099" }, asAdmin);
+  assert.equal(res.status, 409);
+
+  res = await api.post(
+    "/api/admin/cohorts/members",
+    { cohortId, add: ["cohort-a", "cohort-b", "ghost"] },
+    asAdmin,
+  );
+  assert.equal(res.body.added, 2);
+  assert.deepEqual(res.body.unknownUserIds, ["ghost"]);
+
+  res = await api.get("/api/admin/cohorts", asAdmin);
+  assert.equal(res.body.cohorts.find((c) => c.id === cohortId).members, 2);
+
+  res = await api.get(`/api/admin/users?cohortId=${cohortId}`, asAdmin);
+  assert.equal(res.body.users.length, 2);
+
+  res = await api.post(
+    "/api/admin/cohorts/bulk",
+    { cohortId, action: "extend", days: 30 },
+    asAdmin,
+  );
+  assert.equal(res.status, 200);
+  assert.equal(res.body.succeeded, 2);
+
+  res = await api.post(
+    "/api/admin/cohorts/bulk",
+    { cohortId, action: "revoke", reason: "hết khoá" },
+    asAdmin,
+  );
+  assert.equal(res.body.succeeded, 2);
+  res = await api.post("/api/admin/user-info", { userId: "cohort-a" }, asAdmin);
+  assert.equal(res.body.revoked, true);
+  res = await api.post(
+    "/api/admin/cohorts/bulk",
+    { cohortId, action: "unrevoke" },
+    asAdmin,
+  );
+  assert.equal(res.body.succeeded, 2);
+
+  res = await api.post(
+    "/api/admin/cohorts/bulk",
+    { cohortId, action: "nope" },
+    asAdmin,
+  );
+  assert.equal(res.status, 400);
+
+  const support = await createAdmin("cohort-support", "support");
+  res = await api.post(
+    "/api/admin/cohorts/bulk",
+    { cohortId, action: "extend", days: 1 },
+    { headers: support.headers },
+  );
+  assert.equal(res.status, 403);
+
+  res = await api.post(
+    "/api/admin/cohorts/members",
+    { cohortId, remove: ["cohort-b"] },
+    asAdmin,
+  );
+  assert.equal(res.body.removed, 1);
+
+  res = await api.post("/api/admin/cohorts/delete", { cohortId }, asAdmin);
+  assert.equal(res.body.deleted, true);
+  res = await api.post("/api/admin/cohorts/delete", { cohortId }, asAdmin);
+  assert.equal(res.status, 404);
+});
+
+// =========================================================
+// AUDIT / LOCKOUTS
+// =========================================================
+
+test("audit + audit/export", async () => {
+  await api.issueLicense({ userId: "audit-user", deviceId: "audit-d" });
+  await api.post("/api/admin/revoke-user", { userId: "audit-user" }, asAdmin);
+
+  let res = await api.get("/api/admin/audit?userId=audit-user", asAdmin);
+  assert.equal(res.status, 200);
+  assert.deepEqual(
+    res.body.events.map((e) => e.action),
+    ["user.revoke", "license.generate"],
+  );
+  assert.equal(res.body.events[0].actor, "admin:root");
+
+  res = await api.get("/api/admin/audit?userId=audit-user&limit=1", asAdmin);
+  assert.equal(res.body.events.length, 1);
+  res = await api.get(
+    `/api/admin/audit?userId=audit-user&cursor=${res.body.nextCursor}`,
+    asAdmin,
+  );
+  assert.equal(res.body.events[0].action, "license.generate");
+  res = await api.get("/api/admin/audit?from=nope", asAdmin);
+  assert.equal(res.status, 400);
+
+  res = await api.get(
+    "/api/admin/audit/export?format=ndjson&action=user.*&userId=audit-user",
+    asAdmin,
+  );
+  assert.equal(res.status, 200);
+  const lines = res.body.trim().split("\n").map(JSON.parse);
+  assert.deepEqual(
+    lines.map((l) => l.action),
+    ["user.revoke"],
+  );
+
+  res = await api.get("/api/admin/audit/export?userId=audit-user", asAdmin);
+  assert.equal(res.body.trim().split("\n").length, 3);
+  res = await api.get("/api/admin/audit/export?format=xml", asAdmin);
+  assert.equal(res.status, 400);
+});
+
+test("lockouts: rate limit tắt", async () => {
+  let res = await api.get("/api/admin/lockouts", asAdmin);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.enabled, false);
+  res = await api.post(
+    "/api/admin/lockouts/clear",
+    { key: "device:x" },
+    asAdmin,
+  );
+  assert.equal(res.status, 409);
+});
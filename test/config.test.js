@@ -0,0 +1,89 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadConfig } from "../lib/config.js";
+import { generateSigningKey } from "./helpers.js";
+
+test("loadConfig: defaults", () => {
+  const config = loadConfig({ LICENSE_SECRET: "s" });
+  assert.equal(config.licenseSecret, "s");
+  assert.equal(config.licenseDefaultFormat, "v1");
+  assert.equal(config.defaultMaxDevices, 1);
+  assert.equal(config.seatLimitPolicy, "reject");
+  assert.equal(config.adminKey, null);
+  assert.equal(config.databaseUrl, null);
+  assert.equal(config.resetFreeTransfers, 0);
+  assert.equal(config.adminSessionHours, 12);
+  assert.equal(config.accessTokenMinutes, 15);
+  assert.equal(config.refreshTokenDays, 30);
+  assert.equal(config.notifyTransport, "off");
+  assert.deepEqual(config.notifyExpiryDays, [1, 7, 30]);
+  assert.equal(config.notifyDefaultLocale, "vi");
+  assert.equal(config.paymentProviders.size, 0);
+  assert.equal(config.paymentMock, false);
+  // Secret mặc định derive từ LICENSE_SECRET, không dùng trực tiếp
+  assert.notEqual(config.sessionTokenSecret, "s");
+  assert.equal(
+    loadConfig({ LICENSE_SECRET: "s" }).sessionTokenSecret,
+    config.sessionTokenSecret,
+  );
+});
+
+test("loadConfig: v2 mặc định khi có signing key", () => {
+  const config = loadConfig({
+    LICENSE_SECRET: "s",
+    LICENSE_V2_KEY_ID: "k1",
+    LICENSE_V2_PRIVATE_KEY: generateSigningKey(),
+    PLAN_SEAT_LIMITS: "pro:2,family:4",
+  });
+  assert.equal(config.licenseDefaultFormat, "v2");
+  assert.equal(config.keyring.activeKid, "k1");
+  assert.deepEqual(
+    [...config.planSeatLimits],
+    [
+      ["pro", 2],
+      ["family", 4],
+    ],
+  );
+});
+
+test("loadConfig: config sai → throw", () => {
+  assert.throws(() => loadConfig({}), /LICENSE_SECRET/);
+
+  const invalid = [
+    [{ LICENSE_DEFAULT_FORMAT: "v3" }, /v1 or v2/],
+    [{ LICENSE_DEFAULT_FORMAT: "v2" }, /LICENSE_V2_PRIVATE_KEY/],
+    [{ LICENSE_V2_PRIVATE_KEY: "nope" }, /Invalid V2 license key config/],
+    [{ DEFAULT_MAX_DEVICES: "0" }, /must be positive/],
+    [{ PLAN_SEAT_LIMITS: "pro:0" }, /must be positive/],
+    [{ SEAT_LIMIT_POLICY: "random" }, /SEAT_LIMIT_POLICY/],
+    [{ RATE_LIMIT: "ip:x" }, /Invalid rate limit config/],
+    [{ REVIEW_DAILY_LIMIT: "0" }, /REVIEW_DAILY_LIMIT/],
+    [{ ADMIN_SESSION_HOURS: "-1" }, /ADMIN_SESSION_HOURS/],
+    [{ ACCESS_TOKEN_MINUTES: "0" }, /ACCESS_TOKEN_MINUTES/],
+    [{ NOTIFY_TRANSPORT: "pigeon" }, /NOTIFY_TRANSPORT/],
+    [{ NOTIFY_TRANSPORT: "smtp" }, /SMTP_URL and NOTIFY_FROM/],
+    [
+      { NOTIFY_TRANSPORT: "smtp", SMTP_URL: "http://x", NOTIFY_FROM: "a@b.c" },
+      /SMTP_URL must be/,
+    ],
+    [{ NOTIFY_TRANSPORT: "webhook" }, /NOTIFY_WEBHOOK_URL/],
+    [{ NOTIFY_EXPIRY_DAYS: "7,x" }, /Invalid days list/],
+    [{ NOTIFY_DEFAULT_LOCALE: "fr" }, /NOTIFY_DEFAULT_LOCALE/],
+    [{ PAYMENT_PROVIDERS: "bank" }, /Invalid PAYMENT_PROVIDERS/],
+    [{ PAYMENT_PROVIDERS: "manual:x" }, /reserved/],
+    [{ PAYMENT_MOCK: "true", NODE_ENV: "production" }, /PAYMENT_MOCK/],
+    [{ PAYMENT_TOLERANCE_SECONDS: "0" }, /PAYMENT_TOLERANCE_SECONDS/],
+  ];
+  for (const [env, message] of invalid) {
+    assert.throws(() => loadConfig({ LICENSE_SECRET: "s", ...env }), message);
+  }
+});
+
+test("loadConfig: RATE_LIMIT=off không validate limits", () => {
+  const config = loadConfig({
+    LICENSE_SECRET: "s",
+    RATE_LIMIT: "off",
+    RATE_LIMIT_FAILURES: "garbage",
+  });
+  assert.equal(config.rateLimit, "off");
+});
@@ -0,0 +1,137 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { copyData } from "../lib/copy-data.js";
+import { migrateUp } from "../lib/migrations.js";
+import { createMemoryStore } from "../lib/store/memory.js";
+import { createSqliteStore } from "../lib/store/sqlite.js";
+import {
+  startTestServer,
+  generateSigningKey,
+  ADMIN,
+  learnerHeaders,
+} from "./helpers.js";
+
+// Cùng signing key để license V2 copy sang vẫn verify được
+const env = { LICENSE_V2_PRIVATE_KEY: generateSigningKey() };
+const quiet = { log: () => {} };
+
+let source;
+let learner;
+let current;
+
+before(async () => {
+  source = await startTestServer(env);
+
+  learner = await source.learner("copy-user", "copy-d", {
+    examDate: "20991201",
+  });
+  await source.post("/api/progress/mark-perfect", {
+    ...learner,
+    moduleId: "m1",
+  });
+  await source.post(
+    "/api/bookmarks",
+    {
+      id: "copy-b1",
+      questionKey: "qk-1",
+      questionText: "Hello",
+      options: ["a", "b"],
+      tags: ["kanji"],
+    },
+    { headers: learnerHeaders(learner) },
+  );
+  const extended = await source.post(
+    "/api/admin/extend",
+    { license: learner.license, days: 10 },
+    { headers: ADMIN },
+  );
+  current = extended.body.licenses[0].license;
+  await source.post(
+    "/api/admin/revoke-device",
+    { deviceId: "stolen-d" },
+    { headers: ADMIN },
+  );
+});
+
+after(async () => {
+  await source.close();
+});
+
+/**
+ * Dữ liệu so sánh giữa hai store
+ */
+async function snapshot(store) {
+  const licenses = await store.query(
+    "SELECT license, status, superseded_by, expiry FROM licenses ORDER BY license",
+  );
+  const bookmarks = await store.query(
+    "SELECT id, options, tags FROM bookmarks ORDER BY id",
+  );
+  const progress = await store.query(
+    "SELECT user_id, perfect FROM progress ORDER BY user_id",
+  );
+  return {
+    licenses: licenses.rows,
+    bookmarks: bookmarks.rows,
+    progress: progress.rows,
+  };
+}
+
+test("copy Postgres → SQLite → Postgres", async () => {
+  const sqlite = await createSqliteStore(":memory:");
+  await migrateUp(sqlite, quiet);
+  const copied = await copyData(source.store, sqlite, quiet);
+  assert.equal(copied.tables.users, 1);
+  assert.equal(copied.tables.licenses, 2);
+  assert.ok(copied.syncSeq > 0);
+
+  const expected = await snapshot(source.store);
+  assert.deepEqual(await snapshot(sqlite), expected);
+
+  // App trên SQLite dùng được dữ liệu đã copy
+  const target = await startTestServer(env, { store: sqlite });
+  try {
+    let res = await target.post("/api/verify", learner);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.replacementLicense, current);
+    assert.equal(res.body.examDate, "20991201");
+
+    res = await target.post("/api/progress/mark-perfect", {
+      ...learner,
+      moduleId: "m1",
+    });
+    assert.equal(res.body.perfectCount, 2);
+
+    res = await target.addDevice(
+      { deviceId: learner.deviceId, license: current },
+      "stolen-d",
+    );
+    assert.equal(res.status, 403);
+    assert.equal(res.body, "Device revoked");
+
+    // Đích không trống → không copy
+    await assert.rejects(copyData(source.store, sqlite, quiet), /not empty/);
+
+    const back = await createMemoryStore();
+    try {
+      await migrateUp(back, quiet);
+      const again = await copyData(sqlite, back, quiet);
+      assert.equal(again.tables.licenses, 2);
+      assert.equal(again.tables.bookmarks, 1);
+      assert.deepEqual(await snapshot(back), await snapshot(sqlite));
+
+      // Sequence đặt lại sau giá trị đã copy
+      const seq = await back.query("SELECT nextval('sync_seq') AS value");
+      assert.ok(Number(seq.rows[0].value) > again.syncSeq);
+      const audit = await back.query(
+        `INSERT INTO audit_events (actor, action) VALUES ('test', 'copy')
+         RETURNING id, (SELECT MAX(id) FROM audit_events) AS max_id`,
+      );
+      assert.ok(audit.rows[0].id > audit.rows[0].max_id);
+    } finally {
+      await back.end();
+    }
+  } finally {
+    await target.close();
+  }
+});
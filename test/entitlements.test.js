@@ -0,0 +1,355 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import {
+  validateFeatures,
+  resolveFeatures,
+  checkEntitlement,
+} from "../lib/entitlements.js";
+import { startTestServer, ADMIN, learnerHeaders } from "./helpers.js";
+
+let api;
+
+before(async () => {
+  api = await startTestServer();
+
+  // trial: chỉ module basic-*, bộ đề t-free, không sync bookmark
+  const res = await api.post(
+    "/api/admin/plans",
+    {
+      code: "trial",
+      name: "Trial",
+      price: 0,
+      durationDays: 7,
+      features: { modules: ["basic-*"], testSets: ["t-free"] },
+    },
+    { headers: ADMIN },
+  );
+  assert.equal(res.status, 200);
+});
+
+after(async () => {
+  await api.close();
+});
+
+const attempt = (testId, moduleId) => ({
+  testId,
+  moduleId,
+  answers: [{ questionKey: "q1", correct: true }],
+});
+
+// =========================================================
+// lib/entitlements.js
+// =========================================================
+
+test("validateFeatures / resolveFeatures / checkEntitlement", () => {
+  assert.deepEqual(validateFeatures({ modules: ["m1", "m1", "basic-*"] }), {
+    value: { modules: ["m1", "basic-*"] },
+  });
+  assert.match(validateFeatures({ quota: 1 }).error, /Unknown features: quota/);
+  assert.match(validateFeatures({ modules: "m1" }).error, /features.modules/);
+  assert.match(validateFeatures({ testSets: ["a b"] }).error, /testSets/);
+  assert.match(
+    validateFeatures({ bookmarkSync: "yes" }).error,
+    /must be a boolean/,
+  );
+  assert.match(validateFeatures([]).error, /must be an object/);
+
+  assert.equal(resolveFeatures("trial").bookmarkSync, false);
+  assert.deepEqual(resolveFeatures("pro"), {
+    modules: ["*"],
+    testSets: ["*"],
+    bookmarkSync: true,
+  });
+  assert.deepEqual(resolveFeatures("trial", { modules: ["m1"] }).testSets, [
+    "*",
+  ]);
+
+  const trial = {
+    plan: "trial",
+    ...resolveFeatures("trial", { modules: ["basic-*"], testSets: ["t1"] }),
+  };
+  assert.equal(
+    checkEntitlement(trial, { moduleId: "basic-1", testId: "t1" }),
+    null,
+  );
+  assert.equal(
+    checkEntitlement(trial, { moduleId: "adv-1" }),
+    "Module adv-1 is not included in plan trial",
+  );
+  assert.equal(
+    checkEntitlement(trial, { testId: "t2" }),
+    "Test set t2 is not included in plan trial",
+  );
+  assert.equal(
+    checkEntitlement(trial, { bookmarkSync: true }),
+    "Bookmark sync is not included in plan trial",
+  );
+});
+
+// =========================================================
+// ISSUE + VERIFY
+// =========================================================
+
+test("generate: plan trả về entitlements, plan không hợp lệ → 400", async () => {
+  let res = await api.post(
+    "/api/admin/generate",
+    {
+      userId: "ent-gen",
+      userName: "Gen",
+      deviceId: "ent-gen-device",
+      expiry: "20991231",
+      plan: "premium",
+    },
+    { headers: ADMIN },
+  );
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.entitlements, {
+    plan: "premium",
+    modules: ["*"],
+    testSets: ["*"],
+    bookmarkSync: true,
+  });
+
+  res = await api.post(
+    "/api/admin/generate",
+    {
+      userId: "ent-gen",
+      userName: "Gen",
+      deviceId: "ent-gen-device",
+      expiry: "20991231",
+      plan: "Gold Plan",
+    },
+    { headers: ADMIN },
+  );
+  assert.equal(res.status, 400);
+  assert.match(res.body, /Plan must contain only/);
+});
+
+test("verify + token refresh trả về entitlements của plan", async () => {
+  const license = await api.issueLicense({
+    userId: "ent-verify",
+    deviceId: "ent-verify-device",
+    plan: "trial",
+  });
+  let res = await api.post("/api/verify", {
+    deviceId: "ent-verify-device",
+    license,
+  });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.entitlements, {
+    plan: "trial",
+    modules: ["basic-*"],
+    testSets: ["t-free"],
+    bookmarkSync: false,
+  });
+
+  res = await api.post("/api/token/refresh", {
+    refreshToken: res.body.refreshToken,
+    deviceId: "ent-verify-device",
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.entitlements.plan, "trial");
+  assert.deepEqual(res.body.entitlements.modules, ["basic-*"]);
+
+  // Plan cũ (không có trong danh sách) → mở hết
+  const legacy = await api.learner("ent-legacy", "ent-legacy-device", {
+    plan: "pro",
+  });
+  res = await api.post("/api/verify", legacy);
+  assert.equal(res.body.entitlements.bookmarkSync, true);
+  assert.deepEqual(res.body.entitlements.modules, ["*"]);
+});
+
+test("generate lại V1 cùng máy / expiry với plan khác → đổi plan", async () => {
+  const issue = (userId, plan) =>
+    api.post(
+      "/api/admin/generate",
+      {
+        userId,
+        userName: userId,
+        deviceId: "ent-v1-device",
+        expiry: "20991231",
+        format: "v1",
+        plan,
+      },
+      { headers: ADMIN },
+    );
+
+  let res = await issue("ent-v1", "trial");
+  const { license } = res.body;
+  res = await issue("ent-v1", "premium");
+  assert.equal(res.status, 200);
+  // V1 không hash plan → cùng chuỗi, plan trong DB được cập nhật
+  assert.equal(res.body.license, license);
+
+  res = await api.post("/api/verify", { deviceId: "ent-v1-device", license });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.plan, "premium");
+  assert.equal(res.body.entitlements.bookmarkSync, true);
+
+  res = await issue("ent-v1-other", "premium");
+  assert.equal(res.status, 409);
+  assert.equal(res.body, "License already issued to another user");
+});
+
+// =========================================================
+// ENFORCEMENT
+// =========================================================
+
+test("mark-perfect / attempts: module hoặc bộ đề bị khoá → 403", async () => {
+  const learner = await api.learner("ent-progress", "ent-progress-device", {
+    plan: "trial",
+  });
+
+  let res = await api.post("/api/progress/mark-perfect", {
+    ...learner,
+    moduleId: "adv-1",
+  });
+  assert.equal(res.status, 403);
+  assert.equal(res.body, "Module adv-1 is not included in plan trial");
+
+  res = await api.post("/api/progress/mark-perfect", {
+    ...learner,
+    moduleId: "basic-1",
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.perfectCount, 1);
+
+  res = await api.post("/api/attempts", {
+    ...learner,
+    ...attempt("t-paid", "basic-1"),
+  });
+  assert.equal(res.status, 403);
+  assert.equal(res.body, "Test set t-paid is not included in plan trial");
+
+  res = await api.post("/api/attempts", {
+    ...learner,
+    ...attempt("t-free", "adv-1"),
+  });
+  assert.equal(res.status, 403);
+
+  res = await api.post("/api/attempts", {
+    ...learner,
+    ...attempt("t-free", "basic-1"),
+  });
+  assert.equal(res.status, 200);
+});
+
+test("bookmarks: không có bookmarkSync → 403 JSON", async () => {
+  const learner = await api.learner("ent-bookmark", "ent-bookmark-device", {
+    plan: "trial",
+  });
+  const headers = learnerHeaders(learner);
+
+  let res = await api.get("/api/bookmarks", { headers });
+  assert.equal(res.status, 403);
+  assert.deepEqual(res.body, {
+    ok: false,
+    error: "Bookmark sync is not included in plan trial",
+  });
+
+  res = await api.post(
+    "/api/bookmarks",
+    { id: "b1", questionKey: "qk-1", testId: "t-free" },
+    { headers },
+  );
+  assert.equal(res.status, 403);
+
+  res = await api.get("/api/bookmarks/tags", { headers });
+  assert.equal(res.status, 403);
+});
+
+test("sync: event bị khoá → rejected, gửi lại được sau khi đổi features", async () => {
+  const learner = await api.learner("ent-sync", "ent-sync-device", {
+    plan: "trial",
+  });
+  const headers = learnerHeaders(learner);
+  const now = Date.now();
+  const events = [
+    {
+      id: "p1",
+      type: "progress.perfect",
+      ts: now,
+      payload: { moduleId: "adv-1" },
+    },
+    {
+      id: "p2",
+      type: "progress.perfect",
+      ts: now,
+      payload: { moduleId: "basic-1" },
+    },
+    { id: "a1", type: "attempt", ts: now, payload: attempt("t-paid") },
+    {
+      id: "b1",
+      type: "bookmark.upsert",
+      ts: now,
+      payload: { id: "sb1", questionKey: "qk-1", testId: "t-free" },
+    },
+  ];
+
+  let res = await api.post("/api/sync", { events }, { headers });
+  assert.equal(res.status, 200);
+  assert.deepEqual(
+    res.body.results.map((r) => r.status),
+    ["rejected", "applied", "rejected", "rejected"],
+  );
+  assert.equal(
+    res.body.results[0].error,
+    "Module adv-1 is not included in plan trial",
+  );
+  assert.deepEqual(Object.keys(res.body.progress.perfect), ["basic-1"]);
+
+  // Mở hết cho trial → cùng event id được áp dụng (không phải duplicate)
+  res = await api.post(
+    "/api/admin/plans",
+    {
+      code: "trial",
+      name: "Trial",
+      price: 0,
+      durationDays: 7,
+      features: { modules: ["*"], testSets: ["*"], bookmarkSync: true },
+    },
+    { headers: ADMIN },
+  );
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.plan.features, {
+    modules: ["*"],
+    testSets: ["*"],
+    bookmarkSync: true,
+  });
+
+  res = await api.post("/api/sync", { events }, { headers });
+  assert.equal(res.status, 200);
+  assert.deepEqual(
+    res.body.results.map((r) => [r.status, !!r.duplicate]),
+    [
+      ["applied", false],
+      ["applied", true],
+      ["applied", false],
+      ["applied", false],
+    ],
+  );
+  assert.deepEqual(
+    res.body.bookmarks.map((b) => b.id),
+    ["sb1"],
+  );
+
+  // Sửa plan không gửi features → giữ features cũ
+  res = await api.post(
+    "/api/admin/plans",
+    { code: "trial", name: "Trial 7 ngày", price: 0, durationDays: 7 },
+    { headers: ADMIN },
+  );
+  assert.equal(res.body.plan.features.bookmarkSync, true);
+
+  res = await api.get("/api/admin/plans", { headers: ADMIN });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.defaults.trial.bookmarkSync, false);
+
+  res = await api.post(
+    "/api/admin/plans",
+    { code: "trial", name: "T", price: 0, durationDays: 7, features: { x: 1 } },
+    { headers: ADMIN },
+  );
+  assert.equal(res.status, 400);
+});
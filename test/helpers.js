@@ -0,0 +1,159 @@
+// test/helpers.js - App chạy trên store in-memory cho `node --test`
+//
+// Mỗi file test gọi startTestServer() một lần (PGlite + migrations mất ~1s),
+// các test trong file dùng userId / deviceId riêng để không đụng nhau.
+import crypto from "crypto";
+import { createApp } from "../lib/app.js";
+import { loadConfig } from "../lib/config.js";
+import { createMemoryStore } from "../lib/store/memory.js";
+import { createSqliteStore } from "../lib/store/sqlite.js";
+import { migrateUp } from "../lib/migrations.js";
+
+export const ADMIN_KEY = "test-admin-key";
+export const LICENSE_SECRET = "test-license-secret";
+export const ADMIN = { "x-admin-key": ADMIN_KEY };
+
+/**
+ * Ed25519 private key (PEM) cho V2 licenses
+ */
+export function generateSigningKey() {
+  const { privateKey } = crypto.generateKeyPairSync("ed25519");
+  return privateKey.export({ type: "pkcs8", format: "pem" });
+}
+
+/**
+ * Start app on a random port. env ghi đè ENV mặc định của test.
+ * storage: memory (PGlite) | sqlite (SQLite in-memory); store: dùng store có
+ * sẵn (đã migrate) thay vì tạo mới.
+ */
+export async function startTestServer(
+  env = {},
+  { storage = "memory", store: existing = null } = {},
+) {
+  const config = loadConfig({
+    LICENSE_SECRET,
+    ADMIN_KEY,
+    RATE_LIMIT: "off",
+    LICENSE_V2_KEY_ID: "test",
+    LICENSE_V2_PRIVATE_KEY: generateSigningKey(),
+    ...env,
+  });
+  let store = existing;
+  if (!store) {
+    store =
+      storage === "sqlite"
+        ? await createSqliteStore(":memory:")
+        : await createMemoryStore();
+    await migrateUp(store, { log: () => {} });
+  }
+
+  const app = createApp({ store, config });
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, "127.0.0.1", () => resolve(s));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  /**
+   * Gửi request, body object → JSON. Returns { status, headers, body }
+   * (body = JSON nếu response là JSON, ngược lại text).
+   */
+  async function request(method, path, { body, headers = {} } = {}) {
+    const init = { method, headers: { ...headers }, redirect: "manual" };
+    if (body !== undefined) {
+      if (typeof body === "string") {
+        init.body = body;
+      } else {
+        init.body = JSON.stringify(body);
+        init.headers["content-type"] = "application/json";
+      }
+    }
+    const res = await fetch(baseUrl + path, init);
+    const text = await res.text();
+    const isJson = (res.headers.get("content-type") || "").includes(
+      "application/json",
+    );
+    return {
+      status: res.status,
+      headers: res.headers,
+      body: isJson ? JSON.parse(text) : text,
+    };
+  }
+
+  const api = {
+    store,
+    config,
+    baseUrl,
+    request,
+    get: (path, options) => request("GET", path, options),
+    post: (path, body, options) => request("POST", path, { ...options, body }),
+    patch: (path, body, options) =>
+      request("PATCH", path, { ...options, body }),
+    delete: (path, options) => request("DELETE", path, options),
+
+    /**
+     * POST /api/admin/generate (root key). Returns license.
+     */
+    async issueLicense({
+      userId,
+      deviceId,
+      userName = userId,
+      expiry = "20991231",
+      ...rest
+    }) {
+      const res = await api.post(
+        "/api/admin/generate",
+        { userId, userName, deviceId, expiry, ...rest },
+        { headers: ADMIN },
+      );
+      if (res.status !== 200) {
+        throw new Error(`generate failed: ${res.status} ${res.body}`);
+      }
+      return res.body.license;
+    },
+
+    /**
+     * Issue license + verify lần đầu (bind). Returns { deviceId, license }.
+     */
+    async learner(userId, deviceId = `${userId}-device`, options = {}) {
+      const license = await api.issueLicense({ userId, deviceId, ...options });
+      const verified = await api.post("/api/verify", { deviceId, license });
+      if (verified.status !== 200) {
+        throw new Error(`verify failed: ${verified.status} ${verified.body}`);
+      }
+      return { userId, deviceId, license };
+    },
+
+    /**
+     * Thêm máy cho learner: mã từ /api/devices/add-code rồi /api/verify trên
+     * máy mới. Returns response của verify.
+     */
+    async addDevice(learner, deviceId, extra = {}) {
+      const paired = await api.post("/api/devices/add-code", {
+        deviceId: learner.deviceId,
+        license: learner.license,
+      });
+      if (paired.status !== 200) {
+        throw new Error(`add-code failed: ${paired.status} ${paired.body}`);
+      }
+      return api.post("/api/verify", {
+        deviceId,
+        license: paired.body.activationCode,
+        ...extra,
+      });
+    },
+
+    async close() {
+      await new Promise((resolve) => server.close(resolve));
+      await store.end();
+    },
+  };
+
+  return api;
+}
+
+/**
+ * Header xác thực learner (X-Device-Id + X-License)
+ */
+export function learnerHeaders({ deviceId, license }) {
+  return { "x-device-id": deviceId, "x-license": license };
+}
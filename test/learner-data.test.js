@@ -0,0 +1,456 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer, ADMIN, learnerHeaders } from "./helpers.js";
+
+let api;
+
+before(async () => {
+  api = await startTestServer();
+});
+
+after(async () => {
+  await api.close();
+});
+
+function bookmark(id, extra = {}) {
+  return {
+    id,
+    questionKey: `qk-${id}`,
+    questionText: `Question ${id}`,
+    testId: "t1",
+    options: ["a", "b"],
+    answer: "a",
+    ...extra,
+  };
+}
+
+// =========================================================
+// BOOKMARKS
+// =========================================================
+
+test("learnerAuth: thiếu / sai license", async () => {
+  let res = await api.get("/api/bookmarks");
+  assert.equal(res.status, 401);
+  assert.deepEqual(res.body, {
+    ok: false,
+    error: "Missing deviceId or license",
+  });
+
+  res = await api.get("/api/bookmarks", {
+    headers: learnerHeaders({ deviceId: "x", license: "20991231-bad" }),
+  });
+  assert.equal(res.status, 401);
+  assert.equal(res.body.ok, false);
+});
+
+test("bookmarks: create / list / search / patch / delete", async () => {
+  const learner = await api.learner("bookmark-user");
+  const headers = learnerHeaders(learner);
+
+  let res = await api.post("/api/bookmarks", bookmark("b1"), { headers });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.bookmark.id, "b1");
+
+  res = await api.post(
+    "/api/bookmarks",
+    bookmark("b2", { note: "khó", tags: [" Kanji ", "kanji", "N1"] }),
+    { headers },
+  );
+  assert.deepEqual(res.body.bookmark.tags, ["kanji", "n1"]);
+
+  res = await api.post("/api/bookmarks", { id: "b3" }, { headers });
+  assert.equal(res.status, 400);
+
+  // id của user khác
+  const other = await api.learner("bookmark-other");
+  res = await api.post("/api/bookmarks", bookmark("b1"), {
+    headers: learnerHeaders(other),
+  });
+  assert.equal(res.status, 409);
+
+  res = await api.get("/api/bookmarks", { headers });
+  assert.equal(res.body.total, 2);
+  assert.equal(res.body.bookmarks[0].id, "b2");
+
+  res = await api.get("/api/bookmarks?tag=KANJI", { headers });
+  assert.deepEqual(
+    res.body.bookmarks.map((b) => b.id),
+    ["b2"],
+  );
+
+  res = await api.get(`/api/bookmarks?q=${encodeURIComponent("khó")}`, {
+    headers,
+  });
+  assert.deepEqual(
+    res.body.bookmarks.map((b) => b.id),
+    ["b2"],
+  );
+
+  // Phân trang
+  res = await api.get("/api/bookmarks?limit=1", { headers });
+  assert.equal(res.body.bookmarks.length, 1);
+  assert.ok(res.body.nextCursor);
+  res = await api.get(`/api/bookmarks?limit=1&cursor=${res.body.nextCursor}`, {
+    headers,
+  });
+  assert.deepEqual(
+    res.body.bookmarks.map((b) => b.id),
+    ["b1"],
+  );
+  assert.equal(res.body.nextCursor, null);
+  res = await api.get("/api/bookmarks?cursor=nope", { headers });
+  assert.equal(res.status, 400);
+
+  res = await api.patch(
+    "/api/bookmarks/b1",
+    { note: "xem lại", folder: "ngữ pháp", tags: ["grammar"] },
+    { headers },
+  );
+  assert.equal(res.status, 200);
+  assert.equal(res.body.bookmark.note, "xem lại");
+  assert.equal(res.body.bookmark.folder, "ngữ pháp");
+
+  res = await api.patch("/api/bookmarks/b1", {}, { headers });
+  assert.equal(res.status, 400);
+  res = await api.patch("/api/bookmarks/nope", { note: "x" }, { headers });
+  assert.equal(res.status, 404);
+
+  res = await api.get("/api/bookmarks/tags", { headers });
+  assert.deepEqual(res.body.tags, [
+    { tag: "grammar", count: 1 },
+    { tag: "kanji", count: 1 },
+    { tag: "n1", count: 1 },
+  ]);
+  assert.deepEqual(res.body.folders, [{ folder: "ngữ pháp", count: 1 }]);
+
+  res = await api.delete("/api/bookmarks/b2", { headers });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.deleted, "b2");
+  res = await api.delete("/api/bookmarks/b2", { headers });
+  assert.equal(res.status, 404);
+});
+
+// =========================================================
+// SYNC
+// =========================================================
+
+test("POST /api/sync: apply events, idempotent, cursor", async () => {
+  const learner = await api.learner("sync-user");
+  const headers = learnerHeaders(learner);
+  const now = Date.now();
+
+  let res = await api.post(
+    "/api/sync",
+    {
+      events: [
+        {
+          id: "e1",
+          type: "progress.perfect",
+          ts: now,
+          payload: { moduleId: "m1" },
+        },
+        {
+          id: "e2",
+          type: "bookmark.upsert",
+          ts: now,
+          payload: bookmark("s1"),
+        },
+        {
+          id: "e3",
+          type: "attempt",
+          ts: now,
+          payload: {
+            testId: "t1",
+            answers: [{ questionKey: "q1", correct: false }],
+          },
+        },
+        { id: "e4", type: "nope", ts: now },
+      ],
+    },
+    { headers },
+  );
+  assert.equal(res.status, 200);
+  assert.deepEqual(
+    res.body.results.map((r) => r.status),
+    ["applied", "applied", "applied", "rejected"],
+  );
+  assert.equal(res.body.progress.perfect.m1.perfectCount, 1);
+  assert.deepEqual(
+    res.body.bookmarks.map((b) => b.id),
+    ["s1"],
+  );
+  const cursor = res.body.cursor;
+
+  // Gửi lại cùng event + xoá bookmark (clock cũ hơn → bỏ qua)
+  res = await api.post(
+    "/api/sync",
+    {
+      cursor,
+      events: [
+        {
+          id: "e1",
+          type: "progress.perfect",
+          ts: now,
+          payload: { moduleId: "m1" },
+        },
+        {
+          id: "e5",
+          type: "bookmark.delete",
+          ts: now - 60_000,
+          payload: { id: "s1" },
+        },
+      ],
+    },
+    { headers },
+  );
+  assert.equal(res.body.results[0].duplicate, true);
+  assert.equal(res.body.results[1].status, "ignored");
+  assert.equal(res.body.progress.perfect.m1.perfectCount, 1);
+
+  res = await api.post(
+    "/api/sync",
+    {
+      cursor,
+      events: [
+        {
+          id: "e6",
+          type: "bookmark.delete",
+          ts: Date.now(),
+          payload: { id: "s1" },
+        },
+      ],
+    },
+    { headers },
+  );
+  assert.equal(res.body.results[0].status, "applied");
+  assert.deepEqual(res.body.deletedBookmarks, ["s1"]);
+
+  res = await api.post("/api/sync", { cursor: "abc" }, { headers });
+  assert.equal(res.status, 400);
+});
+
+test("REST ghi song song với /api/sync: sync lock trước sync_seq, máy khác nhận đủ", async () => {
+  const learner = await api.learner("sync-race");
+  const headers = learnerHeaders(learner);
+  for (const id of ["race-0", "race-2"]) {
+    const res = await api.post("/api/bookmarks", bookmark(id), { headers });
+    assert.equal(res.status, 200);
+  }
+  const { cursor } = (await api.post("/api/sync", {}, { headers })).body;
+
+  // Ghi lại thứ tự query của từng transaction
+  const transactions = [];
+  const { connect } = api.store;
+  api.store.connect = async () => {
+    const client = await connect.call(api.store);
+    const queries = [];
+    transactions.push(queries);
+    return {
+      ...client,
+      query: (text, params) => {
+        queries.push(text);
+        return client.query(text, params);
+      },
+    };
+  };
+
+  let results;
+  try {
+    results = await Promise.all([
+      api.post("/api/sync", { cursor }, { headers }),
+      api.post("/api/bookmarks", bookmark("race-1"), { headers }),
+      api.patch("/api/bookmarks/race-0", { note: "race" }, { headers }),
+      api.delete("/api/bookmarks/race-2", { headers }),
+      api.post("/api/progress/mark-perfect", {
+        ...learner,
+        moduleId: "m-race",
+      }),
+      api.post("/api/attempts", {
+        ...learner,
+        testId: "t1",
+        answers: [{ questionKey: "q-race", correct: true }],
+      }),
+    ]);
+  } finally {
+    api.store.connect = connect;
+  }
+  assert.deepEqual(
+    results.map((r) => r.status),
+    [200, 200, 200, 200, 200, 200],
+  );
+
+  const writes = transactions.filter((queries) =>
+    queries.some((q) => q.includes("nextval('sync_seq')")),
+  );
+  assert.equal(writes.length, 4);
+  for (const queries of writes) {
+    const locked = queries.findIndex((q) =>
+      /FROM users WHERE user_id = \$1 FOR UPDATE/.test(q),
+    );
+    const seq = queries.findIndex((q) => q.includes("nextval('sync_seq')"));
+    assert.ok(locked !== -1 && locked < seq, queries.join("\n"));
+  }
+
+  // Máy khác (đã có race-0, race-2 tới cursor): áp dụng kết quả của sync
+  // song song rồi sync tiếp từ cursor của nó → khớp với server
+  const first = results[0].body;
+  const next = (
+    await api.post("/api/sync", { cursor: first.cursor }, { headers })
+  ).body;
+  const local = new Map([
+    ["race-0", { note: null }],
+    ["race-2", { note: null }],
+  ]);
+  for (const state of [first, next]) {
+    for (const b of state.bookmarks) local.set(b.id, b);
+    for (const id of state.deletedBookmarks) local.delete(id);
+  }
+  assert.deepEqual([...local.keys()].sort(), ["race-0", "race-1"]);
+  assert.equal(local.get("race-0").note, "race");
+  assert.equal(next.progress.perfect["m-race"].perfectCount, 1);
+});
+
+// =========================================================
+// REVIEW
+// =========================================================
+
+test("review: due / grade / settings", async () => {
+  const learner = await api.learner("review-user");
+  const headers = learnerHeaders(learner);
+
+  await api.post("/api/bookmarks", bookmark("r1"), { headers });
+  await api.post(
+    "/api/attempts",
+    {
+      ...learner,
+      testId: "t1",
+      answers: [{ questionKey: "missed-1", correct: false }],
+    },
+    { headers },
+  );
+
+  let res = await api.get("/api/review/due", { headers });
+  assert.equal(res.status, 200);
+  // Câu sai trước bookmark
+  assert.deepEqual(
+    res.body.cards.map((c) => [c.questionKey, c.source]),
+    [
+      ["missed-1", "missed"],
+      ["qk-r1", "bookmark"],
+    ],
+  );
+  assert.equal(res.body.cards[1].bookmark.id, "r1");
+
+  res = await api.post(
+    "/api/review/grade",
+    { questionKey: "missed-1", grade: 5 },
+    { headers },
+  );
+  assert.equal(res.status, 200);
+  assert.equal(res.body.card.repetitions, 1);
+  assert.equal(res.body.card.isNew, false);
+
+  res = await api.post(
+    "/api/review/grade",
+    { questionKey: "missed-1", grade: 9 },
+    { headers },
+  );
+  assert.equal(res.status, 400);
+  res = await api.post(
+    "/api/review/grade",
+    { questionKey: "unknown", grade: 3 },
+    { headers },
+  );
+  assert.equal(res.status, 404);
+
+  res = await api.get("/api/review/due", { headers });
+  assert.deepEqual(
+    res.body.cards.map((c) => c.questionKey),
+    ["qk-r1"],
+  );
+  assert.equal(res.body.counts.reviewedToday, 1);
+
+  res = await api.post(
+    "/api/review/settings",
+    { dailyLimit: 10, newLimit: 0 },
+    { headers },
+  );
+  assert.equal(res.status, 200);
+  res = await api.get("/api/review/due", { headers });
+  assert.equal(res.body.limits.dailyLimit, 10);
+  assert.equal(res.body.cards.length, 0);
+
+  res = await api.post("/api/review/settings", { dailyLimit: 0 }, { headers });
+  assert.equal(res.status, 400);
+});
+
+// =========================================================
+// STATS / MESSAGES
+// =========================================================
+
+test("GET /api/stats/me", async () => {
+  const learner = await api.learner("stats-user", undefined, {
+    examDate: "20991201",
+  });
+  const headers = learnerHeaders(learner);
+  await api.post("/api/attempts", {
+    ...learner,
+    testId: "t1",
+    answers: [
+      { questionKey: "q1", correct: true },
+      { questionKey: "q2", correct: false },
+    ],
+  });
+
+  const res = await api.get("/api/stats/me", { headers });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.stats.examDate, "20991201");
+  assert.equal(res.body.stats.totals.attempts, 1);
+  assert.equal(res.body.stats.totals.answeredQuestions, 2);
+});
+
+test("GET /api/messages + POST /api/messages/read", async () => {
+  const learner = await api.learner("message-user");
+  const headers = learnerHeaders(learner);
+
+  const cohort = await api.post(
+    "/api/admin/cohorts",
+    { name: "Messages" },
+    { headers: ADMIN },
+  );
+  const cohortId = cohort.body.cohort.id;
+  await api.post(
+    "/api/admin/cohorts/members",
+    { cohortId, add: ["message-user"] },
+    { headers: ADMIN },
+  );
+  for (const title of ["Chào", "Lịch thi"]) {
+    await api.post(
+      "/api/admin/cohorts/bulk",
+      { cohortId, action: "message", title, body: "..." },
+      { headers: ADMIN },
+    );
+  }
+
+  let res = await api.get("/api/messages", { headers });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.unread, 2);
+  assert.deepEqual(
+    res.body.messages.map((m) => m.title),
+    ["Lịch thi", "Chào"],
+  );
+
+  res = await api.post(
+    "/api/messages/read",
+    { ids: [res.body.messages[0].id] },
+    { headers },
+  );
+  assert.equal(res.body.marked, 1);
+  res = await api.post("/api/messages/read", {}, { headers });
+  assert.equal(res.body.marked, 1);
+  res = await api.post("/api/messages/read", { ids: ["x"] }, { headers });
+  assert.equal(res.status, 400);
+
+  res = await api.get("/api/messages", { headers });
+  assert.equal(res.body.unread, 0);
+});
@@ -0,0 +1,572 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { generateLicenseV1 } from "../lib/license-v1.js";
+import { startTestServer, ADMIN, LICENSE_SECRET } from "./helpers.js";
+
+let api;
+
+// 1 lượt chuyển máy miễn phí (mặc định 0) để test duyệt tự động
+before(async () => {
+  api = await startTestServer({ RESET_FREE_TRANSFERS: "1" });
+});
+
+after(async () => {
+  await api.close();
+});
+
+/**
+ * License V1 ghi thẳng vào DB (vd. license cũ chưa bind máy)
+ */
+async function insertLicenseV1({ userId, deviceId, boundTo, expiry }) {
+  const license = generateLicenseV1(deviceId, expiry, LICENSE_SECRET);
+  await api.store.query(
+    `INSERT INTO users (user_id, user_name, created_at) VALUES ($1, $1, NOW())
+     ON CONFLICT (user_id) DO NOTHING`,
+    [userId],
+  );
+  await api.store.query(
+    `INSERT INTO licenses (license, user_id, device_id, expiry, plan, created_at)
+     VALUES ($1, $2, $3, $4, 'standard', NOW())`,
+    [license, userId, boundTo, expiry],
+  );
+  return license;
+}
+
+// =========================================================
+// PUBLIC
+// =========================================================
+
+test("GET /api/ping", async () => {
+  const res = await api.get("/api/ping");
+  assert.equal(res.status, 200);
+  assert.equal(res.body.ok, true);
+  assert.equal(res.body.mode, "strict");
+});
+
+test("GET /api/public-keys + /api/public-keys/:kid", async () => {
+  const list = await api.get("/api/public-keys");
+  assert.equal(list.status, 200);
+  assert.equal(list.body.activeKid, "test");
+  assert.equal(list.body.keys.length, 1);
+  assert.equal(list.body.keys[0].crv, "Ed25519");
+
+  const one = await api.get("/api/public-keys/test");
+  assert.equal(one.status, 200);
+  assert.equal(one.body.key.kid, "test");
+
+  const missing = await api.get("/api/public-keys/nope");
+  assert.equal(missing.status, 404);
+});
+
+// =========================================================
+// VERIFY
+// =========================================================
+
+test("POST /api/verify: V2 license trên máy đã cấp", async () => {
+  const license = await api.issueLicense({
+    userId: "verify-v2",
+    deviceId: "v2-device",
+    examDate: "20991201",
+    plan: "pro",
+  });
+  assert.match(license, /^v2\./);
+
+  const res = await api.post("/api/verify", {
+    deviceId: "v2-device",
+    license,
+    deviceName: "Laptop",
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.ok, true);
+  assert.equal(res.body.userId, "verify-v2");
+  assert.equal(res.body.format, "v2");
+  assert.equal(res.body.plan, "pro");
+  assert.equal(res.body.examDate, "20991201");
+  assert.equal(res.body.bound, true);
+  assert.equal(res.body.replacementLicense, null);
+});
+
+test("POST /api/verify: V1 license", async () => {
+  const license = await api.issueLicense({
+    userId: "verify-v1",
+    deviceId: "v1-device",
+    format: "v1",
+  });
+  const res = await api.post("/api/verify", { deviceId: "v1-device", license });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.format, "v1");
+  assert.equal(res.body.expiry, "20991231");
+});
+
+test("POST /api/verify: input sai", async () => {
+  assert.equal((await api.post("/api/verify", { deviceId: "d" })).status, 400);
+  const badName = await api.post("/api/verify", {
+    deviceId: "d",
+    license: "20991231-abc",
+    deviceName: 1,
+  });
+  assert.equal(badName.status, 400);
+  assert.equal(badName.body, "deviceName must be a string");
+
+  const badHash = await api.post("/api/verify", {
+    deviceId: "d",
+    license: "20991231-deadbeef",
+  });
+  assert.equal(badHash.status, 400);
+  assert.equal(badHash.body, "Invalid license format or hash");
+});
+
+test("POST /api/verify: license hợp lệ nhưng không có trong DB", async () => {
+  const res = await api.post("/api/verify", {
+    deviceId: "ghost-device",
+    license: generateLicenseV1("ghost-device", "20991231", LICENSE_SECRET),
+  });
+  assert.equal(res.status, 404);
+  assert.equal(res.body, "License not found");
+});
+
+test("POST /api/verify: license chưa bind → bind vào máy đầu tiên", async () => {
+  const license = await insertLicenseV1({
+    userId: "verify-unbound",
+    deviceId: "first-device",
+    boundTo: null,
+    expiry: "20991231",
+  });
+
+  const first = await api.post("/api/verify", {
+    deviceId: "first-device",
+    license,
+  });
+  assert.equal(first.status, 200);
+  assert.equal(first.body.firstBind, true);
+  assert.equal(first.body.bound, false);
+
+  const again = await api.post("/api/verify", {
+    deviceId: "first-device",
+    license,
+  });
+  assert.equal(again.body.firstBind, false);
+
+  const row = await api.store.query(
+    "SELECT device_id FROM licenses WHERE license = $1",
+    [license],
+  );
+  assert.equal(row.rows[0].device_id, "first-device");
+});
+
+test("POST /api/verify: license đã bind máy khác", async () => {
+  const license = await insertLicenseV1({
+    userId: "verify-bound",
+    deviceId: "copy-device",
+    boundTo: "owner-device",
+    expiry: "20991231",
+  });
+  const res = await api.post("/api/verify", {
+    deviceId: "copy-device",
+    license,
+  });
+  assert.equal(res.status, 403);
+  assert.equal(res.body, "License already bound to another device");
+});
+
+test("POST /api/verify: hết hạn → 400 và status expired", async () => {
+  const license = await insertLicenseV1({
+    userId: "verify-expired",
+    deviceId: "old-device",
+    boundTo: "old-device",
+    expiry: "20200101",
+  });
+  const res = await api.post("/api/verify", {
+    deviceId: "old-device",
+    license,
+  });
+  assert.equal(res.status, 400);
+  assert.equal(res.body, "Expired");
+
+  const row = await api.store.query(
+    "SELECT status FROM licenses WHERE license = $1",
+    [license],
+  );
+  assert.equal(row.rows[0].status, "expired");
+});
+
+test("POST /api/verify: device / user / license bị revoke", async () => {
+  const { deviceId, license } = await api.learner("verify-revoked");
+
+  await api.post("/api/admin/revoke-device", { deviceId }, { headers: ADMIN });
+  let res = await api.post("/api/verify", { deviceId, license });
+  assert.equal(res.status, 403);
+  assert.equal(res.body, "Device revoked");
+  await api.post(
+    "/api/admin/unrevoke-device",
+    { deviceId },
+    { headers: ADMIN },
+  );
+
+  await api.post(
+    "/api/admin/revoke-user",
+    { userId: "verify-revoked", reason: "refund" },
+    { headers: ADMIN },
+  );
+  res = await api.post("/api/verify", { deviceId, license });
+  assert.equal(res.status, 403);
+  assert.equal(res.body, "User revoked");
+  await api.post(
+    "/api/admin/unrevoke-user",
+    { userId: "verify-revoked" },
+    { headers: ADMIN },
+  );
+
+  await api.post("/api/admin/revoke-license", { license }, { headers: ADMIN });
+  res = await api.post("/api/verify", { deviceId, license });
+  assert.equal(res.status, 403);
+  assert.equal(res.body, "License revoked");
+  await api.post(
+    "/api/admin/unrevoke-license",
+    { license },
+    { headers: ADMIN },
+  );
+
+  res = await api.post("/api/verify", { deviceId, license });
+  assert.equal(res.status, 200);
+
+  // Lần bị từ chối được ghi audit
+  const audit = await api.get(
+    "/api/admin/audit?userId=verify-revoked&action=verify.reject",
+    { headers: ADMIN },
+  );
+  assert.equal(audit.status, 200);
+  assert.equal(audit.body.events.length, 3);
+});
+
+test("POST /api/verify: license đã gia hạn → replacementLicense", async () => {
+  const { deviceId, license } = await api.learner("verify-extended");
+  const extended = await api.post(
+    "/api/admin/extend",
+    { userId: "verify-extended", days: 30 },
+    { headers: ADMIN },
+  );
+  assert.equal(extended.status, 200);
+  const newLicense = extended.body.licenses[0].license;
+
+  const res = await api.post("/api/verify", { deviceId, license });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.replacementLicense, newLicense);
+  assert.equal(res.body.expiry, extended.body.licenses[0].expiry);
+});
+
+test("POST /api/verify: máy thứ hai theo seat limit", async () => {
+  const learner = await api.learner("verify-seats", "seat-a");
+  const { license } = learner;
+
+  // License của máy khác → cùng lỗi như license sai (không lộ license hợp lệ)
+  let res = await api.post("/api/verify", { deviceId: "seat-b", license });
+  assert.equal(res.status, 400);
+  assert.equal(res.body, "Invalid license format or hash");
+
+  // Mặc định 1 máy / user
+  res = await api.addDevice(learner, "seat-b");
+  assert.equal(res.status, 403);
+  assert.match(res.body, /limit/i);
+
+  await api.post(
+    "/api/admin/seat-limit",
+    { userId: "verify-seats", maxDevices: 2 },
+    { headers: ADMIN },
+  );
+  res = await api.addDevice(learner, "seat-b", { deviceName: "Phone" });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.firstBind, true);
+  assert.ok(res.body.license);
+  assert.notEqual(res.body.license, license);
+
+  // Máy thứ hai dùng license riêng; máy đầu vẫn dùng license gốc
+  const again = await api.post("/api/verify", {
+    deviceId: "seat-b",
+    license: res.body.license,
+  });
+  assert.equal(again.status, 200);
+  assert.equal(again.body.firstBind, false);
+  assert.equal((await api.post("/api/verify", learner)).status, 200);
+
+  // Máy bị đẩy khỏi seat / thiếu license thì không lấy được mã
+  res = await api.post("/api/devices/add-code", { deviceId: "seat-a" });
+  assert.equal(res.status, 400);
+});
+
+test("POST /api/verify: activation code", async () => {
+  const created = await api.post(
+    "/api/admin/activation-codes",
+    {
+      userId: "verify-code",
+      userName: "Code",
+      durationDays: 30,
+      maxActivations: 1,
+    },
+    { headers: ADMIN },
+  );
+  assert.equal(created.status, 200);
+  const [code] = created.body.codes;
+
+  const res = await api.post("/api/verify", {
+    deviceId: "code-device",
+    license: code,
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.activated, true);
+  assert.equal(res.body.firstBind, true);
+  assert.ok(res.body.license);
+
+  // Cùng máy dùng lại code → license cũ
+  const again = await api.post("/api/verify", {
+    deviceId: "code-device",
+    license: code,
+  });
+  assert.equal(again.status, 200);
+  assert.equal(again.body.license, res.body.license);
+  assert.equal(again.body.firstBind, false);
+
+  // Hết lượt kích hoạt
+  const other = await api.post("/api/verify", {
+    deviceId: "code-other",
+    license: code,
+  });
+  assert.equal(other.status, 403);
+  assert.equal(other.body, "Activation limit reached");
+});
+
+// =========================================================
+// PROGRESS / ATTEMPTS
+// =========================================================
+
+test("POST /api/progress/mark-perfect + /api/progress/get", async () => {
+  const learner = await api.learner("progress-user");
+
+  assert.equal(
+    (await api.post("/api/progress/mark-perfect", learner)).status,
+    400,
+  );
+
+  let res = await api.post("/api/progress/mark-perfect", {
+    ...learner,
+    moduleId: "m1",
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.perfectCount, 1);
+
+  // eventId: gửi lại không cộng thêm
+  for (let i = 0; i < 2; i++) {
+    res = await api.post("/api/progress/mark-perfect", {
+      ...learner,
+      moduleId: "m1",
+      eventId: "evt-1",
+    });
+    assert.equal(res.body.perfectCount, 2);
+    assert.equal(res.body.duplicate, i === 1);
+  }
+
+  res = await api.post("/api/progress/get", learner);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.data.m1.perfectCount, 2);
+
+  res = await api.post("/api/progress/get", { ...learner, testIds: ["m2"] });
+  assert.deepEqual(res.body.data, {});
+
+  await api.post(
+    "/api/admin/revoke-user",
+    { userId: "progress-user" },
+    { headers: ADMIN },
+  );
+  res = await api.post("/api/progress/get", learner);
+  assert.equal(res.status, 403);
+});
+
+test("POST /api/attempts + /api/attempts/history", async () => {
+  const learner = await api.learner("attempts-user");
+  const answers = [
+    { questionKey: "q1", correct: false, answer: "A" },
+    { questionKey: "q2", correct: true },
+  ];
+
+  let res = await api.post("/api/attempts", {
+    ...learner,
+    testId: "t1",
+    answers,
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.score, 1);
+  assert.equal(res.body.total, 2);
+  assert.equal(res.body.perfect, false);
+
+  res = await api.post("/api/attempts", {
+    ...learner,
+    testId: "t1",
+    answers: answers.map((a) => ({ ...a, correct: true })),
+  });
+  assert.equal(res.body.perfect, true);
+
+  res = await api.post("/api/attempts", {
+    ...learner,
+    testId: "t1",
+    answers: [answers[0], answers[0]],
+  });
+  assert.equal(res.status, 400);
+  assert.equal(res.body, "Duplicate questionKey in answers");
+
+  res = await api.post("/api/attempts/history", {
+    ...learner,
+    limit: 1,
+    includeAnswers: true,
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.attempts.length, 1);
+  assert.equal(res.body.attempts[0].answers.length, 2);
+  assert.ok(res.body.nextCursor);
+
+  res = await api.post("/api/attempts/history", {
+    ...learner,
+    cursor: res.body.nextCursor,
+  });
+  assert.equal(res.body.attempts.length, 1);
+  assert.equal(res.body.nextCursor, null);
+
+  res = await api.post("/api/attempts/history", { ...learner, limit: 0 });
+  assert.equal(res.status, 400);
+
+  res = await api.post("/api/progress/get", learner);
+  assert.equal(res.body.tests.t1.attempts, 2);
+  // q1: 1/2 đúng → câu yếu
+  assert.deepEqual(
+    res.body.weakQuestions.map((q) => q.questionKey),
+    ["q1"],
+  );
+});
+
+// =========================================================
+// DEVICES / RESET REQUESTS
+// =========================================================
+
+test("POST /api/devices + /api/devices/remove", async () => {
+  const learner = await api.learner("devices-user", "dev-a");
+  const { license } = learner;
+  await api.post(
+    "/api/admin/seat-limit",
+    { userId: "devices-user", maxDevices: 2 },
+    { headers: ADMIN },
+  );
+  const added = await api.addDevice(learner, "dev-b");
+  assert.equal(added.status, 200);
+
+  let res = await api.post("/api/devices", { deviceId: "dev-a", license });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.maxDevices, 2);
+  assert.deepEqual(res.body.devices.map((d) => d.deviceId).sort(), [
+    "dev-a",
+    "dev-b",
+  ]);
+
+  res = await api.post("/api/devices/remove", {
+    deviceId: "dev-a",
+    license,
+    removeDeviceId: "dev-b",
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.removed, true);
+  // Gỡ máy → license của máy đó bị revoke, máy còn lại vẫn dùng được
+  res = await api.post("/api/verify", {
+    deviceId: "dev-b",
+    license: added.body.license,
+  });
+  assert.equal(res.status, 403);
+  assert.equal((await api.post("/api/verify", learner)).status, 200);
+
+  res = await api.post("/api/devices/remove", {
+    deviceId: "dev-a",
+    license,
+    removeDeviceId: "dev-b",
+  });
+  assert.equal(res.status, 404);
+
+  res = await api.post("/api/devices", { deviceId: "dev-a", license });
+  assert.equal(res.body.devices.length, 1);
+});
+
+test("POST /api/request-reset + /api/request-reset/status", async () => {
+  const { license } = await api.learner("reset-user", "reset-old");
+
+  assert.equal((await api.post("/api/request-reset", {})).status, 400);
+
+  const verified = await api.post("/api/verify", {
+    deviceId: "reset-old",
+    license,
+  });
+
+  // Chỉ biết license (không có token của máy đang bind) → chờ admin
+  let res = await api.post("/api/request-reset", {
+    deviceId: "reset-stolen",
+    oldLicense: license,
+  });
+  assert.equal(res.body.status, "pending");
+  assert.equal(res.body.license, null);
+
+  // Token của máy khác / sai → vẫn chờ admin
+  res = await api.post(
+    "/api/request-reset",
+    { deviceId: "reset-stolen", oldLicense: license },
+    { headers: { authorization: "Bearer nope" } },
+  );
+  assert.equal(res.body.status, "pending");
+
+  // Máy đang bind xác nhận + còn lượt miễn phí → duyệt tự động
+  res = await api.post(
+    "/api/request-reset",
+    { deviceId: "reset-new", oldLicense: license },
+    { headers: { authorization: `Bearer ${verified.body.accessToken}` } },
+  );
+  assert.equal(res.status, 200);
+  assert.equal(res.body.status, "auto-approved");
+  assert.ok(res.body.license);
+  const newLicense = res.body.license;
+
+  let status = await api.post("/api/request-reset/status", {
+    requestId: res.body.requestId,
+    deviceId: "reset-new",
+  });
+  assert.equal(status.body.status, "auto-approved");
+  assert.equal(status.body.license, newLicense);
+
+  // Máy cũ không dùng được license cũ nữa
+  const old = await api.post("/api/verify", {
+    deviceId: "reset-old",
+    license,
+  });
+  assert.equal(old.status, 403);
+  assert.equal(old.body, "License transferred to another device");
+  const moved = await api.post("/api/verify", {
+    deviceId: "reset-new",
+    license: newLicense,
+  });
+  assert.equal(moved.status, 200);
+
+  // Hết lượt → chờ admin
+  res = await api.post("/api/request-reset", {
+    deviceId: "reset-third",
+    oldLicense: newLicense,
+    note: "new laptop",
+  });
+  assert.equal(res.body.status, "pending");
+  assert.equal(res.body.license, null);
+
+  status = await api.post("/api/request-reset/status", {
+    requestId: res.body.requestId,
+    deviceId: "reset-third",
+  });
+  assert.equal(status.body.status, "pending");
+  assert.equal(status.body.license, null);
+
+  status = await api.post("/api/request-reset/status", {
+    requestId: res.body.requestId,
+    deviceId: "someone-else",
+  });
+  assert.equal(status.status, 404);
+});
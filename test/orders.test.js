@@ -0,0 +1,480 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import {
+  parsePaymentProviders,
+  verifyPaymentSignature,
+  parsePaymentEvent,
+  signPaymentCallback,
+} from "../lib/payments.js";
+import { addDaysYmd } from "../lib/dates.js";
+import { startTestServer, ADMIN } from "./helpers.js";
+
+const BANK_SECRET = "bank-secret";
+
+let api;
+
+before(async () => {
+  api = await startTestServer({
+    PAYMENT_PROVIDERS: `bank:${BANK_SECRET}`,
+    PAYMENT_MOCK: "true",
+  });
+
+  for (const plan of [
+    { code: "standard", name: "Standard", price: 199000, durationDays: 30 },
+    { code: "premium", name: "Premium", price: 499000, durationDays: 90 },
+    { code: "legacy", name: "Old", price: 1, durationDays: 1, active: false },
+  ]) {
+    const res = await api.post("/api/admin/plans", plan, { headers: ADMIN });
+    assert.equal(res.status, 200);
+  }
+});
+
+after(async () => {
+  await api.close();
+});
+
+async function createOrder(body) {
+  const res = await api.post("/api/orders", body);
+  assert.equal(res.status, 200);
+  return res.body;
+}
+
+function mockPay(orderId, extra = {}) {
+  return api.post("/api/payments/mock/checkout", { orderId, ...extra });
+}
+
+/**
+ * Callback của provider "bank" (ký như cổng thật)
+ */
+function bankCallback(event, { secret = BANK_SECRET, timestamp } = {}) {
+  const { body, signature } = signPaymentCallback(secret, event, timestamp);
+  return api.request("POST", "/api/payments/bank/callback", {
+    body,
+    headers: {
+      "content-type": "application/json",
+      "x-n1-signature": signature,
+    },
+  });
+}
+
+// =========================================================
+// HELPERS
+// =========================================================
+
+test("providers, chữ ký, event", () => {
+  const providers = parsePaymentProviders("bank:s1, momo:s:2");
+  assert.deepEqual(
+    [...providers],
+    [
+      ["bank", "s1"],
+      ["momo", "s:2"],
+    ],
+  );
+  assert.throws(() => parsePaymentProviders("bank"), /Invalid payment/);
+  assert.throws(() => parsePaymentProviders("Bank:x"), /Invalid payment/);
+  assert.throws(() => parsePaymentProviders("manual:x"), /reserved/);
+
+  const now = Date.now();
+  const { body, signature } = signPaymentCallback(
+    "s1",
+    { id: "e1" },
+    Math.floor(now / 1000),
+  );
+  assert.equal(verifyPaymentSignature("s1", signature, body, { now }), null);
+  assert.equal(
+    verifyPaymentSignature("s2", signature, body, { now }),
+    "Invalid signature",
+  );
+  assert.equal(
+    verifyPaymentSignature("s1", signature, `${body} `, { now }),
+    "Invalid signature",
+  );
+  assert.match(
+    verifyPaymentSignature("s1", signature, body, { now: now + 600_000 }),
+    /tolerance/,
+  );
+  assert.match(verifyPaymentSignature("s1", "", body), /Missing/);
+
+  assert.match(parsePaymentEvent("nope").error, /JSON/);
+  assert.match(
+    parsePaymentEvent(JSON.stringify({ id: "e", type: "x", orderId: "o" }))
+      .error,
+    /type/,
+  );
+  assert.match(
+    parsePaymentEvent(
+      JSON.stringify({ id: "e", type: "payment.succeeded", orderId: "o" }),
+    ).error,
+    /amount/,
+  );
+  assert.ok(
+    parsePaymentEvent(
+      JSON.stringify({ id: "e", type: "payment.refunded", orderId: "o" }),
+    ).event,
+  );
+});
+
+// =========================================================
+// PLANS & ORDERS
+// =========================================================
+
+test("plans: validate, chỉ bán gói active", async () => {
+  let res = await api.post(
+    "/api/admin/plans",
+    { code: "Bad Code", name: "x", price: 1, durationDays: 1 },
+    { headers: ADMIN },
+  );
+  assert.equal(res.status, 400);
+  res = await api.post(
+    "/api/admin/plans",
+    { code: "x", name: "x", price: -1, durationDays: 1 },
+    { headers: ADMIN },
+  );
+  assert.equal(res.status, 400);
+
+  res = await api.get("/api/plans");
+  assert.deepEqual(
+    res.body.plans.map((p) => [p.code, p.price, p.currency, p.durationDays]),
+    [
+      ["standard", 199000, "VND", 30],
+      ["premium", 499000, "VND", 90],
+    ],
+  );
+  res = await api.get("/api/admin/plans", { headers: ADMIN });
+  assert.equal(res.body.plans.length, 3);
+
+  res = await api.post("/api/orders", { plan: "legacy", userName: "L" });
+  assert.equal(res.status, 404);
+  res = await api.post("/api/orders", { plan: "standard" });
+  assert.equal(res.status, 400);
+  res = await api.post("/api/orders", {
+    plan: "standard",
+    userName: "L",
+    email: "not-an-email",
+  });
+  assert.equal(res.status, 400);
+  res = await api.post("/api/orders", {
+    plan: "standard",
+    userName: "L",
+    userId: "order-nobody",
+  });
+  assert.equal(res.status, 404);
+});
+
+test("learner mới: thanh toán → activation code, callback trùng không cấp lại", async () => {
+  const order = await createOrder({
+    plan: "standard",
+    userName: "Người Mua",
+    email: "Buyer@Example.com",
+  });
+  assert.match(order.orderId, /^ord_[0-9a-f]{24}$/);
+  assert.equal(order.status, "pending");
+  assert.equal(order.amount, 199000);
+  assert.equal(order.activationCode, null);
+
+  // Sai số tiền → ghi lại nhưng không áp dụng
+  let res = await mockPay(order.orderId, { amount: 1000 });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.applied, false);
+  assert.equal(res.body.reason, "Amount mismatch");
+  assert.equal(res.body.status, "pending");
+
+  res = await mockPay(order.orderId, { eventId: "mock-evt-1" });
+  assert.equal(res.body.applied, true);
+  assert.equal(res.body.status, "paid");
+
+  res = await mockPay(order.orderId, { eventId: "mock-evt-1" });
+  assert.equal(res.body.duplicate, true);
+  assert.equal(res.body.applied, true);
+  res = await mockPay(order.orderId);
+  assert.equal(res.body.applied, false);
+  assert.equal(res.body.reason, "Order already paid");
+
+  const paid = (await api.get(`/api/orders/${order.orderId}`)).body;
+  assert.equal(paid.status, "paid");
+  assert.match(paid.activationCode, /^[0-9A-Z]{4}-[0-9A-Z]{4}-[0-9A-Z]{4}$/);
+
+  res = await api.get(`/api/admin/activation-codes?userId=${order.userId}`, {
+    headers: ADMIN,
+  });
+  assert.equal(res.body.codes.length, 1);
+  assert.equal(res.body.codes[0].durationDays, 30);
+  assert.equal(res.body.codes[0].plan, "standard");
+
+  res = await api.post(
+    "/api/admin/user-info",
+    { userId: order.userId },
+    {
+      headers: ADMIN,
+    },
+  );
+  assert.equal(res.body.user.email, "buyer@example.com");
+
+  res = await api.post("/api/verify", {
+    deviceId: "order-new-d",
+    license: paid.activationCode,
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.expiry, addDaysYmd(30));
+
+  // Đơn sau với cùng email (không có userId) → cùng learner
+  const renewal = await createOrder({
+    plan: "premium",
+    userName: "Người Mua",
+    email: "buyer@example.com",
+  });
+  assert.equal(renewal.userId, order.userId);
+
+  res = await api.get(`/api/admin/orders/${order.orderId}`, {
+    headers: ADMIN,
+  });
+  assert.deepEqual(
+    res.body.paymentEvents.map((e) => [e.result.applied, e.result.reason]),
+    [
+      [false, "Amount mismatch"],
+      [true, undefined],
+      [false, "Order already paid"],
+    ],
+  );
+  assert.equal(res.body.order.provider, "mock");
+});
+
+test("learner có license: callback của provider → renew + đổi plan", async () => {
+  const { license } = await api.learner("order-renew", "order-renew-d", {
+    expiry: addDaysYmd(10),
+  });
+  const order = await createOrder({
+    plan: "premium",
+    userName: "R",
+    userId: "order-renew",
+  });
+
+  const event = {
+    id: "bank-evt-1",
+    type: "payment.succeeded",
+    orderId: order.orderId,
+    amount: 499000,
+    currency: "VND",
+    providerRef: "FT123",
+  };
+  let res = await bankCallback(event, { secret: "wrong" });
+  assert.equal(res.status, 401);
+  res = await bankCallback(event, {
+    timestamp: Math.floor(Date.now() / 1000) - 3600,
+  });
+  assert.equal(res.status, 401);
+  res = await api.request("POST", "/api/payments/nope/callback", {
+    body: "{}",
+    headers: { "x-n1-signature": "t=1,v1=00" },
+  });
+  assert.equal(res.status, 404);
+
+  res = await bankCallback(event);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.applied, true);
+
+  const paid = (await api.get(`/api/orders/${order.orderId}`)).body;
+  assert.equal(paid.activationCode, null);
+  assert.deepEqual(paid.renewed, [
+    { deviceId: "order-renew-d", expiry: addDaysYmd(100) },
+  ]);
+
+  res = await api.post("/api/verify", { deviceId: "order-renew-d", license });
+  assert.equal(res.status, 200);
+  assert.ok(res.body.replacementLicense);
+  res = await api.post("/api/verify", {
+    deviceId: "order-renew-d",
+    license: res.body.replacementLicense,
+  });
+  assert.equal(res.body.plan, "premium");
+  assert.equal(res.body.expiry, addDaysYmd(100));
+
+  res = await api.get(`/api/admin/orders/${order.orderId}`, {
+    headers: ADMIN,
+  });
+  assert.equal(res.body.order.providerRef, "FT123");
+  assert.equal(res.body.order.fulfillment.action, "renew");
+
+  res = await api.get("/api/admin/audit?action=order.paid&userId=order-renew", {
+    headers: ADMIN,
+  });
+  assert.equal(res.body.events[0].actor, "admin:payment:bank");
+});
+
+test("user có sẵn chưa gắn máy: không đặt được, code không lộ qua đơn", async () => {
+  // User chỉ có activation code chưa kích hoạt
+  let res = await api.post(
+    "/api/admin/activation-codes",
+    { userId: "order-victim", userName: "V", durationDays: 30 },
+    { headers: ADMIN },
+  );
+  assert.equal(res.status, 200);
+  res = await api.post("/api/orders", {
+    plan: "standard",
+    userName: "Attacker",
+    userId: "order-victim",
+  });
+  assert.equal(res.status, 409);
+
+  // Learner mới qua email, chưa kích hoạt code → đơn khác cùng email bị chặn
+  const first = await createOrder({
+    plan: "standard",
+    userName: "V2",
+    email: "victim@example.com",
+  });
+  await mockPay(first.orderId);
+  res = await api.get(`/api/orders/${first.orderId}`);
+  assert.ok(res.body.activationCode);
+  res = await api.post("/api/orders", {
+    plan: "standard",
+    userName: "Attacker",
+    email: "victim@example.com",
+  });
+  assert.equal(res.status, 409);
+
+  // License bị revoke giữa lúc đặt và lúc trả tiền → code chỉ admin thấy
+  const { license } = await api.learner("order-race", "order-race-d");
+  const order = await createOrder({
+    plan: "standard",
+    userName: "Attacker",
+    userId: "order-race",
+  });
+  await api.post("/api/admin/revoke-license", { license }, { headers: ADMIN });
+  res = await mockPay(order.orderId);
+  assert.equal(res.body.applied, true);
+
+  res = await api.get(`/api/orders/${order.orderId}`);
+  assert.equal(res.body.status, "paid");
+  assert.equal(res.body.activationCode, null);
+  res = await api.get(`/api/admin/orders/${order.orderId}`, {
+    headers: ADMIN,
+  });
+  assert.equal(res.body.order.fulfillment.action, "activation-code");
+  assert.equal(res.body.order.fulfillment.newUser, false);
+  assert.ok(res.body.order.fulfillment.activationCode);
+});
+
+test("refund: admin hoặc provider → revoke license đã cấp", async () => {
+  // Activation code đã kích hoạt trên một máy
+  const order = await createOrder({ plan: "standard", userName: "Refund" });
+  await mockPay(order.orderId);
+  const { activationCode } = (await api.get(`/api/orders/${order.orderId}`))
+    .body;
+  const activated = await api.post("/api/verify", {
+    deviceId: "order-refund-d",
+    license: activationCode,
+  });
+  assert.equal(activated.status, 200);
+
+  let res = await api.post(
+    `/api/admin/orders/${order.orderId}/refund`,
+    { reason: "Customer request" },
+    { headers: ADMIN },
+  );
+  assert.equal(res.status, 200);
+  assert.equal(res.body.order.status, "refunded");
+  assert.equal(res.body.order.refundReason, "Customer request");
+  assert.deepEqual(res.body.revokedLicenses, [activated.body.license]);
+
+  res = await api.post("/api/verify", {
+    deviceId: "order-refund-d",
+    license: activated.body.license,
+  });
+  assert.equal(res.status, 403);
+  res = await api.post("/api/verify", {
+    deviceId: "order-refund-d2",
+    license: activationCode,
+  });
+  assert.equal(res.status, 403);
+
+  res = await api.post(
+    `/api/admin/orders/${order.orderId}/refund`,
+    {},
+    { headers: ADMIN },
+  );
+  assert.equal(res.status, 409);
+
+  // Refund qua callback: revoke license hiện hành (đã gia hạn)
+  const { license } = await api.learner("order-refund2", "order-refund2-d");
+  const renewal = await createOrder({
+    plan: "standard",
+    userName: "R2",
+    userId: "order-refund2",
+  });
+  await mockPay(renewal.orderId);
+  res = await mockPay(renewal.orderId, {
+    type: "payment.refunded",
+    reason: "Chargeback",
+  });
+  assert.equal(res.body.applied, true);
+  assert.equal(res.body.status, "refunded");
+
+  res = await api.post("/api/verify", { deviceId: "order-refund2-d", license });
+  assert.equal(res.status, 403);
+  assert.equal(res.body, "License revoked");
+});
+
+test("admin: mark-paid, cancel, list + phân trang", async () => {
+  const orders = [];
+  for (const name of ["p1", "p2", "p3"]) {
+    orders.push(
+      await createOrder({
+        plan: "standard",
+        userName: name,
+        userId: undefined,
+      }),
+    );
+  }
+  const [first, second, third] = orders;
+
+  let res = await api.post(
+    `/api/admin/orders/${first.orderId}/mark-paid`,
+    { providerRef: "VCB-0001" },
+    { headers: ADMIN },
+  );
+  assert.equal(res.status, 200);
+  assert.equal(res.body.order.status, "paid");
+  assert.equal(res.body.order.provider, "manual");
+  assert.ok(res.body.order.fulfillment.activationCode);
+
+  res = await api.post(
+    `/api/admin/orders/${first.orderId}/mark-paid`,
+    {},
+    { headers: ADMIN },
+  );
+  assert.equal(res.status, 409);
+
+  res = await api.post(
+    `/api/admin/orders/${second.orderId}/cancel`,
+    {},
+    { headers: ADMIN },
+  );
+  assert.equal(res.body.order.status, "cancelled");
+  res = await mockPay(second.orderId);
+  assert.equal(res.body.reason, "Order already cancelled");
+
+  res = await api.post(
+    "/api/admin/orders/ord_000000000000000000000000/cancel",
+    {},
+    { headers: ADMIN },
+  );
+  assert.equal(res.status, 404);
+
+  res = await api.get("/api/admin/orders?limit=2", { headers: ADMIN });
+  assert.deepEqual(
+    res.body.orders.map((o) => o.orderId),
+    [third.orderId, second.orderId],
+  );
+  res = await api.get(
+    `/api/admin/orders?limit=2&cursor=${res.body.nextCursor}`,
+    { headers: ADMIN },
+  );
+  assert.equal(res.body.orders[0].orderId, first.orderId);
+
+  res = await api.get("/api/admin/orders?status=cancelled", {
+    headers: ADMIN,
+  });
+  assert.ok(res.body.orders.every((o) => o.status === "cancelled"));
+  res = await api.get("/api/admin/orders?status=nope", { headers: ADMIN });
+  assert.equal(res.status, 400);
+});
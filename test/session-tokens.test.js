@@ -0,0 +1,282 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import {
+  signAccessToken,
+  verifyAccessToken,
+  generateRefreshToken,
+  parseRefreshToken,
+} from "../lib/session-tokens.js";
+import { startTestServer, ADMIN } from "./helpers.js";
+
+let api;
+
+before(async () => {
+  api = await startTestServer();
+});
+
+after(async () => {
+  await api.close();
+});
+
+/**
+ * Issue + verify. Returns { deviceId, license, ...tokens từ /api/verify }
+ */
+async function session(userId, deviceId = `${userId}-device`) {
+  const license = await api.issueLicense({ userId, deviceId });
+  const res = await api.post("/api/verify", { deviceId, license });
+  assert.equal(res.status, 200);
+  return { deviceId, license, ...res.body };
+}
+
+const bearer = (accessToken) => ({ authorization: `Bearer ${accessToken}` });
+
+// =========================================================
+// TOKENS
+// =========================================================
+
+test("access token: chữ ký, hạn", () => {
+  const secret = "test-secret";
+  const claims = {
+    sessionId: "s1",
+    userId: "u1",
+    deviceId: "d1",
+    plan: "pro",
+    ttlSeconds: 60,
+  };
+  const { token, expiresAt } = signAccessToken(claims, secret);
+  assert.match(token, /^n1s\./);
+  assert.ok(expiresAt > new Date());
+
+  const verified = verifyAccessToken(token, secret);
+  assert.equal(verified.valid, true);
+  assert.equal(verified.userId, "u1");
+  assert.equal(verified.deviceId, "d1");
+
+  assert.equal(verifyAccessToken(token, "other-secret").valid, false);
+  assert.equal(verifyAccessToken(`${token}x`, secret).valid, false);
+  assert.equal(verifyAccessToken("nope", secret).valid, false);
+
+  const expired = signAccessToken({ ...claims, ttlSeconds: -1 }, secret);
+  assert.equal(
+    verifyAccessToken(expired.token, secret).reason,
+    "Access token expired",
+  );
+});
+
+test("refresh token: format + hash", () => {
+  const refresh = generateRefreshToken();
+  const parsed = parseRefreshToken(refresh.token);
+  assert.equal(parsed.sessionId, refresh.sessionId);
+  assert.equal(parsed.hash, refresh.hash);
+  assert.equal(parseRefreshToken("n1r_nope"), null);
+  assert.equal(parseRefreshToken(undefined), null);
+});
+
+// =========================================================
+// API
+// =========================================================
+
+test("verify cấp token, route learner nhận Authorization: Bearer", async () => {
+  const s = await session("token-user");
+  assert.match(s.accessToken, /^n1s\./);
+  assert.match(s.refreshToken, /^n1r_/);
+  assert.ok(s.accessTokenExpiresAt < s.refreshTokenExpiresAt);
+  const headers = bearer(s.accessToken);
+
+  let res = await api.post(
+    "/api/progress/mark-perfect",
+    { moduleId: "m1" },
+    { headers },
+  );
+  assert.equal(res.status, 200);
+  assert.equal(res.body.perfectCount, 1);
+
+  res = await api.post("/api/progress/get", {}, { headers });
+  assert.deepEqual(res.body.data, { m1: { perfectCount: 1 } });
+
+  res = await api.post(
+    "/api/bookmarks",
+    { id: "token-b1", questionKey: "qk", questionText: "Q" },
+    { headers },
+  );
+  assert.equal(res.status, 200);
+  res = await api.get("/api/bookmarks", { headers });
+  assert.equal(res.body.total, 1);
+
+  res = await api.get("/api/stats/me", { headers });
+  assert.equal(res.status, 200);
+
+  res = await api.post(
+    "/api/attempts",
+    { testId: "t1", answers: [{ questionKey: "q1", correct: true }] },
+    { headers },
+  );
+  assert.equal(res.status, 200);
+
+  // Token gắn với máy
+  res = await api.post(
+    "/api/progress/get",
+    { deviceId: "other-device" },
+    { headers },
+  );
+  assert.equal(res.status, 401);
+
+  res = await api.get("/api/bookmarks", { headers: bearer("n1s.bad.token") });
+  assert.equal(res.status, 401);
+  assert.equal(res.body.ok, false);
+
+  const expired = signAccessToken(
+    {
+      sessionId: "x",
+      userId: "token-user",
+      deviceId: s.deviceId,
+      ttlSeconds: -1,
+    },
+    api.config.sessionTokenSecret,
+  );
+  res = await api.post(
+    "/api/progress/get",
+    {},
+    { headers: bearer(expired.token) },
+  );
+  assert.equal(res.status, 401);
+  assert.equal(res.body, "Access token expired");
+});
+
+test("refresh: rotate, refresh token dùng lại → revoke session", async () => {
+  const s = await session("refresh-user");
+
+  let res = await api.post("/api/token/refresh", {
+    refreshToken: s.refreshToken,
+    deviceId: "other-device",
+  });
+  assert.equal(res.status, 401);
+
+  res = await api.post("/api/token/refresh", {
+    refreshToken: s.refreshToken,
+    deviceId: s.deviceId,
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.userId, "refresh-user");
+  assert.notEqual(res.body.refreshToken, s.refreshToken);
+  const rotated = res.body;
+
+  res = await api.post(
+    "/api/progress/get",
+    {},
+    { headers: bearer(rotated.accessToken) },
+  );
+  assert.equal(res.status, 200);
+
+  // Refresh token cũ bị dùng lại → cả session bị revoke
+  res = await api.post("/api/token/refresh", {
+    refreshToken: s.refreshToken,
+    deviceId: s.deviceId,
+  });
+  assert.equal(res.status, 401);
+  assert.equal(res.body, "Refresh token reused");
+
+  res = await api.post("/api/token/refresh", {
+    refreshToken: rotated.refreshToken,
+    deviceId: s.deviceId,
+  });
+  assert.equal(res.status, 401);
+  res = await api.post(
+    "/api/progress/get",
+    {},
+    { headers: bearer(rotated.accessToken) },
+  );
+  assert.equal(res.status, 401);
+  assert.equal(res.body, "Session revoked");
+
+  // License vẫn dùng được để mở session mới
+  res = await api.post("/api/verify", {
+    deviceId: s.deviceId,
+    license: s.license,
+  });
+  assert.equal(res.status, 200);
+});
+
+test("refresh theo license hiện hành (gia hạn)", async () => {
+  const s = await session("refresh-extend");
+
+  await api.post(
+    "/api/admin/extend",
+    { license: s.license, days: 10 },
+    { headers: ADMIN },
+  );
+  const res = await api.post("/api/token/refresh", {
+    refreshToken: s.refreshToken,
+    deviceId: s.deviceId,
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.expiry, "21000110");
+});
+
+test("revoke user / device / license → session hết hiệu lực", async () => {
+  const user = await session("revoke-session-user");
+  await api.post(
+    "/api/admin/revoke-user",
+    { userId: "revoke-session-user" },
+    { headers: ADMIN },
+  );
+
+  let res = await api.get("/api/bookmarks", {
+    headers: bearer(user.accessToken),
+  });
+  assert.equal(res.status, 401);
+  res = await api.post("/api/token/refresh", {
+    refreshToken: user.refreshToken,
+    deviceId: user.deviceId,
+  });
+  assert.equal(res.status, 401);
+  assert.equal(res.body, "Session revoked");
+
+  const device = await session("revoke-session-device");
+  await api.post(
+    "/api/admin/revoke-device",
+    { deviceId: device.deviceId },
+    { headers: ADMIN },
+  );
+  res = await api.post("/api/token/refresh", {
+    refreshToken: device.refreshToken,
+    deviceId: device.deviceId,
+  });
+  assert.equal(res.status, 401);
+
+  const license = await session("revoke-session-license");
+  await api.post(
+    "/api/admin/revoke-license",
+    { license: license.license },
+    { headers: ADMIN },
+  );
+  res = await api.post(
+    "/api/progress/get",
+    {},
+    { headers: bearer(license.accessToken) },
+  );
+  assert.equal(res.status, 401);
+});
+
+test("POST /api/token/revoke: đăng xuất", async () => {
+  const s = await session("logout-user");
+
+  let res = await api.post("/api/token/revoke", { refreshToken: "nope" });
+  assert.equal(res.status, 400);
+
+  res = await api.post("/api/token/revoke", { refreshToken: s.refreshToken });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.revoked, true);
+
+  res = await api.post(
+    "/api/progress/get",
+    {},
+    { headers: bearer(s.accessToken) },
+  );
+  assert.equal(res.status, 401);
+  res = await api.post("/api/token/refresh", {
+    refreshToken: s.refreshToken,
+    deviceId: s.deviceId,
+  });
+  assert.equal(res.status, 401);
+});
@@ -0,0 +1,461 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { translateSql } from "../lib/store/sqlite.js";
+import { createMemoryStore } from "../lib/store/memory.js";
+import { createWebhookDispatcher } from "../lib/webhooks.js";
+import { createNotificationScheduler } from "../lib/notifications.js";
+import { startTestServer, ADMIN, learnerHeaders } from "./helpers.js";
+
+let api;
+
+before(async () => {
+  api = await startTestServer({ PAYMENT_MOCK: "true" }, { storage: "sqlite" });
+});
+
+after(async () => {
+  await api.close();
+});
+
+// =========================================================
+// SQL TRANSLATION
+// =========================================================
+
+test("translateSql: tham số, cast, ILIKE, ANY, BEGIN", () => {
+  let { sql, order } = translateSql(
+    "SELECT * FROM t WHERE a = $2 AND b::text ILIKE $3 AND c = $2 FOR UPDATE",
+  );
+  assert.equal(
+    sql,
+    "SELECT * FROM t WHERE a = ?1 AND b LIKE ?2 ESCAPE '\\' AND c = ?1",
+  );
+  assert.deepEqual(order, [1, 2]);
+
+  ({ sql } = translateSql("SELECT x::float / y FROM t WHERE id = ANY($1)"));
+  assert.equal(
+    sql,
+    "SELECT x * 1.0 / y FROM t WHERE id IN (SELECT value FROM json_each(?1))",
+  );
+
+  assert.equal(translateSql("BEGIN").sql, "BEGIN IMMEDIATE");
+});
+
+// =========================================================
+// STORE
+// =========================================================
+
+test("store một session: store.query khi đang giữ client không treo", async () => {
+  const memory = await createMemoryStore();
+  for (const store of [api.store, memory]) {
+    await store.query("CREATE TABLE lock_probe (n INTEGER)");
+    const client = await store.connect();
+    try {
+      await client.query("BEGIN");
+      await client.query("INSERT INTO lock_probe (n) VALUES (1)");
+      // Cùng luồng với client → chạy trong transaction của client
+      const inside = await store.query(
+        "SELECT COUNT(*)::int AS n FROM lock_probe",
+      );
+      assert.equal(inside.rows[0].n, 1);
+      await assert.rejects(store.connect(), /already holds the session/);
+      await client.query("ROLLBACK");
+    } finally {
+      client.release();
+    }
+
+    const res = await store.query("SELECT COUNT(*)::int AS n FROM lock_probe");
+    assert.equal(res.rows[0].n, 0);
+    const next = await store.connect();
+    next.release();
+  }
+  await memory.end();
+});
+
+// =========================================================
+// ROUTES
+// =========================================================
+
+test("ping báo storage sqlite, route chưa hỗ trợ trả 501", async () => {
+  let res = await api.get("/api/ping");
+  assert.equal(res.status, 200);
+  assert.equal(res.body.database, "sqlite");
+
+  res = await api.post("/api/sync", {});
+  assert.equal(res.status, 501);
+  res = await api.get("/api/admin/stats", { headers: ADMIN });
+  assert.equal(res.status, 501);
+});
+
+test("verify: bind, seat limit, revoke / unrevoke", async () => {
+  const learner = await api.learner("sq-verify", "sq-a", {
+    examDate: "20991201",
+  });
+
+  let res = await api.post("/api/verify", learner);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.firstBind, false);
+  assert.equal(res.body.examDate, "20991201");
+
+  res = await api.post("/api/verify", {
+    deviceId: "sq-b",
+    license: learner.license,
+  });
+  assert.equal(res.status, 400);
+  res = await api.addDevice(learner, "sq-b");
+  assert.equal(res.status, 403);
+
+  await api.post(
+    "/api/admin/seat-limit",
+    { userId: "sq-verify", maxDevices: 2 },
+    { headers: ADMIN },
+  );
+  res = await api.addDevice(learner, "sq-b");
+  assert.equal(res.status, 200);
+  assert.equal(res.body.firstBind, true);
+
+  res = await api.post("/api/devices", learner);
+  assert.deepEqual(res.body.devices.map((d) => d.deviceId).sort(), [
+    "sq-a",
+    "sq-b",
+  ]);
+
+  await api.post(
+    "/api/admin/revoke-user",
+    { userId: "sq-verify" },
+    { headers: ADMIN },
+  );
+  res = await api.post("/api/verify", learner);
+  assert.equal(res.status, 403);
+
+  await api.post(
+    "/api/admin/unrevoke-user",
+    { userId: "sq-verify" },
+    { headers: ADMIN },
+  );
+  res = await api.post("/api/verify", learner);
+  assert.equal(res.status, 200);
+
+  res = await api.post(
+    "/api/admin/user-info",
+    { userId: "sq-verify" },
+    { headers: ADMIN },
+  );
+  assert.equal(res.status, 200);
+  assert.equal(res.body.revoked, false);
+});
+
+test("progress: mark-perfect (eventId) / get / reset", async () => {
+  const learner = await api.learner("sq-progress");
+
+  let res = await api.post("/api/progress/mark-perfect", {
+    ...learner,
+    moduleId: "m1",
+  });
+  assert.equal(res.body.perfectCount, 1);
+
+  res = await api.post("/api/progress/mark-perfect", {
+    ...learner,
+    moduleId: "m1",
+    eventId: "e1",
+  });
+  assert.equal(res.body.perfectCount, 2);
+  res = await api.post("/api/progress/mark-perfect", {
+    ...learner,
+    moduleId: "m1",
+    eventId: "e1",
+  });
+  assert.equal(res.body.perfectCount, 2);
+  assert.equal(res.body.duplicate, true);
+
+  res = await api.post("/api/progress/get", learner);
+  assert.deepEqual(res.body.data, { m1: { perfectCount: 2 } });
+  assert.ok(res.body.updatedAt);
+
+  await api.post(
+    "/api/admin/reset-progress",
+    { userId: "sq-progress" },
+    { headers: ADMIN },
+  );
+  res = await api.post("/api/progress/get", learner);
+  assert.deepEqual(res.body.data, {});
+});
+
+test("bookmarks: create / search / tags / phân trang / delete", async () => {
+  const headers = learnerHeaders(await api.learner("sq-bookmarks"));
+
+  let res = await api.post(
+    "/api/bookmarks",
+    {
+      id: "sq-b1",
+      questionKey: "qk-1",
+      questionText: "Hello World",
+      options: ["a", "b"],
+      tags: ["Kanji", "N1"],
+    },
+    { headers },
+  );
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.bookmark.options, ["a", "b"]);
+  assert.deepEqual(res.body.bookmark.tags, ["kanji", "n1"]);
+
+  await api.post(
+    "/api/bookmarks",
+    { id: "sq-b2", questionKey: "qk-2", questionText: "Other", note: "100%" },
+    { headers },
+  );
+
+  res = await api.get("/api/bookmarks?q=world&tag=KANJI", { headers });
+  assert.deepEqual(
+    res.body.bookmarks.map((b) => b.id),
+    ["sq-b1"],
+  );
+  // % là ký tự thường, không phải wildcard
+  res = await api.get(`/api/bookmarks?q=${encodeURIComponent("0%")}`, {
+    headers,
+  });
+  assert.deepEqual(
+    res.body.bookmarks.map((b) => b.id),
+    ["sq-b2"],
+  );
+
+  res = await api.get("/api/bookmarks?limit=1", { headers });
+  assert.deepEqual(
+    res.body.bookmarks.map((b) => b.id),
+    ["sq-b2"],
+  );
+  res = await api.get(`/api/bookmarks?limit=1&cursor=${res.body.nextCursor}`, {
+    headers,
+  });
+  assert.deepEqual(
+    res.body.bookmarks.map((b) => b.id),
+    ["sq-b1"],
+  );
+  assert.equal(res.body.nextCursor, null);
+
+  res = await api.get("/api/bookmarks/tags", { headers });
+  assert.deepEqual(res.body.tags, [
+    { tag: "kanji", count: 1 },
+    { tag: "n1", count: 1 },
+  ]);
+
+  res = await api.patch(
+    "/api/bookmarks/sq-b1",
+    { note: "xem lại" },
+    { headers },
+  );
+  assert.equal(res.body.bookmark.note, "xem lại");
+
+  res = await api.delete("/api/bookmarks/sq-b1", { headers });
+  assert.equal(res.status, 200);
+  res = await api.delete("/api/bookmarks/sq-b1", { headers });
+  assert.equal(res.status, 404);
+});
+
+test("session tokens: Bearer + refresh", async () => {
+  const { deviceId, license } = await api.learner("sq-token");
+  let res = await api.post("/api/verify", { deviceId, license });
+  const { accessToken, refreshToken } = res.body;
+
+  res = await api.post(
+    "/api/progress/mark-perfect",
+    { moduleId: "m1" },
+    { headers: { authorization: `Bearer ${accessToken}` } },
+  );
+  assert.equal(res.body.perfectCount, 1);
+
+  res = await api.post("/api/token/refresh", { refreshToken, deviceId });
+  assert.equal(res.status, 200);
+  res = await api.post("/api/token/refresh", { refreshToken, deviceId });
+  assert.equal(res.body, "Refresh token reused");
+});
+
+test("webhooks: outbox + dispatcher + replay", async () => {
+  let res = await api.post(
+    "/api/admin/webhooks",
+    { url: "https://example.com/sq", events: ["license.*"] },
+    { headers: ADMIN },
+  );
+  const { webhook } = res.body;
+
+  await api.issueLicense({ userId: "sq-hook", deviceId: "sq-hook-d" });
+  const received = [];
+  const dispatcher = createWebhookDispatcher({
+    store: api.store,
+    maxAttempts: 1,
+    fetch: async (url, init) => {
+      received.push(JSON.parse(init.body));
+      return new Response("", { status: 503 });
+    },
+    log: { error: () => {} },
+  });
+  assert.equal(await dispatcher.runOnce(), 1);
+  assert.equal(received[0].type, "license.generate");
+  assert.equal(received[0].data.userId, "sq-hook");
+
+  res = await api.get("/api/admin/webhooks", { headers: ADMIN });
+  assert.deepEqual(res.body.webhooks[0].deliveries, {
+    pending: 0,
+    delivered: 0,
+    failed: 1,
+  });
+
+  res = await api.post(
+    `/api/admin/webhooks/${webhook.id}/update`,
+    { disabled: true },
+    { headers: ADMIN },
+  );
+  assert.ok(res.body.webhook.disabledAt);
+
+  res = await api.post(
+    "/api/admin/webhooks/replay",
+    { webhookId: webhook.id },
+    { headers: ADMIN },
+  );
+  assert.equal(res.body.replayed, 1);
+  // Webhook đang tắt → chưa gửi
+  assert.equal(await dispatcher.runOnce(), 0);
+});
+
+test("notifications: settings + nhắc hạn / ngày thi", async () => {
+  const learner = await api.learner("sq-notify", "sq-notify-d", {
+    expiry: "20800110",
+    examDate: "20800120",
+  });
+  let res = await api.post("/api/notifications/settings", {
+    ...learner,
+    email: "sq@example.com",
+    locale: "en",
+  });
+  assert.equal(res.body.email, "sq@example.com");
+  assert.equal(res.body.enabled, true);
+
+  const sent = [];
+  const notifier = createNotificationScheduler({
+    store: api.store,
+    transport: {
+      name: "capture",
+      requiresEmail: true,
+      send: async (n) => sent.push(n),
+    },
+    expiryDays: [7, 30],
+    examDays: [30],
+  });
+  assert.deepEqual(await notifier.runOnce("20800105"), {
+    queued: 2,
+    sent: 2,
+    failed: 0,
+  });
+  assert.deepEqual(sent.map((n) => n.subject).sort(), [
+    "15 days until your N1 exam",
+    "Your N1 license expires in 5 days",
+  ]);
+  assert.equal((await notifier.runOnce("20800106")).queued, 0);
+
+  res = await api.get("/api/admin/notifications?userId=sq-notify", {
+    headers: ADMIN,
+  });
+  assert.equal(res.body.notifications.length, 2);
+  assert.equal(res.body.notifications[0].status, "sent");
+});
+
+test("orders: thanh toán → activation code / renew, refund", async () => {
+  let res = await api.post(
+    "/api/admin/plans",
+    { code: "sq-plan", name: "SQ", price: 150000, durationDays: 30 },
+    { headers: ADMIN },
+  );
+  assert.equal(res.body.plan.active, true);
+
+  res = await api.post("/api/orders", { plan: "sq-plan", userName: "SQ" });
+  const order = res.body;
+  res = await api.post("/api/payments/mock/checkout", {
+    orderId: order.orderId,
+    eventId: "sq-evt",
+  });
+  assert.equal(res.body.status, "paid");
+  res = await api.post("/api/payments/mock/checkout", {
+    orderId: order.orderId,
+    eventId: "sq-evt",
+  });
+  assert.equal(res.body.duplicate, true);
+
+  const { activationCode } = (await api.get(`/api/orders/${order.orderId}`))
+    .body;
+  res = await api.post("/api/verify", {
+    deviceId: "sq-order-d",
+    license: activationCode,
+  });
+  assert.equal(res.status, 200);
+  const { license } = res.body;
+
+  // Đơn thứ hai của cùng learner → renew license vừa kích hoạt
+  res = await api.post("/api/orders", {
+    plan: "sq-plan",
+    userName: "SQ",
+    userId: order.userId,
+  });
+  const renewal = res.body;
+  await api.post("/api/payments/mock/checkout", { orderId: renewal.orderId });
+  res = await api.get(`/api/orders/${renewal.orderId}`);
+  assert.equal(res.body.renewed.length, 1);
+
+  res = await api.post(
+    `/api/admin/orders/${renewal.orderId}/refund`,
+    {},
+    { headers: ADMIN },
+  );
+  assert.equal(res.body.order.status, "refunded");
+  assert.equal(res.body.revokedLicenses.length, 1);
+
+  res = await api.post("/api/verify", { deviceId: "sq-order-d", license });
+  assert.equal(res.status, 403);
+
+  res = await api.get("/api/admin/orders?status=refunded", { headers: ADMIN });
+  assert.deepEqual(
+    res.body.orders.map((o) => o.orderId),
+    [renewal.orderId],
+  );
+});
+
+test("entitlements: features của plan, chặn bookmark / mark-perfect", async () => {
+  let res = await api.post(
+    "/api/admin/plans",
+    {
+      code: "trial",
+      name: "Trial",
+      price: 0,
+      durationDays: 7,
+      features: { modules: ["basic-*"] },
+    },
+    { headers: ADMIN },
+  );
+  assert.equal(res.status, 200);
+  // Không gửi features → giữ như cũ
+  res = await api.post(
+    "/api/admin/plans",
+    { code: "trial", name: "Trial 7", price: 0, durationDays: 7 },
+    { headers: ADMIN },
+  );
+  assert.deepEqual(res.body.plan.features.modules, ["basic-*"]);
+
+  const license = await api.issueLicense({
+    userId: "sq-trial",
+    deviceId: "sq-trial-d",
+    plan: "trial",
+  });
+  res = await api.post("/api/verify", { deviceId: "sq-trial-d", license });
+  assert.deepEqual(res.body.entitlements, {
+    plan: "trial",
+    modules: ["basic-*"],
+    testSets: ["*"],
+    bookmarkSync: false,
+  });
+
+  const learner = { deviceId: "sq-trial-d", license };
+  res = await api.post("/api/progress/mark-perfect", {
+    ...learner,
+    moduleId: "adv-1",
+  });
+  assert.equal(res.status, 403);
+  res = await api.get("/api/bookmarks", { headers: learnerHeaders(learner) });
+  assert.equal(res.status, 403);
+});
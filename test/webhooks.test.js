@@ -0,0 +1,445 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import {
+  createWebhookDispatcher,
+  matchesEvent,
+  isValidEventPattern,
+  backoffSeconds,
+  redactLicenses,
+} from "../lib/webhooks.js";
+import { startTestServer, ADMIN } from "./helpers.js";
+
+let api;
+
+// Bên nhận giả: ghi lại request, trả status theo url
+const received = [];
+async function fakeFetch(url, init) {
+  received.push({ url, headers: init.headers, body: init.body });
+  if (url.includes("/down")) return new Response("boom", { status: 500 });
+  return new Response("ok", { status: 200 });
+}
+
+let dispatcher;
+
+before(async () => {
+  api = await startTestServer();
+  dispatcher = createWebhookDispatcher({
+    store: api.store,
+    maxAttempts: 3,
+    fetch: fakeFetch,
+    log: { error: () => {} },
+  });
+});
+
+after(async () => {
+  await api.close();
+});
+
+async function createWebhook(body) {
+  const res = await api.post("/api/admin/webhooks", body, { headers: ADMIN });
+  assert.equal(res.status, 200);
+  return res.body;
+}
+
+/**
+ * Đưa mọi delivery pending về tới hạn (bỏ qua backoff) rồi chạy dispatcher
+ */
+async function dispatchNow() {
+  await api.store.query(
+    "UPDATE webhook_deliveries SET next_attempt_at = NOW() WHERE status = 'pending'",
+  );
+  return dispatcher.runOnce();
+}
+
+async function deliveries(query = "") {
+  const res = await api.get(`/api/admin/webhooks/deliveries${query}`, {
+    headers: ADMIN,
+  });
+  assert.equal(res.status, 200);
+  return res.body;
+}
+
+// =========================================================
+// HELPERS
+// =========================================================
+
+test("event pattern + backoff", () => {
+  assert.equal(isValidEventPattern("license.revoke"), true);
+  assert.equal(isValidEventPattern("license.*"), true);
+  assert.equal(isValidEventPattern("*"), true);
+  assert.equal(isValidEventPattern("nope.*"), false);
+  assert.equal(isValidEventPattern("license.nope"), false);
+
+  assert.equal(matchesEvent(["license.*"], "license.bind"), true);
+  assert.equal(matchesEvent(["license.*"], "user.revoke"), false);
+  assert.equal(matchesEvent(["user.revoke"], "user.revoke"), true);
+
+  assert.equal(backoffSeconds(1), 30);
+  assert.equal(backoffSeconds(3), 120);
+  assert.equal(backoffSeconds(50), 6 * 3600);
+});
+
+test("redactLicenses: chỉ giữ 8 ký tự cuối của field license", () => {
+  const at = new Date("2030-01-02T03:04:05Z");
+  assert.deepEqual(
+    redactLicenses({
+      license: "20991231-0123456789abcdef",
+      userId: "u1",
+      before: { old_license: "v2.k1.payload.signature", at },
+      after: {
+        revokedLicenses: ["lic-aaaaaaaa11111111", "lic-bbbbbbbb22222222"],
+        licenses: 2,
+        previousLicense: null,
+        activationCodes: ["ABCD-EFGH-JKMN"],
+      },
+      code: "ABCDEFGHJKMN",
+      codes: ["ABCD-EFGH-JKMN"],
+      planCode: "trial",
+    }),
+    {
+      license: "...89abcdef",
+      userId: "u1",
+      before: { old_license: "...ignature", at: at.toISOString() },
+      after: {
+        revokedLicenses: ["...11111111", "...22222222"],
+        licenses: 2,
+        previousLicense: null,
+        activationCodes: ["...JKMN"],
+      },
+      code: "...JKMN",
+      codes: ["...JKMN"],
+      planCode: "trial",
+    },
+  );
+});
+
+// =========================================================
+// API
+// =========================================================
+
+test("create: validate url / events, secret chỉ trả một lần", async () => {
+  let res = await api.post(
+    "/api/admin/webhooks",
+    { url: "ftp://example.com", events: ["license.revoke"] },
+    { headers: ADMIN },
+  );
+  assert.equal(res.status, 400);
+  res = await api.post(
+    "/api/admin/webhooks",
+    { url: "https://example.com/hook", events: ["license.nope"] },
+    { headers: ADMIN },
+  );
+  assert.equal(res.status, 400);
+  res = await api.post(
+    "/api/admin/webhooks",
+    { url: "https://example.com/hook", events: [] },
+    { headers: ADMIN },
+  );
+  assert.equal(res.status, 400);
+
+  const created = await createWebhook({
+    url: "https://example.com/validate",
+    events: ["user.*"],
+    description: "validate",
+  });
+  assert.match(created.secret, /^whsec_/);
+
+  res = await api.get("/api/admin/webhooks", { headers: ADMIN });
+  const listed = res.body.webhooks.find((w) => w.id === created.webhook.id);
+  assert.deepEqual(listed.events, ["user.*"]);
+  assert.equal(listed.secret, undefined);
+  assert.ok(res.body.events.includes("license.revoke"));
+
+  res = await api.post(
+    `/api/admin/webhooks/${created.webhook.id}/delete`,
+    {},
+    { headers: ADMIN },
+  );
+  assert.equal(res.status, 200);
+  res = await api.post(
+    `/api/admin/webhooks/${created.webhook.id}/delete`,
+    {},
+    { headers: ADMIN },
+  );
+  assert.equal(res.status, 404);
+});
+
+test("event → delivery ký HMAC, chỉ gửi webhook đã đăng ký", async () => {
+  const { webhook, secret } = await createWebhook({
+    url: "https://example.com/licenses",
+    events: ["license.*"],
+  });
+  const other = await createWebhook({
+    url: "https://example.com/users-only",
+    events: ["user.revoke"],
+  });
+
+  const license = await api.issueLicense({
+    userId: "hook-user",
+    deviceId: "hook-d",
+  });
+  await api.post("/api/admin/revoke-license", { license }, { headers: ADMIN });
+
+  received.length = 0;
+  await dispatchNow();
+
+  const sent = received.filter((r) => r.url === webhook.url);
+  assert.deepEqual(
+    sent.map((r) => r.headers["x-n1-event"]),
+    ["license.generate", "license.revoke"],
+  );
+  assert.equal(received.filter((r) => r.url === other.webhook.url).length, 0);
+
+  // Chữ ký: t=<ts>,v1=HMAC(secret, "<ts>.<body>")
+  const revoked = sent[1];
+  const [, ts, signature] = /^t=(\d+),v1=([0-9a-f]{64})$/.exec(
+    revoked.headers["x-n1-signature"],
+  );
+  assert.equal(
+    signature,
+    crypto
+      .createHmac("sha256", secret)
+      .update(`${ts}.${revoked.body}`)
+      .digest("hex"),
+  );
+  const event = JSON.parse(revoked.body);
+  assert.equal(event.type, "license.revoke");
+  // License đầy đủ không rời server
+  assert.ok(!revoked.body.includes(license));
+  assert.deepEqual(event.data, {
+    actor: "admin:root",
+    userId: "hook-user",
+    deviceId: "hook-d",
+    license: `...${license.slice(-8)}`,
+    before: { status: "active", reason: null },
+    after: { status: "revoked", reason: "Revoked by admin" },
+  });
+
+  const log = await deliveries(`?webhookId=${webhook.id}`);
+  assert.deepEqual(
+    log.deliveries.map((d) => [d.eventType, d.status, d.attempts]),
+    [
+      ["license.revoke", "delivered", 1],
+      ["license.generate", "delivered", 1],
+    ],
+  );
+
+  // Đã gửi rồi thì không gửi lại
+  received.length = 0;
+  await dispatchNow();
+  assert.equal(received.filter((r) => r.url === webhook.url).length, 0);
+
+  for (const id of [webhook.id, other.webhook.id]) {
+    await api.post(`/api/admin/webhooks/${id}/delete`, {}, { headers: ADMIN });
+  }
+});
+
+test("license.activate: activation code không gửi nguyên cho webhook", async () => {
+  const { webhook } = await createWebhook({
+    url: "https://example.com/activations",
+    events: ["license.activate"],
+  });
+
+  // Code còn lượt kích hoạt → lộ ra là dùng được
+  const created = await api.post(
+    "/api/admin/activation-codes",
+    {
+      userId: "hook-code",
+      userName: "Code",
+      durationDays: 30,
+      maxActivations: 3,
+    },
+    { headers: ADMIN },
+  );
+  assert.equal(created.status, 200);
+  const [code] = created.body.codes;
+  const res = await api.post("/api/verify", {
+    deviceId: "hook-code-device",
+    license: code,
+  });
+  assert.equal(res.status, 200);
+
+  received.length = 0;
+  await dispatchNow();
+
+  const [sent] = received.filter((r) => r.url === webhook.url);
+  const compact = code.replace(/-/g, "");
+  assert.ok(!sent.body.includes(code));
+  assert.ok(!sent.body.includes(compact));
+  assert.ok(!sent.body.includes(code.slice(-9)));
+  const event = JSON.parse(sent.body);
+  assert.equal(event.data.before.code, `...${code.slice(-4)}`);
+  assert.equal(event.data.before.activationCount, 0);
+
+  await api.post(
+    `/api/admin/webhooks/${webhook.id}/delete`,
+    {},
+    {
+      headers: ADMIN,
+    },
+  );
+});
+
+test("retry với backoff, hết lượt → failed, replay", async () => {
+  const { webhook } = await createWebhook({
+    url: "https://example.com/down",
+    events: ["progress.reset"],
+  });
+
+  await api.post(
+    "/api/admin/reset-progress",
+    { userId: "hook-progress" },
+    { headers: ADMIN },
+  );
+
+  await dispatchNow();
+  let [delivery] = (await deliveries(`?webhookId=${webhook.id}`)).deliveries;
+  assert.equal(delivery.status, "pending");
+  assert.equal(delivery.attempts, 1);
+  assert.equal(delivery.lastStatus, 500);
+  assert.match(delivery.lastError, /HTTP 500: boom/);
+  const wait = new Date(delivery.nextAttemptAt) - Date.now();
+  assert.ok(wait > 20_000 && wait <= 30_000);
+
+  // Chưa tới hạn → không gửi
+  received.length = 0;
+  await dispatcher.runOnce();
+  assert.equal(received.length, 0);
+
+  await dispatchNow();
+  await dispatchNow();
+  [delivery] = (
+    await deliveries(`?webhookId=${webhook.id}&status=failed`)
+  ).deliveries;
+  assert.equal(delivery.attempts, 3);
+  assert.equal(delivery.nextAttemptAt, null);
+
+  received.length = 0;
+  await dispatchNow();
+  assert.equal(received.length, 0);
+
+  // Sửa url rồi replay mọi delivery failed
+  let res = await api.post(
+    `/api/admin/webhooks/${webhook.id}/update`,
+    { url: "https://example.com/fixed" },
+    { headers: ADMIN },
+  );
+  assert.equal(res.status, 200);
+  assert.equal(res.body.webhook.url, "https://example.com/fixed");
+
+  res = await api.post(
+    "/api/admin/webhooks/replay",
+    { webhookId: webhook.id },
+    { headers: ADMIN },
+  );
+  assert.equal(res.body.replayed, 1);
+  await dispatcher.runOnce();
+  [delivery] = (await deliveries(`?webhookId=${webhook.id}`)).deliveries;
+  assert.equal(delivery.status, "delivered");
+  assert.equal(delivery.attempts, 1);
+  assert.equal(JSON.parse(received[0].body).type, "progress.reset");
+
+  // Replay theo id (kể cả đã delivered)
+  res = await api.post(
+    "/api/admin/webhooks/replay",
+    { deliveryIds: [delivery.id] },
+    { headers: ADMIN },
+  );
+  assert.deepEqual(res.body.deliveryIds, [delivery.id]);
+  received.length = 0;
+  await dispatcher.runOnce();
+  assert.equal(received.length, 1);
+
+  res = await api.post("/api/admin/webhooks/replay", {}, { headers: ADMIN });
+  assert.equal(res.status, 400);
+});
+
+test("test event, webhook tắt thì không nhận event / không gửi", async () => {
+  const { webhook, secret } = await createWebhook({
+    url: "https://example.com/toggle",
+    events: ["*"],
+  });
+
+  let res = await api.post(
+    `/api/admin/webhooks/${webhook.id}/test`,
+    {},
+    { headers: ADMIN },
+  );
+  assert.equal(res.body.queued, 1);
+  received.length = 0;
+  await dispatcher.runOnce();
+  assert.equal(received[0].headers["x-n1-event"], "webhook.test");
+
+  // Rotate secret → request sau ký bằng secret mới
+  res = await api.post(
+    `/api/admin/webhooks/${webhook.id}/update`,
+    { rotateSecret: true },
+    { headers: ADMIN },
+  );
+  assert.notEqual(res.body.secret, secret);
+  assert.match(res.body.secret, /^whsec_/);
+
+  res = await api.post(
+    `/api/admin/webhooks/${webhook.id}/update`,
+    { disabled: true },
+    { headers: ADMIN },
+  );
+  assert.ok(res.body.webhook.disabledAt);
+
+  await api.issueLicense({ userId: "hook-off", deviceId: "hook-off-d" });
+  res = await api.post(
+    `/api/admin/webhooks/${webhook.id}/test`,
+    {},
+    { headers: ADMIN },
+  );
+  assert.equal(res.status, 404);
+  assert.equal(
+    (await deliveries(`?webhookId=${webhook.id}`)).deliveries.length,
+    1,
+  );
+
+  res = await api.post(
+    `/api/admin/webhooks/${webhook.id}/update`,
+    { disabled: false },
+    { headers: ADMIN },
+  );
+  assert.equal(res.body.webhook.disabledAt, null);
+
+  res = await api.post(
+    "/api/admin/webhooks/abc/update",
+    {},
+    { headers: ADMIN },
+  );
+  assert.equal(res.status, 404);
+});
+
+test("deliveries: phân trang theo cursor", async () => {
+  const { webhook } = await createWebhook({
+    url: "https://example.com/paging",
+    events: ["license.generate"],
+  });
+  for (const userId of ["hook-p1", "hook-p2", "hook-p3"]) {
+    await api.issueLicense({ userId, deviceId: `${userId}-d` });
+  }
+
+  const first = await deliveries(`?webhookId=${webhook.id}&limit=2`);
+  assert.equal(first.deliveries.length, 2);
+  assert.ok(first.nextCursor);
+  const second = await deliveries(
+    `?webhookId=${webhook.id}&limit=2&cursor=${first.nextCursor}`,
+  );
+  assert.equal(second.deliveries.length, 1);
+  assert.equal(second.nextCursor, null);
+  assert.deepEqual(
+    [...first.deliveries, ...second.deliveries].map(
+      (d) => d.payload.data.userId,
+    ),
+    ["hook-p3", "hook-p2", "hook-p1"],
+  );
+
+  const res = await api.get("/api/admin/webhooks/deliveries?status=nope", {
+    headers: ADMIN,
+  });
+  assert.equal(res.status, 400);
+});